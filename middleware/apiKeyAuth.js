@@ -0,0 +1,103 @@
+import fs from "fs";
+import apiKeyService from "../service/apiKeyService.js";
+import logger from "../utils/logger.js";
+
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function extractKey(req) {
+    const authorization = req.get("Authorization");
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, "").trim();
+    }
+    return req.get("X-API-Key") || null;
+}
+
+// Every account id the request names, wherever the route reads it from
+function requestedAccountIds(req) {
+    const values = [
+        req.params?.account_id,
+        req.params?.accountId,
+        req.body?.account_id,
+        req.query?.account_id
+    ];
+    return [...new Set(values.filter(value => value !== undefined && value !== null && value !== "").map(String))];
+}
+
+function canAccessAccount(principal, accountId) {
+    if (!principal) return false;
+    if (principal.is_admin) return true;
+    return String(parseInt(accountId)) === String(principal.account_id);
+}
+
+// Uploaded files are already on disk when the body is checked after multer
+function discardUploads(req) {
+    const files = req.files ? (Array.isArray(req.files) ? req.files : Object.values(req.files).flat()) : [];
+    if (req.file) files.push(req.file);
+    files.forEach(file => {
+        if (file.path && fs.existsSync(file.path)) {
+            fs.unlink(file.path, () => {});
+        }
+    });
+}
+
+function rejectAccount(req, res) {
+    const denied = requestedAccountIds(req).filter(accountId => !canAccessAccount(req.apiKey, accountId));
+    if (denied.length === 0) return false;
+
+    logger.warn(`API key ${req.apiKey.key_id} (account ${req.apiKey.account_id}) denied access to account ${denied.join(', ')} on ${req.method} ${req.originalUrl}`);
+    discardUploads(req);
+    res.status(403).json({
+        success: false,
+        error: "API key is not allowed to access this account"
+    });
+    return true;
+}
+
+/**
+ * Require an API key with the given scope. Account ids in the path, query or an already
+ * parsed body must belong to the key; multipart routes add requireAccountAccess after multer.
+ * The caller is available as req.apiKey: { key_id, account_id, is_admin, scopes }
+ */
+function requireApiKey(scope) {
+    return async (req, res, next) => {
+        try {
+            const principal = await apiKeyService.authenticate(extractKey(req));
+            if (!principal) {
+                logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: missing or invalid API key`);
+                return res.status(401).json({
+                    success: false,
+                    error: "A valid API key is required"
+                });
+            }
+            req.apiKey = principal;
+
+            if (!principal.is_admin && !principal.scopes.includes(scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `API key lacks the '${scope}' scope`
+                });
+            }
+
+            if (rejectAccount(req, res)) return;
+            next();
+        } catch (error) {
+            logger.error("API key authentication error:", error);
+            res.status(500).json({
+                success: false,
+                error: "Failed to authenticate request",
+                message: error.message
+            });
+        }
+    };
+}
+
+// Same account check for fields that only exist once multer has parsed a multipart body
+function requireAccountAccess(req, res, next) {
+    if (rejectAccount(req, res)) return;
+    next();
+}
+
+// Routes that are not tied to one account (container-wide blob operations).
+// "admin" is never stored on a key, so only ADMIN_API_KEY passes.
+const requireAdminKey = requireApiKey("admin");
+
+export { requireApiKey, requireAccountAccess, requireAdminKey, canAccessAccount };
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+import accountConfigService from "../service/accountConfigService.js";
+import logger from "../utils/logger.js";
+
+// Chatwoot signs each delivery with the account's webhook secret:
+//   X-Chatwoot-Timestamp: unix seconds
+//   X-Chatwoot-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Old timestamps are refused so a captured request cannot be replayed later; a replay inside
+// the window is caught by the message id check in the webhook queue.
+const TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC || 300);
+// Lets accounts without a secret through while secrets are being rolled out
+const ALLOW_UNSIGNED = process.env.WEBHOOK_ALLOW_UNSIGNED === "true";
+
+function signPayload(secret, timestamp, rawBody) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+function signaturesMatch(expected, received) {
+    const a = Buffer.from(expected, "hex");
+    const b = Buffer.from(received, "hex");
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Needs express.json({ verify }) to keep the raw body on req.rawBody
+async function verifyChatwootSignature(req, res, next) {
+    const accountId = req.body?.account?.id;
+
+    const reject = (status, reason) => {
+        logger.warn(`Rejected webhook from ${req.ip} (account ${accountId ?? "unknown"}, message ${req.body?.id ?? "unknown"}): ${reason}`);
+        return res.status(status).json({ success: false, error: "Webhook verification failed" });
+    };
+
+    if (!accountId) {
+        return reject(400, "missing account id");
+    }
+
+    try {
+        const config = await accountConfigService.get(accountId);
+        if (!config || !config.webhook_secret) {
+            if (ALLOW_UNSIGNED) {
+                logger.warn(`Accepting unsigned webhook for account ${accountId}: no webhook secret configured`);
+                return next();
+            }
+            return reject(401, "no webhook secret configured for account");
+        }
+
+        const signatureHeader = req.get("X-Chatwoot-Signature");
+        const timestampHeader = req.get("X-Chatwoot-Timestamp");
+        if (!signatureHeader || !timestampHeader) {
+            return reject(401, "missing signature or timestamp header");
+        }
+
+        const timestamp = Number(timestampHeader);
+        if (!Number.isInteger(timestamp)) {
+            return reject(401, "malformed timestamp");
+        }
+        const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+        if (ageSeconds > TOLERANCE_SECONDS) {
+            return reject(401, `timestamp outside the ${TOLERANCE_SECONDS}s window (off by ${Math.round(ageSeconds)}s)`);
+        }
+
+        if (!req.rawBody) {
+            return reject(400, "raw body not available");
+        }
+
+        const received = signatureHeader.replace(/^sha256=/, "");
+        if (!/^[0-9a-f]+$/i.test(received)) {
+            return reject(401, "malformed signature");
+        }
+        const expected = signPayload(config.webhook_secret, timestampHeader, req.rawBody.toString("utf8"));
+        if (!signaturesMatch(expected, received)) {
+            return reject(401, "signature mismatch");
+        }
+
+        next();
+    } catch (error) {
+        logger.error(`Error verifying webhook signature for account ${accountId}:`, error.message);
+        res.sendStatus(500);
+    }
+}
+
+export { verifyChatwootSignature, signPayload };
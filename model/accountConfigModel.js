@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+// Chat model for one role (utils/modelRegistry.js); unset fields use the server defaults
+const modelSettingSchema = new mongoose.Schema({
+    provider: { type: String }, // "openai" or a provider registered with LLM_PROVIDER_<NAME>_BASE_URL
+    model: { type: String, required: true },
+    temperature: { type: Number, min: 0, max: 2 }
+}, { _id: false });
+
+// How uploaded content is split into chunks (utils/chunking.js); unset fields use the format defaults
+const chunkingRuleSchema = new mongoose.Schema({
+    chunk_method: { type: String, enum: ['recursive_character', 'markdown', 'page', 'spreadsheet_rows', 'token'] },
+    chunk_size: { type: Number, min: 50, max: 8000 }, // Characters, or tokens for the token method
+    chunk_overlap: { type: Number, min: 0 }
+}, { _id: false });
+
+// Per-account bot configuration. Used to live on every UnifiedDocument chunk;
+// scripts/migrate-account-config.js lifts the old values into this collection.
+const accountConfigSchema = new mongoose.Schema({
+    account_id: { type: Number, required: true, unique: true },
+    account_name: { type: String },
+
+    // Chatwoot credentials
+    bot_api_key: { type: String }, // Agent bot token used to post replies
+    api_key: { type: String }, // User access token used to read conversations and attributes
+    webhook_secret: { type: String }, // Shared secret Chatwoot signs webhooks with (middleware/webhookSignature.js)
+
+    // Bot behaviour, composed into the reply prompt by utils/promptBuilder.js
+    persona: { type: String }, // Who the bot is, e.g. "Sam, the friendly assistant of {account_name}"
+    tone: { type: String },
+    forbidden_topics: [{ type: String }],
+    escalation_message: { type: String }, // What to say when handing over to a human
+    system_prompt: { type: String }, // Free-form additional instructions
+    inbox_ids: [{ type: String }], // Inboxes the bot answers in; empty means every inbox
+
+    // Embedding model the account's chunks are searched with; unset means the server default.
+    // Only service/embeddingMigration.js changes it, once every chunk has a vector from the new model.
+    embedding_model: { type: String },
+
+    // How replies are posted (service/replyDelivery.js)
+    reply_settings: {
+        typing_indicator: { type: Boolean, default: true },
+        streaming: { type: Boolean, default: false }, // Post long answers in sentence-sized messages
+        min_segment_chars: { type: Number, default: 160, min: 20 },
+        max_segment_chars: { type: Number, default: 700, max: 4000 }
+    },
+
+    // Answer only from relevant KB snippets and check citations (utils/grounding.js)
+    grounding_settings: {
+        min_relevance: { type: Number, default: 0.3, min: 0, max: 1 },
+        weak_retrieval_action: { type: String, enum: ['fallback', 'escalate', 'answer'], default: 'fallback' },
+        fallback_message: { type: String }, // Sent instead of an answer; may use the prompt {variables}
+        // Unset: checked unless reply_settings.streaming is on. Checked answers are posted whole, never streamed
+        check_citations: { type: Boolean, default: null },
+        max_regenerations: { type: Number, default: 1, min: 0, max: 3 },
+        citation_links: { type: Boolean, default: true } // Link [Title, p. 4] to the file or page (utils/citationLinks.js)
+    },
+
+    // When to hand a conversation to human agents (service/escalationService.js)
+    escalation_settings: {
+        enabled: { type: Boolean, default: true },
+        explicit_request: { type: Boolean, default: true },
+        negative_sentiment: { type: Boolean, default: true },
+        low_confidence_turns: { type: Number, default: 2, min: 0 }, // 0 turns low-confidence escalation off
+        min_kb_score: { type: Number, default: 0.35, min: 0, max: 1 },
+        team_id: { type: Number }, // Chatwoot team to assign escalated conversations to
+        private_note: { type: Boolean, default: true }
+    },
+
+    // How the customer's message becomes search queries (service/queryRewriter.js)
+    retrieval_settings: {
+        query_rewriting: { type: Boolean, default: true }, // Condense follow-ups with the conversation
+        multi_queries: { type: Number, default: 0, min: 0, max: 3 } // Extra phrasings fused with RRF
+    },
+
+    // Model per logical role (utils/modelRegistry.js); roles left empty use the server defaults
+    model_settings: {
+        reply: modelSettingSchema,
+        extraction: modelSettingSchema,
+        summarization: modelSettingSchema,
+        rerank: modelSettingSchema,
+        query_rewrite: modelSettingSchema
+    },
+
+    // Monthly spend limits in USD (service/usageLedger.js); null means no limit
+    usage_budget: {
+        soft_limit_usd: { type: Number, default: null, min: 0 }, // Warn once it is reached
+        hard_limit_usd: { type: Number, default: null, min: 0 } // Escalate to agents instead of calling models
+    },
+
+    // Chunking of uploads (utils/chunking.js); an upload's own chunk_* fields take precedence
+    chunking_settings: {
+        default: chunkingRuleSchema,
+        file_types: { type: Map, of: chunkingRuleSchema } // Keyed by extension without the dot ("pdf", "xlsx") or "url"
+    },
+
+    is_active: { type: Boolean, default: true }
+}, {
+    timestamps: true
+});
+
+const AccountConfig = mongoose.model("AccountConfig", accountConfigSchema);
+
+export { AccountConfig };
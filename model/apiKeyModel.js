@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// An API key for the RAG and account routes. Only a SHA-256 hash of the key is stored;
+// the key itself is shown once, when it is created or rotated.
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String }, // What the key is for, e.g. "dashboard"
+    key_prefix: { type: String, required: true }, // First characters of the key, to recognise it in lists
+    key_hash: { type: String, required: true, unique: true },
+
+    // The one account this key can act on. The admin key (ADMIN_API_KEY) is not stored here.
+    account_id: { type: Number, required: true, index: true },
+    scopes: [{ type: String, enum: ['read', 'search', 'write', 'delete', 'keys'] }],
+
+    revoked_at: { type: Date },
+    revoked_reason: { type: String },
+    rotated_to: { type: mongoose.Schema.Types.ObjectId }, // The key that replaced this one
+    last_used_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export { ApiKey };
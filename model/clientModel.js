@@ -12,6 +12,9 @@ const unifiedDocumentSchema = new mongoose.Schema({
     content: { type: String, required: true },
     pageContent: { type: String }, // Legacy alias for content
     embedding: { type: [Number], required: true },
+    // Vector from the model an embedding migration is moving the account to (utils/embeddingModels.js)
+    next_embedding: { type: [Number], default: undefined },
+    next_embedding_model: { type: String },
     
     // Legacy embeddings array support (from old Client schema)
     embeddings: [{
@@ -58,12 +61,13 @@ const unifiedDocumentSchema = new mongoose.Schema({
     chunk_size: { type: Number, default: 1000 },
     chunk_overlap: { type: Number, default: 200 },
     
-    // Bot configuration and client settings
+    // Inboxes this document is visible to
     inbox_ids: [{ type: String }],
+    // Legacy bot settings, now stored on AccountConfig (see scripts/migrate-account-config.js)
     bot_api_key: { type: String },
     api_key: { type: String },
     system_prompt: { type: String },
-    cost_usage: { type: Number, default: 0 }, // From old Client schema
+    cost_usage: { type: Number, default: 0 }, // From old Client schema; unused, spend is recorded in model/usageModel.js
     
     // Content metadata
     metadata: {
@@ -86,6 +90,11 @@ const unifiedDocumentSchema = new mongoose.Schema({
     processing_status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'completed' },
     error_message: { type: String },
     
+    // Set when a newer version of the file or page replaced this one
+    replaced_date: { type: Date },
+    replaced_by: { type: String }, // file_id of the new file, or document_id of the new page version
+    replaced_reason: { type: String }, // e.g. content_changed
+    
     // Legacy fields for backward compatibility
     pageContent: String, // Alias for content
     document_id_legacy: { type: mongoose.Schema.Types.ObjectId, ref: 'UnifiedDocument' }
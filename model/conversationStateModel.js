@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Bot state of one Chatwoot conversation: whether it was handed to a human, how the last
+// answers went and what was said before the recent turns. Written by service/escalationService.js
+// and service/conversationMemory.js.
+const conversationStateSchema = new mongoose.Schema({
+    account_id: { type: Number, required: true },
+    conversation_id: { type: String, required: true },
+
+    // While paused the bot stays silent; an agent hands the conversation back through the API
+    bot_paused: { type: Boolean, default: false },
+    escalation: {
+        trigger: { type: String, enum: ['explicit_request', 'negative_sentiment', 'low_confidence', 'budget_exceeded'] },
+        reason: { type: String }, // Human-readable detail, shown in the private note
+        team_id: { type: Number }, // Team the conversation was assigned to, if any
+        escalated_at: { type: Date }
+    },
+    escalation_count: { type: Number, default: 0 },
+
+    // Consecutive bot answers with weak knowledge base support
+    low_confidence_streak: { type: Number, default: 0 },
+
+    handed_back_at: { type: Date },
+    handed_back_by: { type: String },
+
+    // Rolling summary of the turns that no longer fit the prompt (service/conversationMemory.js)
+    summary: { type: String },
+    summary_message_id: { type: Number }, // Last Chatwoot message folded into the summary
+    summary_updated_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+conversationStateSchema.index({ account_id: 1, conversation_id: 1 }, { unique: true });
+conversationStateSchema.index({ account_id: 1, bot_paused: 1, 'escalation.escalated_at': -1 });
+
+const ConversationState = mongoose.model("ConversationState", conversationStateSchema);
+
+export { ConversationState };
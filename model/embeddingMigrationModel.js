@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Moving one account's chunks to another embedding model (service/embeddingMigration.js).
+// pending -> embedding -> switched -> completed; cancelled or failed before the switch
+// leaves the account on its old model.
+const embeddingMigrationSchema = new mongoose.Schema({
+    migration_id: { type: String, required: true, unique: true },
+    account_id: { type: Number, required: true },
+    from_model: { type: String, required: true },
+    to_model: { type: String, required: true },
+
+    status: {
+        type: String,
+        enum: ['pending', 'embedding', 'switched', 'completed', 'cancelled', 'failed'],
+        default: 'pending'
+    },
+    // Set while the migration is not finished; at most one per account
+    active: { type: Boolean, default: true },
+    cancel_requested: { type: Boolean, default: false },
+
+    progress: {
+        total: { type: Number, default: 0 }, // Chunks of the account when the migration started
+        embedded: { type: Number, default: 0 }, // Chunks that got a vector from to_model
+        promoted: { type: Number, default: 0 } // Chunks whose new vector replaced the old one after the switch
+    },
+
+    attempts: { type: Number, default: 0 },
+    last_error: { type: String },
+    next_run_at: { type: Date, default: Date.now },
+
+    // Worker lock, so a crashed worker's migration can be picked up again
+    locked_by: { type: String },
+    locked_at: { type: Date },
+
+    requested_by: { type: String }, // API key that started it
+    started_at: { type: Date },
+    switched_at: { type: Date },
+    finished_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+embeddingMigrationSchema.index({ account_id: 1 }, { unique: true, partialFilterExpression: { active: true } });
+embeddingMigrationSchema.index({ active: 1, next_run_at: 1 });
+embeddingMigrationSchema.index({ account_id: 1, createdAt: -1 });
+
+const EmbeddingMigration = mongoose.model("EmbeddingMigration", embeddingMigrationSchema);
+
+export { EmbeddingMigration };
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// A single unit of work inside an ingestion job (one file, URL or file URL)
+const ingestionItemSchema = new mongoose.Schema({
+    item_id: { type: String, required: true },
+    type: { type: String, enum: ['file', 'url', 'file_url'], required: true },
+    name: { type: String }, // Original file name or URL, for display
+
+    // What the worker needs to process the item
+    file_path: { type: String },
+    file_name: { type: String },
+    mimetype: { type: String },
+    file_size: { type: Number },
+    url: { type: String },
+    // Azure blob of a file uploaded by an earlier attempt; a retry reuses it instead of uploading again
+    azure_upload: mongoose.Schema.Types.Mixed,
+
+    // Progress information
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'failed', 'skipped'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    last_error: { type: String },
+    document_id: { type: String },
+    result: mongoose.Schema.Types.Mixed,
+    started_at: { type: Date },
+    completed_at: { type: Date }
+}, { _id: false });
+
+const ingestionJobSchema = new mongoose.Schema({
+    job_id: { type: String, required: true, unique: true },
+    account_id: { type: Number, required: true, index: true },
+    source: { type: String }, // Route that enqueued the job (upload-multi, upload-batch, process-mixed)
+
+    // Request body fields forwarded to RagService (title, description, inbox_ids, ...)
+    options: mongoose.Schema.Types.Mixed,
+
+    items: [ingestionItemSchema],
+
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'partial', 'failed'], default: 'pending', index: true },
+    max_attempts: { type: Number, default: 3 },
+    next_run_at: { type: Date, default: Date.now },
+
+    // Worker lock, so a crashed worker's job can be picked up again
+    locked_by: { type: String },
+    locked_at: { type: Date },
+
+    progress: {
+        total: { type: Number, default: 0 },
+        completed: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 }
+    },
+
+    started_at: { type: Date },
+    finished_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+ingestionJobSchema.index({ status: 1, next_run_at: 1 });
+ingestionJobSchema.index({ account_id: 1, createdAt: -1 });
+
+const IngestionJob = mongoose.model("IngestionJob", ingestionJobSchema);
+
+export { IngestionJob };
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// One customer message the bot handled, written by processWebhookEvent once it is done.
+// The analytics endpoint (service/analyticsService.js) aggregates these records.
+const interactionSchema = new mongoose.Schema({
+    account_id: { type: Number, required: true },
+    conversation_id: { type: String, required: true },
+    message_id: { type: String }, // Chatwoot message id
+    inbox_id: { type: String },
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC), for grouping by day
+
+    query: { type: String }, // The customer's message, truncated
+    search_queries: { type: [String], default: undefined }, // After query rewriting
+    small_talk: { type: Boolean, default: false }, // Greetings and thanks; left out of the query rankings
+
+    // Retrieval
+    kb_hits: { type: Number, default: 0 }, // Hits relevant enough to answer from
+    best_relevance: { type: Number },
+    zero_result: { type: Boolean, default: false }, // Nothing relevant was found
+
+    // Outcome; a reply can be followed by an escalation
+    replied: { type: Boolean, default: false }, // The bot posted a message
+    fallback: { type: Boolean, default: false }, // ...and it was the fallback message
+    escalated: { type: Boolean, default: false },
+    escalation_trigger: { type: String },
+    cited_documents: [{
+        _id: false,
+        document_id: { type: String },
+        source_title: { type: String }
+    }],
+
+    // Reply generation
+    model: { type: String },
+    prompt_tokens: { type: Number, default: 0 },
+    completion_tokens: { type: Number, default: 0 },
+    total_tokens: { type: Number, default: 0 },
+    cost_usd: { type: Number, default: 0 },
+    latency_ms: { type: Number } // From processing start until the reply or handoff was sent
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+interactionSchema.index({ account_id: 1, day: 1 });
+interactionSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: Number(process.env.INTERACTION_TTL_DAYS || 400) * 24 * 60 * 60 }
+);
+
+const Interaction = mongoose.model("Interaction", interactionSchema);
+
+export { Interaction };
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// A website crawled into an account's knowledge base (service/siteCrawl.js). Every page is
+// ingested as its own document with a UrlSource listing this site_id in its site_ids, so the
+// site can be crawled again or deleted as a unit.
+const crawlStatsSchema = new mongoose.Schema({
+    pages: { type: Number, default: 0 }, // Pages fetched
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }, // Pages that could not be fetched or ingested
+    skipped_robots: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 }, // Pages no longer found on the site, deleted after a full crawl
+    truncated: { type: Boolean, default: false }, // max_pages was reached with pages left
+    started_at: { type: Date },
+    finished_at: { type: Date }
+}, { _id: false });
+
+const siteSourceSchema = new mongoose.Schema({
+    site_id: { type: String, required: true, unique: true },
+    account_id: { type: Number, required: true, index: true },
+
+    // What to crawl
+    root_url: { type: String, required: true },
+    sitemap_url: { type: String },
+    include: [{ type: String }], // Globs, see utils/siteCrawler.js
+    exclude: [{ type: String }],
+    max_pages: { type: Number, default: 100 },
+    max_depth: { type: Number, default: 3 },
+    respect_robots: { type: Boolean, default: true },
+
+    // Upload body fields every page is ingested with (inbox_ids, chunk_*)
+    options: mongoose.Schema.Types.Mixed,
+
+    // Hours between crawls; 0 means the site is only crawled again on request
+    refresh_interval_hours: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: ['pending', 'crawling', 'completed', 'failed'], default: 'pending' },
+    next_run_at: { type: Date, default: Date.now },
+    // Set when the site is deleted during a crawl; the worker deletes it once the crawl stops
+    delete_requested: { type: Boolean, default: false },
+
+    progress: { type: crawlStatsSchema, default: () => ({}) }, // Crawl in progress, or the last one
+    last_crawl: { type: crawlStatsSchema }, // Last finished crawl
+    crawl_count: { type: Number, default: 0 },
+    last_error: { type: String },
+
+    // Worker lock, so a crashed worker's crawl can be picked up again
+    locked_by: { type: String },
+    locked_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+siteSourceSchema.index({ status: 1, next_run_at: 1 });
+
+const SiteSource = mongoose.model("SiteSource", siteSourceSchema);
+
+export { SiteSource };
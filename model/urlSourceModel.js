@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// A web page in an account's knowledge base and its refresh schedule (service/urlRefresh.js).
+// Written by RagService.processUrlItem every time the page is ingested; the scheduler
+// fetches it again once next_check_at has passed and re-embeds it only when its content changed.
+const urlSourceSchema = new mongoose.Schema({
+    source_id: { type: String, required: true, unique: true },
+    account_id: { type: Number, required: true },
+    url: { type: String, required: true },
+    // Sites whose crawls found the page (model/siteSourceModel.js)
+    site_ids: [{ type: String }],
+    // Uploaded on its own; such a page outlives the sites that also found it
+    standalone: { type: Boolean, default: true },
+    page_title: { type: String }, // The page's <title> when last fetched
+
+    // Upload body fields the page is ingested with again (title, description, inbox_ids, chunk_*)
+    options: mongoose.Schema.Types.Mixed,
+
+    // Hours between checks; 0 means the page is only ingested again when uploaded again
+    refresh_interval_hours: { type: Number, default: () => Number(process.env.URL_REFRESH_INTERVAL_HOURS || 24), min: 0 },
+    // paused: kept but not checked; removed: its document was deleted or deactivated
+    status: { type: String, enum: ['active', 'paused', 'removed'], default: 'active' },
+    next_check_at: { type: Date },
+
+    // Current version
+    document_id: { type: String }, // UnifiedDocument chunks of the current version
+    version_number: { type: Number, default: 1 },
+    content_hash: { type: String }, // sha256 of the extracted text
+
+    last_checked_at: { type: Date },
+    last_changed_at: { type: Date },
+    check_count: { type: Number, default: 0 },
+    change_count: { type: Number, default: 0 },
+    last_error: { type: String },
+    consecutive_failures: { type: Number, default: 0 },
+
+    // Worker lock, so a crashed worker's check can be picked up again
+    locked_by: { type: String },
+    locked_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+urlSourceSchema.index({ account_id: 1, url: 1 }, { unique: true });
+urlSourceSchema.index({ status: 1, next_check_at: 1 });
+urlSourceSchema.index({ site_ids: 1 });
+
+const UrlSource = mongoose.model("UrlSource", urlSourceSchema);
+
+export { UrlSource };
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One LLM or embedding call made for an account (service/usageLedger.js).
+// day and month are UTC and stored as strings so breakdowns group without date math.
+const usageRecordSchema = new mongoose.Schema({
+    account_id: { type: Number, required: true },
+    endpoint: { type: String, required: true }, // What the call was for, e.g. reply, query_rewrite, ingestion
+    kind: { type: String, enum: ['chat', 'embedding'], required: true },
+    model: { type: String, required: true },
+
+    prompt_tokens: { type: Number, default: 0 },
+    completion_tokens: { type: Number, default: 0 },
+    total_tokens: { type: Number, default: 0 },
+    cost_usd: { type: Number, default: 0 },
+    // Embedding calls do not report usage; their tokens are estimated from the text length
+    estimated: { type: Boolean, default: false },
+
+    conversation_id: { type: String },
+    day: { type: String, required: true }, // YYYY-MM-DD
+    month: { type: String, required: true } // YYYY-MM
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageRecordSchema.index({ account_id: 1, day: 1 });
+usageRecordSchema.index({ account_id: 1, month: 1 });
+// Breakdowns only look back a few months; older records are dropped
+usageRecordSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: Number(process.env.USAGE_RECORD_TTL_DAYS || 400) * 24 * 60 * 60 }
+);
+
+// Running total per account and month, so budget checks read one document
+const usageMonthSchema = new mongoose.Schema({
+    account_id: { type: Number, required: true },
+    month: { type: String, required: true }, // YYYY-MM
+    calls: { type: Number, default: 0 },
+    total_tokens: { type: Number, default: 0 },
+    cost_usd: { type: Number, default: 0 },
+
+    // Set once per month, so each limit is reported only the first time it is crossed
+    warned_at: { type: Date },
+    exceeded_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+usageMonthSchema.index({ account_id: 1, month: 1 }, { unique: true });
+
+const UsageRecord = mongoose.model("UsageRecord", usageRecordSchema);
+const UsageMonth = mongoose.model("UsageMonth", usageMonthSchema);
+
+export { UsageRecord, UsageMonth };
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A Chatwoot webhook delivery waiting for (or done with) processing by the webhook worker.
+// message_id is unique, so a redelivered event is stored only once and answered only once.
+const webhookEventSchema = new mongoose.Schema({
+    message_id: { type: String, required: true, unique: true }, // Chatwoot message id
+    event: { type: String }, // Chatwoot event name, e.g. message_created
+    account_id: { type: Number, required: true, index: true },
+    conversation_id: { type: String, required: true },
+    inbox_id: { type: String },
+
+    payload: mongoose.Schema.Types.Mixed, // Webhook body as received
+
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'skipped', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    last_error: { type: String },
+    result: { type: String }, // Outcome reported by the handler, e.g. why it was skipped
+    next_run_at: { type: Date, default: Date.now },
+
+    // Worker lock, so a crashed worker's event can be picked up again
+    locked_by: { type: String },
+    locked_at: { type: Date },
+
+    processed_at: { type: Date }
+}, {
+    timestamps: true
+});
+
+// Oldest first per conversation, for in-order processing
+webhookEventSchema.index({ account_id: 1, conversation_id: 1, status: 1, createdAt: 1 });
+webhookEventSchema.index({ status: 1, next_run_at: 1 });
+// Keep events long enough to catch redeliveries, then let MongoDB drop them
+webhookEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: Number(process.env.WEBHOOK_EVENT_TTL_DAYS || 7) * 24 * 60 * 60 }
+);
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export { WebhookEvent };
@@ -0,0 +1,1136 @@
+import express from "express";
+import accountConfigService, { AccountConfigService } from "../service/accountConfigService.js";
+import apiKeyService, { ApiKeyService } from "../service/apiKeyService.js";
+import escalationService, { EscalationService } from "../service/escalationService.js";
+import { requireApiKey } from "../middleware/apiKeyAuth.js";
+import { REPLY_PROMPT, buildSystemPrompt, validatePromptConfig, validateTemplateText } from "../utils/promptBuilder.js";
+import { WEAK_RETRIEVAL_ACTIONS } from "../utils/grounding.js";
+import { MAX_MULTI_QUERIES } from "../service/queryRewriter.js";
+import modelRegistry, { MODEL_ROLES } from "../utils/modelRegistry.js";
+import embeddingMigrationQueue, { EmbeddingMigrationQueue } from "../service/embeddingMigration.js";
+import { getActiveEmbeddingModel } from "../utils/embeddingModels.js";
+import usageLedger from "../service/usageLedger.js";
+import { parseChunkingOptions } from "../utils/chunking.js";
+import urlRefreshScheduler, { UrlRefreshScheduler } from "../service/urlRefresh.js";
+import siteCrawlQueue, { SiteCrawlQueue } from "../service/siteCrawl.js";
+import { parseRefreshInterval } from "../service/ragService1.js";
+import logger from "../utils/logger.js";
+
+const router = express.Router();
+
+// Check the config fields that were sent; returns a list of error messages
+function validateConfigBody(body) {
+    const errors = [];
+    const stringFields = ['account_name', 'bot_api_key', 'api_key'];
+    for (const field of stringFields) {
+        if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    if (body.webhook_secret !== undefined && (typeof body.webhook_secret !== 'string' || body.webhook_secret.length < 16)) {
+        errors.push("webhook_secret must be a string of at least 16 characters");
+    }
+    if (body.inbox_ids !== undefined && !Array.isArray(body.inbox_ids) && typeof body.inbox_ids !== 'string') {
+        errors.push("inbox_ids must be an array or a comma-separated string");
+    }
+    if (body.forbidden_topics !== undefined && !Array.isArray(body.forbidden_topics) && typeof body.forbidden_topics !== 'string') {
+        errors.push("forbidden_topics must be an array or a comma-separated string");
+    }
+    if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+        errors.push("is_active must be a boolean");
+    }
+    if (body.reply_settings !== undefined) {
+        errors.push(...validateReplySettings(body.reply_settings));
+    }
+    if (body.grounding_settings !== undefined) {
+        errors.push(...validateGroundingSettings(body.grounding_settings));
+    }
+    if (body.escalation_settings !== undefined) {
+        errors.push(...validateEscalationSettings(body.escalation_settings));
+    }
+    if (body.retrieval_settings !== undefined) {
+        errors.push(...validateRetrievalSettings(body.retrieval_settings));
+    }
+    if (body.model_settings !== undefined) {
+        errors.push(...validateModelSettings(body.model_settings));
+    }
+    if (body.usage_budget !== undefined) {
+        errors.push(...validateUsageBudget(body.usage_budget));
+    }
+    if (body.chunking_settings !== undefined) {
+        errors.push(...validateChunkingSettings(body.chunking_settings));
+    }
+    // Prompt fields: lengths and {variables}
+    errors.push(...validatePromptConfig(body));
+    return errors;
+}
+
+function validateReplySettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["reply_settings must be an object"];
+    }
+    const errors = [];
+    const booleans = ['typing_indicator', 'streaming'];
+    const numbers = { min_segment_chars: [20, 4000], max_segment_chars: [20, 4000] };
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (booleans.includes(key)) {
+            if (typeof value !== 'boolean') errors.push(`reply_settings.${key} must be a boolean`);
+        } else if (numbers[key]) {
+            const [min, max] = numbers[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`reply_settings.${key} must be an integer between ${min} and ${max}`);
+            }
+        } else {
+            errors.push(`Unknown reply_settings field: ${key}`);
+        }
+    });
+    if (Number.isInteger(settings.min_segment_chars) && Number.isInteger(settings.max_segment_chars)
+        && settings.min_segment_chars > settings.max_segment_chars) {
+        errors.push("reply_settings.min_segment_chars cannot be larger than max_segment_chars");
+    }
+    return errors;
+}
+
+function validateGroundingSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["grounding_settings must be an object"];
+    }
+    const errors = [];
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (key === 'min_relevance') {
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                errors.push("grounding_settings.min_relevance must be a number between 0 and 1");
+            }
+        } else if (key === 'weak_retrieval_action') {
+            if (!WEAK_RETRIEVAL_ACTIONS.includes(value)) {
+                errors.push(`grounding_settings.weak_retrieval_action must be one of: ${WEAK_RETRIEVAL_ACTIONS.join(', ')}`);
+            }
+        } else if (key === 'fallback_message') {
+            if (value !== null) errors.push(...validateTemplateText('grounding_settings.fallback_message', value, 1000));
+        } else if (key === 'check_citations') {
+            if (value !== null && typeof value !== 'boolean') errors.push("grounding_settings.check_citations must be a boolean or null");
+        } else if (key === 'citation_links') {
+            if (typeof value !== 'boolean') errors.push("grounding_settings.citation_links must be a boolean");
+        } else if (key === 'max_regenerations') {
+            if (!Number.isInteger(value) || value < 0 || value > 3) {
+                errors.push("grounding_settings.max_regenerations must be an integer between 0 and 3");
+            }
+        } else {
+            errors.push(`Unknown grounding_settings field: ${key}`);
+        }
+    });
+    return errors;
+}
+
+function validateEscalationSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["escalation_settings must be an object"];
+    }
+    const errors = [];
+    const booleans = ['enabled', 'explicit_request', 'negative_sentiment', 'private_note'];
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (booleans.includes(key)) {
+            if (typeof value !== 'boolean') errors.push(`escalation_settings.${key} must be a boolean`);
+        } else if (key === 'low_confidence_turns') {
+            if (!Number.isInteger(value) || value < 0 || value > 20) {
+                errors.push("escalation_settings.low_confidence_turns must be an integer between 0 and 20");
+            }
+        } else if (key === 'min_kb_score') {
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                errors.push("escalation_settings.min_kb_score must be a number between 0 and 1");
+            }
+        } else if (key === 'team_id') {
+            if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+                errors.push("escalation_settings.team_id must be a positive integer or null");
+            }
+        } else {
+            errors.push(`Unknown escalation_settings field: ${key}`);
+        }
+    });
+    return errors;
+}
+
+function validateRetrievalSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["retrieval_settings must be an object"];
+    }
+    const errors = [];
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (key === 'query_rewriting') {
+            if (typeof value !== 'boolean') errors.push("retrieval_settings.query_rewriting must be a boolean");
+        } else if (key === 'multi_queries') {
+            if (!Number.isInteger(value) || value < 0 || value > MAX_MULTI_QUERIES) {
+                errors.push(`retrieval_settings.multi_queries must be an integer between 0 and ${MAX_MULTI_QUERIES}`);
+            }
+        } else {
+            errors.push(`Unknown retrieval_settings field: ${key}`);
+        }
+    });
+    return errors;
+}
+
+// Limits are USD per month; null removes a limit
+function validateUsageBudget(budget) {
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+        return ["usage_budget must be an object"];
+    }
+    const errors = [];
+
+    Object.entries(budget).forEach(([key, value]) => {
+        if (key === 'soft_limit_usd' || key === 'hard_limit_usd') {
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                errors.push(`usage_budget.${key} must be a non-negative number or null`);
+            }
+        } else {
+            errors.push(`Unknown usage_budget field: ${key}`);
+        }
+    });
+
+    const { soft_limit_usd, hard_limit_usd } = budget;
+    if (typeof soft_limit_usd === 'number' && typeof hard_limit_usd === 'number' && soft_limit_usd > hard_limit_usd) {
+        errors.push("usage_budget.soft_limit_usd cannot be above usage_budget.hard_limit_usd");
+    }
+    return errors;
+}
+
+// default and each file type's rule are replaced as a whole; null removes them
+function validateChunkingSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["chunking_settings must be an object"];
+    }
+    const errors = [];
+    const validateRule = (rule, name) => {
+        if (rule === null) return;
+        if (typeof rule !== 'object' || Array.isArray(rule)) {
+            errors.push(`${name} must be an object or null`);
+            return;
+        }
+        Object.keys(rule)
+            .filter(key => !['chunk_method', 'chunk_size', 'chunk_overlap'].includes(key))
+            .forEach(key => errors.push(`Unknown ${name} field: ${key}`));
+        try {
+            parseChunkingOptions(rule);
+        } catch (error) {
+            errors.push(`${name}: ${error.message}`);
+        }
+    };
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (key === 'default') {
+            validateRule(value, "chunking_settings.default");
+        } else if (key === 'file_types') {
+            if (value === null) return;
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push("chunking_settings.file_types must be an object keyed by file extension");
+                return;
+            }
+            Object.entries(value).forEach(([fileType, rule]) => {
+                if (!/^[a-z0-9]+$/.test(fileType)) {
+                    errors.push(`chunking_settings.file_types keys must be lowercase extensions without the dot, got: ${fileType}`);
+                    return;
+                }
+                validateRule(rule, `chunking_settings.file_types.${fileType}`);
+            });
+        } else {
+            errors.push(`Unknown chunking_settings field: ${key}`);
+        }
+    });
+    return errors;
+}
+
+// Each role is replaced as a whole; null goes back to the server default
+function validateModelSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ["model_settings must be an object"];
+    }
+    const errors = [];
+    const providers = modelRegistry.listProviders();
+
+    Object.entries(settings).forEach(([role, value]) => {
+        if (!MODEL_ROLES.includes(role)) {
+            errors.push(`Unknown model_settings role: ${role}. Valid options: ${MODEL_ROLES.join(', ')}`);
+            return;
+        }
+        if (value === null) return;
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`model_settings.${role} must be an object or null`);
+            return;
+        }
+
+        if (typeof value.model !== 'string' || !value.model.trim() || value.model.length > 200) {
+            errors.push(`model_settings.${role}.model must be a non-empty string`);
+        }
+        if (value.provider !== undefined && !providers.includes(value.provider)) {
+            errors.push(`model_settings.${role}.provider must be one of: ${providers.join(', ')}`);
+        }
+        if (value.temperature !== undefined && (typeof value.temperature !== 'number' || value.temperature < 0 || value.temperature > 2)) {
+            errors.push(`model_settings.${role}.temperature must be a number between 0 and 2`);
+        }
+        Object.keys(value)
+            .filter(key => !['provider', 'model', 'temperature'].includes(key))
+            .forEach(key => errors.push(`Unknown model_settings.${role} field: ${key}`));
+    });
+    return errors;
+}
+
+router.param("account_id", (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+        return res.status(400).json({
+            success: false,
+            error: "account_id must be a number"
+        });
+    }
+    next();
+});
+
+// Get the bot configuration of an account
+router.get("/:account_id/config", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const config = await accountConfigService.get(account_id);
+
+        if (!config) {
+            return res.status(404).json({
+                success: false,
+                error: `No configuration found for account ${account_id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            config: AccountConfigService.formatConfig(config)
+        });
+
+    } catch (error) {
+        logger.error("Get account config error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get account config",
+            message: error.message
+        });
+    }
+});
+
+// Model each role uses for this account and the providers it may choose from
+router.get("/:account_id/config/models", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const config = await accountConfigService.get(account_id);
+
+        const roles = {};
+        MODEL_ROLES.forEach(role => {
+            const { provider, model, temperature } = modelRegistry.resolve(role, config);
+            roles[role] = {
+                provider,
+                model,
+                temperature,
+                source: config?.model_settings?.[role]?.model ? "account" : "default"
+            };
+        });
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            roles,
+            providers: modelRegistry.listProviders(),
+            embedding_model: await getActiveEmbeddingModel(account_id)
+        });
+
+    } catch (error) {
+        logger.error("Get account models error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get account models",
+            message: error.message
+        });
+    }
+});
+
+// Create or update the bot configuration; only the fields sent are changed
+const saveConfig = async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        logger.info(`=== SAVE ACCOUNT CONFIG REQUEST: account ${account_id} ===`);
+
+        const validationErrors = validateConfigBody(req.body || {});
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: validationErrors[0],
+                errors: validationErrors
+            });
+        }
+
+        const config = await accountConfigService.upsert(account_id, req.body || {});
+        const formatted = AccountConfigService.formatConfig(config);
+
+        const warnings = [];
+        if (config.reply_settings?.streaming && !formatted.streaming_active) {
+            warnings.push("reply_settings.streaming has no effect while grounding_settings.check_citations is true; set it to false or null to stream replies");
+        }
+
+        res.json({
+            success: true,
+            message: "Account config saved",
+            config: formatted,
+            warnings
+        });
+
+    } catch (error) {
+        logger.error("Save account config error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to save account config",
+            message: error.message
+        });
+    }
+};
+
+router.put("/:account_id/config", requireApiKey("write"), saveConfig);
+router.patch("/:account_id/config", requireApiKey("write"), saveConfig);
+
+// Generate a new webhook secret. It is returned only here; configure it in Chatwoot right away,
+// webhooks signed with the old secret are rejected from now on.
+router.post("/:account_id/config/webhook-secret", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const secret = await accountConfigService.rotateWebhookSecret(account_id);
+
+        logger.info(`Rotated webhook secret for account ${account_id}`);
+        res.json({
+            success: true,
+            message: "Webhook secret rotated",
+            account_id: parseInt(account_id),
+            webhook_secret: secret
+        });
+
+    } catch (error) {
+        logger.error("Rotate webhook secret error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to rotate webhook secret",
+            message: error.message
+        });
+    }
+});
+
+// Render the final reply prompt for a sample message.
+// Unsaved changes can be tried by sending them in "overrides"; they are validated but not stored.
+router.post("/:account_id/config/prompt-preview", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const {
+            message = "Hi, can you help me?",
+            customer_name,
+            inbox_name,
+            overrides = {}
+        } = req.body || {};
+
+        const validationErrors = validateConfigBody(overrides);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: validationErrors[0],
+                errors: validationErrors
+            });
+        }
+
+        const saved = await accountConfigService.get(account_id);
+        const config = { ...(saved || {}), ...overrides };
+        const accountName = config.account_name || `Account ${account_id}`;
+
+        const systemPrompt = buildSystemPrompt(config, {
+            account_name: accountName,
+            customer_name,
+            inbox_name
+        });
+        const messages = await REPLY_PROMPT.formatMessages({
+            system_prompt: systemPrompt,
+            user: message,
+            conversation_summary: "(summary of turns that no longer fit the prompt, once the conversation is long enough)",
+            recent_transcript: `Customer: ${message}`,
+            kb: "(knowledge snippets retrieved for the message are inserted here)"
+        });
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            config_saved: !!saved,
+            system_prompt: systemPrompt,
+            messages: messages.map(m => ({ role: m._getType(), content: m.content }))
+        });
+
+    } catch (error) {
+        logger.error("Prompt preview error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to render prompt preview",
+            message: error.message
+        });
+    }
+});
+
+// Delete the bot configuration; the bot stops replying for this account
+router.delete("/:account_id/config", requireApiKey("delete"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const deleted = await accountConfigService.remove(account_id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: `No configuration found for account ${account_id}`
+            });
+        }
+
+        logger.info(`Deleted account config for account ${account_id}`);
+        res.json({
+            success: true,
+            message: "Account config deleted",
+            account_id: parseInt(account_id)
+        });
+
+    } catch (error) {
+        logger.error("Delete account config error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to delete account config",
+            message: error.message
+        });
+    }
+});
+
+// Conversations handed to human agents, where the bot is currently silent
+router.get("/:account_id/conversations/escalated", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const states = await escalationService.listEscalated(account_id, { limit });
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            conversations: states.map(EscalationService.formatState),
+            count: states.length
+        });
+
+    } catch (error) {
+        logger.error("List escalated conversations error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list escalated conversations",
+            message: error.message
+        });
+    }
+});
+
+// An agent is done: the bot answers on this conversation again
+router.post("/:account_id/conversations/:conversation_id/handback", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id, conversation_id } = req.params;
+        const { handed_back_by } = req.body || {};
+
+        if (!/^\d+$/.test(conversation_id)) {
+            return res.status(400).json({
+                success: false,
+                error: "conversation_id must be a number"
+            });
+        }
+        if (handed_back_by !== undefined && typeof handed_back_by !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: "handed_back_by must be a string"
+            });
+        }
+
+        const state = await escalationService.handBack(account_id, conversation_id, handed_back_by || req.apiKey.key_id);
+        if (!state) {
+            return res.status(404).json({
+                success: false,
+                error: `Conversation ${conversation_id} is not escalated`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Conversation handed back to the bot",
+            conversation: EscalationService.formatState(state)
+        });
+
+    } catch (error) {
+        logger.error("Hand back conversation error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to hand back conversation",
+            message: error.message
+        });
+    }
+});
+
+// LLM and embedding spend per day and per month, split by endpoint and model
+router.get("/:account_id/usage", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+        const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 13);
+
+        const config = await accountConfigService.get(account_id);
+        const [usage, budget] = await Promise.all([
+            usageLedger.getUsage(account_id, { days, months }),
+            usageLedger.getBudgetStatus(account_id, config)
+        ]);
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            budget,
+            daily: usage.daily,
+            monthly: usage.monthly
+        });
+
+    } catch (error) {
+        logger.error("Get account usage error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get account usage",
+            message: error.message
+        });
+    }
+});
+
+// Start moving the account's chunks to another embedding model; search switches once all are embedded
+router.post("/:account_id/embedding-migrations", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const { to_model } = req.body || {};
+
+        if (typeof to_model !== 'string' || !to_model.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: "to_model must be a non-empty string"
+            });
+        }
+
+        const migration = await embeddingMigrationQueue.enqueue(account_id, to_model, { requestedBy: req.apiKey.key_id });
+
+        res.status(202).json({
+            success: true,
+            message: "Embedding migration started",
+            migration: EmbeddingMigrationQueue.formatMigration(migration)
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_MODEL' || error.code === 'MIGRATION_IN_PROGRESS') {
+            return res.status(error.code === 'INVALID_MODEL' ? 400 : 409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        logger.error("Start embedding migration error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to start embedding migration",
+            message: error.message
+        });
+    }
+});
+
+router.get("/:account_id/embedding-migrations", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const migrations = await embeddingMigrationQueue.list(account_id, limit);
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            embedding_model: await getActiveEmbeddingModel(account_id),
+            migrations: migrations.map(EmbeddingMigrationQueue.formatMigration),
+            count: migrations.length
+        });
+
+    } catch (error) {
+        logger.error("List embedding migrations error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list embedding migrations",
+            message: error.message
+        });
+    }
+});
+
+router.get("/:account_id/embedding-migrations/:migration_id", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id, migration_id } = req.params;
+        const migration = await embeddingMigrationQueue.getMigration(account_id, migration_id);
+
+        if (!migration) {
+            return res.status(404).json({
+                success: false,
+                error: `Embedding migration ${migration_id} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            migration: EmbeddingMigrationQueue.formatMigration(migration)
+        });
+
+    } catch (error) {
+        logger.error("Get embedding migration error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get embedding migration",
+            message: error.message
+        });
+    }
+});
+
+// Stop a migration that has not switched yet; the account stays on its current model
+router.post("/:account_id/embedding-migrations/:migration_id/cancel", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id, migration_id } = req.params;
+        const migration = await embeddingMigrationQueue.cancel(account_id, migration_id);
+
+        if (!migration) {
+            return res.status(409).json({
+                success: false,
+                error: `Embedding migration ${migration_id} does not exist or has already switched models`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Cancellation requested",
+            migration: EmbeddingMigrationQueue.formatMigration(migration)
+        });
+
+    } catch (error) {
+        logger.error("Cancel embedding migration error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to cancel embedding migration",
+            message: error.message
+        });
+    }
+});
+
+// URL sources and their refresh status: when each page was last checked and changed
+router.get("/:account_id/sources", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const { status, site_id } = req.query;
+        const statuses = ['active', 'paused', 'removed'];
+
+        if (status !== undefined && !statuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${statuses.join(', ')}`
+            });
+        }
+
+        const sources = await urlRefreshScheduler.list(account_id, { status, site_id });
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            sources: sources.map(UrlRefreshScheduler.formatSource),
+            count: sources.length
+        });
+
+    } catch (error) {
+        logger.error("List URL sources error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list URL sources",
+            message: error.message
+        });
+    }
+});
+
+router.get("/:account_id/sources/:source_id", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id, source_id } = req.params;
+        const source = await urlRefreshScheduler.getSource(account_id, source_id);
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                error: `URL source ${source_id} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            source: UrlRefreshScheduler.formatSource(source)
+        });
+
+    } catch (error) {
+        logger.error("Get URL source error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get URL source",
+            message: error.message
+        });
+    }
+});
+
+// Change how often a page is checked, or pause checking it
+router.patch("/:account_id/sources/:source_id", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id, source_id } = req.params;
+        const { refresh_interval_hours, paused, ...rest } = req.body || {};
+
+        const errors = Object.keys(rest).map(key => `Unknown field: ${key}`);
+        try {
+            parseRefreshInterval(refresh_interval_hours);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        if (paused !== undefined && typeof paused !== 'boolean') {
+            errors.push("paused must be a boolean");
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors[0],
+                errors
+            });
+        }
+
+        const source = await urlRefreshScheduler.updateSchedule(account_id, source_id, { refresh_interval_hours, paused });
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                error: `URL source ${source_id} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            source: UrlRefreshScheduler.formatSource(source)
+        });
+
+    } catch (error) {
+        logger.error("Update URL source error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to update URL source",
+            message: error.message
+        });
+    }
+});
+
+// Check a page at the scheduler's next poll instead of waiting for its schedule
+router.post("/:account_id/sources/:source_id/refresh", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id, source_id } = req.params;
+        const source = await urlRefreshScheduler.refreshNow(account_id, source_id);
+
+        if (!source) {
+            return res.status(409).json({
+                success: false,
+                error: `URL source ${source_id} does not exist or is not active`
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: "Refresh scheduled",
+            source: UrlRefreshScheduler.formatSource(source)
+        });
+
+    } catch (error) {
+        logger.error("Refresh URL source error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to schedule URL source refresh",
+            message: error.message
+        });
+    }
+});
+
+// Crawl a website from its root URL or sitemap; every page becomes its own document under the site
+router.post("/:account_id/sites", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const site = await siteCrawlQueue.enqueue({ ...(req.body || {}), account_id });
+
+        res.status(202).json({
+            success: true,
+            message: "Site crawl queued",
+            site: SiteCrawlQueue.formatSite(site),
+            status_url: `/api/accounts/${account_id}/sites/${site.site_id}`
+        });
+
+    } catch (error) {
+        if (error.code === 'INVALID_OPTIONS') {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                errors: [error.message]
+            });
+        }
+        logger.error("Create site error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to queue site crawl",
+            message: error.message
+        });
+    }
+});
+
+router.get("/:account_id/sites", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const sites = await siteCrawlQueue.list(account_id);
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            sites: sites.map(SiteCrawlQueue.formatSite),
+            count: sites.length
+        });
+
+    } catch (error) {
+        logger.error("List sites error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list sites",
+            message: error.message
+        });
+    }
+});
+
+// A site with its crawl progress and the pages it ingested
+router.get("/:account_id/sites/:site_id", requireApiKey("read"), async (req, res) => {
+    try {
+        const { account_id, site_id } = req.params;
+        const site = await siteCrawlQueue.getSite(account_id, site_id);
+
+        if (!site) {
+            return res.status(404).json({
+                success: false,
+                error: `Site ${site_id} not found`
+            });
+        }
+
+        const pages = await siteCrawlQueue.getPages(site_id);
+
+        res.json({
+            success: true,
+            site: SiteCrawlQueue.formatSite(site),
+            pages: pages.map(UrlRefreshScheduler.formatSource)
+        });
+
+    } catch (error) {
+        logger.error("Get site error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to get site",
+            message: error.message
+        });
+    }
+});
+
+// Crawl a site again at the worker's next poll; unchanged pages are not embedded again
+router.post("/:account_id/sites/:site_id/recrawl", requireApiKey("write"), async (req, res) => {
+    try {
+        const { account_id, site_id } = req.params;
+        const site = await siteCrawlQueue.recrawl(account_id, site_id);
+
+        if (!site) {
+            return res.status(409).json({
+                success: false,
+                error: `Site ${site_id} does not exist or is being crawled`
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: "Site crawl queued",
+            site: SiteCrawlQueue.formatSite(site)
+        });
+
+    } catch (error) {
+        logger.error("Recrawl site error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to queue site crawl",
+            message: error.message
+        });
+    }
+});
+
+// Delete a site and all of its pages
+router.delete("/:account_id/sites/:site_id", requireApiKey("delete"), async (req, res) => {
+    try {
+        const { account_id, site_id } = req.params;
+        const result = await siteCrawlQueue.remove(account_id, site_id);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: `Site ${site_id} not found`
+            });
+        }
+
+        // A running crawl is stopped first; the site is deleted once it has
+        res.status(result.deleted ? 200 : 202).json({
+            success: true,
+            message: result.deleted ? "Site deleted" : "Site will be deleted when its crawl stops",
+            site_id,
+            pages_removed: result.pages_removed
+        });
+
+    } catch (error) {
+        logger.error("Delete site error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to delete site",
+            message: error.message
+        });
+    }
+});
+
+// List the API keys of an account; keys themselves are never shown again after creation
+router.get("/:account_id/api-keys", requireApiKey("keys"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const keys = await apiKeyService.list(account_id);
+
+        res.json({
+            success: true,
+            account_id: parseInt(account_id),
+            api_keys: keys.map(ApiKeyService.formatKey)
+        });
+
+    } catch (error) {
+        logger.error("List API keys error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to list API keys",
+            message: error.message
+        });
+    }
+});
+
+// Create an API key for the account. The key is returned only in this response.
+router.post("/:account_id/api-keys", requireApiKey("keys"), async (req, res) => {
+    try {
+        const { account_id } = req.params;
+        const { name, scopes } = req.body || {};
+
+        const { scopes: grantedScopes, errors: validationErrors } = ApiKeyService.validateScopes(scopes, req.apiKey);
+        if (name !== undefined && typeof name !== 'string') {
+            validationErrors.push("name must be a string");
+        }
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: validationErrors[0],
+                errors: validationErrors
+            });
+        }
+
+        const { apiKey, key } = await apiKeyService.create(account_id, { name, scopes: grantedScopes });
+
+        res.status(201).json({
+            success: true,
+            message: "API key created; store it now, it cannot be shown again",
+            api_key: ApiKeyService.formatKey(apiKey),
+            key
+        });
+
+    } catch (error) {
+        logger.error("Create API key error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to create API key",
+            message: error.message
+        });
+    }
+});
+
+// Replace a key with a new one with the same name and scopes; the old key stops working at once
+router.post("/:account_id/api-keys/:key_id/rotate", requireApiKey("keys"), async (req, res) => {
+    try {
+        const { account_id, key_id } = req.params;
+        const current = await apiKeyService.get(account_id, key_id);
+        if (!current || current.revoked_at) {
+            return res.status(404).json({
+                success: false,
+                error: `No active API key ${key_id} found for account ${account_id}`
+            });
+        }
+
+        // The new key is returned in plain text, so rotating one is as good as creating it
+        const missing = ApiKeyService.missingScopes(req.apiKey, current.scopes);
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: `Cannot rotate a key with the '${missing[0]}' scope without holding it`
+            });
+        }
+
+        const rotated = await apiKeyService.rotate(account_id, key_id);
+        if (!rotated) {
+            return res.status(404).json({
+                success: false,
+                error: `No active API key ${key_id} found for account ${account_id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "API key rotated; store the new key now, it cannot be shown again",
+            replaced_key_id: key_id,
+            api_key: ApiKeyService.formatKey(rotated.apiKey),
+            key: rotated.key
+        });
+
+    } catch (error) {
+        logger.error("Rotate API key error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to rotate API key",
+            message: error.message
+        });
+    }
+});
+
+// Revoke a key; requests made with it are rejected from now on
+router.delete("/:account_id/api-keys/:key_id", requireApiKey("keys"), async (req, res) => {
+    try {
+        const { account_id, key_id } = req.params;
+        const revoked = await apiKeyService.revoke(account_id, key_id, typeof req.body?.reason === "string" ? req.body.reason : undefined);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: `No API key ${key_id} found for account ${account_id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "API key revoked",
+            api_key: ApiKeyService.formatKey(revoked)
+        });
+
+    } catch (error) {
+        logger.error("Revoke API key error:", error);
+        res.status(500).json({
+            success: false,
+            error: "Failed to revoke API key",
+            message: error.message
+        });
+    }
+});
+
+export default router;
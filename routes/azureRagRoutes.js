@@ -1,6 +1,7 @@
 import express from "express";
 import multer from "multer";
 import AzureRagService from "../service/azureRagServiceComplete.js";
+import { requireApiKey, requireAccountAccess } from "../middleware/apiKeyAuth.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -31,7 +32,7 @@ const upload = multer({
  * Upload files to Azure and process for RAG
  * POST /api/azure-rag/upload
  */
-router.post('/upload', upload.array('files', 10), async (req, res) => {
+router.post('/upload', requireApiKey('write'), upload.array('files', 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info('Azure RAG upload request received');
         
@@ -71,7 +72,7 @@ router.post('/upload', upload.array('files', 10), async (req, res) => {
  * List files for an account
  * GET /api/azure-rag/files/:accountId
  */
-router.get('/files/:accountId', async (req, res) => {
+router.get('/files/:accountId', requireApiKey('read'), async (req, res) => {
     try {
         const { accountId } = req.params;
         
@@ -97,7 +98,7 @@ router.get('/files/:accountId', async (req, res) => {
  * Delete file and its embeddings
  * DELETE /api/azure-rag/files/:accountId/:blobName
  */
-router.delete('/files/:accountId/:blobName', async (req, res) => {
+router.delete('/files/:accountId/:blobName', requireApiKey('delete'), async (req, res) => {
     try {
         const { accountId, blobName } = req.params;
         
@@ -125,7 +126,7 @@ router.delete('/files/:accountId/:blobName', async (req, res) => {
  * Search documents using embeddings
  * POST /api/azure-rag/search
  */
-router.post('/search', async (req, res) => {
+router.post('/search', requireApiKey('search'), async (req, res) => {
     try {
         const { account_id, query, limit = 5 } = req.body;
         
@@ -1,5 +1,6 @@
 import express from 'express';
 import { handleMultiFileUpload, uploadFilesToAzure, deleteFileFromAzure } from '../utils/azureFileUpload.js';
+import { requireApiKey, requireAdminKey } from '../middleware/apiKeyAuth.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -9,7 +10,7 @@ const router = express.Router();
  * POST /api/azure/upload
  * Upload files to Azure Blob Storage
  */
-router.post('/upload', (req, res) => {
+router.post('/upload', requireAdminKey, (req, res) => {
     logger.info('Azure upload request received');
     handleMultiFileUpload(req, res);
 });
@@ -18,7 +19,7 @@ router.post('/upload', (req, res) => {
  * Upload files for a specific account (for RAG integration)
  * POST /api/azure/upload/:accountId
  */
-router.post('/upload/:accountId', async (req, res) => {
+router.post('/upload/:accountId', requireApiKey('write'), async (req, res) => {
     try {
         const { accountId } = req.params;
         logger.info(`Azure upload request for account ${accountId}`);
@@ -39,7 +40,7 @@ router.post('/upload/:accountId', async (req, res) => {
  * Delete file from Azure
  * DELETE /api/azure/delete/:blobName
  */
-router.delete('/delete/:blobName', async (req, res) => {
+router.delete('/delete/:blobName', requireAdminKey, async (req, res) => {
     try {
         const { blobName } = req.params;
         logger.info(`Deleting blob: ${blobName}`);
@@ -70,7 +71,7 @@ router.delete('/delete/:blobName', async (req, res) => {
  * List files in Azure container
  * GET /api/azure/files
  */
-router.get('/files', async (req, res) => {
+router.get('/files', requireAdminKey, async (req, res) => {
     try {
         const { BlobServiceClient } = await import('@azure/storage-blob');
         const blobServiceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
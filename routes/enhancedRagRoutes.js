@@ -1,6 +1,7 @@
 import express from "express";
 import multer from "multer";
 import RagService1 from "../service/ragService1.js";
+import { requireApiKey, requireAccountAccess } from "../middleware/apiKeyAuth.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -43,7 +44,7 @@ const upload = multer({
 });
 
 // Enhanced upload endpoint with file and URL support
-router.post("/upload-enhanced", upload.array("files", 10), async (req, res) => {
+router.post("/upload-enhanced", requireApiKey("write"), upload.array("files", 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== ENHANCED UPLOAD REQUEST START ===");
         logger.info(`Files uploaded: ${req.files ? req.files.length : 0}`);
@@ -76,7 +77,7 @@ router.post("/upload-enhanced", upload.array("files", 10), async (req, res) => {
 });
 
 // Process URLs using Firecrawl
-router.post("/process-urls", async (req, res) => {
+router.post("/process-urls", requireApiKey("write"), async (req, res) => {
     try {
         logger.info("=== URL PROCESSING REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -111,7 +112,7 @@ router.post("/process-urls", async (req, res) => {
 });
 
 // Batch URL processing with rate limiting
-router.post("/process-batch-urls", async (req, res) => {
+router.post("/process-batch-urls", requireApiKey("write"), async (req, res) => {
     try {
         logger.info("=== BATCH URL PROCESSING REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -147,7 +148,7 @@ router.post("/process-batch-urls", async (req, res) => {
 });
 
 // Enhanced upsert endpoint with mixed content support
-router.post("/upsert", upload.array("files", 10), async (req, res) => {
+router.post("/upsert", requireApiKey("write"), upload.array("files", 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== ENHANCED UPSERT REQUEST START ===");
         logger.info(`Files: ${req.files ? req.files.length : 0}, Body:`, req.body);
@@ -189,7 +190,7 @@ router.post("/upsert", upload.array("files", 10), async (req, res) => {
 });
 
 // Enhanced search with source type filtering
-router.post("/search-enhanced", async (req, res) => {
+router.post("/search-enhanced", requireApiKey("search"), async (req, res) => {
     try {
         logger.info("=== ENHANCED SEARCH REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -233,7 +234,7 @@ router.post("/search-enhanced", async (req, res) => {
 });
 
 // Enhanced document listing with statistics
-router.get("/documents-enhanced/:accountId", async (req, res) => {
+router.get("/documents-enhanced/:accountId", requireApiKey("read"), async (req, res) => {
     try {
         logger.info("=== ENHANCED DOCUMENT LISTING REQUEST START ===");
         
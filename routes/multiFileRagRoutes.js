@@ -1,8 +1,13 @@
 import express from "express";
 import multer from "multer";
 import RagService from "../service/ragService1.js";
+import ingestionQueue, { IngestionQueue } from "../service/ingestionQueue.js";
+import { requireApiKey, requireAccountAccess, canAccessAccount } from "../middleware/apiKeyAuth.js";
 import logger from "../utils/logger.js";
 import { retrieveKBChunks } from "../utils/vectorDB.js";
+import { RERANK_METHODS } from "../utils/reranker.js";
+import modelRegistry from "../utils/modelRegistry.js";
+import accountConfigService from "../service/accountConfigService.js";
 import { UnifiedDocument } from "../model/clientModel.js";
 import path from "path";
 import fs from "fs";
@@ -11,6 +16,9 @@ import crypto from "crypto";
 const router = express.Router();
 const ragService = new RagService();
 
+// Reranked searches use the webhook's candidate count (server.js) unless the request sets one
+const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES || 30);
+
 // Configure multer for multiple file uploads with enhanced settings
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -51,11 +59,12 @@ const upload = multer({
             'application/vnd.ms-excel',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'application/rtf',
-            'text/rtf'
+            'text/rtf',
+            'text/markdown'
         ];
         
         // Also check file extensions as backup
-        const allowedExtensions = ['.pdf', '.txt', '.csv', '.doc', '.docx', '.xls', '.xlsx', '.rtf'];
+        const allowedExtensions = ['.pdf', '.txt', '.md', '.markdown', '.csv', '.doc', '.docx', '.xls', '.xlsx', '.rtf'];
         const fileExtension = path.extname(file.originalname).toLowerCase();
         
         const isMimeTypeAllowed = allowedTypes.includes(file.mimetype);
@@ -64,14 +73,14 @@ const upload = multer({
         if (isMimeTypeAllowed || isExtensionAllowed) {
             cb(null, true);
         } else {
-            const supportedFormats = "PDF, TXT, CSV, DOC, DOCX, XLS, XLSX, RTF";
+            const supportedFormats = "PDF, TXT, MD, CSV, DOC, DOCX, XLS, XLSX, RTF";
             cb(new Error(`Unsupported file type: ${file.mimetype} (${fileExtension}). Supported formats: ${supportedFormats}`), false);
         }
     }
 });
 
 // Multi-file upload endpoint
-router.post("/upload-multi", upload.array("files", 10), async (req, res) => {
+router.post("/upload-multi", requireApiKey("write"), upload.array("files", 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== MULTI-FILE UPLOAD REQUEST START ===");
         logger.info(`Files uploaded: ${req.files ? req.files.length : 0}`);
@@ -99,16 +108,20 @@ router.post("/upload-multi", upload.array("files", 10), async (req, res) => {
         // Update body with parsed URLs
         const bodyWithUrls = { ...req.body, urls };
 
-        // Call the processing function
-        const result = await ragService.processAPI_Insert_Init({
+        // Queue the files for background processing
+        const job = await ingestionQueue.enqueue({
             files: req.files,
-            body: bodyWithUrls
+            body: bodyWithUrls,
+            source: 'upload-multi'
         });
 
-        logger.info("Multi-file upload completed successfully");
-        res.json(result);
+        logger.info(`Multi-file upload queued as job ${job.job_id}`);
+        res.status(202).json(jobAcceptedResponse(job));
 
     } catch (error) {
+        if (error.code === 'INVALID_OPTIONS') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         logger.error("Multi-file upload error:", error);
         res.status(500).json({ 
             success: false,
@@ -118,8 +131,51 @@ router.post("/upload-multi", upload.array("files", 10), async (req, res) => {
     }
 });
 
+// Response for routes that hand their work to the ingestion queue
+function jobAcceptedResponse(job) {
+    return {
+        success: true,
+        message: `Processing queued: ${job.items.length} items`,
+        job_id: job.job_id,
+        status: job.status,
+        status_url: `/api/multi-rag/jobs/${job.job_id}`,
+        totalItems: job.items.length,
+        account_id: job.account_id
+    };
+}
+
+// Ingestion job status endpoint
+router.get("/jobs/:job_id", requireApiKey("read"), async (req, res) => {
+    try {
+        const { job_id } = req.params;
+
+        const job = await ingestionQueue.getJob(job_id);
+
+        // Another account's job is reported as missing, not as forbidden
+        if (!job || !canAccessAccount(req.apiKey, job.account_id)) {
+            return res.status(404).json({ 
+                success: false,
+                error: `Job ${job_id} not found` 
+            });
+        }
+
+        res.json({
+            success: true,
+            job: IngestionQueue.formatJob(job)
+        });
+
+    } catch (error) {
+        logger.error("Get job status error:", error);
+        res.status(500).json({ 
+            success: false,
+            error: "Failed to retrieve job status", 
+            message: error.message 
+        });
+    }
+});
+
 // Single file upload endpoint (for backward compatibility)
-router.post("/upload-single", upload.single("file"), async (req, res) => {
+router.post("/upload-single", requireApiKey("write"), upload.single("file"), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== SINGLE FILE UPLOAD REQUEST START ===");
         logger.info(`File uploaded: ${req.file ? req.file.originalname : 'none'}`);
@@ -156,7 +212,7 @@ router.post("/upload-single", upload.single("file"), async (req, res) => {
 });
 
 // URL processing endpoint (no files, just URLs)
-router.post("/process-urls", async (req, res) => {
+router.post("/process-urls", requireApiKey("write"), async (req, res) => {
     try {
         logger.info("=== URL PROCESSING REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -196,7 +252,7 @@ router.post("/process-urls", async (req, res) => {
 });
 
 // Mixed content endpoint (files + URLs + file URLs)
-router.post("/process-mixed", upload.array("files", 10), async (req, res) => {
+router.post("/process-mixed", requireApiKey("write"), upload.array("files", 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== MIXED CONTENT PROCESSING REQUEST START ===");
         logger.info(`Files: ${req.files ? req.files.length : 0}`);
@@ -236,15 +292,19 @@ router.post("/process-mixed", upload.array("files", 10), async (req, res) => {
         // Update body with parsed URLs
         const bodyWithUrls = { ...req.body, urls };
 
-        const result = await ragService.processAPI_Insert_Init({
+        const job = await ingestionQueue.enqueue({
             files: req.files,
-            body: bodyWithUrls
+            body: bodyWithUrls,
+            source: 'process-mixed'
         });
 
-        logger.info("Mixed content processing completed successfully");
-        res.json(result);
+        logger.info(`Mixed content processing queued as job ${job.job_id}`);
+        res.status(202).json(jobAcceptedResponse(job));
 
     } catch (error) {
+        if (error.code === 'INVALID_OPTIONS') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         logger.error("Mixed content processing error:", error);
         res.status(500).json({ 
             success: false,
@@ -255,7 +315,7 @@ router.post("/process-mixed", upload.array("files", 10), async (req, res) => {
 });
 
 // Enhanced search endpoint with multiple methods and filters
-router.post("/search", async (req, res) => {
+router.post("/search", requireApiKey("search"), async (req, res) => {
     try {
         logger.info("=== SEARCH REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -266,6 +326,9 @@ router.post("/search", async (req, res) => {
             limit = 10, 
             search_method = 'hybrid',
             filters = {},
+            inbox_id,
+            fusion = {},
+            rerank = null,
             include_metadata = true,
             sort_by = 'score',
             sort_order = 'desc'
@@ -294,13 +357,82 @@ router.post("/search", async (req, res) => {
             });
         }
 
+        // Inbox scope: documents without an inbox list are shared by every inbox
+        const searchFilters = { ...filters };
+        if (inbox_id !== undefined) {
+            searchFilters.inbox_id = inbox_id;
+        }
+        if (searchFilters.inbox_id !== undefined && !/^\d+$/.test(String(searchFilters.inbox_id))) {
+            return res.status(400).json({
+                success: false,
+                error: "inbox_id must be a number"
+            });
+        }
+
+        // Validate fusion settings (hybrid only): non-negative weights, positive rrf_k/candidates
+        const fusionOptions = {};
+        const fusionFields = {
+            vector_weight: value => value >= 0,
+            lexical_weight: value => value >= 0,
+            rrf_k: value => value > 0,
+            candidates: value => Number.isInteger(value) && value > 0 && value <= 500
+        };
+        for (const [field, isValid] of Object.entries(fusionFields)) {
+            if (fusion[field] === undefined) continue;
+            const value = Number(fusion[field]);
+            if (!Number.isFinite(value) || !isValid(value)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid fusion.${field}`
+                });
+            }
+            fusionOptions[field] = value;
+        }
+        if (fusionOptions.vector_weight === 0 && fusionOptions.lexical_weight === 0) {
+            return res.status(400).json({
+                success: false,
+                error: "fusion.vector_weight and fusion.lexical_weight cannot both be 0"
+            });
+        }
+
+        // Validate rerank settings: { method: 'llm' | 'local', candidates }
+        let rerankOptions = null;
+        if (rerank) {
+            const method = typeof rerank === 'string' ? rerank : rerank.method;
+            if (!RERANK_METHODS.includes(method)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid rerank.method. Valid options: ${RERANK_METHODS.join(', ')}`
+                });
+            }
+            // Same model and candidate count as the bot's reranking for this account
+            const accountConfig = await accountConfigService.get(account_id);
+            rerankOptions = {
+                method,
+                candidates: Math.min(Math.max(RERANK_CANDIDATES, parseInt(limit)), 100),
+                model: modelRegistry.resolve("rerank", accountConfig)
+            };
+            if (rerank.candidates !== undefined) {
+                const candidates = Number(rerank.candidates);
+                if (!Number.isInteger(candidates) || candidates < parseInt(limit) || candidates > 100) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Invalid rerank.candidates: must be an integer between limit and 100"
+                    });
+                }
+                rerankOptions.candidates = candidates;
+            }
+        }
+
         // Use the enhanced search method from ragService
         const results = await ragService.searchDocuments({
             account_id: parseInt(account_id),
             query: query,
             limit: parseInt(limit),
             searchMethod: search_method,
-            filters: filters
+            filters: searchFilters,
+            fusion: fusionOptions,
+            rerank: rerankOptions
         });
 
         // Apply additional sorting if specified
@@ -330,13 +462,15 @@ router.post("/search", async (req, res) => {
             limit: parseInt(limit),
             results_count: processedResults.length,
             results: processedResults,
-            filters,
+            filters: searchFilters,
             sort_by,
             sort_order,
             search_metadata: {
                 execution_time: new Date().toISOString(),
                 method_used: search_method,
-                filters_applied: Object.keys(filters).length > 0,
+                fusion: search_method === 'hybrid' ? fusionOptions : undefined,
+                rerank: rerankOptions || undefined,
+                filters_applied: Object.keys(searchFilters).length > 0,
                 metadata_included: include_metadata
             }
         });
@@ -352,7 +486,7 @@ router.post("/search", async (req, res) => {
 });
 
 // Update document endpoint
-router.put("/update", async (req, res) => {
+router.put("/update", requireApiKey("write"), async (req, res) => {
     try {
         logger.info("=== UPDATE DOCUMENT REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -392,7 +526,7 @@ router.put("/update", async (req, res) => {
 });
 
 // Update document status endpoint
-router.patch("/status", async (req, res) => {
+router.patch("/status", requireApiKey("write"), async (req, res) => {
     try {
         logger.info("=== UPDATE STATUS REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -441,7 +575,7 @@ router.patch("/status", async (req, res) => {
 });
 
 // Get documents by account with filters
-router.get("/documents/:account_id", async (req, res) => {
+router.get("/documents/:account_id", requireApiKey("read"), async (req, res) => {
     try {
         logger.info("=== GET DOCUMENTS REQUEST START ===");
         
@@ -493,7 +627,7 @@ router.get("/documents/:account_id", async (req, res) => {
 });
 
 // Get document statistics
-router.get("/stats/:account_id", async (req, res) => {
+router.get("/stats/:account_id", requireApiKey("read"), async (req, res) => {
     try {
         logger.info("=== GET STATS REQUEST START ===");
         
@@ -526,7 +660,7 @@ router.get("/stats/:account_id", async (req, res) => {
 });
 
 // File analysis endpoint - analyze files before upload
-router.post("/analyze-files", upload.array("files", 10), async (req, res) => {
+router.post("/analyze-files", requireApiKey("read"), upload.array("files", 10), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== FILE ANALYSIS REQUEST START ===");
         logger.info(`Files to analyze: ${req.files ? req.files.length : 0}`);
@@ -658,6 +792,7 @@ router.get("/health", async (req, res) => {
                 url_processing: !!process.env.FIRECRAWL_API_KEY,
                 azure_storage: !!process.env.AZURE_STORAGE_CONNECTION_STRING,
                 vector_search: true,
+                async_ingestion: true,
                 file_versioning: true,
                 conflict_resolution: true,
                 file_types: ["PDF", "TXT", "DOC", "DOCX", "XLS", "XLSX"]
@@ -667,7 +802,8 @@ router.get("/health", async (req, res) => {
                 azure_configured: !!process.env.AZURE_STORAGE_CONNECTION_STRING,
                 max_file_size: "50MB",
                 max_files_per_upload: 20,
-                supported_search_methods: ["vector", "database", "keyword", "hybrid"]
+                supported_search_methods: ["vector", "database", "keyword", "hybrid"],
+                supported_rerank_methods: RERANK_METHODS
             },
             endpoints: {
                 upload_multi: "/api/multi-rag/upload-multi",
@@ -676,6 +812,7 @@ router.get("/health", async (req, res) => {
                 process_urls: "/api/multi-rag/process-urls",
                 process_mixed: "/api/multi-rag/process-mixed",
                 analyze_files: "/api/multi-rag/analyze-files",
+                job_status: "/api/multi-rag/jobs/:job_id",
                 search: "/api/multi-rag/search",
                 update: "/api/multi-rag/update",
                 delete: "/api/multi-rag/document",
@@ -712,7 +849,7 @@ router.get("/health", async (req, res) => {
 });
 
 // Get file version history endpoint
-router.get("/file-history/:account_id/:fileName", async (req, res) => {
+router.get("/file-history/:account_id/:fileName", requireApiKey("read"), async (req, res) => {
     try {
         logger.info("=== GET FILE HISTORY REQUEST START ===");
         
@@ -759,7 +896,7 @@ router.get("/file-history/:account_id/:fileName", async (req, res) => {
 });
 
 // Batch file upload with conflict resolution
-router.post("/upload-batch", upload.array("files", 20), async (req, res) => {
+router.post("/upload-batch", requireApiKey("write"), upload.array("files", 20), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== BATCH FILE UPLOAD REQUEST START ===");
         logger.info(`Files uploaded: ${req.files ? req.files.length : 0}`);
@@ -787,30 +924,24 @@ router.post("/upload-batch", upload.array("files", 20), async (req, res) => {
             conflict_resolution 
         };
 
-        // Use the standard processAPI_Insert_Init method which already handles conflicts
-        const result = await ragService.processAPI_Insert_Init({
+        // The worker uses processFileItem, which already handles conflicts per file
+        const job = await ingestionQueue.enqueue({
             files: req.files,
-            body: bodyWithConflictResolution
+            body: bodyWithConflictResolution,
+            source: 'upload-batch'
         });
 
-        // Enhance result with batch-specific information
-        const batchResult = {
-            ...result,
+        logger.info(`Batch file upload queued as job ${job.job_id}`);
+        res.status(202).json({
+            ...jobAcceptedResponse(job),
             batch_processing: true,
-            conflict_resolution: conflict_resolution,
-            batch_summary: {
-                total_files: req.files.length,
-                new_files: result.results.filter(r => r.status === 'success').length,
-                updated_files: result.results.filter(r => r.status === 'updated' || r.status === 'replaced').length,
-                skipped_files: result.results.filter(r => r.status === 'skipped_duplicate').length,
-                failed_files: result.errors.length
-            }
-        };
-
-        logger.info("Batch file upload completed successfully");
-        res.json(batchResult);
+            conflict_resolution: conflict_resolution
+        });
 
     } catch (error) {
+        if (error.code === 'INVALID_OPTIONS') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
         logger.error("Batch file upload error:", error);
         res.status(500).json({ 
             success: false,
@@ -821,7 +952,7 @@ router.post("/upload-batch", upload.array("files", 20), async (req, res) => {
 });
 
 // Bulk delete documents endpoint
-router.post("/bulk-delete", async (req, res) => {
+router.post("/bulk-delete", requireApiKey("delete"), async (req, res) => {
     try {
         logger.info("=== BULK DELETE REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -893,7 +1024,7 @@ router.post("/bulk-delete", async (req, res) => {
 });
 
 // Delete document endpoint (enhanced)
-router.delete("/document", async (req, res) => {
+router.delete("/document", requireApiKey("delete"), async (req, res) => {
     try {
         logger.info("=== DELETE DOCUMENT REQUEST START ===");
         logger.info(`Request body:`, req.body);
@@ -2,6 +2,7 @@ import express from "express";
 import multer from "multer";
 import fs from "fs";
 import RagService from "../service/ragService.js";
+import { requireApiKey, requireAccountAccess } from "../middleware/apiKeyAuth.js";
 import logger from "../utils/logger.js";
 
 const router = express.Router();
@@ -36,7 +37,7 @@ const upload = multer({
 });
 
 // Upload document endpoint
-router.post("/upload", upload.single("file"), async (req, res) => {
+router.post("/upload", requireApiKey("write"), upload.single("file"), requireAccountAccess, async (req, res) => {
     try {
         logger.info("=== UPLOAD REQUEST START ===");
         logger.info(`Request Content-Type: ${req.get('Content-Type')}`);
@@ -80,7 +81,7 @@ router.post("/upload", upload.single("file"), async (req, res) => {
 });
 
 // Delete all data for account
-router.delete("/data/:account_id", async (req, res) => {
+router.delete("/data/:account_id", requireApiKey("delete"), async (req, res) => {
     try {
         const { account_id } = req.params;
         
@@ -98,7 +99,7 @@ router.delete("/data/:account_id", async (req, res) => {
 });
 
 // List documents for account
-router.get("/documents/:account_id", async (req, res) => {
+router.get("/documents/:account_id", requireApiKey("read"), async (req, res) => {
     try {
         const { account_id } = req.params;
         
@@ -115,7 +116,7 @@ router.get("/documents/:account_id", async (req, res) => {
 });
 
 // Search documents
-router.post("/search", async (req, res) => {
+router.post("/search", requireApiKey("search"), async (req, res) => {
     try {
         const { account_id, query, limit } = req.body;
         
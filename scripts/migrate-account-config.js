@@ -0,0 +1,108 @@
+// One-off migration: lift bot settings off UnifiedDocument chunks into AccountConfig.
+//
+// bot_api_key, api_key and system_prompt used to be copied onto every chunk, and the
+// webhook read whichever chunk came first. For every account this script:
+//   - takes the most recently updated non-empty value of each field
+//   - reports accounts whose chunks disagree on a value
+//   - creates the AccountConfig, filling only fields that are not set there yet
+//   - removes the fields from the chunks
+//
+// inbox_ids stays on the chunks: it scopes which inboxes see a document.
+//
+// Usage: node scripts/migrate-account-config.js [--account <id>] [--apply]
+// Without --apply nothing is written and the script only reports what it would do.
+import mongoose from "mongoose";
+import mongoConnect from "../config/mongoConnect.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import { AccountConfig } from "../model/accountConfigModel.js";
+
+const BOT_FIELDS = ["bot_api_key", "api_key", "system_prompt"];
+
+function parseArgs(argv) {
+    const args = { account: null, apply: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--apply") args.apply = true;
+        if (argv[i] === "--account") args.account = parseInt(argv[++i]);
+    }
+    return args;
+}
+
+async function migrateAccount(accountId, apply) {
+    const report = { account_id: accountId, lifted: [], kept_existing: [], conflicts: [], chunks_cleaned: 0 };
+    const lifted = {};
+
+    for (const field of BOT_FIELDS) {
+        const filter = { account_id: accountId, [field]: { $nin: [null, ""] } };
+
+        const distinct = await UnifiedDocument.distinct(field, filter);
+        if (distinct.length === 0) continue;
+        if (distinct.length > 1) report.conflicts.push(field);
+
+        const latest = await UnifiedDocument.findOne(filter)
+            .sort({ is_active: -1, updatedAt: -1 })
+            .select(field)
+            .lean();
+        lifted[field] = latest[field];
+    }
+
+    const existing = await AccountConfig.findOne({ account_id: accountId }).lean();
+    const update = {};
+    Object.keys(lifted).forEach(field => {
+        if (existing && existing[field]) {
+            report.kept_existing.push(field);
+        } else {
+            update[field] = lifted[field];
+            report.lifted.push(field);
+        }
+    });
+
+    const chunkFilter = { account_id: accountId, $or: BOT_FIELDS.map(field => ({ [field]: { $exists: true } })) };
+    report.chunks_cleaned = await UnifiedDocument.countDocuments(chunkFilter);
+
+    if (apply) {
+        if (!existing || Object.keys(update).length > 0) {
+            await AccountConfig.updateOne(
+                { account_id: accountId },
+                { $set: update, $setOnInsert: { account_id: accountId } },
+                { upsert: true }
+            );
+        }
+        if (report.chunks_cleaned > 0) {
+            await UnifiedDocument.updateMany(chunkFilter, {
+                $unset: Object.fromEntries(BOT_FIELDS.map(field => [field, ""]))
+            });
+        }
+    }
+
+    return report;
+}
+
+async function main() {
+    const { account, apply } = parseArgs(process.argv.slice(2));
+
+    await mongoConnect();
+
+    try {
+        const accountIds = account
+            ? [account]
+            : (await UnifiedDocument.distinct("account_id")).filter(id => id !== null && id !== undefined);
+
+        console.log(`${apply ? "Migrating" : "Dry run for"} ${accountIds.length} account(s)`);
+
+        for (const accountId of accountIds) {
+            const report = await migrateAccount(parseInt(accountId), apply);
+            console.log(JSON.stringify(report));
+        }
+
+        if (!apply) {
+            console.log("Nothing was changed. Re-run with --apply to write these changes.");
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(error => {
+    console.error("Migration failed:", error);
+    process.exit(1);
+});
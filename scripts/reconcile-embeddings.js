@@ -0,0 +1,114 @@
+// One-off migration: reconcile the legacy raw embeddings collection with UnifiedDocument.
+//
+// Chunks used to be written twice, once to UnifiedDocument and once to wiral.embeddings,
+// and deletes/updates only cleaned up UnifiedDocument. UnifiedDocument is now the only
+// chunk store, so for every account this script:
+//   - backfills missing chunk embeddings from the legacy copy
+//   - removes legacy vectors with no active chunk behind them (orphans)
+//   - removes legacy vectors that duplicate an active chunk
+//   - reports active chunks that still have no usable embedding
+//   - drops the account's vector index so it is rebuilt from UnifiedDocument
+//
+// Usage: node scripts/reconcile-embeddings.js [--account <id>] [--apply]
+// Without --apply nothing is written and the script only reports what it would do.
+import { MongoClient } from "mongodb";
+import mongoose from "mongoose";
+import mongoConnect from "../config/mongoConnect.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import { invalidateIndex, MONGODB_URI, DB_NAME, COLLECTION_NAME } from "../utils/vectorDB.js";
+
+function parseArgs(argv) {
+    const args = { account: null, apply: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--apply") args.apply = true;
+        if (argv[i] === "--account") args.account = parseInt(argv[++i]);
+    }
+    return args;
+}
+
+const chunkKey = (documentId, chunkIndex) => `${documentId}:${chunkIndex || 0}`;
+
+async function reconcileAccount(legacy, accountId, apply) {
+    const report = { account_id: accountId, orphaned: 0, duplicates: 0, backfilled: 0, unsearchable: 0 };
+
+    // Active chunks and whether they carry an embedding of their own
+    const activeChunks = new Map();
+    const chunkCursor = UnifiedDocument.find({ account_id: accountId, is_active: true })
+        .select("document_id chunk_index embedding")
+        .lean()
+        .cursor();
+    for await (const chunk of chunkCursor) {
+        activeChunks.set(chunkKey(chunk.document_id, chunk.chunk_index), {
+            _id: chunk._id,
+            hasEmbedding: Array.isArray(chunk.embedding) && chunk.embedding.length > 0
+        });
+    }
+
+    const toDelete = [];
+    const legacyCursor = legacy.find({ "metadata.account_id": accountId });
+    for await (const vector of legacyCursor) {
+        const chunk = activeChunks.get(chunkKey(vector.metadata?.document_id, vector.metadata?.chunk_index));
+
+        if (!chunk) {
+            report.orphaned++;
+        } else {
+            report.duplicates++;
+            if (!chunk.hasEmbedding && Array.isArray(vector.embedding) && vector.embedding.length > 0) {
+                report.backfilled++;
+                chunk.hasEmbedding = true;
+                if (apply) {
+                    await UnifiedDocument.updateOne({ _id: chunk._id }, { embedding: vector.embedding });
+                }
+            }
+        }
+        toDelete.push(vector._id);
+    }
+
+    report.unsearchable = [...activeChunks.values()].filter(chunk => !chunk.hasEmbedding).length;
+
+    if (apply) {
+        if (toDelete.length > 0) {
+            await legacy.deleteMany({ _id: { $in: toDelete } });
+        }
+        await invalidateIndex(accountId);
+    }
+
+    return report;
+}
+
+async function main() {
+    const { account, apply } = parseArgs(process.argv.slice(2));
+
+    await mongoConnect();
+    const client = new MongoClient(MONGODB_URI);
+    await client.connect();
+    const legacy = client.db(DB_NAME).collection(COLLECTION_NAME);
+
+    try {
+        const accountIds = account
+            ? [account]
+            : [...new Set([
+                ...await legacy.distinct("metadata.account_id"),
+                ...await UnifiedDocument.distinct("account_id")
+            ])].filter(id => id !== null && id !== undefined);
+
+        console.log(`${apply ? "Reconciling" : "Dry run for"} ${accountIds.length} account(s)`);
+
+        for (const accountId of accountIds) {
+            const report = await reconcileAccount(legacy, parseInt(accountId), apply);
+            console.log(JSON.stringify(report));
+        }
+
+        if (!apply) {
+            console.log("Nothing was changed. Re-run with --apply to write these changes.");
+        }
+    } finally {
+        await client.close();
+        await mongoose.disconnect();
+    }
+}
+
+main().catch(error => {
+    console.error("Reconciliation failed:", error);
+    process.exit(1);
+});
@@ -8,19 +8,36 @@ import enhancedRagRoutes from "./routes/enhancedRagRoutes.js";
 import azureUploadRoutes from "./routes/azureUploadRoutes.js";
 import azureRagRoutes from "./routes/azureRagRoutes.js";
 import multiFileRagRoutes from "./routes/multiFileRagRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import ingestionQueue from "./service/ingestionQueue.js";
+import embeddingMigrationQueue from "./service/embeddingMigration.js";
+import urlRefreshScheduler from "./service/urlRefresh.js";
+import siteCrawlQueue from "./service/siteCrawl.js";
+import webhookQueue from "./service/webhookQueue.js";
+import accountConfigService from "./service/accountConfigService.js";
+import { verifyChatwootSignature } from "./middleware/webhookSignature.js";
+import { requireApiKey } from "./middleware/apiKeyAuth.js";
+import { deliverReply, getReplySettings, extractTokenUsage, addTokenUsage } from "./service/replyDelivery.js";
+import escalationService, { getEscalationSettings } from "./service/escalationService.js";
+import usageLedger from "./service/usageLedger.js";
+import analyticsService from "./service/analyticsService.js";
+import conversationMemory from "./service/conversationMemory.js";
+import queryRewriter, { getRetrievalSettings, fuseQueryResults } from "./service/queryRewriter.js";
+import modelRegistry from "./utils/modelRegistry.js";
+import { estimateCost } from "./utils/modelPricing.js";
+import { fetchLastMessages, fetchMessagesBefore, sendChatwootReply } from "./utils/chatwootApi.js";
 import os from "os";
 import cors from "cors";
 
 // LangChain / OpenAI
-import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
-import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { RunnableSequence } from "@langchain/core/runnables";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 
-import { Client } from "./model/clientModel.js";
-
 // Langfuse
 import sharedLangfuseService from "./utils/langfuse.js";
+import { REPLY_PROMPT, buildSystemPrompt, renderVariables } from "./utils/promptBuilder.js";
+import { getGroundingSettings, citationsChecked, filterRelevantHits, isSmallTalk, checkCitations, citedDocuments, citationLabel, chunkLocation, regenerationNote, DEFAULT_FALLBACK_MESSAGE } from "./utils/grounding.js";
+import { linkCitations } from "./utils/citationLinks.js";
 
 
 // RAG Service
@@ -30,7 +47,12 @@ const ragServices = new RagService();
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve static files from public directory
 app.use(express.static('public'));
@@ -38,7 +60,7 @@ app.use(express.static('public'));
 app.use(cors({
   origin: "*", // Or specify your frontend URL for better security
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
 }));
 
 // Initialize RAG service
@@ -46,41 +68,49 @@ const ragService = new RagService();
 
 // ---------- Config ----------
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const CHATWOOT_URL = process.env.CHATWOOT_URL;
-
-// Per-1K token pricing
-const PRICING = {
-  "gpt-4o-mini": {
-    input: Number(process.env.MODEL_PRICING_GPT4O_MINI_INPUT || 0.15),
-    output: Number(process.env.MODEL_PRICING_GPT4O_MINI_OUTPUT || 0.60),
-  },
-};
-
-// ---------- Embeddings ----------
-const embeddings = new OpenAIEmbeddings({
-  apiKey: OPENAI_API_KEY,
-  model: "text-embedding-3-small",
-});
+// KB reranking: "llm", "local" or unset to keep retrieval order
+const RERANK_METHOD = process.env.RERANK_METHOD || null;
+const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES || 30);
 
 // ---------- KB Retriever using RAG Service ----------
-async function retrieveKBChunks(accountId, query, topK = 10) {
+// Searches with every query and fuses the rankings when there is more than one
+async function retrieveKBChunks(accountId, queries, topK = 10, inboxId = null, accountConfig = null) {
+  const queryList = Array.isArray(queries) ? queries : [queries];
+  const resultLists = await Promise.all(queryList.map(query => searchKBChunks(accountId, query, topK, inboxId, accountConfig)));
+  return fuseQueryResults(resultLists, topK);
+}
+
+async function searchKBChunks(accountId, query, topK = 10, inboxId = null, accountConfig = null) {
   try {
     const results = await ragService.searchDocuments({
       account_id: accountId,
       query,
       limit: topK,
-      searchMethod: "hybrid" // Use hybrid search for better relevance
-      // limit: topK --- IGNORE ---
+      searchMethod: "hybrid", // Use hybrid search for better relevance
+      // Only documents shared account-wide or assigned to the conversation's inbox
+      filters: inboxId ? { inbox_id: inboxId } : {},
+      // Optional second stage: rescore a larger candidate set before keeping topK
+      rerank: RERANK_METHOD ? { method: RERANK_METHOD, candidates: RERANK_CANDIDATES, model: modelRegistry.resolve("rerank", accountConfig) } : null
     });
 
     logger.info(`Retrieved ${results.length} KB chunks for account ${accountId} and query "${query}"`);
 
     return results.map(result => ({
       content: result.content,
-      document_id: result.documentId,
-      source_title: result.title,
-      source_uri: result.source || result.title,
-      score: result.similarity
+      document_id: result.document_id,
+      chunk_index: result.chunk_index,
+      source_title: result.source_title,
+      source_uri: result.source_uri || result.source_title,
+      score: result.score,
+      vector_score: result.vector_score,
+      rerank_score: result.rerank_score,
+      // For [Title, p. 4] citations and their links (utils/citationLinks.js)
+      source_type: result.source_type,
+      source_url: result.source_url,
+      file_type: result.file_type,
+      azure_blob_name: result.azure_blob_name,
+      azure_container: result.azure_container,
+      ...chunkLocation(result)
     }));
   } catch (error) {
     logger.error(`Error retrieving KB chunks for account ${accountId}:`, error.message);
@@ -88,41 +118,17 @@ async function retrieveKBChunks(accountId, query, topK = 10) {
   }
 }
 
-// ---------- Chatwoot helpers ----------
-async function fetchLastMessages(accountId, conversationId, limit = 20, api_access_token) {
-  const res = await axios.get(
-    `${CHATWOOT_URL}/api/v1/accounts/${accountId}/conversations/${conversationId}/messages?per_page=100`,
-    {
-      headers: { "Content-Type": "application/json", api_access_token: api_access_token },
-      timeout: 10000,
-    }
-  );
-  const all = Array.isArray(res.data) ? res.data : res.data?.payload || [];
-  return all.slice(-limit);
-}
-
-async function sendChatwootReply(accountId, conversationId, content, CHATWOOT_BOT_TOKEN) {
-  await axios.post(
-    `${CHATWOOT_URL}/api/v1/accounts/${accountId}/conversations/${conversationId}/messages`,
-    { content, message_type: "outgoing" },
-    {
-      headers: { "Content-Type": "application/json", api_access_token: CHATWOOT_BOT_TOKEN },
-      timeout: 10000,
-    }
-  );
-}
-
 // ---------- Langfuse ----------
 // Using shared Langfuse service for better tracing
 
 async function getAttributes(accountId) {
   try {
-    const client = await Client.findOne({ account_id: accountId, is_active: true });
-    if (!client || !client.api_key) {
-      logger.error(`[DEBUG] No active client or api_key found for account ${accountId}`);
+    const config = await accountConfigService.getActive(accountId);
+    if (!config || !config.api_key) {
+      logger.error(`[DEBUG] No active account config or api_key found for account ${accountId}`);
       return [];
     }
-    const ACCESS_TOKEN = client.api_key;
+    const ACCESS_TOKEN = config.api_key;
     const { data: defs } = await axios.get(`${process.env.CHATWOOT_URL}/api/v1/accounts/${accountId}/custom_attribute_definitions`, {
       headers: { "Content-Type": "application/json", api_access_token: ACCESS_TOKEN },
       params: { attribute_model: 1 },
@@ -139,81 +145,50 @@ async function getAttributes(accountId) {
 // Simplified token usage tracking using direct LLM callbacks
 
 // ---------- LLM + Prompt ----------
-const MODEL = "gpt-4o-mini";
-
-const prompt = ChatPromptTemplate.fromMessages([
-  [
-    "system",
-    `You are the AI Support Agent for {account_name}.
-Always answer ONLY using the context below (snippets from this account's knowledge base and recent conversation).
-If the answer is not clearly supported by the context, ask a clarifying question or suggest escalation.
-Always cite sources in the format [Title]. Keep your answers concise, helpful, and grounded in the provided information.
-Never answer questions about topics not present in the context. Do not make up information or speculate.
-Greet the user by name if you know it, otherwise use a generic greeting.
-If multiple policies or answers conflict, ask a clarifying question.
-`,
-  ],
-  [
-    "human",
-    `User message:
-{user}
-
-Recent conversation (most recent last):
-{recent_transcript}
-
-Knowledge snippets:
-{kb}
-
-Don't answer questions about topics not in the context.
-Don't do anything that isn't in the context above.
-Make sure to ground your answer in the provided context.
-your a chat agent for {account_name}.
-Greet the user by name if you know it.
-If you don't know the user's name, use a generic greeting.
-
-Produce a direct answer for the user. If multiple policies conflict, ask a clarifying question.`,
-
-  ],
-]);
-
-const llm = new ChatOpenAI({
-  apiKey: OPENAI_API_KEY,
-  model: MODEL,
-  temperature: 0.1,
-});
+// Builds the prompt variables for the reply chain
+async function prepareReplyInput(input) {
+  const { account_name, user_text, recent_messages, conversation_summary, account_config, customer_name, inbox_name, kb_hits, previous_attempt } = input;
+
+  // Build readable transcript from last messages (skip private notes)
+  const transcript = (recent_messages || [])
+    .filter((m) => !m.private)
+    .map((m) => {
+      const who = m.message_type === "incoming" ? "Customer" : (m.sender?.type || "Agent").toString();
+      const text = (m.content || "").replace(/\s+/g, " ").trim();
+      return `${who}: ${text}`;
+    })
+    .join("\n");
+
+  // KB chunks retrieved and filtered for relevance by processWebhookEvent
+  const kbBlock = (kb_hits || [])
+    .map((h) => `• ${String(h.content || "").trim()} [${citationLabel(h)}]`)
+    .join("\n");
+
+  return {
+    // After a rejected answer, say why so the next attempt can do better
+    system_prompt: buildSystemPrompt(account_config, { account_name, customer_name, inbox_name }) + regenerationNote(previous_attempt),
+    user: user_text,
+    conversation_summary: conversation_summary || "None.",
+    recent_transcript: transcript,
+    kb: kbBlock || "No KB snippets available.",
+  };
+}
 
-const chain = RunnableSequence.from([
-  async (input) => {
-    const { account_id, account_name, user_text, recent_messages, system_prompt, attributes } = input;
-
-    // Build readable transcript from last messages (skip private notes)
-    const transcript = (recent_messages || [])
-      .filter((m) => !m.private)
-      .map((m) => {
-        const who = m.message_type === "incoming" ? "Customer" : (m.sender?.type || "Agent").toString();
-        const text = (m.content || "").replace(/\s+/g, " ").trim();
-        return `${who}: ${text}`;
-      })
-      .join("\n");
-
-    // Retrieve KB chunks (per tenant)
-    const hits = await retrieveKBChunks(account_id, user_text, 10);
-    const kbBlock = (hits || [])
-      .map((h) => `• ${String(h.content || "").trim()} [${h.source_title || "KB"}]`)
-      .join("\n");
-
-    return {
-      account_id,
-      account_name,
-      user: user_text,
-      recent_transcript: transcript,
-      kb: kbBlock || "No KB snippets available.",
-    };
-  },
-  prompt,
-  llm,
-  new StringOutputParser(),
-]);
+// One reply chain per chat model; the account's model_settings pick the model (utils/modelRegistry.js)
+const replyChains = new WeakMap();
+
+function getReplyChain(llm) {
+  if (!replyChains.has(llm)) {
+    replyChains.set(llm, RunnableSequence.from([
+      prepareReplyInput,
+      // Base safety rules + the account's persona settings (utils/promptBuilder.js)
+      REPLY_PROMPT,
+      llm,
+      new StringOutputParser(),
+    ]));
+  }
+  return replyChains.get(llm);
+}
 
 // Mount RAG routes
 app.use("/api/rag", ragRoutes);
@@ -230,15 +205,16 @@ app.use("/api/azure-rag", azureRagRoutes);
 // Mount Multi-File RAG routes
 app.use("/api/multi-rag", multiFileRagRoutes);
 
+// Per-account bot configuration
+app.use("/api/accounts", accountRoutes);
+
 // ---------- Webhook ----------
-app.post("/chatwoot-webhook", async (req, res) => {
+// Chatwoot only needs to know the event arrived: the route stores it and answers 200 at once,
+// and the webhook worker (service/webhookQueue.js) calls processWebhookEvent for it.
+app.post("/chatwoot-webhook", verifyChatwootSignature, async (req, res) => {
   logger.info(`Webhook received: ${JSON.stringify(req.body, null, 2)}`);
 
-  const { content, conversation, sender, message_type } = req.body;
-  const account_id = req.body.account?.id;
-  const contact_id = req.body.conversation?.contact_inbox?.contact_id;
-
-  logger.info(`Account ID: ${account_id}, Contact ID: ${contact_id}`);
+  const { content, sender, message_type } = req.body;
 
   // Loop prevention
   const messageSenderType = req.body.conversation?.messages?.[0]?.sender_type;
@@ -263,40 +239,129 @@ app.post("/chatwoot-webhook", async (req, res) => {
     return res.sendStatus(200);
   }
 
-  const attributes = await getAttributes(account_id);
-
-  const conversationId = conversation?.id;
-  const accountName = req.body.account?.name || `Account ${account_id}`;
+  // The message id is what makes a redelivered event recognisable
+  if (req.body.id === undefined || req.body.id === null || !req.body.account?.id || !req.body.conversation?.id) {
+    logger.warn("Rejecting webhook without message, account or conversation id");
+    return res.sendStatus(400);
+  }
 
   try {
-    const client = await Client.findOne({ account_id: account_id, is_active: true });
-    if (!client) {
-      logger.info(`No active client found for account_id ${account_id}. Skipping AI response.`);
-      return res.sendStatus(200);
-    }
+    const { duplicate } = await webhookQueue.enqueue(req.body);
+    res.status(200).json({ received: true, duplicate });
   } catch (error) {
-    logger.error(`Error querying Client for account_id ${account_id}:`, error.message);
-    return res.sendStatus(500);
+    logger.error(`Error queueing webhook for message ${req.body.id}:`, error.message);
+    res.sendStatus(500);
+  }
+});
+
+// Generate and send the reply for one queued webhook event.
+// Returns { status: "skipped", reason } when there is nothing to do; throws to get a retry.
+async function processWebhookEvent(payload) {
+  const { content, conversation, sender, message_type } = payload;
+  const account_id = payload.account?.id;
+  const contact_id = payload.conversation?.contact_inbox?.contact_id;
+
+  logger.info(`Processing message ${payload.id} - Account ID: ${account_id}, Contact ID: ${contact_id}`);
+
+  const conversationId = conversation?.id;
+  const accountName = payload.account?.name || `Account ${account_id}`;
+  const inboxId = payload.inbox?.id;
+
+  // One analytics record per handled message (service/analyticsService.js)
+  const startedAt = Date.now();
+  const recordInteraction = (fields) => analyticsService.record({
+    account_id,
+    conversation_id: conversationId,
+    message_id: payload.id,
+    inbox_id: inboxId,
+    query: content,
+    small_talk: isSmallTalk(content),
+    latency_ms: Date.now() - startedAt,
+    ...fields
+  });
+
+  const accountConfig = await accountConfigService.getActive(account_id);
+  if (!accountConfig) {
+    logger.info(`No active account config found for account_id ${account_id}. Skipping AI response.`);
+    return { status: "skipped", reason: "no active account config" };
   }
+  if (!accountConfigService.isInboxEnabled(accountConfig, inboxId)) {
+    logger.info(`Bot is not enabled for inbox ${inboxId} of account ${account_id}. Skipping AI response.`);
+    return { status: "skipped", reason: "bot not enabled for inbox" };
+  }
+
+  const attributes = await getAttributes(account_id);
+
+  // Once the reply is out, later failures must not trigger a retry (and a second reply)
+  let replySent = false;
 
   try {
-    const token = await Client.findOne({ account_id: account_id, is_active: true })
-    const CHATWOOT_BOT_TOKEN = token?.bot_api_key;
-    const api_access_token = token?.api_key;
-    const systemPrompt = token?.system_prompt || null;
+    const CHATWOOT_BOT_TOKEN = accountConfig.bot_api_key;
+    const api_access_token = accountConfig.api_key;
 
     if (!CHATWOOT_BOT_TOKEN) {
       logger.warn(`No bot_api_key found for account_id ${account_id}. Cannot send replies.`);
-      return res.sendStatus(200);
+      return { status: "skipped", reason: "no bot_api_key" };
     }
     if (!api_access_token) {
       logger.warn(`No api_key found for account_id ${account_id}. Cannot retrieve documents.`);
-      return res.sendStatus(200);
+      return { status: "skipped", reason: "no api_key" };
     }
 
-    const lastMessages = await fetchLastMessages(account_id, conversationId, 20, api_access_token);
+    // A human agent owns the conversation until it is handed back
+    if (await escalationService.isPaused(account_id, conversationId)) {
+      logger.info(`Bot is paused on conversation ${conversationId} (escalated to agents). Skipping AI response.`);
+      return { status: "skipped", reason: "conversation escalated to agents" };
+    }
+
+    const lastMessages = await fetchLastMessages(account_id, conversationId, 100, api_access_token);
     logger.info(`Fetched ${lastMessages.length} recent messages for context.`);
 
+    // Context for the agent's handoff note and the escalation message
+    const escalationContext = {
+      messages: lastMessages,
+      attributes: payload.sender?.custom_attributes || payload.conversation?.meta?.sender?.custom_attributes || {},
+      variables: { account_name: accountName, customer_name: sender?.name, inbox_name: payload.inbox?.name }
+    };
+
+    // Past the monthly hard limit no model is called; an agent takes the conversation instead
+    const budget = await usageLedger.getBudgetStatus(account_id, accountConfig);
+    if (budget.state === "exceeded") {
+      const { escalated } = await escalationService.escalate({
+        accountConfig,
+        accountId: account_id,
+        conversationId,
+        trigger: "budget_exceeded",
+        reason: `Spent $${budget.spent_usd} of the $${budget.hard_limit_usd} monthly limit in ${budget.month}`,
+        ...escalationContext
+      });
+      await recordInteraction({ escalated, escalation_trigger: escalated ? "budget_exceeded" : undefined });
+      return { status: "completed", reason: "escalated: budget exceeded" };
+    }
+
+    // Explicit requests for a human and angry messages go straight to an agent
+    const escalationTrigger = escalationService.checkMessage(content, getEscalationSettings(accountConfig));
+    if (escalationTrigger) {
+      const { escalated } = await escalationService.escalate({
+        accountConfig,
+        accountId: account_id,
+        conversationId,
+        ...escalationTrigger,
+        ...escalationContext
+      });
+      await recordInteraction({ escalated, escalation_trigger: escalated ? escalationTrigger.trigger : undefined });
+      return { status: "completed", reason: `escalated: ${escalationTrigger.trigger}` };
+    }
+
+    // Earlier turns as a rolling summary, the latest ones verbatim within the token budget
+    const memory = await conversationMemory.buildContext({
+      accountId: account_id,
+      conversationId,
+      messages: lastMessages,
+      accountConfig,
+      fetchOlder: (beforeId) => fetchMessagesBefore(account_id, conversationId, beforeId, api_access_token)
+    });
+
     // 2) Create Langfuse trace for observability
     const trace = await sharedLangfuseService.createTrace(
       account_id.toString(),
@@ -311,49 +376,133 @@ app.post("/chatwoot-webhook", async (req, res) => {
         conversation_id: conversationId,
         contact_id: contact_id,
         message_type: message_type,
-        channel: req.body?.inbox?.name || "unknown"
+        channel: payload.inbox?.name || "unknown"
       }
     );
 
+    // Follow-ups ("what about the express one?") are searched as standalone queries
+    const retrievalSettings = getRetrievalSettings(accountConfig);
+    const rewriteSpan = await sharedLangfuseService.createSpan(trace, "query_rewrite", { user_message: content }, retrievalSettings);
+    const rewrite = await queryRewriter.rewrite({
+      message: content,
+      messages: memory.messages,
+      summary: memory.summary,
+      settings: retrievalSettings,
+      accountConfig
+    });
+    await sharedLangfuseService.endSpan(rewriteSpan, rewrite);
+
+    // Retrieve KB chunks (per tenant) and only answer from the relevant ones
+    const grounding = getGroundingSettings(accountConfig);
+    const retrieved = await retrieveKBChunks(account_id, rewrite.queries, 10, inboxId, accountConfig);
+    const { hits, weak, best_relevance } = filterRelevantHits(retrieved, grounding.min_relevance);
+    const fallbackMessage = renderVariables(grounding.fallback_message || DEFAULT_FALLBACK_MESSAGE, escalationContext.variables);
+    // "Hi" and "thanks" find nothing in the KB but still deserve a normal answer
+    const smallTalk = isSmallTalk(content);
+
+    if (weak && !smallTalk && grounding.weak_retrieval_action !== "answer") {
+      const reason = `No relevant knowledge base match (best relevance ${best_relevance === null ? "none" : best_relevance.toFixed(2)}, threshold ${grounding.min_relevance})`;
+      logger.info(`${reason} for conversation ${conversationId}; sending ${grounding.weak_retrieval_action} instead of calling the LLM`);
+
+      if (grounding.weak_retrieval_action === "escalate") {
+        const { escalated } = await escalationService.escalate({
+          accountConfig,
+          accountId: account_id,
+          conversationId,
+          trigger: "low_confidence",
+          reason,
+          ...escalationContext
+        });
+        await sharedLangfuseService.updateTrace(trace, { escalated, reason, search_queries: rewrite.queries, best_relevance });
+        await recordInteraction({ search_queries: rewrite.queries, best_relevance, zero_result: true, escalated, escalation_trigger: escalated ? "low_confidence" : undefined });
+        return { status: "completed", reason: "escalated: weak retrieval" };
+      }
+
+      await sendChatwootReply(account_id, conversationId, fallbackMessage, CHATWOOT_BOT_TOKEN);
+      replySent = true;
+      await escalationService.afterReply({
+        accountConfig,
+        accountId: account_id,
+        conversationId,
+        hits: [],
+        reply: fallbackMessage,
+        ...escalationContext
+      });
+      await sharedLangfuseService.updateTrace(trace, { ai_response: fallbackMessage, fallback_sent: true, reason, search_queries: rewrite.queries, best_relevance });
+      await recordInteraction({ search_queries: rewrite.queries, best_relevance, zero_result: true, replied: true, fallback: true });
+      return { status: "completed", reason: "fallback: weak retrieval" };
+    }
+
     // 3) Generate reply with LangChain
     logger.info(`[DEBUG] Starting AI chain invocation for account ${account_id}`);
     logger.info(`[DEBUG] User text: "${content}"`);
-    logger.info(`[DEBUG] Recent messages count: ${lastMessages.length}`);
+    logger.info(`[DEBUG] Recent messages in prompt: ${memory.messages.length} of ${lastMessages.length}${memory.summary ? ", plus summary" : ""}`);
 
     // Track tokens from direct LLM callback
     let tokenUsageFromResponse = null;
 
-
-    const aiReply = await chain.invoke(
-      {
+    // Generates the reply and posts it: one message, or sentence-sized segments when streaming
+    const replySettings = getReplySettings(accountConfig);
+    const checkingCitations = citationsChecked(grounding, replySettings);
+    if (checkingCitations && replySettings.streaming) {
+      logger.info(`Citation checks are on for account ${account_id}; posting the reply whole instead of streaming it`);
+    }
+    const replyModel = modelRegistry.resolve("reply", accountConfig);
+    const { reply: aiReply, segments, attempts, fallback } = await deliverReply({
+      chain: getReplyChain(modelRegistry.getChatModel(replyModel)),
+      input: {
         account_id,
         account_name: accountName,
         user_text: content,
-        recent_messages: lastMessages,
-        system_prompt: systemPrompt,
+        recent_messages: memory.messages,
+        conversation_summary: memory.summary,
+        inbox_id: inboxId,
+        account_config: accountConfig,
+        customer_name: sender?.name,
+        inbox_name: payload.inbox?.name,
         attributes: attributes,
+        kb_hits: hits,
         // data: data
 
       },
-      {
+      options: {
         callbacks: [
           {
             // Capture LLM token usage directly
             handleLLMEnd: async (output) => {
-              tokenUsageFromResponse = output?.llmOutput?.tokenUsage || output?.llmOutput?.usage;
+              tokenUsageFromResponse = addTokenUsage(tokenUsageFromResponse, extractTokenUsage(output));
               if (tokenUsageFromResponse) {
                 logger.info(`[TOKEN] Captured usage - prompt: ${tokenUsageFromResponse.promptTokens}, completion: ${tokenUsageFromResponse.completionTokens}, total: ${tokenUsageFromResponse.totalTokens}`);
               }
             }
-          }
+          },
+          // Every call, regenerations included, goes to the usage ledger
+          ...usageLedger.callbacks(account_id, "reply", { conversationId })
         ],
         runName: "wiral-rag-reply",
         tags: [`account:${account_id}`, `conversation:${conversationId}`],
         metadata: { account_id, conversation_id: conversationId, contact_id },
-      }
-    );
+      },
+      accountId: account_id,
+      conversationId,
+      botToken: CHATWOOT_BOT_TOKEN,
+      settings: replySettings,
+      // Every [Title] must be one of the snippets; otherwise regenerate, then fall back
+      validation: checkingCitations ? {
+        validate: (reply) => checkCitations(reply, hits),
+        maxRegenerations: grounding.max_regenerations,
+        fallbackMessage
+      } : null,
+      // Citations link to the cited file or page
+      formatMessage: grounding.citation_links ? (text) => linkCitations(text, hits) : undefined,
+      // A streamed answer is partly in the conversation after its first segment; never post it twice
+      onPosted: () => { replySent = true; }
+    });
 
+    replySent = true;
+    const repliedAt = Date.now();
     logger.info(`[DEBUG] AI reply generated: "${aiReply}"`);
+    logger.info(`Reply sent back to Chatwoot conversation ${conversationId} in ${segments} message(s)${fallback ? ` (fallback after ${attempts} rejected answers)` : ""}`);
 
     // Use captured token data
     const finalTokenUsage = {
@@ -361,20 +510,24 @@ app.post("/chatwoot-webhook", async (req, res) => {
       completionTokens: tokenUsageFromResponse?.completionTokens || 0,
       totalTokens: tokenUsageFromResponse?.totalTokens || 0
     };    // 4) Compute cost and log to Langfuse for billing aggregation
-    const modelPricing = PRICING[MODEL] || { input: 0, output: 0 };
     const inputTokens = finalTokenUsage.promptTokens;
     const outputTokens = finalTokenUsage.completionTokens;
-    const costUsd = (inputTokens / 1000) * modelPricing.input + (outputTokens / 1000) * modelPricing.output;
+    const costUsd = estimateCost(replyModel.model, finalTokenUsage);
 
     // Update trace with the AI response and token usage
     if (trace) {
       await sharedLangfuseService.updateTrace(trace,
         {
           ai_response: aiReply,
-          success: true
+          success: true,
+          kb_hits: hits.length,
+          search_queries: rewrite.queries,
+          best_relevance,
+          answer_attempts: attempts,
+          fallback_sent: fallback
         },
         {
-          model: MODEL,
+          model: replyModel.model,
           input_tokens: inputTokens,
           output_tokens: outputTokens,
           total_tokens: finalTokenUsage.totalTokens,
@@ -385,7 +538,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
 
       // Log usage data for analytics
       await sharedLangfuseService.logUsage(account_id.toString(), {
-        model: MODEL,
+        model: replyModel.model,
         input: content,
         output: aiReply,
         endpoint: "chatwoot_webhook",
@@ -401,7 +554,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
       await sharedLangfuseService.logCost(account_id.toString(), {
         transaction_type: "ai_response",
         amount: costUsd,
-        model: MODEL,
+        model: replyModel.model,
         tokens_used: finalTokenUsage.totalTokens,
         conversation_id: conversationId
       });
@@ -411,11 +564,35 @@ app.post("/chatwoot-webhook", async (req, res) => {
       `AI reply (tokens in/out/total ${inputTokens}/${outputTokens}/${finalTokenUsage.totalTokens}) ~ $${costUsd.toFixed(6)}`
     );
 
-    // 5) Send reply to Chatwoot
-    await sendChatwootReply(account_id, conversationId, aiReply, CHATWOOT_BOT_TOKEN);
-    logger.info(`Reply sent back to Chatwoot conversation ${conversationId}`);
+    // Several weak answers in a row hand the conversation to an agent
+    const { escalated } = smallTalk ? { escalated: false } : await escalationService.afterReply({
+      accountConfig,
+      accountId: account_id,
+      conversationId,
+      hits,
+      reply: aiReply,
+      ...escalationContext
+    });
+
+    await recordInteraction({
+      search_queries: rewrite.queries,
+      kb_hits: hits.length,
+      best_relevance,
+      zero_result: weak,
+      replied: true,
+      fallback,
+      escalated,
+      escalation_trigger: escalated ? "low_confidence" : undefined,
+      cited_documents: fallback ? [] : citedDocuments(aiReply, hits),
+      model: replyModel.model,
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: finalTokenUsage.totalTokens,
+      cost_usd: costUsd,
+      latency_ms: repliedAt - startedAt
+    });
 
-    res.sendStatus(200);
+    return { status: "completed", reason: escalated ? "escalated: low_confidence" : undefined };
   } catch (err) {
     if (err.response) {
       logger.error(`API Error (status: ${err.response.status}): ${JSON.stringify(err.response.data)}`);
@@ -424,9 +601,12 @@ app.post("/chatwoot-webhook", async (req, res) => {
     } else {
       logger.error("Error: " + err.message);
     }
-    res.sendStatus(500);
+    if (replySent) {
+      return { status: "completed", reason: `reply sent, then failed: ${err.message}` };
+    }
+    throw err;
   }
-});
+}
 
 // Health check endpoint
 app.get("/health", async (req, res) => {
@@ -447,17 +627,18 @@ app.get("/health", async (req, res) => {
   });
 });
 
-// Analytics endpoint for account usage
-app.get("/api/analytics/:accountId", async (req, res) => {
+// Bot analytics computed from the interaction records, grouped by day
+app.get("/api/analytics/:accountId", requireApiKey("read"), async (req, res) => {
   try {
     const { accountId } = req.params;
-    const { days = 30 } = req.query;
+    // Whole days including today, at most a year
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
 
-    const analytics = await sharedLangfuseService.getAccountAnalytics(accountId, parseInt(days));
+    const analytics = await analyticsService.getAccountAnalytics(accountId, days);
 
     res.json({
       success: true,
-      account_id: accountId,
+      account_id: parseInt(accountId),
       period_days: days,
       analytics: analytics
     });
@@ -481,6 +662,13 @@ async function start() {
     // Initialize Langfuse service
     await sharedLangfuseService.initialize();
 
+    // Start background ingestion and webhook workers
+    ingestionQueue.start();
+    embeddingMigrationQueue.start();
+    urlRefreshScheduler.start();
+    siteCrawlQueue.start();
+    webhookQueue.start(processWebhookEvent);
+
 
     app.listen(3009, () => {
       logger.info("Enhanced AI Bot with RAG service running on port 3009");
@@ -488,6 +676,7 @@ async function start() {
       logger.info(`- CHATWOOT_URL: ${process.env.CHATWOOT_URL ? "Set" : "Missing"}`);
       logger.info(`- OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? "Set" : "Missing"}`);
       logger.info(`- MONGODB_URI: ${process.env.MONGODB_URI ? "Set" : "Missing"}`);
+      logger.info(`- ADMIN_API_KEY: ${process.env.ADMIN_API_KEY ? "Set" : "Missing"}`);
       logger.info(`- LANGFUSE_ENABLED: ${process.env.LANGFUSE_ENABLED ? "Set" : "Missing"}`);
       logger.info(`- LANGFUSE_BASE_URL: ${process.env.LANGFUSE_BASE_URL ? "Set" : "Missing"}`);
       logger.info(`- LANGFUSE_PUBLIC_KEY: ${process.env.LANGFUSE_PUBLIC_KEY ? "Set" : "Missing"}`);
@@ -503,12 +692,22 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  ingestionQueue.stop();
+  embeddingMigrationQueue.stop();
+  urlRefreshScheduler.stop();
+  siteCrawlQueue.stop();
+  webhookQueue.stop();
   await sharedLangfuseService.shutdown();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  ingestionQueue.stop();
+  embeddingMigrationQueue.stop();
+  urlRefreshScheduler.stop();
+  siteCrawlQueue.stop();
+  webhookQueue.stop();
   await sharedLangfuseService.shutdown();
   process.exit(0);
 });
@@ -9,19 +9,37 @@ import enhancedRagRoutes from "./routes/enhancedRagRoutes.js";
 import azureUploadRoutes from "./routes/azureUploadRoutes.js";
 import azureRagRoutes from "./routes/azureRagRoutes.js";
 import multiFileRagRoutes from "./routes/multiFileRagRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import ingestionQueue from "./service/ingestionQueue.js";
+import embeddingMigrationQueue from "./service/embeddingMigration.js";
+import urlRefreshScheduler from "./service/urlRefresh.js";
+import siteCrawlQueue from "./service/siteCrawl.js";
+import webhookQueue from "./service/webhookQueue.js";
+import accountConfigService from "./service/accountConfigService.js";
+import { verifyChatwootSignature } from "./middleware/webhookSignature.js";
+import { requireApiKey, requireAdminKey } from "./middleware/apiKeyAuth.js";
+import { deliverReply, getReplySettings, extractTokenUsage, addTokenUsage } from "./service/replyDelivery.js";
+import escalationService, { getEscalationSettings } from "./service/escalationService.js";
+import usageLedger from "./service/usageLedger.js";
+import analyticsService from "./service/analyticsService.js";
+import conversationMemory from "./service/conversationMemory.js";
+import queryRewriter, { getRetrievalSettings, fuseQueryResults } from "./service/queryRewriter.js";
+import modelRegistry from "./utils/modelRegistry.js";
+import { estimateCost } from "./utils/modelPricing.js";
+import { fetchLastMessages, fetchMessagesBefore, sendChatwootReply } from "./utils/chatwootApi.js";
 import os from "os";
 import cors from "cors";
 
 // LangChain / OpenAI
-import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { RunnableSequence } from "@langchain/core/runnables";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 
-import { Client } from "./model/clientModel.js";
-
 // Langfuse
 import sharedLangfuseService from "./utils/langfuse.js";
+import { buildSystemPrompt, renderVariables } from "./utils/promptBuilder.js";
+import { getGroundingSettings, citationsChecked, filterRelevantHits, isSmallTalk, checkCitations, citedDocuments, citationLabel, chunkLocation, regenerationNote, DEFAULT_FALLBACK_MESSAGE } from "./utils/grounding.js";
+import { linkCitations } from "./utils/citationLinks.js";
 import CustomAttributeDefinition from "./model/customAttributes.js";
 import AttributeExtractor from "./utils/attributeExtraction.js";
 
@@ -36,7 +54,12 @@ const RagServices = new RagService();
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes received
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Serve static files from public directory
 app.use(express.static('public'));
@@ -44,7 +67,7 @@ app.use(express.static('public'));
 app.use(cors({
     origin: "*", // Or specify your frontend URL for better security
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"]
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
 }));
 
 // Initialize RAG service
@@ -53,29 +76,29 @@ const ragService = new RagService();
 // ---------- Config ----------
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const CHATWOOT_URL = process.env.CHATWOOT_URL;
-
-// Per-1K token pricing
-const PRICING = {
-    "gpt-4o-mini": {
-        input: Number(process.env.MODEL_PRICING_GPT4O_MINI_INPUT || 0.15),
-        output: Number(process.env.MODEL_PRICING_GPT4O_MINI_OUTPUT || 0.60),
-    },
-};
-
-// ---------- Embeddings ----------
-const embeddings = new OpenAIEmbeddings({
-    apiKey: OPENAI_API_KEY,
-    model: "text-embedding-3-small",
-});
+// KB reranking: "llm", "local" or unset to keep retrieval order
+const RERANK_METHOD = process.env.RERANK_METHOD || null;
+const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES || 30);
 
 // ---------- KB Retriever using RAG Service ----------
-async function retrieveKBChunks(accountId, query, topK = 10) {
+// Searches with every query and fuses the rankings when there is more than one
+async function retrieveKBChunks(accountId, queries, topK = 10, inboxId = null, accountConfig = null) {
+    const queryList = Array.isArray(queries) ? queries : [queries];
+    const resultLists = await Promise.all(queryList.map(query => searchKBChunks(accountId, query, topK, inboxId, accountConfig)));
+    return fuseQueryResults(resultLists, topK);
+}
+
+async function searchKBChunks(accountId, query, topK = 10, inboxId = null, accountConfig = null) {
     try {
         const results = await RagServices.searchDocuments({
             account_id: accountId,
             query,
             limit: topK,
-            searchMethod: "hybrid"
+            searchMethod: "hybrid",
+            // Only documents shared account-wide or assigned to the conversation's inbox
+            filters: inboxId ? { inbox_id: inboxId } : {},
+            // Optional second stage: rescore a larger candidate set before keeping topK
+            rerank: RERANK_METHOD ? { method: RERANK_METHOD, candidates: RERANK_CANDIDATES, model: modelRegistry.resolve("rerank", accountConfig) } : null
         });
 
         logger.info(`Retrieved ${results.length} KB chunks for account ${accountId} and query "${query}"`);
@@ -84,9 +107,19 @@ async function retrieveKBChunks(accountId, query, topK = 10) {
         return results.map(result => ({
             content: result.content,
             document_id: result.document_id,
+            chunk_index: result.chunk_index,
             source_title: result.source_title,
             source_uri: result.source_uri,
-            score: result.score
+            score: result.score,
+            vector_score: result.vector_score,
+            rerank_score: result.rerank_score,
+            // For [Title, p. 4] citations and their links (utils/citationLinks.js)
+            source_type: result.source_type,
+            source_url: result.source_url,
+            file_type: result.file_type,
+            azure_blob_name: result.azure_blob_name,
+            azure_container: result.azure_container,
+            ...chunkLocation(result)
         }));
     } catch (error) {
         logger.error(`Error retrieving KB chunks for account ${accountId}:`, error.message);
@@ -95,30 +128,6 @@ async function retrieveKBChunks(accountId, query, topK = 10) {
 }
 
 // ---------- Chatwoot helpers ----------
-async function fetchLastMessages(accountId, conversationId, limit = 20, api_access_token) {
-    const res = await axios.get(
-        `${CHATWOOT_URL}/api/v1/accounts/${accountId}/conversations/${conversationId}/messages?per_page=100`,
-        {
-            headers: { "Content-Type": "application/json", api_access_token: api_access_token },
-            timeout: 10000,
-        }
-    );
-    const all = Array.isArray(res.data) ? res.data : res.data?.payload || [];
-    return all.slice(-limit);
-}
-
-async function sendChatwootReply(accountId, conversationId, content, CHATWOOT_BOT_TOKEN) {
-    await axios.post(
-        `${CHATWOOT_URL}/api/v1/accounts/${accountId}/conversations/${conversationId}/messages`,
-        { content, message_type: "outgoing" },
-        {
-            headers: { "Content-Type": "application/json", api_access_token: CHATWOOT_BOT_TOKEN },
-            timeout: 10000,
-        }
-    );
-}
-
-
 async function updateContactAttributes(accountId, contactId, attributes, api_access_token) {
     try {
         await axios.put(
@@ -146,12 +155,12 @@ function extractContactAttributesFromWebhook(body) {
 
 async function getAttributes(accountId) {
     try {
-        const client = await Client.findOne({ account_id: accountId, is_active: true });
-        if (!client || !client.api_key) {
-            logger.error(`[DEBUG] No active client or api_key found for account ${accountId}`);
+        const config = await accountConfigService.getActive(accountId);
+        if (!config || !config.api_key) {
+            logger.error(`[DEBUG] No active account config or api_key found for account ${accountId}`);
             return [];
         }
-        const ACCESS_TOKEN = client.api_key;
+        const ACCESS_TOKEN = config.api_key;
         const { data: defs } = await axios.get(`${process.env.CHATWOOT_URL}/api/v1/accounts/${accountId}/custom_attribute_definitions`, {
             headers: { "Content-Type": "application/json", api_access_token: ACCESS_TOKEN },
             params: { attribute_model: 1 },
@@ -504,17 +513,13 @@ function shouldIgnoreMessage({ req, logger }) {
 }
 
 // ---------- LLM + Prompt ----------
-const MODEL = "gpt-4o-mini";
-
 // Enhanced prompt that handles attribute collection
 // Replace your existing prompt with this enhanced version
 
 const prompt = ChatPromptTemplate.fromMessages([
     [
         "system",
-        `You are the AI Support Agent for {account_name}.
-
-{system_prompt}
+        `{system_prompt}
 
 IMPORTANT INSTRUCTIONS:
 1. ATTRIBUTE COLLECTION: If missing_attributes is provided and not empty, you MUST ask for those attributes before proceeding with the main query.
@@ -539,6 +544,9 @@ The user may have just updated some information. Handle this naturally in your r
         "human",
         `User message: {user}
 
+Summary of earlier conversation:
+{conversation_summary}
+
 Recent conversation (most recent last):
 {recent_transcript}
 
@@ -555,65 +563,78 @@ Instructions:
     ],
 ]);
 
-const llm = new ChatOpenAI({
-    apiKey: OPENAI_API_KEY,
-    model: MODEL,
-    temperature: 0.4,
-});
+// Builds the prompt variables for the reply chain
+async function prepareReplyInput(input) {
+    const {
+        account_id,
+        inbox_id,
+        account_name,
+        user_text,
+        recent_messages,
+        conversation_summary,
+        account_config,
+        customer_name,
+        inbox_name,
+        contact_attributes,
+        missing_attributes,
+        kb_hits,
+        previous_attempt
+    } = input;
+
+    // Build readable transcript from last messages (skip private notes)
+    const transcript = (recent_messages || [])
+        .filter((m) => !m.private)
+        .map((m) => {
+            const who = m.message_type === "incoming" ? "Customer" : (m.sender?.type || "Agent").toString();
+            const text = (m.content || "").replace(/\s+/g, " ").trim();
+            return `${who}: ${text}`;
+        })
+        .join("\n");
+
+    // KB chunks retrieved and filtered for relevance by processWebhookEvent
+    const kbBlock = (kb_hits || [])
+        .map((h) => `• ${String(h.content || "").trim()} [${citationLabel(h)}]`)
+        .join("\n");
+
+    // Format missing attributes for the prompt
+    const missingAttrText = (missing_attributes || [])
+        .map(attr => `- ${attr.attribute_display_name || attr.attribute_key} (${attr.attribute_description || 'Required field'})`)
+        .join("\n");
+
+    // Format current attributes
+    const currentAttrText = Object.entries(contact_attributes || {})
+        .map(([key, value]) => `- ${key}: ${value}`)
+        .join("\n");
+
+    return {
+        account_id,
+        account_name,
+        user: user_text,
+        conversation_summary: conversation_summary || "None.",
+        recent_transcript: transcript,
+        kb: kbBlock || "No KB snippets available.",
+        // Base safety rules + the account's persona settings (utils/promptBuilder.js)
+        // After a rejected answer, say why so the next attempt can do better
+        system_prompt: buildSystemPrompt(account_config, { account_name, customer_name, inbox_name }) + regenerationNote(previous_attempt),
+        missing_attributes: missingAttrText || "None",
+        current_attributes: currentAttrText || "None collected yet",
+    };
+}
 
-const chain = RunnableSequence.from([
-    async (input) => {
-        const {
-            account_id,
-            account_name,
-            user_text,
-            recent_messages,
-            system_prompt,
-            contact_attributes,
-            missing_attributes
-        } = input;
-
-        // Build readable transcript from last messages (skip private notes)
-        const transcript = (recent_messages || [])
-            .filter((m) => !m.private)
-            .map((m) => {
-                const who = m.message_type === "incoming" ? "Customer" : (m.sender?.type || "Agent").toString();
-                const text = (m.content || "").replace(/\s+/g, " ").trim();
-                return `${who}: ${text}`;
-            })
-            .join("\n");
-
-        // Retrieve KB chunks (per tenant)
-        const hits = await retrieveKBChunks(account_id, user_text, 10);
-        const kbBlock = (hits || [])
-            .map((h) => `• ${String(h.content || "").trim()} [${h.source_title || "KB"}]`)
-            .join("\n");
-
-        // Format missing attributes for the prompt
-        const missingAttrText = (missing_attributes || [])
-            .map(attr => `- ${attr.attribute_display_name || attr.attribute_key} (${attr.attribute_description || 'Required field'})`)
-            .join("\n");
-
-        // Format current attributes
-        const currentAttrText = Object.entries(contact_attributes || {})
-            .map(([key, value]) => `- ${key}: ${value}`)
-            .join("\n");
-
-        return {
-            account_id,
-            account_name,
-            user: user_text,
-            recent_transcript: transcript,
-            kb: kbBlock || "No KB snippets available.",
-            system_prompt: system_prompt || "",
-            missing_attributes: missingAttrText || "None",
-            current_attributes: currentAttrText || "None collected yet",
-        };
-    },
-    prompt,
-    llm,
-    new StringOutputParser(),
-]);
+// One reply chain per chat model; the account's model_settings pick the model (utils/modelRegistry.js)
+const replyChains = new WeakMap();
+
+function getReplyChain(llm) {
+    if (!replyChains.has(llm)) {
+        replyChains.set(llm, RunnableSequence.from([
+            prepareReplyInput,
+            prompt,
+            llm,
+            new StringOutputParser(),
+        ]));
+    }
+    return replyChains.get(llm);
+}
 
 // Mount RAG routes
 app.use("/api/rag", ragRoutes);
@@ -621,38 +642,86 @@ app.use("/api/rag-enhanced", enhancedRagRoutes);
 app.use("/api/azure", azureUploadRoutes);
 app.use("/api/azure-rag", azureRagRoutes);
 app.use("/api/multi-rag", multiFileRagRoutes);
+app.use("/api/accounts", accountRoutes);
 
 // ---------- Enhanced Webhook with Attribute Collection ----------
-// ---------- Enhanced Webhook with Attribute Collection ----------
-app.post("/chatwoot-webhook", async (req, res) => {
-    const { content, conversation, message_type } = req.body;
-    const account_id = req.body.account?.id;
-    const contact_id = req.body.conversation?.contact_inbox?.contact_id;
-
+// Chatwoot only needs to know the event arrived: the route stores it and answers 200 at once,
+// and the webhook worker (service/webhookQueue.js) calls processWebhookEvent for it.
+app.post("/chatwoot-webhook", verifyChatwootSignature, async (req, res) => {
     // Loop prevention - same as before
     const loopPreventionResult = shouldIgnoreMessage({ req, logger });
     if (loopPreventionResult) return res.sendStatus(200);
-    
+
     logger.info(`Webhook received: ${JSON.stringify(req.body, null, 2)}`);
-    logger.info(`Account ID: ${account_id}, Contact ID: ${contact_id}`);
+
+    // The message id is what makes a redelivered event recognisable
+    if (req.body.id === undefined || req.body.id === null || !req.body.account?.id || !req.body.conversation?.id) {
+        logger.warn("Rejecting webhook without message, account or conversation id");
+        return res.sendStatus(400);
+    }
+
+    try {
+        const { duplicate } = await webhookQueue.enqueue(req.body);
+        res.status(200).json({ received: true, duplicate });
+    } catch (error) {
+        logger.error(`Error queueing webhook for message ${req.body.id}:`, error.message);
+        res.sendStatus(500);
+    }
+});
+
+// Generate and send the reply for one queued webhook event.
+// Returns { status: "skipped", reason } when there is nothing to do; throws to get a retry.
+async function processWebhookEvent(payload) {
+    const { content, conversation, sender, message_type } = payload;
+    const account_id = payload.account?.id;
+    const contact_id = payload.conversation?.contact_inbox?.contact_id;
+
+    logger.info(`Processing message ${payload.id} - Account ID: ${account_id}, Contact ID: ${contact_id}`);
 
     const conversationId = conversation?.id;
-    const accountName = req.body.account?.name || `Account ${account_id}`;
+    const accountName = payload.account?.name || `Account ${account_id}`;
+
+    // Once a reply is out, later failures must not trigger a retry (and a second reply)
+    let replySent = false;
 
     try {
-        const client = await Client.findOne({ account_id: account_id, is_active: true });
-        if (!client) {
-            logger.info(`No active client found for account_id ${account_id}. Skipping AI response.`);
-            return res.sendStatus(200);
+        const accountConfig = await accountConfigService.getActive(account_id);
+        if (!accountConfig) {
+            logger.info(`No active account config found for account_id ${account_id}. Skipping AI response.`);
+            return { status: "skipped", reason: "no active account config" };
+        }
+
+        const inboxId = payload.inbox?.id;
+
+        // One analytics record per handled message (service/analyticsService.js)
+        const startedAt = Date.now();
+        const recordInteraction = (fields) => analyticsService.record({
+            account_id,
+            conversation_id: conversationId,
+            message_id: payload.id,
+            inbox_id: inboxId,
+            query: content,
+            small_talk: isSmallTalk(content),
+            latency_ms: Date.now() - startedAt,
+            ...fields
+        });
+        if (!accountConfigService.isInboxEnabled(accountConfig, inboxId)) {
+            logger.info(`Bot is not enabled for inbox ${inboxId} of account ${account_id}. Skipping AI response.`);
+            return { status: "skipped", reason: "bot not enabled for inbox" };
         }
 
-        const CHATWOOT_BOT_TOKEN = client?.bot_api_key;
-        const api_access_token = client?.api_key;
-        const systemPrompt = client?.system_prompt || null;
+        const CHATWOOT_BOT_TOKEN = accountConfig.bot_api_key;
+        const api_access_token = accountConfig.api_key;
 
         if (!CHATWOOT_BOT_TOKEN || !api_access_token) {
             logger.warn(`Missing API keys for account_id ${account_id}. Cannot proceed.`);
-            return res.sendStatus(200);
+            return { status: "skipped", reason: "missing API keys" };
+        }
+
+        // A human agent owns the conversation until it is handed back
+        if (await escalationService.isPaused(account_id, conversationId)) {
+            logger.info(`Bot is paused on conversation ${conversationId} (escalated to agents). Skipping AI response.`);
+            return { status: "skipped", reason: "conversation escalated to agents" };
         }
 
         // Get required attributes for this account
@@ -660,7 +729,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
         logger.info(`Found ${requiredAttributes.length} required attributes for account ${account_id}`);
 
         // Get current contact attributes
-        let currentContactAttributes = extractContactAttributesFromWebhook(req.body);
+        let currentContactAttributes = extractContactAttributesFromWebhook(payload);
         if (currentContactAttributes && typeof currentContactAttributes === 'object') {
             logger.info(`Current contact attributes (from webhook):`, currentContactAttributes);
         }
@@ -672,9 +741,45 @@ app.post("/chatwoot-webhook", async (req, res) => {
         }
 
         // Get conversation history for smart timing
-        const lastMessages = await fetchLastMessages(account_id, conversationId, 20, api_access_token);
+        const lastMessages = await fetchLastMessages(account_id, conversationId, 100, api_access_token);
         logger.info(`Fetched ${lastMessages.length} recent messages for context.`);
 
+        // Context for the agent's handoff note and the escalation message
+        const escalationContext = {
+            messages: lastMessages,
+            attributes: currentContactAttributes,
+            variables: { account_name: accountName, customer_name: sender?.name, inbox_name: payload.inbox?.name }
+        };
+
+        // Past the monthly hard limit no model is called; an agent takes the conversation instead
+        const budget = await usageLedger.getBudgetStatus(account_id, accountConfig);
+        if (budget.state === "exceeded") {
+            const { escalated } = await escalationService.escalate({
+                accountConfig,
+                accountId: account_id,
+                conversationId,
+                trigger: "budget_exceeded",
+                reason: `Spent $${budget.spent_usd} of the $${budget.hard_limit_usd} monthly limit in ${budget.month}`,
+                ...escalationContext
+            });
+            await recordInteraction({ escalated, escalation_trigger: escalated ? "budget_exceeded" : undefined });
+            return { status: "completed", reason: "escalated: budget exceeded" };
+        }
+
+        // Explicit requests for a human and angry messages go straight to an agent
+        const escalationTrigger = escalationService.checkMessage(content, getEscalationSettings(accountConfig));
+        if (escalationTrigger) {
+            const { escalated } = await escalationService.escalate({
+                accountConfig,
+                accountId: account_id,
+                conversationId,
+                ...escalationTrigger,
+                ...escalationContext
+            });
+            await recordInteraction({ escalated, escalation_trigger: escalated ? escalationTrigger.trigger : undefined });
+            return { status: "completed", reason: `escalated: ${escalationTrigger.trigger}` };
+        }
+
         // STEP 1: Check for attribute change intent FIRST
         logger.info(`=== CHECKING FOR ATTRIBUTE CHANGES ===`);
         
@@ -684,7 +789,8 @@ app.post("/chatwoot-webhook", async (req, res) => {
             requiredAttributes,
             api_access_token,
             account_id,
-            contact_id
+            contact_id,
+            accountConfig
         );
 
         logger.info(`Change result:`, changeResult);
@@ -697,19 +803,19 @@ app.post("/chatwoot-webhook", async (req, res) => {
                 const confirmationMessage = changeResult.confirmationMessage;
                 
                 await sendChatwootReply(account_id, conversationId, confirmationMessage, CHATWOOT_BOT_TOKEN);
-                return res.sendStatus(200);
+                return { status: "completed", reason: "attribute change confirmed" };
                 
             } else if (changeResult.needsValue) {
                 // Need the user to provide the new value
                 logger.info(`Attribute change request detected, asking for new value`);
                 await sendChatwootReply(account_id, conversationId, changeResult.clarificationQuestion, CHATWOOT_BOT_TOKEN);
-                return res.sendStatus(200);
+                return { status: "completed", reason: "asked about attribute change" };
                 
             } else if (changeResult.needsConfirmation) {
                 // Need confirmation from user
                 logger.info(`Attribute change needs confirmation`);
                 await sendChatwootReply(account_id, conversationId, changeResult.clarificationQuestion, CHATWOOT_BOT_TOKEN);
-                return res.sendStatus(200);
+                return { status: "completed", reason: "asked about attribute change" };
                 
             } else {
                 // Change failed - continue with normal flow but note the error
@@ -727,7 +833,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
         const missingAttributes = checkMissingAttributes(requiredAttributes, updatedAttributes);
         logger.info(`Missing attributes before extraction: ${missingAttributes.map(a => a.attribute_key).join(', ')}`);
         
-        const extractedFromMessage = await attributeExtractor.extractAllAttributesFromMessage(content, requiredAttributes);
+        const extractedFromMessage = await attributeExtractor.extractAllAttributesFromMessage(content, requiredAttributes, true, accountConfig);
         logger.info(`Extracted attributes from message:`, extractedFromMessage);
 
         for (const [key, value] of Object.entries(extractedFromMessage)) {
@@ -764,6 +870,15 @@ app.post("/chatwoot-webhook", async (req, res) => {
             // Don't ask for attributes, but continue with normal conversation
         }
 
+        // Earlier turns as a rolling summary, the latest ones verbatim within the token budget
+        const memory = await conversationMemory.buildContext({
+            accountId: account_id,
+            conversationId,
+            messages: lastMessages,
+            accountConfig,
+            fetchOlder: (beforeId) => fetchMessagesBefore(account_id, conversationId, beforeId, api_access_token)
+        });
+
         // Create Langfuse trace
         const trace = await sharedLangfuseService.createTrace(
             account_id.toString(),
@@ -784,37 +899,111 @@ app.post("/chatwoot-webhook", async (req, res) => {
                 conversation_id: conversationId,
                 contact_id: contact_id,
                 message_type: message_type,
-                channel: req.body?.inbox?.name || "unknown",
+                channel: payload.inbox?.name || "unknown",
                 attributes_collection_phase: finalMissingAttributes.length > 0,
                 attribute_change_detected: changeResult.hasChanges,
                 smart_timing_applied: true
             }
         );
 
+        // Follow-ups ("what about the express one?") are searched as standalone queries
+        const retrievalSettings = getRetrievalSettings(accountConfig);
+        const rewriteSpan = await sharedLangfuseService.createSpan(trace, "query_rewrite", { user_message: content }, retrievalSettings);
+        const rewrite = await queryRewriter.rewrite({
+            message: content,
+            messages: memory.messages,
+            summary: memory.summary,
+            settings: retrievalSettings,
+            accountConfig
+        });
+        await sharedLangfuseService.endSpan(rewriteSpan, rewrite);
+
+        // Retrieve KB chunks (per tenant) and only answer from the relevant ones
+        const grounding = getGroundingSettings(accountConfig);
+        const retrieved = await retrieveKBChunks(account_id, rewrite.queries, 10, inboxId, accountConfig);
+        const { hits, weak, best_relevance } = filterRelevantHits(retrieved, grounding.min_relevance);
+        const fallbackMessage = renderVariables(grounding.fallback_message || DEFAULT_FALLBACK_MESSAGE, escalationContext.variables);
+        // "Hi" and "thanks" find nothing in the KB but still deserve a normal answer
+        const smallTalk = isSmallTalk(content);
+
+        // While attributes are being collected the LLM still has to ask for them
+        if (weak && !smallTalk && finalMissingAttributes.length === 0 && grounding.weak_retrieval_action !== "answer") {
+            const reason = `No relevant knowledge base match (best relevance ${best_relevance === null ? "none" : best_relevance.toFixed(2)}, threshold ${grounding.min_relevance})`;
+            logger.info(`${reason} for conversation ${conversationId}; sending ${grounding.weak_retrieval_action} instead of calling the LLM`);
+
+            if (grounding.weak_retrieval_action === "escalate") {
+                const { escalated } = await escalationService.escalate({
+                    accountConfig,
+                    accountId: account_id,
+                    conversationId,
+                    trigger: "low_confidence",
+                    reason,
+                    ...escalationContext,
+                    attributes: updatedAttributes
+                });
+                await sharedLangfuseService.updateTrace(trace, { escalated, reason, search_queries: rewrite.queries, best_relevance });
+                await recordInteraction({ search_queries: rewrite.queries, best_relevance, zero_result: true, escalated, escalation_trigger: escalated ? "low_confidence" : undefined });
+                return { status: "completed", reason: "escalated: weak retrieval" };
+            }
+
+            await sendChatwootReply(account_id, conversationId, fallbackMessage, CHATWOOT_BOT_TOKEN);
+            replySent = true;
+            await escalationService.afterReply({
+                accountConfig,
+                accountId: account_id,
+                conversationId,
+                hits: [],
+                reply: fallbackMessage,
+                ...escalationContext,
+                attributes: updatedAttributes
+            });
+            await sharedLangfuseService.updateTrace(trace, { ai_response: fallbackMessage, fallback_sent: true, reason, search_queries: rewrite.queries, best_relevance });
+            await recordInteraction({ search_queries: rewrite.queries, best_relevance, zero_result: true, replied: true, fallback: true });
+            return { status: "completed", reason: "fallback: weak retrieval" };
+        }
+
         let tokenUsageFromResponse = null;
 
-        // Generate AI reply with smart attribute handling
-        const aiReply = await chain.invoke(
-            {
+        // Attribute collection reads better with a warmer default than the plain bot
+        const replyModel = modelRegistry.resolve("reply", accountConfig, { temperature: 0.4 });
+
+        const replySettings = getReplySettings(accountConfig);
+        const checkingCitations = citationsChecked(grounding, replySettings);
+        if (checkingCitations && replySettings.streaming) {
+            logger.info(`Citation checks are on for account ${account_id}; posting the reply whole instead of streaming it`);
+        }
+
+        // Generate AI reply with smart attribute handling and post it:
+        // one message, or sentence-sized segments when streaming is enabled for the account
+        const { reply: aiReply, segments, attempts, fallback } = await deliverReply({
+            chain: getReplyChain(modelRegistry.getChatModel(replyModel)),
+            input: {
                 account_id,
                 account_name: accountName,
                 user_text: content,
-                recent_messages: lastMessages,
-                system_prompt: systemPrompt,
+                recent_messages: memory.messages,
+                conversation_summary: memory.summary,
+                inbox_id: inboxId,
+                account_config: accountConfig,
+                customer_name: sender?.name,
+                inbox_name: payload.inbox?.name,
                 contact_attributes: updatedAttributes,
                 missing_attributes: finalMissingAttributes, // Only pass attributes we want to collect
-                collection_decision: collectionDecision.reason
+                collection_decision: collectionDecision.reason,
+                kb_hits: hits
             },
-            {
+            options: {
                 callbacks: [
                     {
                         handleLLMEnd: async (output) => {
-                            tokenUsageFromResponse = output?.llmOutput?.tokenUsage || output?.llmOutput?.usage;
+                            tokenUsageFromResponse = addTokenUsage(tokenUsageFromResponse, extractTokenUsage(output));
                             if (tokenUsageFromResponse) {
                                 logger.info(`[TOKEN] Captured usage - prompt: ${tokenUsageFromResponse.promptTokens}, completion: ${tokenUsageFromResponse.completionTokens}, total: ${tokenUsageFromResponse.totalTokens}`);
                             }
                         }
-                    }
+                    },
+                    // Every call, regenerations included, goes to the usage ledger
+                    ...usageLedger.callbacks(account_id, "reply", { conversationId })
                 ],
                 runName: "wiral-rag-reply-with-smart-attributes",
                 tags: [
@@ -835,10 +1024,27 @@ app.post("/chatwoot-webhook", async (req, res) => {
                     collection_timing: collectionDecision.reason,
                     conversation_turns: collectionDecision.turnCount
                 },
-            }
-        );
+            },
+            accountId: account_id,
+            conversationId,
+            botToken: CHATWOOT_BOT_TOKEN,
+            settings: replySettings,
+            // Every [Title] must be one of the snippets; otherwise regenerate, then fall back
+            validation: checkingCitations ? {
+                validate: (reply) => checkCitations(reply, hits),
+                maxRegenerations: grounding.max_regenerations,
+                fallbackMessage
+            } : null,
+            // Citations link to the cited file or page
+            formatMessage: grounding.citation_links ? (text) => linkCitations(text, hits) : undefined,
+            // A streamed answer is partly in the conversation after its first segment; never post it twice
+            onPosted: () => { replySent = true; }
+        });
 
+        replySent = true;
+        const repliedAt = Date.now();
         logger.info(`[DEBUG] AI reply generated: "${aiReply}"`);
+        logger.info(`Reply sent back to Chatwoot conversation ${conversationId} in ${segments} message(s)${fallback ? ` (fallback after ${attempts} rejected answers)` : ""}`);
 
         // Check if all attributes are collected
         const allAttributesCollected = currentMissingAttributes.length === 0;
@@ -855,10 +1061,9 @@ app.post("/chatwoot-webhook", async (req, res) => {
             totalTokens: tokenUsageFromResponse?.totalTokens || 0
         };
 
-        const modelPricing = PRICING[MODEL] || { input: 0, output: 0 };
         const inputTokens = finalTokenUsage.promptTokens;
         const outputTokens = finalTokenUsage.completionTokens;
-        const costUsd = (inputTokens / 1000) * modelPricing.input + (outputTokens / 1000) * modelPricing.output;
+        const costUsd = estimateCost(replyModel.model, finalTokenUsage);
 
         // Update trace
         if (trace) {
@@ -869,10 +1074,15 @@ app.post("/chatwoot-webhook", async (req, res) => {
                     attributes_collected: allAttributesCollected,
                     final_attributes: updatedAttributes,
                     attribute_changes_processed: changeResult.hasChanges,
-                    smart_timing_decision: collectionDecision.reason
+                    smart_timing_decision: collectionDecision.reason,
+                    kb_hits: hits.length,
+                    search_queries: rewrite.queries,
+                    best_relevance,
+                    answer_attempts: attempts,
+                    fallback_sent: fallback
                 },
                 {
-                    model: MODEL,
+                    model: replyModel.model,
                     input_tokens: inputTokens,
                     output_tokens: outputTokens,
                     total_tokens: finalTokenUsage.totalTokens,
@@ -883,7 +1093,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
 
             // Log usage
             await sharedLangfuseService.logUsage(account_id.toString(), {
-                model: MODEL,
+                model: replyModel.model,
                 input: content,
                 output: aiReply,
                 endpoint: "chatwoot_webhook_with_smart_attributes",
@@ -898,7 +1108,7 @@ app.post("/chatwoot-webhook", async (req, res) => {
             await sharedLangfuseService.logCost(account_id.toString(), {
                 transaction_type: "ai_response_with_smart_attribute_management",
                 amount: costUsd,
-                model: MODEL,
+                model: replyModel.model,
                 tokens_used: finalTokenUsage.totalTokens,
                 conversation_id: conversationId
             });
@@ -908,11 +1118,36 @@ app.post("/chatwoot-webhook", async (req, res) => {
             `AI reply with smart attributes (tokens in/out/total ${inputTokens}/${outputTokens}/${finalTokenUsage.totalTokens}) ~ $${costUsd.toFixed(6)}`
         );
 
-        // Send reply to Chatwoot
-        await sendChatwootReply(account_id, conversationId, aiReply, CHATWOOT_BOT_TOKEN);
-        logger.info(`Reply sent back to Chatwoot conversation ${conversationId}`);
+        // Several weak answers in a row hand the conversation to an agent
+        const { escalated } = smallTalk ? { escalated: false } : await escalationService.afterReply({
+            accountConfig,
+            accountId: account_id,
+            conversationId,
+            hits,
+            reply: aiReply,
+            ...escalationContext,
+            attributes: updatedAttributes
+        });
 
-        res.sendStatus(200);
+        await recordInteraction({
+            search_queries: rewrite.queries,
+            kb_hits: hits.length,
+            best_relevance,
+            zero_result: weak,
+            replied: true,
+            fallback,
+            escalated,
+            escalation_trigger: escalated ? "low_confidence" : undefined,
+            cited_documents: fallback ? [] : citedDocuments(aiReply, hits),
+            model: replyModel.model,
+            prompt_tokens: inputTokens,
+            completion_tokens: outputTokens,
+            total_tokens: finalTokenUsage.totalTokens,
+            cost_usd: costUsd,
+            latency_ms: repliedAt - startedAt
+        });
+
+        return { status: "completed", reason: escalated ? "escalated: low_confidence" : undefined };
     } catch (err) {
         if (err.response) {
             logger.error(`API Error (status: ${err.response.status}): ${JSON.stringify(err.response.data)}`);
@@ -921,9 +1156,12 @@ app.post("/chatwoot-webhook", async (req, res) => {
         } else {
             logger.error("Error: " + err.message);
         }
-        res.sendStatus(500);
+        if (replySent) {
+            return { status: "completed", reason: `reply sent, then failed: ${err.message}` };
+        }
+        throw err;
     }
-});
+}
 
 // Health check endpoint
 app.get("/health", async (req, res) => {
@@ -946,17 +1184,18 @@ app.get("/health", async (req, res) => {
     });
 });
 
-// Analytics endpoint for account usage
-app.get("/api/analytics/:accountId", async (req, res) => {
+// Bot analytics computed from the interaction records, grouped by day
+app.get("/api/analytics/:accountId", requireApiKey("read"), async (req, res) => {
     try {
         const { accountId } = req.params;
-        const { days = 30 } = req.query;
+        // Whole days including today, at most a year
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
 
-        const analytics = await sharedLangfuseService.getAccountAnalytics(accountId, parseInt(days));
+        const analytics = await analyticsService.getAccountAnalytics(accountId, days);
 
         res.json({
             success: true,
-            account_id: accountId,
+            account_id: parseInt(accountId),
             period_days: days,
             analytics: analytics
         });
@@ -970,7 +1209,7 @@ app.get("/api/analytics/:accountId", async (req, res) => {
 });
 
 // New endpoint to manually test external API
-app.post("/api/test-external-api", async (req, res) => {
+app.post("/api/test-external-api", requireAdminKey, async (req, res) => {
     try {
         const { accountId, contactData, attributes } = req.body;
         // contactData should be contactId (string or number), not an object
@@ -1001,12 +1240,20 @@ async function start() {
         // Initialize Langfuse service
         await sharedLangfuseService.initialize();
 
+        // Start background ingestion and webhook workers
+        ingestionQueue.start();
+        embeddingMigrationQueue.start();
+        urlRefreshScheduler.start();
+        siteCrawlQueue.start();
+        webhookQueue.start(processWebhookEvent);
+
         app.listen(3009, () => {
             logger.info("Enhanced AI Bot with RAG service and Smart Attribute Collection running on port 3009");
             logger.info("Environment check:");
             logger.info(`- CHATWOOT_URL: ${process.env.CHATWOOT_URL ? "Set" : "Missing"}`);
             logger.info(`- OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? "Set" : "Missing"}`);
             logger.info(`- MONGODB_URI: ${process.env.MONGODB_URI ? "Set" : "Missing"}`);
+            logger.info(`- ADMIN_API_KEY: ${process.env.ADMIN_API_KEY ? "Set" : "Missing"}`);
             logger.info(`- LANGFUSE_ENABLED: ${process.env.LANGFUSE_ENABLED ? "Set" : "Missing"}`);
             logger.info(`- LANGFUSE_BASE_URL: ${process.env.LANGFUSE_BASE_URL ? "Set" : "Missing"}`);
             logger.info(`- LANGFUSE_PUBLIC_KEY: ${process.env.LANGFUSE_PUBLIC_KEY ? "Set" : "Missing"}`);
@@ -1023,12 +1270,22 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully...');
+    ingestionQueue.stop();
+    embeddingMigrationQueue.stop();
+    urlRefreshScheduler.stop();
+    siteCrawlQueue.stop();
+    webhookQueue.stop();
     await sharedLangfuseService.shutdown();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM, shutting down gracefully...');
+    ingestionQueue.stop();
+    embeddingMigrationQueue.stop();
+    urlRefreshScheduler.stop();
+    siteCrawlQueue.stop();
+    webhookQueue.stop();
     await sharedLangfuseService.shutdown();
     process.exit(0);
 });
@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import { AccountConfig } from "../model/accountConfigModel.js";
+import { normalizeTopics } from "../utils/promptBuilder.js";
+import { citationsChecked } from "../utils/grounding.js";
+import logger from "../utils/logger.js";
+
+// Fields that can be written through the config API
+const CONFIG_FIELDS = [
+    'account_name', 'bot_api_key', 'api_key', 'webhook_secret', 'inbox_ids', 'is_active',
+    'persona', 'tone', 'forbidden_topics', 'escalation_message', 'system_prompt',
+    'reply_settings', 'grounding_settings', 'escalation_settings', 'retrieval_settings', 'model_settings',
+    'usage_budget', 'chunking_settings'
+];
+
+// Sub-documents that are updated field by field
+const NESTED_FIELDS = ['reply_settings', 'grounding_settings', 'escalation_settings', 'retrieval_settings', 'model_settings', 'usage_budget', 'chunking_settings'];
+
+// Bot fields older upload/update requests still send along with documents
+const LEGACY_BODY_FIELDS = ['bot_api_key', 'api_key', 'system_prompt'];
+
+const SECRET_FIELDS = ['bot_api_key', 'api_key'];
+
+class AccountConfigService {
+    async get(accountId) {
+        return AccountConfig.findOne({ account_id: parseInt(accountId) }).lean();
+    }
+
+    // Config the webhook may act on; null when missing or switched off
+    async getActive(accountId) {
+        const config = await this.get(accountId);
+        if (!config || !config.is_active) return null;
+        return config;
+    }
+
+    // Create or update only the fields that are provided
+    async upsert(accountId, fields) {
+        const update = this.pickFields(fields, CONFIG_FIELDS);
+
+        if (update.inbox_ids !== undefined) {
+            update.inbox_ids = this.normalizeInboxIds(update.inbox_ids);
+        }
+        if (update.forbidden_topics !== undefined) {
+            update.forbidden_topics = normalizeTopics(update.forbidden_topics);
+        }
+        // Set nested settings one by one so a partial update keeps the others
+        NESTED_FIELDS.forEach(field => {
+            if (update[field] === undefined) return;
+            Object.entries(update[field] || {}).forEach(([key, value]) => {
+                update[`${field}.${key}`] = value;
+            });
+            delete update[field];
+        });
+
+        const config = await AccountConfig.findOneAndUpdate(
+            { account_id: parseInt(accountId) },
+            { $set: update, $setOnInsert: { account_id: parseInt(accountId) } },
+            { upsert: true, new: true, runValidators: true }
+        ).lean();
+
+        logger.info(`Saved account config for account ${accountId}: ${Object.keys(update).join(', ') || 'no changes'}`);
+        return config;
+    }
+
+    // Replace the webhook secret with a new random one; the caller shows it once
+    async rotateWebhookSecret(accountId) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        await this.upsert(accountId, { webhook_secret: secret });
+        return secret;
+    }
+
+    async remove(accountId) {
+        const result = await AccountConfig.deleteOne({ account_id: parseInt(accountId) });
+        return result.deletedCount > 0;
+    }
+
+    // Upload and update requests may still carry bot settings; route them to the account config.
+    // Returns the names of the fields that were saved.
+    async syncFromDocumentBody(body) {
+        const fields = this.pickFields(body, LEGACY_BODY_FIELDS);
+        if (!body.account_id || Object.keys(fields).length === 0) {
+            return [];
+        }
+        await this.upsert(body.account_id, fields);
+        return Object.keys(fields);
+    }
+
+    // Empty inbox list means the bot answers in every inbox
+    isInboxEnabled(config, inboxId) {
+        if (!config.inbox_ids || config.inbox_ids.length === 0) return true;
+        return inboxId !== undefined && inboxId !== null && config.inbox_ids.includes(String(inboxId));
+    }
+
+    pickFields(source, fields) {
+        const picked = {};
+        fields.forEach(field => {
+            if (source && source[field] !== undefined) {
+                picked[field] = source[field];
+            }
+        });
+        return picked;
+    }
+
+    normalizeInboxIds(inboxIds) {
+        if (!inboxIds) return [];
+        const list = Array.isArray(inboxIds) ? inboxIds : String(inboxIds).split(',');
+        return list.map(id => String(id).trim()).filter(Boolean);
+    }
+
+    // Shape returned by the API; tokens are masked
+    static formatConfig(config) {
+        const formatted = {
+            account_id: config.account_id,
+            account_name: config.account_name || null,
+            persona: config.persona || null,
+            tone: config.tone || null,
+            forbidden_topics: config.forbidden_topics || [],
+            escalation_message: config.escalation_message || null,
+            system_prompt: config.system_prompt || null,
+            inbox_ids: config.inbox_ids || [],
+            reply_settings: config.reply_settings || null,
+            // False while citation checks are on, which post every answer whole
+            streaming_active: !!config.reply_settings?.streaming && !citationsChecked(config.grounding_settings, config.reply_settings),
+            grounding_settings: config.grounding_settings || null,
+            escalation_settings: config.escalation_settings || null,
+            retrieval_settings: config.retrieval_settings || null,
+            model_settings: config.model_settings || null,
+            usage_budget: config.usage_budget || null,
+            chunking_settings: config.chunking_settings || null,
+            embedding_model: config.embedding_model || null,
+            webhook_secret_configured: !!config.webhook_secret,
+            is_active: config.is_active,
+            created_at: config.createdAt,
+            updated_at: config.updatedAt
+        };
+        SECRET_FIELDS.forEach(field => {
+            const value = config[field];
+            formatted[field] = value ? `${'*'.repeat(8)}${value.slice(-4)}` : null;
+        });
+        return formatted;
+    }
+}
+
+// Create singleton instance
+const accountConfigService = new AccountConfigService();
+
+export { AccountConfigService, CONFIG_FIELDS };
+export default accountConfigService;
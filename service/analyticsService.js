@@ -0,0 +1,153 @@
+import { Interaction } from "../model/interactionModel.js";
+import logger from "../utils/logger.js";
+
+// Longer messages are cut before they are stored; rankings only need the gist
+const MAX_QUERY_LENGTH = 500;
+
+// Entries in each ranking (top queries, zero-result queries, documents)
+const TOP_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Sums per group; conversations are collected as a set and counted afterwards
+function metricsGroup(id) {
+    const count = field => ({ $sum: { $cond: [`$${field}`, 1, 0] } });
+    return {
+        _id: id,
+        interactions: { $sum: 1 },
+        conversations: { $addToSet: "$conversation_id" },
+        replies: count("replied"),
+        fallbacks: count("fallback"),
+        escalations: count("escalated"),
+        zero_results: count("zero_result"),
+        avg_latency_ms: { $avg: "$latency_ms" },
+        prompt_tokens: { $sum: "$prompt_tokens" },
+        completion_tokens: { $sum: "$completion_tokens" },
+        total_tokens: { $sum: "$total_tokens" },
+        cost_usd: { $sum: "$cost_usd" }
+    };
+}
+
+function formatMetrics(group) {
+    return {
+        interactions: group?.interactions || 0,
+        conversations: group?.conversations?.length || 0,
+        replies: group?.replies || 0,
+        fallbacks: group?.fallbacks || 0,
+        escalations: group?.escalations || 0,
+        zero_results: group?.zero_results || 0,
+        avg_latency_ms: typeof group?.avg_latency_ms === "number" ? Math.round(group.avg_latency_ms) : null,
+        prompt_tokens: group?.prompt_tokens || 0,
+        completion_tokens: group?.completion_tokens || 0,
+        total_tokens: group?.total_tokens || 0,
+        cost_usd: Math.round((group?.cost_usd || 0) * 1000000) / 1000000
+    };
+}
+
+// Most frequent customer messages, compared case-insensitively
+function queryRanking(match) {
+    return [
+        { $match: { ...match, small_talk: { $ne: true }, query: { $nin: [null, ""] } } },
+        {
+            $group: {
+                _id: { $toLower: { $trim: { input: "$query" } } },
+                count: { $sum: 1 },
+                last_asked_at: { $max: "$createdAt" }
+            }
+        },
+        { $sort: { count: -1, last_asked_at: -1 } },
+        { $limit: TOP_LIMIT }
+    ];
+}
+
+// Bot metrics computed from the Interaction records processWebhookEvent writes
+class AnalyticsService {
+    /**
+     * Store one handled message. Never throws: analytics must not fail the reply.
+     * @param {Object} interaction - Interaction fields; account_id and conversation_id are required
+     */
+    async record(interaction) {
+        try {
+            await Interaction.create({
+                ...interaction,
+                account_id: parseInt(interaction.account_id),
+                conversation_id: String(interaction.conversation_id),
+                message_id: interaction.message_id !== undefined && interaction.message_id !== null ? String(interaction.message_id) : undefined,
+                inbox_id: interaction.inbox_id !== undefined && interaction.inbox_id !== null ? String(interaction.inbox_id) : undefined,
+                query: interaction.query ? String(interaction.query).slice(0, MAX_QUERY_LENGTH) : undefined,
+                day: utcDay(new Date())
+            });
+        } catch (error) {
+            logger.error(`Could not record interaction for conversation ${interaction.conversation_id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Metrics for the last `days` days (today included), in total and per day
+     * @param {number} accountId
+     * @param {number} days
+     * @returns {Promise<Object>} - { period, totals, daily, top_queries, zero_result_queries, top_documents }
+     */
+    async getAccountAnalytics(accountId, days = 30) {
+        const account_id = parseInt(accountId);
+        const today = new Date();
+        const from = utcDay(new Date(today.getTime() - (days - 1) * DAY_MS));
+
+        const [result] = await Interaction.aggregate([
+            { $match: { account_id, day: { $gte: from } } },
+            {
+                $facet: {
+                    totals: [{ $group: metricsGroup(null) }],
+                    daily: [{ $group: metricsGroup("$day") }],
+                    top_queries: queryRanking({}),
+                    zero_result_queries: queryRanking({ zero_result: true }),
+                    top_documents: [
+                        { $unwind: "$cited_documents" },
+                        {
+                            $group: {
+                                _id: "$cited_documents.document_id",
+                                source_title: { $first: "$cited_documents.source_title" },
+                                citations: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { citations: -1, _id: 1 } },
+                        { $limit: TOP_LIMIT }
+                    ]
+                }
+            }
+        ]);
+
+        // Every day of the period is listed, quiet days with zeros
+        const byDay = new Map(result.daily.map(group => [group._id, group]));
+        const daily = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = utcDay(new Date(today.getTime() - i * DAY_MS));
+            daily.push({ date, ...formatMetrics(byDay.get(date)) });
+        }
+
+        const formatQuery = group => ({ query: group._id, count: group.count, last_asked_at: group.last_asked_at });
+
+        return {
+            period: { days, from, to: utcDay(today) },
+            totals: formatMetrics(result.totals[0]),
+            daily,
+            top_queries: result.top_queries.map(formatQuery),
+            zero_result_queries: result.zero_result_queries.map(formatQuery),
+            top_documents: result.top_documents.map(group => ({
+                document_id: group._id,
+                source_title: group.source_title,
+                citations: group.citations
+            }))
+        };
+    }
+}
+
+// Create singleton instance
+const analyticsService = new AnalyticsService();
+
+export { AnalyticsService };
+export default analyticsService;
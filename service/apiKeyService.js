@@ -0,0 +1,160 @@
+import crypto from "crypto";
+import { ApiKey } from "../model/apiKeyModel.js";
+import logger from "../utils/logger.js";
+
+// read: list documents, stats, jobs and config   search: run searches
+// write: upload, update and configure            delete: delete documents and data
+// keys: create, rotate and revoke the account's own keys
+const API_KEY_SCOPES = ['read', 'search', 'write', 'delete', 'keys'];
+const DEFAULT_SCOPES = ['read', 'search'];
+
+const KEY_PREFIX = "wk_";
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+class ApiKeyService {
+    /**
+     * Create a key for one account
+     * @returns {Promise<Object>} - { apiKey, key } key is the plain key, only available here
+     */
+    async create(accountId, { name, scopes = DEFAULT_SCOPES } = {}) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+        const apiKey = await ApiKey.create({
+            name,
+            key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+            key_hash: hashKey(key),
+            account_id: parseInt(accountId),
+            scopes: this.normalizeScopes(scopes)
+        });
+
+        logger.info(`Created API key ${apiKey.key_prefix}... for account ${accountId} (${apiKey.scopes.join(', ')})`);
+        return { apiKey: apiKey.toObject(), key };
+    }
+
+    /**
+     * Resolve a presented key to the caller it belongs to
+     * @returns {Promise<Object|null>} - { key_id, account_id, is_admin, scopes } or null for unknown or revoked keys
+     */
+    async authenticate(key) {
+        if (!key) return null;
+        const hash = hashKey(key);
+
+        // Bootstrap admin key from the environment, so the first account keys can be created
+        const adminKey = process.env.ADMIN_API_KEY;
+        if (adminKey && crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashKey(adminKey), "hex"))) {
+            return { key_id: "env:ADMIN_API_KEY", account_id: null, is_admin: true, scopes: API_KEY_SCOPES };
+        }
+
+        const apiKey = await ApiKey.findOne({ key_hash: hash, revoked_at: null }).lean();
+        if (!apiKey) return null;
+
+        // Bookkeeping only; a failed write must not fail the request
+        ApiKey.updateOne({ _id: apiKey._id }, { last_used_at: new Date() })
+            .catch(error => logger.warn(`Could not update last use of API key ${apiKey.key_prefix}: ${error.message}`));
+
+        return {
+            key_id: String(apiKey._id),
+            account_id: apiKey.account_id,
+            is_admin: false,
+            scopes: apiKey.scopes || []
+        };
+    }
+
+    async list(accountId) {
+        return ApiKey.find({ account_id: parseInt(accountId) }).sort({ createdAt: -1 }).lean();
+    }
+
+    async get(accountId, keyId) {
+        if (!/^[0-9a-f]{24}$/i.test(keyId)) return null;
+        return ApiKey.findOne({ _id: keyId, account_id: parseInt(accountId) }).lean();
+    }
+
+    // Issue a new key with the same name and scopes and revoke the old one
+    async rotate(accountId, keyId) {
+        const current = await this.get(accountId, keyId);
+        if (!current || current.revoked_at) return null;
+
+        const { apiKey, key } = await this.create(accountId, { name: current.name, scopes: current.scopes });
+        await ApiKey.updateOne({ _id: current._id }, {
+            revoked_at: new Date(),
+            revoked_reason: "rotated",
+            rotated_to: apiKey._id
+        });
+
+        logger.info(`Rotated API key ${current.key_prefix}... of account ${accountId} to ${apiKey.key_prefix}...`);
+        return { apiKey, key };
+    }
+
+    async revoke(accountId, keyId, reason = "revoked") {
+        const current = await this.get(accountId, keyId);
+        if (!current) return null;
+        if (current.revoked_at) return current;
+
+        const revoked = await ApiKey.findOneAndUpdate(
+            { _id: current._id },
+            { revoked_at: new Date(), revoked_reason: reason },
+            { new: true }
+        ).lean();
+
+        logger.info(`Revoked API key ${current.key_prefix}... of account ${accountId}`);
+        return revoked;
+    }
+
+    /**
+     * Check the scopes a new key asks for; a caller can only hand out scopes it holds itself
+     * @param {Array|undefined} scopes - As sent; omitted means DEFAULT_SCOPES
+     * @param {Object} caller - From authenticate
+     * @returns {Object} - { scopes, errors } scopes the key gets when errors is empty
+     */
+    static validateScopes(scopes, caller) {
+        const requested = scopes === undefined ? DEFAULT_SCOPES : scopes;
+        if (!Array.isArray(requested) || requested.length === 0 || requested.some(scope => typeof scope !== 'string')) {
+            return { scopes: requested, errors: ["scopes must be a non-empty array of strings"] };
+        }
+        const errors = [];
+        requested.forEach(scope => {
+            if (!API_KEY_SCOPES.includes(scope)) {
+                errors.push(`Unknown scope: ${scope}. Supported scopes: ${API_KEY_SCOPES.join(', ')}`);
+            } else if (ApiKeyService.missingScopes(caller, [scope]).length > 0) {
+                errors.push(`Cannot grant the '${scope}' scope without holding it`);
+            }
+        });
+        return { scopes: requested, errors };
+    }
+
+    // Scopes of the list the caller does not hold; admins hold every scope
+    static missingScopes(caller, scopes) {
+        if (caller?.is_admin) return [];
+        return (scopes || []).filter(scope => !(caller?.scopes || []).includes(scope));
+    }
+
+    normalizeScopes(scopes) {
+        const list = Array.isArray(scopes) ? scopes : String(scopes).split(',');
+        return [...new Set(list.map(scope => String(scope).trim()).filter(Boolean))];
+    }
+
+    // Shape returned by the API; the hash never leaves the service
+    static formatKey(apiKey) {
+        return {
+            id: apiKey._id,
+            name: apiKey.name || null,
+            key_prefix: apiKey.key_prefix,
+            account_id: apiKey.account_id,
+            scopes: apiKey.scopes || [],
+            revoked: !!apiKey.revoked_at,
+            revoked_at: apiKey.revoked_at || null,
+            revoked_reason: apiKey.revoked_reason || null,
+            rotated_to: apiKey.rotated_to || null,
+            last_used_at: apiKey.last_used_at || null,
+            created_at: apiKey.createdAt
+        };
+    }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+export { ApiKeyService, API_KEY_SCOPES, DEFAULT_SCOPES };
+export default apiKeyService;
@@ -1,7 +1,11 @@
 import { uploadFilesToAzure, deleteFileFromAzure } from '../utils/azureFileUpload.js';
 import { Client, DocEmbedding } from "../model/clientModel.js";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import { getEmbeddings, getActiveEmbeddingModel, chunkVector, embeddingModelFilter } from "../utils/embeddingModels.js";
 import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import { indexChunks, invalidateIndex } from "../utils/vectorDB.js";
+import lexicalIndex from "../utils/lexicalIndex.js";
+import usageLedger from "./usageLedger.js";
+import accountConfigService from "./accountConfigService.js";
 import logger from "../utils/logger.js";
 import fs from "fs";
 import path from "path";
@@ -21,10 +25,6 @@ class AzureRagService {
         });
 
         // Initialize embeddings
-        this.embeddings = new OpenAIEmbeddings({
-            apiKey: process.env.OPENAI_API_KEY,
-            modelName: process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small"
-        });
     }
 
     /**
@@ -42,6 +42,9 @@ class AzureRagService {
                 throw new Error("At least one file is required");
             }
 
+            // Bot settings sent along with the upload go to the account config, not the documents
+            await accountConfigService.syncFromDocumentBody(body);
+
             const results = [];
             const errors = [];
 
@@ -70,9 +73,6 @@ class AzureRagService {
                         title: fileMetadata.title || file.originalname,
                         description: fileMetadata.description || `Processed file: ${file.originalname}`,
                         content: textContent,
-                        system_prompt: body.system_prompt || "",
-                        bot_api_key: body.bot_api_key || "",
-                        api_key: body.api_key || "",
                         azureFileInfo,
                         originalFileName: file.originalname,
                         fileSize: file.size,
@@ -212,16 +212,18 @@ class AzureRagService {
             const chunks = await this.textSplitter.splitText(text);
             logger.info(`Text split into ${chunks.length} chunks`);
 
+            const embeddingModel = await getActiveEmbeddingModel(account_id);
             const embeddingPromises = chunks.map(async (chunk, index) => {
                 try {
-                    // Generate embedding for this chunk
-                    const embedding = await this.embeddings.embedQuery(chunk);
+                    // Generate embedding for this chunk with the model the account is searched with
+                    const embedding = await getEmbeddings(embeddingModel).embedQuery(chunk);
 
                     // Create DocEmbedding document
                     const docEmbedding = new DocEmbedding({
                         account_id: parseInt(account_id),
                         content: chunk,
                         embedding: embedding,
+                        embedding_model: embeddingModel,
                         source_title: document.title,
                         azure_blob_name: azureFileInfo.blobName,
                         chunk_index: index,
@@ -253,7 +255,19 @@ class AzureRagService {
             });
 
             // Wait for all embeddings to be generated and saved
-            const savedEmbeddings = await Promise.all(embeddingPromises);
+            let savedEmbeddings;
+            try {
+                savedEmbeddings = await Promise.all(embeddingPromises);
+            } catch (error) {
+                // Chunks saved before the failure are already searchable through Mongo
+                await this._invalidateSearchIndexes(account_id);
+                throw error;
+            }
+            await usageLedger.recordEmbedding(account_id, "ingestion", embeddingModel, chunks);
+
+            // Same index hooks as RagService: add to the cached vector index, rebuild BM25
+            await indexChunks({ account_id: parseInt(account_id), chunks: savedEmbeddings });
+            lexicalIndex.invalidate(parseInt(account_id));
 
             // Also save embeddings in the main document for backward compatibility
             const legacyEmbeddings = savedEmbeddings.map((docEmb, index) => ({
@@ -284,6 +298,12 @@ class AzureRagService {
         }
     }
 
+    // Drop cached vector and lexical indexes after chunks change
+    async _invalidateSearchIndexes(account_id) {
+        await invalidateIndex(parseInt(account_id));
+        lexicalIndex.invalidate(parseInt(account_id));
+    }
+
     /**
      * Save document to database with Azure references
      */
@@ -293,9 +313,6 @@ class AzureRagService {
         title, 
         description, 
         content, 
-        system_prompt, 
-        bot_api_key, 
-        api_key,
         azureFileInfo,
         originalFileName,
         fileSize,
@@ -307,9 +324,6 @@ class AzureRagService {
             title,
             description,
             content,
-            system_prompt,
-            bot_api_key,
-            api_key,
             is_active: true,
             // Azure-specific fields
             azure_url: azureFileInfo.url,
@@ -347,23 +361,26 @@ class AzureRagService {
                 throw new Error("query is required");
             }
 
-            // Generate query embedding
-            const queryEmbedding = await this.embeddings.embedQuery(query);
+            // Generate query embedding with the account's model; only chunks of that model are compared
+            const embeddingModel = await getActiveEmbeddingModel(account_id);
+            const queryEmbedding = await getEmbeddings(embeddingModel).embedQuery(query);
+            await usageLedger.recordEmbedding(account_id, "search", embeddingModel, query);
 
             // Search in DocEmbedding collection for better performance
             const embeddings = await DocEmbedding.find({ 
                 account_id: parseInt(account_id),
-                embedding: { $exists: true, $ne: [] }
+                ...embeddingModelFilter(embeddingModel)
             }).limit(limit * 5); // Get more to filter
 
             let allResults = [];
 
             // Calculate similarity for each embedding
             for (const embedding of embeddings) {
-                if (!embedding.embedding || embedding.embedding.length === 0) continue;
+                const vector = chunkVector(embedding, embeddingModel);
+                if (!vector) continue;
 
                 // Calculate cosine similarity
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding.embedding);
+                const similarity = this.cosineSimilarity(queryEmbedding, vector);
                 
                 allResults.push({
                     embeddingId: embedding._id,
@@ -458,6 +475,9 @@ class AzureRagService {
             document.is_active = false;
             await document.save();
 
+            // Drop the deleted chunks from the cached vector and BM25 indexes
+            await this._invalidateSearchIndexes(account_id);
+
             // Delete file from Azure
             await deleteFileFromAzure(blobName);
 
@@ -0,0 +1,175 @@
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { ConversationState } from "../model/conversationStateModel.js";
+import modelRegistry from "../utils/modelRegistry.js";
+import usageLedger from "./usageLedger.js";
+import logger from "../utils/logger.js";
+
+// Rough token count for budgeting; about four characters per token for English text
+function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+// Per-message overhead for the "Customer: " prefix and line break
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+function messageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// The newest messages that fit in the budget, oldest first. The newest one is always kept.
+function takeWithinBudget(messages, budget) {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const tokens = messageTokens(messages[i]);
+        if (kept.length > 0 && used + tokens > budget) break;
+        kept.unshift(messages[i]);
+        used += tokens;
+    }
+    return kept;
+}
+
+function formatMessages(messages) {
+    return messages
+        .map(m => {
+            const who = m.message_type === "incoming" || m.message_type === 0 ? "Customer" : (m.sender?.type || "Agent").toString();
+            return `${who}: ${String(m.content).replace(/\s+/g, " ").trim()}`;
+        })
+        .join("\n");
+}
+
+// Chatwoot returns a conversation's messages in pages of this size; a shorter page is the whole conversation
+const CHATWOOT_PAGE_SIZE = 20;
+// Pages fetched back per turn when looking for messages that left the window unsummarized
+const MAX_OLDER_PAGES = 10;
+
+function visibleMessages(messages) {
+    return (messages || []).filter(m => !m.private && m.content);
+}
+
+// Keeps the prompt's view of a conversation within a token budget: the most recent turns
+// verbatim, everything before them as a rolling summary stored on the ConversationState.
+class ConversationMemory {
+    constructor() {
+        this.recentTokenBudget = Number(process.env.MEMORY_RECENT_TOKEN_BUDGET || 1500);
+        this.summaryChains = new WeakMap(); // Per chat model
+    }
+
+    /**
+     * Split the conversation into a summary and the recent turns for the prompt.
+     * Turns that no longer fit the budget are folded into the summary first, including turns that
+     * already left the fetched window without being summarized, which are paged back with fetchOlder.
+     * @param {Object} params - { accountId, conversationId, messages, accountConfig, fetchOlder } messages as returned by Chatwoot,
+     *   fetchOlder(beforeId) resolves to the page of messages before that id
+     * @returns {Promise<Object>} - { summary, messages } summary is null until the conversation outgrows the budget
+     */
+    async buildContext({ accountId, conversationId, messages, accountConfig = null, fetchOlder = null }) {
+        const visible = visibleMessages(messages).sort((a, b) => a.id - b.id);
+
+        const state = await ConversationState.findOne(
+            { account_id: parseInt(accountId), conversation_id: String(conversationId) },
+            { summary: 1, summary_message_id: 1 }
+        ).lean();
+        let summary = state?.summary || null;
+        const summarizedThrough = state?.summary_message_id || 0;
+
+        // The window may start after the last summarized message when the conversation moved on
+        // faster than the budget filled up; those turns are folded in too rather than lost
+        let older = [];
+        const oldest = (messages || []).reduce((min, m) => Math.min(min, m.id), Infinity);
+        if (fetchOlder && (messages || []).length >= CHATWOOT_PAGE_SIZE && oldest > summarizedThrough + 1) {
+            older = await this._fetchUnsummarized(fetchOlder, oldest, summarizedThrough, conversationId);
+        }
+
+        const unsummarized = [...older, ...visible.filter(m => m.id > summarizedThrough)];
+        const recent = takeWithinBudget(unsummarized, this.recentTokenBudget);
+        if (recent.length === unsummarized.length) {
+            return { summary, messages: recent };
+        }
+
+        // Fold in everything but the newest half budget, so the next turns fit without another summary call
+        const keep = takeWithinBudget(unsummarized, Math.floor(this.recentTokenBudget / 2));
+        const fold = unsummarized.slice(0, unsummarized.length - keep.length);
+
+        try {
+            summary = await this.updateSummary(summary, fold, accountConfig);
+            await ConversationState.updateOne(
+                { account_id: parseInt(accountId), conversation_id: String(conversationId) },
+                {
+                    $set: {
+                        summary,
+                        summary_message_id: fold[fold.length - 1].id,
+                        summary_updated_at: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+            logger.info(`Folded ${fold.length} messages of conversation ${conversationId} into its summary`);
+            return { summary, messages: keep };
+        } catch (error) {
+            // Answer with the old summary and whatever fits; the fold is retried on the next turn
+            logger.warn(`Could not update summary of conversation ${conversationId}: ${error.message}`);
+            return { summary, messages: recent };
+        }
+    }
+
+    // Visible messages before beforeId and after summarizedThrough, oldest first. Paging stops at the
+    // summarized part, the start of the conversation or MAX_OLDER_PAGES; a failed fetch keeps what was found.
+    async _fetchUnsummarized(fetchOlder, beforeId, summarizedThrough, conversationId) {
+        const older = [];
+        try {
+            for (let pages = 0; pages < MAX_OLDER_PAGES; pages++) {
+                const page = await fetchOlder(beforeId);
+                if (!page || page.length === 0) break;
+                const ids = page.map(m => m.id);
+                older.unshift(...visibleMessages(page).filter(m => m.id > summarizedThrough).sort((a, b) => a.id - b.id));
+                beforeId = Math.min(...ids);
+                if (beforeId <= summarizedThrough + 1) break;
+            }
+        } catch (error) {
+            logger.warn(`Could not fetch earlier messages of conversation ${conversationId}: ${error.message}`);
+        }
+        return older;
+    }
+
+    async updateSummary(summary, messages, accountConfig = null) {
+        const output = await this._getSummaryChain(accountConfig).invoke({
+            summary: summary || "(none yet)",
+            messages: formatMessages(messages)
+        }, { callbacks: usageLedger.callbacks(accountConfig?.account_id, "conversation_summary") });
+        return output.trim();
+    }
+
+    async getSummary(accountId, conversationId) {
+        const state = await ConversationState.findOne(
+            { account_id: parseInt(accountId), conversation_id: String(conversationId) },
+            { summary: 1 }
+        ).lean();
+        return state?.summary || null;
+    }
+
+    _getSummaryChain(accountConfig) {
+        const llm = modelRegistry.chatModel("summarization", accountConfig, { model: process.env.MEMORY_SUMMARY_MODEL });
+        if (!this.summaryChains.has(llm)) {
+            const prompt = ChatPromptTemplate.fromMessages([
+                [
+                    "system",
+                    `You maintain the running summary of a customer support conversation.
+Merge the new messages into the existing summary. Keep every fact the customer gave (name, contact details,
+order or account numbers, products, preferences, problems), what was already answered and what is still open.
+Drop greetings and small talk. Write at most 200 words in short bullet points, and only state what the messages say.`
+                ],
+                ["human", "Existing summary:\n{summary}\n\nNew messages (oldest first):\n{messages}"]
+            ]);
+            this.summaryChains.set(llm, prompt.pipe(llm).pipe(new StringOutputParser()));
+        }
+        return this.summaryChains.get(llm);
+    }
+}
+
+// Create singleton instance
+const conversationMemory = new ConversationMemory();
+
+export { ConversationMemory, estimateTokens, takeWithinBudget, formatMessages };
+export default conversationMemory;
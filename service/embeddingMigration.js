@@ -0,0 +1,360 @@
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+import { EmbeddingMigration } from "../model/embeddingMigrationModel.js";
+import { AccountConfig } from "../model/accountConfigModel.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import { getActiveEmbeddingModel, getEmbeddings, embeddingModelFilter } from "../utils/embeddingModels.js";
+import { invalidateIndex } from "../utils/vectorDB.js";
+import usageLedger from "./usageLedger.js";
+import logger from "../utils/logger.js";
+
+// Moves an account's chunks to another embedding model in the background.
+//  1. embedding: every chunk gets a vector from the new model in next_embedding; searches
+//     keep using the old model meanwhile.
+//  2. switch: AccountConfig.embedding_model is flipped in one write, so every process
+//     searches with the new model from its next query on. Search reads next_embedding
+//     until step 3 has moved it into place.
+//  3. promote: next_embedding replaces embedding, then chunks ingested with the old model
+//     while the switch happened are embedded again.
+// A cancel or a failure before the switch drops the new vectors and leaves the account as it was.
+//
+// Only chunks, which carry their vector in embedding, are migrated. Documents uploaded through the
+// legacy /api/rag route keep the whole file in content and their vectors in the embeddings array;
+// they keep their embedding_model, so the legacy search stops using them once the account switches.
+const CHUNK_FILTER = { 'embedding.0': { $exists: true } };
+
+class EmbeddingMigrationQueue {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = Number(process.env.EMBEDDING_MIGRATION_POLL_INTERVAL_MS || 5000);
+        this.batchSize = Number(process.env.EMBEDDING_MIGRATION_BATCH_SIZE || 100);
+        this.maxAttempts = Number(process.env.EMBEDDING_MIGRATION_MAX_ATTEMPTS || 5);
+        this.retryDelayMs = Number(process.env.EMBEDDING_MIGRATION_RETRY_DELAY_MS || 60000);
+        // A migration locked for longer than this is assumed to belong to a dead worker;
+        // the lock is refreshed after every batch
+        this.lockTimeoutMs = Number(process.env.EMBEDDING_MIGRATION_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    async enqueue(accountId, toModel, { requestedBy = null } = {}) {
+        const account_id = parseInt(accountId);
+        const to_model = typeof toModel === 'string' ? toModel.trim() : '';
+
+        if (!to_model) {
+            throw new Error("to_model is required");
+        }
+
+        const from_model = await getActiveEmbeddingModel(account_id);
+        if (from_model === to_model) {
+            const sameModel = new Error(`Account ${account_id} already uses embedding model ${to_model}`);
+            sameModel.code = 'INVALID_MODEL';
+            throw sameModel;
+        }
+
+        // Fail here rather than in the worker when the model does not exist
+        try {
+            await getEmbeddings(to_model).embedQuery("embedding model check");
+        } catch (error) {
+            const unusable = new Error(`Embedding model ${to_model} is not usable: ${error.message}`);
+            unusable.code = 'INVALID_MODEL';
+            throw unusable;
+        }
+
+        try {
+            const migration = await EmbeddingMigration.create({
+                migration_id: uuidv4(),
+                account_id,
+                from_model,
+                to_model,
+                requested_by: requestedBy,
+                progress: { total: await UnifiedDocument.countDocuments({ account_id, ...CHUNK_FILTER }) }
+            });
+
+            const legacy = await UnifiedDocument.countDocuments({ account_id, 'embedding.0': { $exists: false } });
+            if (legacy > 0) {
+                logger.warn(`Embedding migration ${migration.migration_id} skips ${legacy} legacy /api/rag documents of account ${account_id}; upload them again to search them with ${to_model}`);
+            }
+
+            logger.info(`Enqueued embedding migration ${migration.migration_id} for account ${account_id}: ${from_model} -> ${to_model}`);
+            return migration.toObject();
+        } catch (error) {
+            if (error.code === 11000) {
+                const conflict = new Error(`Account ${account_id} already has an embedding migration in progress`);
+                conflict.code = 'MIGRATION_IN_PROGRESS';
+                throw conflict;
+            }
+            throw error;
+        }
+    }
+
+    async getMigration(accountId, migrationId) {
+        return EmbeddingMigration.findOne({ account_id: parseInt(accountId), migration_id: migrationId }).lean();
+    }
+
+    async list(accountId, limit = 20) {
+        return EmbeddingMigration.find({ account_id: parseInt(accountId) })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    // Only possible before the switch; the worker cleans up at its next batch
+    async cancel(accountId, migrationId) {
+        return EmbeddingMigration.findOneAndUpdate(
+            {
+                account_id: parseInt(accountId),
+                migration_id: migrationId,
+                active: true,
+                status: { $in: ['pending', 'embedding'] }
+            },
+            { $set: { cancel_requested: true, next_run_at: new Date() } },
+            { new: true }
+        ).lean();
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+
+        const loop = async () => {
+            try {
+                while (!this.stopped && await this._runNext()) { /* keep going */ }
+            } catch (error) {
+                logger.error("Embedding migration worker error:", error);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(loop, 0);
+        logger.info(`Embedding migration worker ${this.workerId} started (poll every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Claim and advance one migration. Returns false when nothing was due.
+    async _runNext() {
+        const now = new Date();
+        const migration = await EmbeddingMigration.findOneAndUpdate(
+            {
+                active: true,
+                next_run_at: { $lte: now },
+                $or: [
+                    { locked_at: null },
+                    { locked_at: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+                ]
+            },
+            { $set: { locked_by: this.workerId, locked_at: now } },
+            { sort: { next_run_at: 1 }, new: true }
+        ).lean();
+
+        if (!migration) return false;
+
+        const { migration_id } = migration;
+        logger.info(`Running embedding migration ${migration_id} for account ${migration.account_id} (${migration.status})`);
+
+        try {
+            if (migration.status === 'pending') {
+                migration.status = 'embedding';
+                await this._update(migration_id, { status: 'embedding', started_at: now });
+            }
+
+            if (migration.status === 'embedding') {
+                const outcome = await this._embedRemaining(migration);
+                if (outcome === 'cancelled') {
+                    await this._abort(migration, 'cancelled');
+                    return true;
+                }
+                if (outcome === 'stopped') {
+                    await this._update(migration_id, { locked_by: null, locked_at: null });
+                    return true;
+                }
+                await this._switch(migration);
+            }
+
+            await this._promote(migration);
+            await this._update(migration_id, {
+                status: 'completed',
+                active: false,
+                last_error: null,
+                finished_at: new Date(),
+                locked_by: null,
+                locked_at: null
+            });
+            logger.info(`Embedding migration ${migration_id} completed: account ${migration.account_id} now uses ${migration.to_model}`);
+        } catch (error) {
+            const attempts = (migration.attempts || 0) + 1;
+            logger.error(`Embedding migration ${migration_id} failed (attempt ${attempts}):`, error);
+
+            if (attempts >= this.maxAttempts) {
+                await this._abort(migration, 'failed', { attempts, last_error: error.message });
+            } else {
+                await this._update(migration_id, {
+                    attempts,
+                    last_error: error.message,
+                    next_run_at: new Date(Date.now() + this.retryDelayMs * Math.pow(2, attempts - 1)),
+                    locked_by: null,
+                    locked_at: null
+                });
+            }
+        }
+        return true;
+    }
+
+    // Fill next_embedding for every chunk without a vector from the new model.
+    // Returns 'done', 'cancelled' or 'stopped'.
+    async _embedRemaining(migration) {
+        const { migration_id, account_id, to_model } = migration;
+        const embeddings = getEmbeddings(to_model);
+
+        while (true) {
+            if (this.stopped) return 'stopped';
+
+            const current = await EmbeddingMigration.findOne({ migration_id }, { cancel_requested: 1 }).lean();
+            if (current?.cancel_requested) return 'cancelled';
+
+            const chunks = await UnifiedDocument.find({ account_id, ...CHUNK_FILTER, $nor: [embeddingModelFilter(to_model)] })
+                .select('_id content')
+                .limit(this.batchSize)
+                .lean();
+            if (chunks.length === 0) return 'done';
+
+            const vectors = await embeddings.embedDocuments(chunks.map(chunk => chunk.content));
+            await usageLedger.recordEmbedding(account_id, "embedding_migration", to_model, chunks.map(chunk => chunk.content));
+            if (vectors.length !== chunks.length) {
+                throw new Error(`Expected ${chunks.length} embeddings from ${to_model}, got ${vectors.length}`);
+            }
+
+            await UnifiedDocument.bulkWrite(chunks.map((chunk, i) => ({
+                updateOne: {
+                    filter: { _id: chunk._id },
+                    update: { $set: { next_embedding: vectors[i], next_embedding_model: to_model } }
+                }
+            })));
+
+            await EmbeddingMigration.updateOne(
+                { migration_id },
+                { $inc: { 'progress.embedded': chunks.length }, $set: { locked_at: new Date() } }
+            );
+        }
+    }
+
+    async _switch(migration) {
+        const { migration_id, account_id, to_model } = migration;
+
+        await AccountConfig.updateOne(
+            { account_id },
+            { $set: { embedding_model: to_model } },
+            { upsert: true }
+        );
+        migration.status = 'switched';
+        await this._update(migration_id, { status: 'switched', switched_at: new Date() });
+
+        // Cached vector indexes were built from the old model's vectors
+        await invalidateIndex(account_id);
+        logger.info(`Account ${account_id} switched to embedding model ${to_model}`);
+    }
+
+    async _promote(migration) {
+        const { migration_id, account_id, to_model } = migration;
+
+        const promoted = await UnifiedDocument.updateMany(
+            { account_id, ...CHUNK_FILTER, next_embedding_model: to_model },
+            [
+                { $set: { embedding: "$next_embedding", embedding_model: "$next_embedding_model" } },
+                { $unset: ["next_embedding", "next_embedding_model"] }
+            ]
+        );
+        await EmbeddingMigration.updateOne(
+            { migration_id },
+            { $inc: { 'progress.promoted': promoted.modifiedCount }, $set: { locked_at: new Date() } }
+        );
+
+        // Chunks ingested with the old model just before the switch was seen
+        const embeddings = getEmbeddings(to_model);
+        let swept = 0;
+        while (true) {
+            const chunks = await UnifiedDocument.find({ account_id, ...CHUNK_FILTER, $nor: [embeddingModelFilter(to_model)] })
+                .select('_id content')
+                .limit(this.batchSize)
+                .lean();
+            if (chunks.length === 0) break;
+
+            const vectors = await embeddings.embedDocuments(chunks.map(chunk => chunk.content));
+            await usageLedger.recordEmbedding(account_id, "embedding_migration", to_model, chunks.map(chunk => chunk.content));
+            await UnifiedDocument.bulkWrite(chunks.map((chunk, i) => ({
+                updateOne: {
+                    filter: { _id: chunk._id },
+                    update: { $set: { embedding: vectors[i], embedding_model: to_model } }
+                }
+            })));
+            swept += chunks.length;
+        }
+
+        if (swept > 0) {
+            await invalidateIndex(account_id);
+            logger.info(`Embedding migration ${migration_id}: re-embedded ${swept} chunks written during the switch`);
+        }
+    }
+
+    // Before the switch the new vectors are useless; after it the account keeps the new
+    // model and search reads next_embedding wherever promotion did not finish
+    async _abort(migration, status, fields = {}) {
+        const { migration_id, account_id, to_model } = migration;
+
+        if (migration.status !== 'switched') {
+            await UnifiedDocument.updateMany(
+                { account_id, next_embedding_model: to_model },
+                { $unset: { next_embedding: 1, next_embedding_model: 1 } }
+            );
+        }
+
+        await this._update(migration_id, {
+            ...fields,
+            status,
+            active: false,
+            finished_at: new Date(),
+            locked_by: null,
+            locked_at: null
+        });
+        logger.info(`Embedding migration ${migration_id} ${status}; account ${account_id} uses ${migration.status === 'switched' ? to_model : migration.from_model}`);
+    }
+
+    async _update(migrationId, fields) {
+        await EmbeddingMigration.updateOne({ migration_id: migrationId }, { $set: fields });
+    }
+
+    // Shape returned by the migration endpoints
+    static formatMigration(migration) {
+        return {
+            migration_id: migration.migration_id,
+            account_id: migration.account_id,
+            from_model: migration.from_model,
+            to_model: migration.to_model,
+            status: migration.status,
+            cancel_requested: migration.cancel_requested,
+            progress: migration.progress,
+            attempts: migration.attempts,
+            error: migration.last_error || null,
+            requested_by: migration.requested_by || null,
+            created_at: migration.createdAt,
+            started_at: migration.started_at || null,
+            switched_at: migration.switched_at || null,
+            finished_at: migration.finished_at || null
+        };
+    }
+}
+
+// Create singleton instance
+const embeddingMigrationQueue = new EmbeddingMigrationQueue();
+
+export { EmbeddingMigrationQueue };
+export default embeddingMigrationQueue;
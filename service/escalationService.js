@@ -0,0 +1,381 @@
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { ConversationState } from "../model/conversationStateModel.js";
+import {
+    sendChatwootReply,
+    createPrivateNote,
+    toggleConversationStatus,
+    assignConversation
+} from "../utils/chatwootApi.js";
+import { renderVariables } from "../utils/promptBuilder.js";
+import { hitRelevance } from "../utils/grounding.js";
+import modelRegistry from "../utils/modelRegistry.js";
+import usageLedger from "./usageLedger.js";
+import logger from "../utils/logger.js";
+
+// Used when an account has no escalation_settings of its own
+const DEFAULT_ESCALATION_SETTINGS = {
+    enabled: true,
+    explicit_request: true, // "Can I talk to a human?"
+    negative_sentiment: true,
+    low_confidence_turns: 2, // Escalate after this many weak answers in a row; 0 turns it off
+    min_kb_score: 0.35, // Best KB hit (rerank or vector similarity) below this counts as weak
+    team_id: null, // Assign to this Chatwoot team; otherwise the conversation is just opened
+    private_note: true
+};
+
+const DEFAULT_ESCALATION_MESSAGE = "I'm passing this conversation to a member of our team. They will reply here as soon as possible.";
+
+const TRIGGER_LABELS = {
+    explicit_request: "Customer asked for a human",
+    negative_sentiment: "Customer seems frustrated",
+    low_confidence: "Bot could not answer from the knowledge base",
+    budget_exceeded: "Monthly AI budget is used up"
+};
+
+const HUMAN_REQUEST_PATTERNS = [
+    /\b(talk|speak|chat|connect|transfer|put)\b.{0,30}\b(human|person|agent|representative|someone|somebody|operator|staff|manager|supervisor)\b/i,
+    /\b(human|live|real)\s+(agent|person|being|support|representative|help)\b/i,
+    /\bescalate\b/i,
+    /^\s*(agent|human|operator|representative)\s*[.!?]*\s*$/i
+];
+
+// Weighted phrases; the sentiment score is their sum plus shouting
+const NEGATIVE_TERMS = [
+    [/\b(useless|terrible|horrible|awful|worst|ridiculous|unacceptable|disgusting|pathetic|scam)\b/i, 2],
+    [/\b(furious|angry|livid|hate|fed up|sick of|waste of (my )?time)\b/i, 2],
+    [/\b(wtf|damn|crap|shit|fuck\w*)\b/i, 2],
+    [/\b(frustrat\w*|annoy\w*|disappoint\w*|upset)\b/i, 1],
+    [/\b(not helpful|doesn'?t help|does not help|still (not|doesn'?t|isn'?t)|you (don'?t|do not) understand)\b/i, 1]
+];
+const NEGATIVE_SENTIMENT_THRESHOLD = 3;
+
+const UNCERTAIN_REPLY_PATTERN = /\b(I (do not|don'?t) (have|know)|I'?m not sure|I am not sure|I (could|can)(not|n'?t) find|no information (about|on)|unable to (find|answer))\b/i;
+
+function getEscalationSettings(accountConfig) {
+    return { ...DEFAULT_ESCALATION_SETTINGS, ...(accountConfig?.escalation_settings || {}) };
+}
+
+function detectHumanRequest(text) {
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(String(text || "")));
+}
+
+// Lexicon score: weighted negative phrases, plus one point for shouting and one for "!!"
+function scoreNegativeSentiment(text) {
+    const value = String(text || "");
+    let score = 0;
+    const matched = [];
+
+    NEGATIVE_TERMS.forEach(([pattern, weight]) => {
+        const match = value.match(pattern);
+        if (match) {
+            score += weight;
+            matched.push(match[0].toLowerCase());
+        }
+    });
+
+    const letters = value.replace(/[^a-zA-Z]/g, "");
+    const shoutedWords = (value.match(/\b[A-Z]{3,}\b/g) || []).length;
+    if (letters.length >= 12 && shoutedWords >= 2 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.6) {
+        score += 1;
+        matched.push("shouting");
+    }
+    if (/!{2,}|\?!|!\?/.test(value)) {
+        score += 1;
+        matched.push("!!");
+    }
+
+    return { score, matched };
+}
+
+/**
+ * Judge whether an answer was backed by the knowledge base
+ * @param {Array} hits - KB chunks the answer was generated from (rerank_score / vector_score)
+ * @param {string} reply - The answer that was sent
+ * @returns {Object} - { low, reason, best_score }
+ */
+function assessConfidence(hits, reply, minScore = DEFAULT_ESCALATION_SETTINGS.min_kb_score) {
+    if (!hits || hits.length === 0) {
+        return { low: true, reason: "no knowledge base match", best_score: null };
+    }
+
+    const scores = hits.map(hitRelevance).filter(score => score !== null);
+    const bestScore = scores.length > 0 ? Math.max(...scores) : null;
+
+    if (bestScore !== null && bestScore < minScore) {
+        return { low: true, reason: `best knowledge base score ${bestScore.toFixed(2)} below ${minScore}`, best_score: bestScore };
+    }
+    if (UNCERTAIN_REPLY_PATTERN.test(String(reply || ""))) {
+        return { low: true, reason: "answer says the information is not available", best_score: bestScore };
+    }
+    return { low: false, reason: null, best_score: bestScore };
+}
+
+function formatTranscript(messages, limit = 20) {
+    return (messages || [])
+        .filter(m => !m.private && m.content)
+        .slice(-limit)
+        .map(m => {
+            const who = m.message_type === "incoming" || m.message_type === 0 ? "Customer" : (m.sender?.type || "Agent").toString();
+            return `${who}: ${String(m.content).replace(/\s+/g, " ").trim()}`;
+        })
+        .join("\n");
+}
+
+// Hands Chatwoot conversations over to human agents and keeps the bot quiet until they are handed back
+class EscalationService {
+    constructor() {
+        this.summaryChains = new WeakMap(); // Per chat model
+    }
+
+    /**
+     * Decide from the incoming message alone whether to escalate before answering
+     * @returns {Object|null} - { trigger, reason } or null
+     */
+    checkMessage(text, settings) {
+        if (!settings.enabled) return null;
+
+        if (settings.explicit_request && detectHumanRequest(text)) {
+            return { trigger: "explicit_request", reason: "Customer asked to talk to a human" };
+        }
+        if (settings.negative_sentiment) {
+            const { score, matched } = scoreNegativeSentiment(text);
+            if (score >= NEGATIVE_SENTIMENT_THRESHOLD) {
+                return { trigger: "negative_sentiment", reason: `Negative sentiment (score ${score}: ${matched.join(", ")})` };
+            }
+        }
+        return null;
+    }
+
+    async getState(accountId, conversationId) {
+        return ConversationState.findOne({ account_id: parseInt(accountId), conversation_id: String(conversationId) }).lean();
+    }
+
+    async isPaused(accountId, conversationId) {
+        const state = await this.getState(accountId, conversationId);
+        return !!state?.bot_paused;
+    }
+
+    // Track weak answers; returns the number of weak answers in a row
+    async recordAnswer(accountId, conversationId, lowConfidence) {
+        const state = await ConversationState.findOneAndUpdate(
+            { account_id: parseInt(accountId), conversation_id: String(conversationId) },
+            lowConfidence ? { $inc: { low_confidence_streak: 1 } } : { $set: { low_confidence_streak: 0 } },
+            { upsert: true, new: true }
+        ).lean();
+        return state.low_confidence_streak;
+    }
+
+    /**
+     * Hand a conversation to human agents: open it (or assign it to the configured team),
+     * leave a private note for the agent, tell the customer and pause the bot.
+     * @param {Object} params - { accountConfig, accountId, conversationId, trigger, reason, messages, attributes, variables }
+     *   messages are recent Chatwoot messages, attributes the contact's collected attributes,
+     *   variables the prompt variables for the escalation message
+     * @returns {Promise<Object>} - { escalated, state } escalated is false when it was already escalated
+     */
+    async escalate({ accountConfig, accountId, conversationId, trigger, reason, messages = [], attributes = {}, variables = {} }) {
+        const settings = getEscalationSettings(accountConfig);
+        const filter = { account_id: parseInt(accountId), conversation_id: String(conversationId) };
+        const escalation = {
+            trigger,
+            reason,
+            team_id: settings.team_id || undefined,
+            escalated_at: new Date()
+        };
+
+        // Claim the handoff first, so two workers never escalate the same conversation twice.
+        // The state before the claim is kept to undo it when Chatwoot cannot take the conversation.
+        let previous;
+        try {
+            previous = await ConversationState.findOneAndUpdate(
+                { ...filter, bot_paused: { $ne: true } },
+                { $set: { bot_paused: true, escalation, low_confidence_streak: 0 }, $inc: { escalation_count: 1 } },
+                { upsert: true, new: false }
+            ).lean();
+        } catch (error) {
+            // Unique index on account + conversation: the document exists and is already paused
+            if (error.code === 11000) {
+                logger.info(`Conversation ${conversationId} is already escalated`);
+                return { escalated: false, state: await this.getState(accountId, conversationId) };
+            }
+            throw error;
+        }
+
+        const apiToken = accountConfig.api_key;
+        try {
+            if (settings.team_id) {
+                await assignConversation(accountId, conversationId, { team_id: settings.team_id }, apiToken);
+            }
+            await toggleConversationStatus(accountId, conversationId, "open", apiToken);
+        } catch (error) {
+            // Nobody would see the conversation; let the bot keep answering instead, and record no handoff
+            const restore = { bot_paused: false, low_confidence_streak: previous?.low_confidence_streak || 0 };
+            await ConversationState.updateOne(filter, previous?.escalation
+                ? { $set: { ...restore, escalation: previous.escalation }, $inc: { escalation_count: -1 } }
+                : { $set: restore, $unset: { escalation: 1 }, $inc: { escalation_count: -1 } });
+            throw new Error(`Could not hand conversation ${conversationId} to agents: ${error.message}`);
+        }
+        const state = await this.getState(accountId, conversationId);
+
+        logger.info(`Escalated conversation ${conversationId} of account ${accountId} (${trigger}: ${reason})`);
+
+        if (settings.private_note) {
+            try {
+                const note = await this.buildHandoffNote({ trigger, reason, messages, attributes, accountId, conversationId, accountConfig });
+                await createPrivateNote(accountId, conversationId, note, apiToken);
+            } catch (error) {
+                logger.warn(`Could not add handoff note to conversation ${conversationId}: ${error.message}`);
+            }
+        }
+
+        try {
+            const message = renderVariables(accountConfig.escalation_message || DEFAULT_ESCALATION_MESSAGE, variables);
+            await sendChatwootReply(accountId, conversationId, message, accountConfig.bot_api_key);
+        } catch (error) {
+            logger.warn(`Could not send escalation message to conversation ${conversationId}: ${error.message}`);
+        }
+
+        return { escalated: true, state };
+    }
+
+    /**
+     * Record how well a sent answer was supported and escalate after too many weak answers in a row
+     * @param {Object} params - escalate() params plus { hits, reply }
+     * @returns {Promise<Object>} - { confidence, streak, escalated }
+     */
+    async afterReply({ accountConfig, accountId, conversationId, hits, reply, ...context }) {
+        const settings = getEscalationSettings(accountConfig);
+        const confidence = assessConfidence(hits, reply, settings.min_kb_score);
+        const streak = await this.recordAnswer(accountId, conversationId, confidence.low);
+
+        if (confidence.low) {
+            logger.info(`Low-confidence answer in conversation ${conversationId} (${confidence.reason}), ${streak} in a row`);
+        }
+        if (!settings.enabled || !confidence.low || settings.low_confidence_turns <= 0 || streak < settings.low_confidence_turns) {
+            return { confidence, streak, escalated: false };
+        }
+
+        const { escalated } = await this.escalate({
+            accountConfig,
+            accountId,
+            conversationId,
+            trigger: "low_confidence",
+            reason: `${streak} answers in a row without good knowledge base support (last: ${confidence.reason})`,
+            ...context
+        });
+        return { confidence, streak, escalated };
+    }
+
+    // Let the bot answer again; returns null when the conversation was not escalated
+    async handBack(accountId, conversationId, handedBackBy = null) {
+        const state = await ConversationState.findOneAndUpdate(
+            { account_id: parseInt(accountId), conversation_id: String(conversationId), bot_paused: true },
+            {
+                $set: {
+                    bot_paused: false,
+                    low_confidence_streak: 0,
+                    handed_back_at: new Date(),
+                    handed_back_by: handedBackBy
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (state) {
+            logger.info(`Conversation ${conversationId} of account ${accountId} handed back to the bot`);
+        }
+        return state;
+    }
+
+    async listEscalated(accountId, { limit = 50 } = {}) {
+        return ConversationState.find({ account_id: parseInt(accountId), bot_paused: true })
+            .sort({ 'escalation.escalated_at': -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async buildHandoffNote({ trigger, reason, messages, attributes, accountId, conversationId, accountConfig = null }) {
+        const lines = [
+            `Bot handoff: ${TRIGGER_LABELS[trigger] || trigger}`,
+            `Reason: ${reason}`,
+            "",
+            "Summary:",
+            // Past the hard limit no model may be called, not even for the summary
+            trigger === "budget_exceeded" ? formatTranscript(messages, 6) : await this.summarize(messages, accountConfig)
+        ];
+
+        const collected = Object.entries(attributes || {}).filter(([, value]) => value !== undefined && value !== null && value !== "");
+        if (collected.length > 0) {
+            lines.push("", "Collected attributes:", ...collected.map(([key, value]) => `- ${key}: ${value}`));
+        }
+
+        lines.push("", `The bot is paused on this conversation. Hand it back with POST /api/accounts/${accountId}/conversations/${conversationId}/handback`);
+        return lines.join("\n");
+    }
+
+    // Short summary for the agent; falls back to the last messages when the model is unavailable
+    async summarize(messages, accountConfig = null) {
+        const transcript = formatTranscript(messages);
+        if (!transcript) return "(no messages)";
+
+        try {
+            const output = await this._getSummaryChain(accountConfig).invoke(
+                { transcript },
+                { callbacks: usageLedger.callbacks(accountConfig?.account_id, "handoff_summary") }
+            );
+            return output.trim();
+        } catch (error) {
+            logger.warn(`Could not summarize conversation for handoff: ${error.message}`);
+            return formatTranscript(messages, 6);
+        }
+    }
+
+    // Shape returned by the API
+    static formatState(state) {
+        return {
+            account_id: state.account_id,
+            conversation_id: state.conversation_id,
+            bot_paused: !!state.bot_paused,
+            escalation: state.escalation?.trigger ? {
+                trigger: state.escalation.trigger,
+                reason: state.escalation.reason || null,
+                team_id: state.escalation.team_id || null,
+                escalated_at: state.escalation.escalated_at
+            } : null,
+            escalation_count: state.escalation_count || 0,
+            low_confidence_streak: state.low_confidence_streak || 0,
+            handed_back_at: state.handed_back_at || null,
+            handed_back_by: state.handed_back_by || null
+        };
+    }
+
+    _getSummaryChain(accountConfig) {
+        const llm = modelRegistry.chatModel("summarization", accountConfig, { model: process.env.ESCALATION_SUMMARY_MODEL });
+        if (!this.summaryChains.has(llm)) {
+            const prompt = ChatPromptTemplate.fromMessages([
+                [
+                    "system",
+                    `Summarize this support conversation for the human agent taking it over.
+In at most 5 short bullet points: what the customer wants, what the bot already answered, and what is still open.`
+                ],
+                ["human", "{transcript}"]
+            ]);
+            this.summaryChains.set(llm, prompt.pipe(llm).pipe(new StringOutputParser()));
+        }
+        return this.summaryChains.get(llm);
+    }
+}
+
+// Create singleton instance
+const escalationService = new EscalationService();
+
+export {
+    EscalationService,
+    DEFAULT_ESCALATION_SETTINGS,
+    getEscalationSettings,
+    detectHumanRequest,
+    scoreNegativeSentiment,
+    assessConfidence
+};
+export default escalationService;
@@ -0,0 +1,303 @@
+import os from "os";
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+import RagService, { parseRefreshInterval } from "./ragService1.js";
+import accountConfigService from "./accountConfigService.js";
+import { IngestionJob } from "../model/ingestionJobModel.js";
+import { parseChunkingOptions } from "../utils/chunking.js";
+import logger from "../utils/logger.js";
+
+// MongoDB-backed ingestion queue. Upload routes enqueue a job and return right away;
+// the worker started from server.js claims jobs one at a time and processes their items.
+class IngestionQueue {
+    constructor() {
+        this.ragService = new RagService();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = Number(process.env.INGESTION_POLL_INTERVAL_MS || 2000);
+        this.maxAttempts = Number(process.env.INGESTION_MAX_ATTEMPTS || 3);
+        this.retryDelayMs = Number(process.env.INGESTION_RETRY_DELAY_MS || 30000);
+        // A job locked for longer than this is assumed to belong to a dead worker
+        this.lockTimeoutMs = Number(process.env.INGESTION_LOCK_TIMEOUT_MS || 15 * 60 * 1000);
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    async enqueue({ files = [], body, source }) {
+        // Bot settings are saved on the account config right away and never stored on the job
+        const { urls, file_url, system_prompt, bot_api_key, api_key, ...options } = body;
+
+        if (!options.account_id) {
+            throw new Error("account_id is required");
+        }
+
+        // Bad chunking or refresh options fail the request now instead of every item later
+        try {
+            parseChunkingOptions(options);
+            parseRefreshInterval(options.refresh_interval_hours);
+        } catch (error) {
+            error.code = 'INVALID_OPTIONS';
+            throw error;
+        }
+
+        const items = [];
+
+        (files || []).forEach(file => {
+            items.push({
+                item_id: uuidv4(),
+                type: 'file',
+                name: file.originalname,
+                file_path: file.path,
+                file_name: file.originalname,
+                mimetype: file.mimetype,
+                file_size: file.size
+            });
+        });
+
+        if (Array.isArray(urls)) {
+            urls.forEach(url => {
+                items.push({ item_id: uuidv4(), type: 'url', name: url, url });
+            });
+        }
+
+        if (file_url) {
+            items.push({ item_id: uuidv4(), type: 'file_url', name: file_url, url: file_url });
+        }
+
+        if (items.length === 0) {
+            throw new Error("Nothing to process: provide files, urls or file_url");
+        }
+
+        await accountConfigService.syncFromDocumentBody(body);
+
+        const job = await IngestionJob.create({
+            job_id: uuidv4(),
+            account_id: parseInt(options.account_id),
+            source,
+            options,
+            items,
+            max_attempts: this.maxAttempts,
+            progress: { total: items.length }
+        });
+
+        logger.info(`Enqueued ingestion job ${job.job_id} for account ${job.account_id} with ${items.length} items`);
+        return job;
+    }
+
+    async getJob(jobId) {
+        return IngestionJob.findOne({ job_id: jobId }).lean();
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+
+        const loop = async () => {
+            try {
+                // Drain everything that is due before going back to sleep
+                while (!this.stopped && await this._runNextJob()) { /* keep going */ }
+            } catch (error) {
+                logger.error("Ingestion worker error:", error);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(loop, 0);
+        logger.info(`Ingestion worker ${this.workerId} started (poll every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Claim and process one job. Returns false when nothing was due.
+    async _runNextJob() {
+        const now = new Date();
+        const job = await IngestionJob.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', next_run_at: { $lte: now } },
+                    { status: 'processing', locked_at: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+                ]
+            },
+            {
+                $set: { status: 'processing', locked_by: this.workerId, locked_at: now }
+            },
+            { sort: { next_run_at: 1 }, new: true }
+        );
+
+        if (!job) return false;
+
+        if (!job.started_at) {
+            await IngestionJob.updateOne({ job_id: job.job_id }, { started_at: now });
+        }
+
+        logger.info(`Processing ingestion job ${job.job_id} (${job.items.length} items)`);
+
+        for (const item of job.items) {
+            // Items left in "processing" were interrupted by a crash and are retried
+            if (item.status !== 'pending' && item.status !== 'processing') continue;
+            if (this.stopped) break;
+            await this._processItem(job, item);
+        }
+
+        await this._finalizeJob(job.job_id);
+        return true;
+    }
+
+    async _processItem(job, item) {
+        const body = { ...job.options, account_id: job.account_id };
+        const attempts = (item.attempts || 0) + 1;
+
+        await this._updateItem(job.job_id, item.item_id, {
+            status: 'processing',
+            attempts,
+            started_at: new Date()
+        });
+
+        try {
+            let result;
+            switch (item.type) {
+                case 'file':
+                    result = await this.ragService.processFileItem({
+                        file: {
+                            path: item.file_path,
+                            originalname: item.file_name,
+                            mimetype: item.mimetype,
+                            size: item.file_size
+                        },
+                        body,
+                        fileId: item.item_id,
+                        uploaded: item.azure_upload || null,
+                        onUploaded: azureInfo => this._updateItem(job.job_id, item.item_id, { azure_upload: azureInfo })
+                    });
+                    break;
+                case 'url':
+                    result = await this.ragService.processUrlItem({ url: item.url, body, urlId: item.item_id });
+                    break;
+                case 'file_url':
+                    result = await this.ragService.processFileUrlItem({ fileUrl: item.url, body });
+                    break;
+                default:
+                    throw new Error(`Unknown item type: ${item.type}`);
+            }
+
+            await this._updateItem(job.job_id, item.item_id, {
+                status: result.status === 'skipped_duplicate' ? 'skipped' : 'completed',
+                document_id: result.documentId,
+                result,
+                last_error: null,
+                completed_at: new Date()
+            });
+            this._cleanupUpload(item);
+
+            logger.info(`Ingestion job ${job.job_id}: item ${item.name} ${result.status}`);
+        } catch (error) {
+            const exhausted = attempts >= (job.max_attempts || this.maxAttempts);
+            logger.error(`Ingestion job ${job.job_id}: item ${item.name} failed (attempt ${attempts}):`, error);
+
+            await this._updateItem(job.job_id, item.item_id, {
+                status: exhausted ? 'failed' : 'pending',
+                last_error: error.message,
+                completed_at: exhausted ? new Date() : null
+            });
+            if (exhausted) {
+                this._cleanupUpload(item);
+            }
+        }
+    }
+
+    async _updateItem(jobId, itemId, fields) {
+        const update = {};
+        Object.keys(fields).forEach(key => {
+            update[`items.$.${key}`] = fields[key];
+        });
+        await IngestionJob.updateOne({ job_id: jobId, 'items.item_id': itemId }, { $set: update });
+    }
+
+    // Recompute progress and decide whether the job is done or needs another attempt
+    async _finalizeJob(jobId) {
+        const job = await IngestionJob.findOne({ job_id: jobId }).lean();
+        const count = status => job.items.filter(item => item.status === status).length;
+
+        const progress = {
+            total: job.items.length,
+            completed: count('completed'),
+            failed: count('failed'),
+            skipped: count('skipped')
+        };
+        const pending = count('pending') + count('processing');
+
+        const update = { progress, locked_by: null, locked_at: null };
+
+        if (pending > 0) {
+            // Back off exponentially on the number of attempts made so far
+            const maxItemAttempts = Math.max(...job.items.map(item => item.attempts || 0), 1);
+            update.status = 'pending';
+            update.next_run_at = new Date(Date.now() + this.retryDelayMs * Math.pow(2, maxItemAttempts - 1));
+        } else {
+            if (progress.failed === 0) {
+                update.status = 'completed';
+            } else if (progress.failed === progress.total) {
+                update.status = 'failed';
+            } else {
+                update.status = 'partial';
+            }
+            update.finished_at = new Date();
+        }
+
+        await IngestionJob.updateOne({ job_id: jobId }, update);
+        logger.info(`Ingestion job ${jobId} is now ${update.status} (${progress.completed} completed, ${progress.skipped} skipped, ${progress.failed} failed, ${pending} pending)`);
+    }
+
+    // Uploaded files are kept on disk until their item can no longer be retried
+    _cleanupUpload(item) {
+        if (item.type === 'file' && item.file_path && fs.existsSync(item.file_path)) {
+            try {
+                fs.unlinkSync(item.file_path);
+            } catch (error) {
+                logger.warn(`Could not remove uploaded file ${item.file_path}: ${error.message}`);
+            }
+        }
+    }
+
+    // Shape returned by the jobs status endpoint
+    static formatJob(job) {
+        const pending = job.items.filter(item => item.status === 'pending' || item.status === 'processing').length;
+
+        return {
+            job_id: job.job_id,
+            account_id: job.account_id,
+            source: job.source,
+            status: job.status,
+            progress: { ...job.progress, pending },
+            items: job.items.map(item => ({
+                item_id: item.item_id,
+                type: item.type,
+                name: item.name,
+                status: item.status,
+                attempts: item.attempts,
+                document_id: item.document_id || null,
+                error: item.last_error || null,
+                result: item.result || null,
+                started_at: item.started_at || null,
+                completed_at: item.completed_at || null
+            })),
+            created_at: job.createdAt,
+            started_at: job.started_at || null,
+            finished_at: job.finished_at || null,
+            next_run_at: job.status === 'pending' ? job.next_run_at : null
+        };
+    }
+}
+
+// Create singleton instance
+const ingestionQueue = new IngestionQueue();
+
+export { IngestionQueue };
+export default ingestionQueue;
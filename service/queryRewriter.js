@@ -0,0 +1,171 @@
+// queryRewriter.js - Turns the latest customer message into standalone search queries
+//
+// Follow-ups like "what about the express one?" only make sense next to the earlier turns,
+// so the message is condensed with the transcript (and rolling summary) before retrieval.
+// Optionally the LLM also writes alternative phrasings; their results are merged with RRF.
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { reciprocalRankFusion } from "../utils/rankFusion.js";
+import { isSmallTalk } from "../utils/grounding.js";
+import { formatMessages } from "./conversationMemory.js";
+import modelRegistry from "../utils/modelRegistry.js";
+import usageLedger from "./usageLedger.js";
+import logger from "../utils/logger.js";
+
+// Used when an account has no retrieval_settings of its own
+const DEFAULT_RETRIEVAL_SETTINGS = {
+    query_rewriting: true, // Condense follow-ups into a standalone query
+    multi_queries: 0 // Extra phrasings to search with, 0 disables expansion
+};
+
+const MAX_MULTI_QUERIES = 3;
+
+function getRetrievalSettings(accountConfig) {
+    return { ...DEFAULT_RETRIEVAL_SETTINGS, ...(accountConfig?.retrieval_settings || {}) };
+}
+
+// Pull the JSON object out of the model output, tolerating code fences around it
+function parseRewrite(output) {
+    const match = String(output || "").match(/\{[\s\S]*\}/);
+    if (!match) throw new Error("Query rewrite returned no JSON object");
+
+    const parsed = JSON.parse(match[0]);
+    const query = typeof parsed.query === "string" ? parsed.query.trim() : "";
+    if (!query) throw new Error("Query rewrite returned an empty query");
+
+    const alternatives = Array.isArray(parsed.alternatives)
+        ? parsed.alternatives.filter(alt => typeof alt === "string" && alt.trim()).map(alt => alt.trim())
+        : [];
+    return { query, alternatives };
+}
+
+function uniqueQueries(queries) {
+    const seen = new Set();
+    return queries.filter(query => {
+        const key = query.toLowerCase().replace(/\s+/g, " ").trim();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Merge the results of several queries into one ranking
+ * @param {Array} resultLists - One list of KB hits per query, best first
+ * @param {number} limit
+ * @returns {Array} - Hits best first; each keeps its best vector_score and rerank_score
+ *   across queries so relevance thresholds still apply
+ */
+function fuseQueryResults(resultLists, limit) {
+    if (resultLists.length === 1) return resultLists[0].slice(0, limit);
+
+    const fused = reciprocalRankFusion(
+        resultLists.map((results, index) => ({ name: `query_${index}`, results })),
+        hit => `${hit.document_id}:${hit.chunk_index || 0}`
+    ).slice(0, limit);
+
+    return fused.map(entry => {
+        const items = Object.values(entry.items);
+        const best = (field) => {
+            const values = items.map(item => item[field]).filter(value => typeof value === "number");
+            return values.length > 0 ? Math.max(...values) : null;
+        };
+        return {
+            ...items[0],
+            score: entry.score,
+            vector_score: best("vector_score"),
+            rerank_score: best("rerank_score")
+        };
+    });
+}
+
+class QueryRewriter {
+    constructor() {
+        this.chains = new WeakMap(); // Per chat model
+    }
+
+    /**
+     * Build the search queries for the latest message
+     * @param {Object} params - { message, messages, summary, settings, accountConfig } messages are the
+     *   recent Chatwoot turns (the latest message may be among them), summary the rolling summary if any
+     * @returns {Promise<Object>} - { queries, rewritten, reason } queries[0] is the standalone query;
+     *   on failure or when rewriting does not apply, queries is just the message
+     */
+    async rewrite({ message, messages = [], summary = null, settings = DEFAULT_RETRIEVAL_SETTINGS, accountConfig = null }) {
+        const original = { queries: [message], rewritten: false };
+        const multiQueries = Math.min(Math.max(parseInt(settings.multi_queries) || 0, 0), MAX_MULTI_QUERIES);
+
+        if (!settings.query_rewriting && multiQueries === 0) {
+            return { ...original, reason: "disabled" };
+        }
+        if (isSmallTalk(message)) {
+            return { ...original, reason: "small talk" };
+        }
+
+        // The latest message is the one being rewritten, not part of the history
+        const history = [...messages];
+        const last = history[history.length - 1];
+        if (last && String(last.content).trim() === String(message).trim()) {
+            history.pop();
+        }
+        if (history.length === 0 && !summary && multiQueries === 0) {
+            return { ...original, reason: "first message" };
+        }
+
+        try {
+            const startTime = Date.now();
+            const output = await this._getChain(accountConfig).invoke({
+                summary: summary || "None.",
+                history: history.length > 0 ? formatMessages(history) : "None.",
+                message,
+                multi_queries: String(multiQueries)
+            }, { callbacks: usageLedger.callbacks(accountConfig?.account_id, "query_rewrite") });
+            const { query, alternatives } = parseRewrite(output);
+
+            // Rewriting off: keep the customer's words as the main query, only add phrasings
+            const main = settings.query_rewriting ? query : message;
+            const queries = uniqueQueries([main, ...alternatives.slice(0, multiQueries)]);
+
+            logger.info(`Rewrote "${message}" into ${queries.length} quer${queries.length === 1 ? "y" : "ies"} in ${Date.now() - startTime}ms: ${queries.map(q => `"${q}"`).join(", ")}`);
+            return { queries, rewritten: true, reason: null };
+        } catch (error) {
+            logger.warn(`Query rewrite failed, searching with the message as is: ${error.message}`);
+            return { ...original, reason: "rewrite failed" };
+        }
+    }
+
+    _getChain(accountConfig) {
+        const llm = modelRegistry.chatModel("query_rewrite", accountConfig);
+        if (!this.chains.has(llm)) {
+            const prompt = ChatPromptTemplate.fromMessages([
+                [
+                    "system",
+                    `You write knowledge base search queries for a customer support bot.
+Rewrite the customer's latest message into one standalone search query: resolve pronouns and references
+("it", "that one", "the express one") using the conversation, keep product names, numbers and other specifics,
+and drop greetings and filler. If the message already stands on its own, return it nearly unchanged.
+Also write {multi_queries} alternative phrasings of the query that could match differently worded documents.
+Reply with JSON only: {{"query": "...", "alternatives": ["..."]}}`
+                ],
+                [
+                    "human",
+                    "Summary of earlier conversation:\n{summary}\n\nRecent messages (oldest first):\n{history}\n\nLatest customer message:\n{message}"
+                ]
+            ]);
+            this.chains.set(llm, prompt.pipe(llm).pipe(new StringOutputParser()));
+        }
+        return this.chains.get(llm);
+    }
+}
+
+// Create singleton instance
+const queryRewriter = new QueryRewriter();
+
+export {
+    QueryRewriter,
+    DEFAULT_RETRIEVAL_SETTINGS,
+    MAX_MULTI_QUERIES,
+    getRetrievalSettings,
+    fuseQueryResults
+};
+export default queryRewriter;
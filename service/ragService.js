@@ -3,7 +3,9 @@ import fs from "fs";
 import path from "path";
 
 import { Client, DocEmbedding } from "../model/clientModel.js";
-import { OpenAIEmbeddings } from "@langchain/openai";
+import { getEmbeddings, defaultEmbeddingModel, getActiveEmbeddingModel, LEGACY_EMBEDDING_MODEL } from "../utils/embeddingModels.js";
+import usageLedger from "./usageLedger.js";
+import accountConfigService from "./accountConfigService.js";
 import logger from "../utils/logger.js";
 
 class RagService {
@@ -14,7 +16,7 @@ class RagService {
 
     async upload({ file, body }) {
         try {
-            const { account_id, inbox_ids, title, description, system_prompt, bot_api_key, api_key } = body;
+            const { account_id, inbox_ids, title, description } = body;
             
             if (!account_id) {
                 throw new Error("account_id is required");
@@ -44,10 +46,8 @@ class RagService {
 
             logger.info(`File validation passed - size: ${fileStats.size} bytes`);
 
-            // Initialize embeddings
-            const embeddings = new OpenAIEmbeddings({
-                openAIApiKey: process.env.OPENAI_API_KEY,
-            });
+            // Bot settings sent along with the upload go to the account config, not the document
+            const accountConfigUpdated = await accountConfigService.syncFromDocumentBody(body);
 
             let pages = [];
 
@@ -125,9 +125,6 @@ class RagService {
                 title: title || file.originalname || "Untitled Document",
                 description: description || "",
                 content: pages.join("\n---PAGE BREAK---\n"),
-                system_prompt: system_prompt || "",
-                bot_api_key: bot_api_key || "",
-                api_key: api_key || "",
                 is_active: true
             });
             await doc.save();
@@ -164,11 +161,10 @@ class RagService {
             // Compute embeddings and store everything
             if (allChunks.length > 0) {
                 // Allow specifying embedding model via body or env
-                const embeddingModel = body.embedding_model || process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small";
-                embeddings.modelName = embeddingModel;
-                
+                const embeddingModel = body.embedding_model || defaultEmbeddingModel();
+
                 const texts = allChunks.map(c => c.pageContent);
-                const vectors = await embeddings.embedDocuments(texts);
+                const vectors = await getEmbeddings(embeddingModel).embedDocuments(texts);
 
                 // Prepare chunks with embeddings for batch storage
                 const chunksWithEmbeddings = allChunks.map((chunk, i) => ({
@@ -176,38 +172,28 @@ class RagService {
                     embedding: vectors[i]
                 }));
 
-                // Store all embeddings in Client document
+                // Store all embeddings in Client document, with the model they can be compared to
                 await Client.updateOne(
                     { _id: doc._id },
-                    { $set: { embeddings: chunksWithEmbeddings } }
+                    { $set: { embeddings: chunksWithEmbeddings, embedding_model: embeddingModel } }
                 );
 
-                // Log embedding cost to Langfuse
+                // Record embedding usage and log its cost to Langfuse
                 try {
-                    const totalTokens = texts.reduce((sum, t) => sum + t.split(/\s+/).length, 0);
-                    // OpenAI embedding pricing as of 2024:
-                    // text-embedding-ada-002: $0.0001 / 1K tokens
-                    // text-embedding-3-small: $0.00002 / 1K tokens
-                    // text-embedding-3-large: $0.00013 / 1K tokens
-                    let model = embedder.modelName || embedder.model || "text-embedding-3-small";
-                    let pricePer1K = 0.00002; // default 3-small
-                    if (model.includes("ada-002")) pricePer1K = 0.0001;
-                    else if (model.includes("3-large")) pricePer1K = 0.00013;
-                    if (process.env.OPENAI_EMBED_COST_PER_1K) pricePer1K = parseFloat(process.env.OPENAI_EMBED_COST_PER_1K);
-                    
-                    const cost = (totalTokens / 1000) * pricePer1K;
-                    
+                    const cost = await usageLedger.recordEmbedding(account_id, "ingestion", embeddingModel, texts);
+                    const totalTokens = texts.reduce((sum, t) => sum + Math.ceil(t.length / 4), 0);
+
                     // Import Langfuse service dynamically to avoid circular dependencies
                     const sharedLangfuseService = (await import("../utils/langfuse.js")).default;
                     await sharedLangfuseService.logCost(account_id, {
                         transaction_type: "embedding",
-                        amount: cost,
+                        amount: cost || 0,
                         tokens_used: totalTokens,
-                        model,
+                        model: embeddingModel,
                         document_id: doc._id.toString(),
                         pricing_tier: process.env.OPENAI_PRICING_TIER || "default"
                     });
-                    logger.info(`Embedding cost logged: $${cost.toFixed(6)} for ${totalTokens} tokens`);
+                    logger.info(`Embedding cost logged: $${(cost || 0).toFixed(6)} for ~${totalTokens} tokens`);
                 } catch (err) {
                     logger.warn("Langfuse cost logging failed", err.message);
                 }
@@ -248,7 +234,7 @@ class RagService {
                 id: doc._id,
                 chunks: allChunks.length,
                 title: doc.title,
-                system_prompt: doc.system_prompt,
+                accountConfigUpdated,
             };
         } catch (error) {
             logger.error("Error in upload:", error.message);
@@ -331,20 +317,21 @@ class RagService {
                 throw new Error("query is required");
             }
 
-            // Initialize embeddings
-            const embeddings = new OpenAIEmbeddings({
-                apiKey: process.env.OPENAI_API_KEY,
-                modelName: process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small"
-            });
-
-            // Generate query embedding
-            const queryEmbedding = await embeddings.embedQuery(query);
+            // Generate query embedding with the account's model; only documents embedded with it are compared
+            const model = await getActiveEmbeddingModel(account_id);
+            const queryEmbedding = await getEmbeddings(model).embedQuery(query);
+            await usageLedger.recordEmbedding(account_id, "search", model, query);
 
             // Find documents for this account
             const documents = await Client.find({ 
                 account_id, 
                 is_active: true,
-                embeddings: { $exists: true, $ne: [] }
+                embeddings: { $exists: true, $ne: [] },
+                // The embeddings array is never migrated, so next_embedding_model does not count here
+                $or: [
+                    { embedding_model: model },
+                    ...(model === LEGACY_EMBEDDING_MODEL ? [{ embedding_model: { $exists: false } }] : [])
+                ]
             });
 
             let allResults = [];
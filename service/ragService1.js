@@ -1,20 +1,43 @@
 import { uploadFilesToAzure, deleteFileFromAzure } from "../utils/azureFileUpload.js";  
 import RagUtils from "../utils/ragUtils.js";
 import logger from "../utils/logger.js";
-import { insertEmbeddings, retrieveKBChunks } from "../utils/vectorDB.js";
+import { indexChunks, invalidateIndex, retrieveKBChunks, inboxFilter } from "../utils/vectorDB.js";
+import lexicalIndex from "../utils/lexicalIndex.js";
+import { reciprocalRankFusion, DEFAULT_RRF_K } from "../utils/rankFusion.js";
+import { rerankResults } from "../utils/reranker.js";
 import { UnifiedDocument } from "../model/clientModel.js";
+import { UrlSource } from "../model/urlSourceModel.js";
+import { getActiveEmbeddingModel } from "../utils/embeddingModels.js";
+import { resolveChunking, chunkContent, fileTypeKey } from "../utils/chunking.js";
+import { chunkLocation } from "../utils/grounding.js";
+import accountConfigService from "./accountConfigService.js";
+import usageLedger from "./usageLedger.js";
 import { v4 as uuidv4 } from "uuid";
 import path from "path";
 import fs from "fs";
 import crypto from "crypto";
 
+// Longest and shortest schedule a URL source may have, in hours
+const MAX_REFRESH_INTERVAL_HOURS = 24 * 365;
+const MIN_REFRESH_INTERVAL_HOURS = 1;
+
+// refresh_interval_hours from an upload body or the sources API; null when not given, 0 turns checks off
+function parseRefreshInterval(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || (hours !== 0 && (hours < MIN_REFRESH_INTERVAL_HOURS || hours > MAX_REFRESH_INTERVAL_HOURS))) {
+        throw new Error(`refresh_interval_hours must be 0 or between ${MIN_REFRESH_INTERVAL_HOURS} and ${MAX_REFRESH_INTERVAL_HOURS}`);
+    }
+    return hours;
+}
+
 class RagService {
     constructor() {
         this.ragUtils = new RagUtils();
     }
 
     async processAPI_Insert_Init({files, body}){
-        const { account_id, inbox_ids, title, description, system_prompt, bot_api_key, api_key, urls, file_url } = body;
+        const { account_id, urls, file_url } = body;
 
         try {
             if (!account_id) {
@@ -25,137 +48,19 @@ class RagService {
             const errors = [];
 
             logger.info(`Processing upload request for account ${account_id}`);
+
+            // Bot settings sent along with uploads go to the account config, not the chunks
+            await accountConfigService.syncFromDocumentBody(body);
             logger.info(`Files: ${files ? files.length : 0}, URLs: ${urls ? urls.length : 0}`);
 
             // Process files if provided
             if (files && files.length > 0) {
                 for (let i = 0; i < files.length; i++) {
                     const file = files[i];
-                    const fileId = uuidv4();
-                    
+
                     try {
                         logger.info(`Processing file ${i + 1}/${files.length}: ${file.originalname}`);
-
-                        // Step 1: Calculate file hash to check for duplicates
-                        const fileBuffer = file.buffer || fs.readFileSync(file.path);
-                        const fileHash = this._calculateFileHash(fileBuffer);
-                        logger.info(`File hash calculated: ${fileHash.substring(0, 16)}...`);
-
-                        // Step 2: Check for existing files
-                        const existingFileByHash = await this._checkExistingFileByHash(account_id, fileHash, file.originalname);
-                        const existingFileByName = await this._checkExistingFileByName(account_id, file.originalname);
-                        
-                        let azureUploadResults;
-                        let isUpdate = false;
-                        let isReplace = false;
-                        let oldBlobName = null;
-                        let updateReason = null;
-                        let oldDocumentId = null;
-
-                        // Logic fix: Handle duplicate detection properly
-                        if (existingFileByHash && existingFileByHash.metadata && existingFileByHash.metadata.file_hash === fileHash) {
-                            // Exact same file content found - skip
-                            logger.info(`File ${file.originalname} has identical content, skipping upload`);
-                            
-                            results.push({
-                                fileId: existingFileByHash.document_id,
-                                fileName: file.originalname,
-                                azureUrl: existingFileByHash.azure_url,
-                                azureBlobName: existingFileByHash.azure_blob_name,
-                                documentId: existingFileByHash.document_id,
-                                chunksCreated: 0,
-                                status: 'skipped_duplicate',
-                                type: 'file',
-                                message: 'File with identical content already exists'
-                            });
-                            continue;
-                        }
-
-                        // Fix: Better logic for file replacement scenarios
-                        if (existingFileByName && (!existingFileByHash || existingFileByName.document_id !== existingFileByHash.document_id)) {
-                            // Same filename but different content - replacement scenario
-                            logger.info(`File ${file.originalname} exists with different content, will replace existing file`);
-                            oldBlobName = existingFileByName.azure_blob_name;
-                            oldDocumentId = existingFileByName.document_id;
-                            isReplace = true;
-                            isUpdate = true;
-                            updateReason = 'content_changed';
-                        }
-
-                        // Step 3: Upload file to Azure
-                        if (isUpdate && oldBlobName) {
-                            azureUploadResults = await this._replaceAzureFile(oldBlobName, file);
-                            logger.info(`File ${isReplace ? 'replaced' : 'updated'} in Azure: ${azureUploadResults.url}`);
-                        } else {
-                            azureUploadResults = await this._uploadFileToAzure(file);
-                            logger.info(`New file uploaded to Azure: ${azureUploadResults.url}`);
-                        }
-
-                        // Step 4: Extract text content
-                        const extractedText = await this._extractTextFromFile(file);
-                        
-                        if (!extractedText || extractedText.trim().length === 0) {
-                            throw new Error("No text content could be extracted from the file");
-                        }
-
-                        // Step 5: Handle old document cleanup
-                        if (isUpdate && oldDocumentId) {
-                            logger.info(`${isReplace ? 'Replacing' : 'Updating'} old document records for: ${oldDocumentId}`);
-                            
-                            // Mark old documents as inactive
-                            await UnifiedDocument.updateMany({
-                                account_id: parseInt(account_id),
-                                document_id: oldDocumentId
-                            }, {
-                                is_active: false,
-                                replaced_date: new Date(),
-                                replaced_reason: updateReason,
-                                replaced_by: fileId // Use the new fileId
-                            });
-                            
-                            logger.info(`Marked old document ${oldDocumentId} as inactive`);
-                        }
-
-                        // Step 6: Process text and generate embeddings
-                        const processResult = await this._processTextAndEmbeddings({
-                            text: extractedText,
-                            account_id,
-                            inbox_ids,
-                            title: title || file.originalname,
-                            description: description || `${isUpdate ? 'Updated' : 'Uploaded'} file: ${file.originalname}`,
-                            system_prompt,
-                            bot_api_key,
-                            api_key,
-                            azureInfo: azureUploadResults,
-                            fileName: file.originalname,
-                            fileId,
-                            fileHash,
-                            isUpdate
-                        });
-
-                        results.push({
-                            fileId,
-                            fileName: file.originalname,
-                            azureUrl: azureUploadResults.url,
-                            azureBlobName: azureUploadResults.blobName,
-                            documentId: processResult.documentId,
-                            chunksCreated: processResult.chunksCreated,
-                            status: isUpdate ? (isReplace ? 'replaced' : 'updated') : 'success',
-                            type: 'file',
-                            isUpdate,
-                            isReplace,
-                            updateReason,
-                            oldDocumentId,
-                            fileHash: fileHash.substring(0, 16) + '...',
-                            processing: {
-                                textLength: extractedText.length,
-                                chunks: processResult.chunksCreated,
-                                processingTime: processResult.processingTimeMs
-                            }
-                        });
-
-                        logger.info(`Successfully ${isUpdate ? (isReplace ? 'replaced' : 'updated') : 'processed'} file: ${file.originalname}`);
-
+                        results.push(await this.processFileItem({ file, body }));
                     } catch (fileError) {
                         logger.error(`Error processing file ${file.originalname}:`, fileError);
                         errors.push({
@@ -171,43 +76,10 @@ class RagService {
             if (urls && Array.isArray(urls) && urls.length > 0) {
                 for (let i = 0; i < urls.length; i++) {
                     const url = urls[i];
-                    const urlId = uuidv4();
-                    
+
                     try {
                         logger.info(`Processing URL ${i + 1}/${urls.length}: ${url}`);
-
-                        // Extract text from URL using Firecrawl
-                        const extractedText = await this.ragUtils.crawlUrl(url);
-                        
-                        if (!extractedText || extractedText.trim().length === 0) {
-                            throw new Error("No content could be extracted from the URL");
-                        }
-
-                        // Process text and generate embeddings
-                        const processResult = await this._processTextAndEmbeddings({
-                            text: extractedText,
-                            account_id,
-                            inbox_ids,
-                            title: title || `Content from ${url}`,
-                            description: description || `Scraped content from ${url}`,
-                            system_prompt,
-                            bot_api_key,
-                            api_key,
-                            sourceUrl: url,
-                            urlId
-                        });
-
-                        results.push({
-                            urlId,
-                            sourceUrl: url,
-                            documentId: processResult.documentId,
-                            chunksCreated: processResult.chunksCreated,
-                            status: 'success',
-                            type: 'url'
-                        });
-
-                        logger.info(`Successfully processed URL: ${url}`);
-
+                        results.push(await this.processUrlItem({ url, body }));
                     } catch (urlError) {
                         logger.error(`Error processing URL ${url}:`, urlError);
                         errors.push({
@@ -222,40 +94,7 @@ class RagService {
             // Process file_url if provided
             if (file_url) {
                 try {
-                    logger.info(`Processing file URL: ${file_url}`);
-                    
-                    // Download and process file from URL
-                    const downloadedFile = await this._downloadFileFromUrl(file_url);
-                    const extractedText = await this._extractTextFromFile(downloadedFile);
-                    
-                    if (!extractedText || extractedText.trim().length === 0) {
-                        throw new Error("No text content could be extracted from the file URL");
-                    }
-
-                    const processResult = await this._processTextAndEmbeddings({
-                        text: extractedText,
-                        account_id,
-                        inbox_ids,
-                        title: title || `File from ${file_url}`,
-                        description: description || `Downloaded file from ${file_url}`,
-                        system_prompt,
-                        bot_api_key,
-                        api_key,
-                        sourceUrl: file_url,
-                        fileName: path.basename(file_url)
-                    });
-
-                    results.push({
-                        sourceUrl: file_url,
-                        fileName: path.basename(file_url),
-                        documentId: processResult.documentId,
-                        chunksCreated: processResult.chunksCreated,
-                        status: 'success',
-                        type: 'file_url'
-                    });
-
-                    logger.info(`Successfully processed file URL: ${file_url}`);
-
+                    results.push(await this.processFileUrlItem({ fileUrl: file_url, body }));
                 } catch (fileUrlError) {
                     logger.error(`Error processing file URL ${file_url}:`, fileUrlError);
                     errors.push({
@@ -285,6 +124,338 @@ class RagService {
         }
     }
 
+    // Process a single uploaded file: dedupe, upload to Azure, extract, embed.
+    // Used by processAPI_Insert_Init and by the ingestion job worker.
+    // uploaded: the blob an earlier attempt uploaded, used instead of uploading again;
+    // onUploaded(azureInfo) is called after a new upload so a retry can pass it back
+    async processFileItem({ file, body, fileId = uuidv4(), uploaded = null, onUploaded = null }) {
+        const { account_id, inbox_ids, title, description } = body;
+
+        // Step 1: Calculate file hash to check for duplicates
+        const fileBuffer = file.buffer || fs.readFileSync(file.path);
+        const fileHash = this._calculateFileHash(fileBuffer);
+        logger.info(`File hash calculated: ${fileHash.substring(0, 16)}...`);
+
+        // Step 2: Check for existing files
+        const existingFileByHash = await this._checkExistingFileByHash(account_id, fileHash, file.originalname);
+        const existingFileByName = await this._checkExistingFileByName(account_id, file.originalname);
+
+        let azureUploadResults;
+        let isUpdate = false;
+        let isReplace = false;
+        let oldBlobName = null;
+        let updateReason = null;
+        let oldDocumentId = null;
+
+        // Logic fix: Handle duplicate detection properly
+        if (existingFileByHash && existingFileByHash.metadata && existingFileByHash.metadata.file_hash === fileHash) {
+            // Exact same file content found - skip
+            logger.info(`File ${file.originalname} has identical content, skipping upload`);
+
+            return {
+                fileId: existingFileByHash.document_id,
+                fileName: file.originalname,
+                azureUrl: existingFileByHash.azure_url,
+                azureBlobName: existingFileByHash.azure_blob_name,
+                documentId: existingFileByHash.document_id,
+                chunksCreated: 0,
+                status: 'skipped_duplicate',
+                type: 'file',
+                message: 'File with identical content already exists'
+            };
+        }
+
+        // Fix: Better logic for file replacement scenarios
+        if (existingFileByName && (!existingFileByHash || existingFileByName.document_id !== existingFileByHash.document_id)) {
+            // Same filename but different content - replacement scenario
+            logger.info(`File ${file.originalname} exists with different content, will replace existing file`);
+            oldBlobName = existingFileByName.azure_blob_name;
+            oldDocumentId = existingFileByName.document_id;
+            isReplace = true;
+            isUpdate = true;
+            updateReason = 'content_changed';
+        }
+
+        // Step 3: Upload file to Azure. The previous version's blob stays until the new version is searchable.
+        if (uploaded?.blobName) {
+            azureUploadResults = uploaded;
+            logger.info(`Reusing Azure upload from an earlier attempt: ${azureUploadResults.url}`);
+        } else {
+            azureUploadResults = await this._uploadFileToAzure(file);
+            logger.info(`${isUpdate ? 'Replacement' : 'New'} file uploaded to Azure: ${azureUploadResults.url}`);
+            if (onUploaded) await onUploaded(azureUploadResults);
+        }
+
+        // Step 4: Extract text content, with pages or sheets where the format has them
+        const extracted = await this._extractContentFromFile(file);
+        const extractedText = extracted.text;
+
+        if (!extractedText || extractedText.trim().length === 0) {
+            throw new Error("No text content could be extracted from the file");
+        }
+
+        // Step 5: Process text and generate embeddings
+        const processResult = await this._processTextAndEmbeddings({
+            content: extracted,
+            chunking: body,
+            account_id,
+            inbox_ids,
+            title: title || file.originalname,
+            description: description || `${isUpdate ? 'Updated' : 'Uploaded'} file: ${file.originalname}`,
+            azureInfo: azureUploadResults,
+            fileName: file.originalname,
+            fileId,
+            fileHash,
+            isUpdate
+        });
+
+        // Step 6: The new version is searchable; retire the old one, so a failed attempt leaves it in place
+        if (isUpdate && oldDocumentId) {
+            logger.info(`${isReplace ? 'Replacing' : 'Updating'} old document records for: ${oldDocumentId}`);
+
+            await UnifiedDocument.updateMany({
+                account_id: parseInt(account_id),
+                document_id: oldDocumentId
+            }, {
+                is_active: false,
+                replaced_date: new Date(),
+                replaced_reason: updateReason,
+                replaced_by: fileId // Use the new fileId
+            });
+
+            await this._invalidateSearchIndexes(account_id);
+            logger.info(`Marked old document ${oldDocumentId} as inactive`);
+
+            if (oldBlobName && oldBlobName !== azureUploadResults.blobName) {
+                try {
+                    await deleteFileFromAzure(oldBlobName);
+                    logger.info(`Deleted old Azure file: ${oldBlobName}`);
+                } catch (error) {
+                    logger.warn(`Could not delete old Azure file ${oldBlobName}: ${error.message}`);
+                }
+            }
+        }
+
+        logger.info(`Successfully ${isUpdate ? (isReplace ? 'replaced' : 'updated') : 'processed'} file: ${file.originalname}`);
+
+        return {
+            fileId,
+            fileName: file.originalname,
+            azureUrl: azureUploadResults.url,
+            azureBlobName: azureUploadResults.blobName,
+            documentId: processResult.documentId,
+            chunksCreated: processResult.chunksCreated,
+            status: isUpdate ? (isReplace ? 'replaced' : 'updated') : 'success',
+            type: 'file',
+            isUpdate,
+            isReplace,
+            updateReason,
+            oldDocumentId,
+            fileHash: fileHash.substring(0, 16) + '...',
+            processing: {
+                textLength: extractedText.length,
+                chunks: processResult.chunksCreated,
+                chunkMethod: processResult.chunkMethod,
+                processingTime: processResult.processingTimeMs
+            }
+        };
+    }
+
+    // Process a single web page URL. The page is registered as a UrlSource, so service/urlRefresh.js
+    // checks it again on its schedule; content identical to the current version is not embedded again.
+    // html: the page as already fetched by a site crawl; used as is unless Firecrawl is configured.
+    // recheck: a scheduled check by service/urlRefresh.js rather than an upload of the page
+    async processUrlItem({ url, body, urlId = uuidv4(), html = null, recheck = false }) {
+        const { account_id, inbox_ids, title, description } = body;
+
+        // Extract text from URL using Firecrawl
+        const page = html !== null && !this.ragUtils.firecrawl
+            ? this.ragUtils.extractPageFromHtml(html)
+            : await this.ragUtils.crawlUrl(url);
+        const extractedText = page.text;
+
+        if (!extractedText || extractedText.trim().length === 0) {
+            throw new Error("No content could be extracted from the URL");
+        }
+
+        const contentHash = this._calculateFileHash(Buffer.from(extractedText.trim(), 'utf8'));
+        const source = await UrlSource.findOne({ account_id: parseInt(account_id), url }).lean();
+        const currentDoc = source?.document_id
+            ? await UnifiedDocument.exists({ account_id: parseInt(account_id), document_id: source.document_id, is_active: true })
+            : null;
+
+        if (currentDoc && source.content_hash === contentHash) {
+            logger.info(`URL ${url} has not changed since version ${source.version_number}, skipping`);
+            await this._saveUrlSource({ account_id, url, body, changed: false, pageTitle: page.title, recheck });
+            return {
+                urlId,
+                sourceUrl: url,
+                documentId: source.document_id,
+                chunksCreated: 0,
+                status: 'skipped_duplicate',
+                type: 'url',
+                message: 'URL content has not changed'
+            };
+        }
+
+        const versionNumber = currentDoc ? (source.version_number || 1) + 1 : 1;
+
+        // Firecrawl returns markdown, so headings can guide the chunking
+        const processResult = await this._processTextAndEmbeddings({
+            content: { text: extractedText, format: 'markdown' },
+            chunking: body,
+            fileType: 'url',
+            account_id,
+            inbox_ids,
+            // The page's own title and meta description unless the upload names them
+            title: title || page.title || `Content from ${url}`,
+            description: description || page.description || `Scraped content from ${url}`,
+            sourceUrl: url,
+            urlId,
+            fileHash: contentHash,
+            isUpdate: !!currentDoc,
+            versionNumber,
+            extractionMethod: page.method
+        });
+
+        // The new version is searchable; retire the previous one, as file replacements do
+        if (currentDoc) {
+            await UnifiedDocument.updateMany({
+                account_id: parseInt(account_id),
+                document_id: source.document_id
+            }, {
+                is_active: false,
+                replaced_date: new Date(),
+                replaced_reason: 'content_changed',
+                replaced_by: processResult.documentId
+            });
+            await this._invalidateSearchIndexes(account_id);
+            logger.info(`Replaced version ${source.version_number} of ${url} (document ${source.document_id})`);
+        }
+
+        await this._saveUrlSource({
+            account_id,
+            url,
+            body,
+            changed: true,
+            documentId: processResult.documentId,
+            versionNumber,
+            contentHash,
+            pageTitle: page.title,
+            recheck
+        });
+
+        logger.info(`Successfully processed URL: ${url}`);
+
+        return {
+            urlId,
+            sourceUrl: url,
+            documentId: processResult.documentId,
+            chunksCreated: processResult.chunksCreated,
+            status: currentDoc ? 'updated' : 'success',
+            type: 'url',
+            versionNumber
+        };
+    }
+
+    // Record a fetch of a URL on its UrlSource and schedule the next one.
+    // A site crawl (body.site_id) only adds the site to the page's site_ids: a page that was also
+    // uploaded on its own keeps its options and schedule, and a page the crawl creates is not
+    // checked on its own schedule, the site's re-crawls check it.
+    async _saveUrlSource({ account_id, url, body, changed, documentId, versionNumber, contentHash, pageTitle = null, recheck = false }) {
+        // Bot settings and the other items of the upload are not part of the page's options
+        const { account_id: _accountId, urls, file_url, system_prompt, bot_api_key, api_key, refresh_interval_hours, site_id, ...options } = body;
+        const now = new Date();
+        const set = { last_checked_at: now, last_error: null, consecutive_failures: 0 };
+        const setOnInsert = { source_id: uuidv4() };
+        const update = {};
+
+        if (site_id) {
+            update.$addToSet = { site_ids: site_id };
+            Object.assign(setOnInsert, { options, refresh_interval_hours: 0, standalone: false });
+        } else {
+            set.options = options;
+            const interval = parseRefreshInterval(refresh_interval_hours);
+            if (interval !== null) {
+                set.refresh_interval_hours = interval;
+            }
+            // Uploaded on its own: deleting or re-crawling a site never deletes it
+            if (recheck) {
+                setOnInsert.standalone = true;
+            } else {
+                set.standalone = true;
+            }
+        }
+        if (pageTitle) {
+            set.page_title = pageTitle;
+        }
+        if (changed) {
+            Object.assign(set, {
+                document_id: documentId,
+                version_number: versionNumber,
+                content_hash: contentHash,
+                last_changed_at: now,
+                status: 'active'
+            });
+        }
+
+        const source = await UrlSource.findOneAndUpdate(
+            { account_id: parseInt(account_id), url },
+            {
+                ...update,
+                $set: set,
+                $inc: { check_count: 1, change_count: changed ? 1 : 0 },
+                $setOnInsert: setOnInsert,
+                $unset: { locked_by: '', locked_at: '' }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        // 0 hours: no scheduled checks
+        source.next_check_at = source.refresh_interval_hours > 0
+            ? new Date(now.getTime() + source.refresh_interval_hours * 60 * 60 * 1000)
+            : null;
+        await source.save();
+        return source;
+    }
+
+    // Process a single file that has to be downloaded first
+    async processFileUrlItem({ fileUrl, body }) {
+        const { account_id, inbox_ids, title, description } = body;
+
+        logger.info(`Processing file URL: ${fileUrl}`);
+
+        // Download and process file from URL
+        const downloadedFile = await this._downloadFileFromUrl(fileUrl);
+        const extracted = await this._extractContentFromFile(downloadedFile);
+
+        if (!extracted.text || extracted.text.trim().length === 0) {
+            throw new Error("No text content could be extracted from the file URL");
+        }
+
+        const processResult = await this._processTextAndEmbeddings({
+            content: extracted,
+            chunking: body,
+            account_id,
+            inbox_ids,
+            title: title || `File from ${fileUrl}`,
+            description: description || `Downloaded file from ${fileUrl}`,
+            sourceUrl: fileUrl,
+            fileName: path.basename(fileUrl)
+        });
+
+        logger.info(`Successfully processed file URL: ${fileUrl}`);
+
+        return {
+            sourceUrl: fileUrl,
+            fileName: path.basename(fileUrl),
+            documentId: processResult.documentId,
+            chunksCreated: processResult.chunksCreated,
+            status: 'success',
+            type: 'file_url'
+        };
+    }
+
     // Fixed processAPI_Update method
     async processAPI_Update({body}){
         const { 
@@ -292,9 +463,6 @@ class RagService {
             document_id, 
             title, 
             description, 
-            system_prompt, 
-            bot_api_key, 
-            api_key, 
             inbox_ids,
             content,
             is_active,
@@ -326,6 +494,9 @@ class RagService {
 
             logger.info(`Found existing document: ${existingDoc.source_title}`);
 
+            // Bot settings belong to the account, not to this document
+            const accountConfigUpdated = await accountConfigService.syncFromDocumentBody(body);
+
             // Prepare update fields
             const updateFields = {
                 updatedAt: new Date()
@@ -339,15 +510,6 @@ class RagService {
             if (description !== undefined) {
                 updateFields.description = description;
             }
-            if (system_prompt !== undefined) {
-                updateFields.system_prompt = system_prompt;
-            }
-            if (bot_api_key !== undefined) {
-                updateFields.bot_api_key = bot_api_key;
-            }
-            if (api_key !== undefined) {
-                updateFields.api_key = api_key;
-            }
             if (inbox_ids !== undefined) {
                 updateFields.inbox_ids = Array.isArray(inbox_ids) ? inbox_ids : inbox_ids.split(',').map(id => id.trim());
             }
@@ -371,12 +533,22 @@ class RagService {
                 contentUpdated = true;
                 logger.info(`Content updated, regenerating embeddings for document ${document_id}`);
 
-                // Split text into chunks
-                const textChunks = await this.ragUtils.splitText(content);
-                logger.info(`Text split into ${textChunks.length} chunks`);
-
-                // Generate new embeddings
-                const embeddings = await this.ragUtils.generateEmbeddings(textChunks);
+                // Split text into chunks; the original file is not re-read, so only text methods apply
+                const accountConfig = await accountConfigService.get(account_id);
+                const chunking = resolveChunking({
+                    format: 'text',
+                    fileType: existingDoc.file_type ? existingDoc.file_type.replace(/^\./, '') : null,
+                    upload: body,
+                    accountSettings: accountConfig?.chunking_settings
+                });
+                const chunked = await chunkContent({ text: content, format: 'text' }, chunking);
+                const textChunks = chunked.chunks.map(chunk => chunk.content);
+                logger.info(`Text split into ${textChunks.length} chunks with ${chunked.chunk_method}`);
+
+                // Generate new embeddings with the model the account is searched with
+                const embeddingModel = await getActiveEmbeddingModel(account_id);
+                const embeddings = await this.ragUtils.generateEmbeddings(textChunks, embeddingModel);
+                await usageLedger.recordEmbedding(account_id, "ingestion", embeddingModel, textChunks);
                 logger.info(`Generated ${embeddings.length} embeddings`);
 
                 // Remove ALL existing chunks for this document first
@@ -428,16 +600,13 @@ class RagService {
                         // Processing information
                         processing_method: 'api',
                         processing_date: new Date(),
-                        embedding_model: 'text-embedding-3-small',
-                        chunk_method: 'recursive_character',
-                        chunk_size: 1000,
-                        chunk_overlap: 200,
+                        embedding_model: embeddingModel,
+                        chunk_method: chunked.chunk_method,
+                        chunk_size: chunked.chunk_size,
+                        chunk_overlap: chunked.chunk_overlap,
                         
-                        // Bot configuration
+                        // Inboxes this document is visible to
                         inbox_ids: updateFields.inbox_ids || existingDoc.inbox_ids,
-                        bot_api_key: updateFields.bot_api_key || existingDoc.bot_api_key,
-                        api_key: updateFields.api_key || existingDoc.api_key,
-                        system_prompt: updateFields.system_prompt || existingDoc.system_prompt,
                         
                         // Metadata
                         metadata: {
@@ -447,6 +616,7 @@ class RagService {
                             total_content_length: content.length,
                             chunk_position: i + 1,
                             total_chunks: textChunks.length,
+                            section: chunked.chunks[i].section || null,
                             processing_time_ms: Date.now(),
                             last_updated: new Date(),
                             update_type: 'content_regeneration'
@@ -465,24 +635,9 @@ class RagService {
                 const insertResult = await UnifiedDocument.insertMany(documents);
                 logger.info(`Inserted ${insertResult.length} updated document chunks into MongoDB`);
 
-                // Update vector store
-                try {
-                    await insertEmbeddings({
-                        account_id: parseInt(account_id),
-                        chunks: textChunks.map((chunk, index) => ({
-                            content: chunk,
-                            index: index
-                        })),
-                        vectors: embeddings,
-                        sourceTitle: updateFields.source_title || existingDoc.source_title,
-                        sourceUri: existingDoc.source_uri,
-                        documentId: document_id
-                    });
-                    logger.info(`Updated vector store with ${textChunks.length} chunks for document ${document_id}`);
-                } catch (vectorError) {
-                    logger.error(`Error updating vector store:`, vectorError);
-                    // Continue with update even if vector store fails
-                }
+                // The old chunks are gone, so the account's vector index has to be rebuilt
+                await this._invalidateSearchIndexes(account_id);
+                logger.info(`Invalidated vector index after regenerating ${textChunks.length} chunks for document ${document_id}`);
 
                 return {
                     success: true,
@@ -491,7 +646,8 @@ class RagService {
                     account_id: parseInt(account_id),
                     contentUpdated: true,
                     chunksUpdated: textChunks.length,
-                    updatedFields: Object.keys(updateFields)
+                    updatedFields: Object.keys(updateFields),
+                    accountConfigUpdated
                 };
             } else {
                 // No content update - just update metadata and other fields
@@ -510,6 +666,11 @@ class RagService {
 
                 logger.info(`Updated ${updatedDocs.modifiedCount} document chunks for document ${document_id}`);
 
+                // Activating or deactivating chunks changes what vector search may return
+                if (updateFields.is_active !== undefined) {
+                    await this._invalidateSearchIndexes(account_id);
+                }
+
                 return {
                     success: true,
                     message: "Document metadata updated successfully",
@@ -517,7 +678,8 @@ class RagService {
                     account_id: parseInt(account_id),
                     contentUpdated: false,
                     chunksUpdated: updatedDocs.modifiedCount,
-                    updatedFields: Object.keys(updateFields)
+                    updatedFields: Object.keys(updateFields),
+                    accountConfigUpdated
                 };
             }
 
@@ -559,7 +721,8 @@ class RagService {
                 account_id: parseInt(account_id),
                 'metadata.file_hash': fileHash,
                 file_name: fileName,
-                is_active: true
+                is_active: true,
+                processing_status: 'completed'
             });
             
             return existingDoc;
@@ -575,7 +738,8 @@ class RagService {
             const existingDoc = await UnifiedDocument.findOne({
                 account_id: parseInt(account_id),
                 file_name: fileName,
-                is_active: true
+                is_active: true,
+                processing_status: 'completed'
             }).sort({ processing_date: -1 });
             
             return existingDoc;
@@ -585,27 +749,6 @@ class RagService {
         }
     }
 
-    // Helper method to replace Azure file
-    async _replaceAzureFile(oldBlobName, newFile) {
-        try {
-            // Delete old file from Azure if it exists
-            if (oldBlobName) {
-                logger.info(`Deleting old Azure file: ${oldBlobName}`);
-                await deleteFileFromAzure(oldBlobName);
-                logger.info(`Successfully deleted old Azure file: ${oldBlobName}`);
-            }
-
-            // Upload new file to Azure
-            const newAzureInfo = await this._uploadFileToAzure(newFile);
-            logger.info(`Successfully uploaded new file to Azure: ${newAzureInfo.url}`);
-            
-            return newAzureInfo;
-        } catch (error) {
-            logger.error("Error replacing Azure file:", error);
-            throw error;
-        }
-    }
-
     // Helper method to upload file to Azure
     async _uploadFileToAzure(file) {
         try {
@@ -623,38 +766,49 @@ class RagService {
         }
     }
 
-    // Helper method to extract text from different file types
-    async _extractTextFromFile(file) {
+    // Helper method to extract content from different file types.
+    // Returns { text, format } plus pages for PDFs and sheets for spreadsheets (utils/chunking.js)
+    async _extractContentFromFile(file) {
         try {
             const filePath = file.path || file.filepath;
             const fileExtension = path.extname(file.originalname || file.name).toLowerCase();
             
-            let extractedText = '';
+            let content;
 
             switch (fileExtension) {
-                case '.pdf':
-                    extractedText = await this.ragUtils.extractTextFromPDF(filePath);
+                case '.pdf': {
+                    const pages = await this.ragUtils.extractPagesFromPDF(filePath);
+                    content = { text: pages.map(page => page.text).join('\n'), format: 'pdf', pages };
                     break;
+                }
                 case '.txt':
-                    extractedText = fs.readFileSync(filePath, 'utf8');
+                    content = { text: fs.readFileSync(filePath, 'utf8'), format: 'text' };
+                    break;
+                case '.md':
+                case '.markdown':
+                    content = { text: fs.readFileSync(filePath, 'utf8'), format: 'markdown' };
                     break;
                 case '.docx':
                 case '.doc':
-                    extractedText = await this.ragUtils.extractTextFromDocx(filePath);
+                    content = { text: await this.ragUtils.extractTextFromDocx(filePath), format: 'text' };
                     break;
                 case '.xlsx':
                 case '.xls':
-                    extractedText = await this.ragUtils.extractTextFromExcel(filePath);
+                case '.csv': {
+                    const sheets = await this.ragUtils.extractSheetsFromExcel(filePath);
+                    const text = sheets.map(sheet => sheet.rows.map(row => row.join(',')).join('\n')).join('\n');
+                    content = { text, format: 'spreadsheet', sheets };
                     break;
+                }
                 default:
                     throw new Error(`Unsupported file type: ${fileExtension}`);
             }
 
-            if (!extractedText || extractedText.trim().length === 0) {
+            if (!content.text || content.text.trim().length === 0) {
                 throw new Error("No text content found in the file");
             }
 
-            return extractedText;
+            return content;
         } catch (error) {
             logger.error(`Error extracting text from file:`, error);
             throw error;
@@ -662,33 +816,49 @@ class RagService {
     }
 
     // Fixed helper method to process text and generate embeddings
+    // content: { text, format, pages, sheets } as returned by _extractContentFromFile.
+    // chunking: the upload body, whose chunk_* fields override the account's chunking_settings.
+    // extractionMethod: what produced a page's text ("firecrawl" or "html_extractor"); files use the file parser
     async _processTextAndEmbeddings({
-        text, 
+        content,
+        chunking = {},
+        fileType = null,
         account_id, 
         inbox_ids, 
         title, 
         description, 
-        system_prompt, 
-        bot_api_key, 
-        api_key, 
         azureInfo, 
         sourceUrl, 
         fileName, 
         fileId, 
         urlId,
         fileHash = null,
-        isUpdate = false
+        isUpdate = false,
+        versionNumber = null,
+        extractionMethod = null
     }) {
         try {
             const startTime = Date.now();
             const documentId = uuidv4();
             
-            // Split text into chunks
-            const textChunks = await this.ragUtils.splitText(text);
-            logger.info(`Text split into ${textChunks.length} chunks`);
-
-            // Generate embeddings for all chunks
-            const embeddings = await this.ragUtils.generateEmbeddings(textChunks);
+            const text = content.text;
+
+            // Split into chunks with the method picked for the upload, file type or format
+            const accountConfig = await accountConfigService.get(account_id);
+            const chunkingOptions = resolveChunking({
+                format: content.format,
+                fileType: fileType || fileTypeKey(fileName),
+                upload: chunking,
+                accountSettings: accountConfig?.chunking_settings
+            });
+            const chunked = await chunkContent(content, chunkingOptions);
+            const textChunks = chunked.chunks.map(chunk => chunk.content);
+            logger.info(`Text split into ${textChunks.length} chunks with ${chunked.chunk_method} (size ${chunked.chunk_size}, overlap ${chunked.chunk_overlap})`);
+
+            // Generate embeddings for all chunks with the model the account is searched with
+            const embeddingModel = await getActiveEmbeddingModel(account_id);
+            const embeddings = await this.ragUtils.generateEmbeddings(textChunks, embeddingModel);
+            await usageLedger.recordEmbedding(account_id, "ingestion", embeddingModel, textChunks);
             logger.info(`Generated ${embeddings.length} embeddings`);
 
             const processingTime = Date.now() - startTime;
@@ -697,11 +867,14 @@ class RagService {
             const sourceType = sourceUrl ? (fileId ? 'file_url' : 'url') : 'file';
             const documents = [];
 
-            // Get version number for files
-            const versionNumber = fileName ? await this._getNextVersionNumber(account_id, fileName) : 1;
+            // Get version number for files; URL versions are counted on their UrlSource
+            if (!versionNumber) {
+                versionNumber = fileName ? await this._getNextVersionNumber(account_id, fileName) : 1;
+            }
 
             for (let i = 0; i < textChunks.length; i++) {
                 const chunk = textChunks[i];
+                const chunkInfo = chunked.chunks[i];
                 const embedding = embeddings[i];
 
                 const docEmbedding = {
@@ -737,40 +910,43 @@ class RagService {
                     // Processing information
                     processing_method: 'api',
                     processing_date: new Date(),
-                    embedding_model: 'text-embedding-3-small',
-                    chunk_method: 'recursive_character',
-                    chunk_size: 1000,
-                    chunk_overlap: 200,
+                    embedding_model: embeddingModel,
+                    chunk_method: chunked.chunk_method,
+                    chunk_size: chunked.chunk_size,
+                    chunk_overlap: chunked.chunk_overlap,
                     
-                    // Bot configuration
+                    // Inboxes this document is visible to
                     inbox_ids: inbox_ids ? (Array.isArray(inbox_ids) ? inbox_ids : inbox_ids.split(',').map(id => id.trim())) : [],
-                    bot_api_key: bot_api_key || null,
-                    api_key: api_key || null,
-                    system_prompt: system_prompt || null,
                     
                     // Content metadata
                     metadata: {
                         description: description || null,
                         content_length: chunk.length,
                         processing_time_ms: processingTime,
-                        extraction_method: sourceType === 'url' ? 'firecrawl' : 'file_parser',
+                        extraction_method: extractionMethod || 'file_parser',
                         total_chunks: textChunks.length,
                         chunk_position: i + 1,
                         file_hash: fileHash,
                         is_update: isUpdate,
                         update_timestamp: isUpdate ? new Date() : null,
                         version_number: versionNumber,
+                        page_number: chunkInfo.page_number !== undefined ? String(chunkInfo.page_number) : null,
+                        total_pages: content.pages ? content.pages.length : null,
                         additional: {
                             originalTextLength: text.length,
                             compressionRatio: chunk.length / text.length,
-                            chunkSizeRatio: chunk.length / 1000
+                            chunkSizeRatio: chunk.length / chunked.chunk_size,
+                            section: chunkInfo.section || null,
+                            sheet: chunkInfo.sheet || null,
+                            rowStart: chunkInfo.row_start || null,
+                            rowEnd: chunkInfo.row_end || null
                         }
                     },
                     
-                    // Status and flags
+                    // Status and flags - flipped to completed once the vector store has the chunks
                     is_active: true,
-                    is_processed: true,
-                    processing_status: 'completed',
+                    is_processed: false,
+                    processing_status: 'processing',
                     
                     // Legacy compatibility
                     pageContent: chunk,
@@ -784,28 +960,45 @@ class RagService {
             const insertResult = await UnifiedDocument.insertMany(documents);
             logger.info(`Inserted ${insertResult.length} document embeddings into MongoDB`);
 
-            // Also insert into vector store for similarity search
-            const vectorInsertResult = await insertEmbeddings({
-                account_id: parseInt(account_id),
-                chunks: textChunks.map((chunk, index) => ({
-                    content: chunk,
-                    index: index
-                })),
-                vectors: embeddings,
-                sourceTitle: title,
-                sourceUri: azureInfo?.url || sourceUrl || fileName,
-                documentId: documentId
-            });
+            // An embedding migration may have switched the account while this document was being
+            // embedded, and its sweep for old-model chunks may already have run
+            const activeModel = await getActiveEmbeddingModel(account_id);
+            if (activeModel !== embeddingModel) {
+                await this._reembedChunks(account_id, insertResult, activeModel);
+            }
+
+            // Register the new chunks with the vector index used for similarity search
+            let vectorInsertResult;
+            try {
+                vectorInsertResult = await indexChunks({
+                    account_id: parseInt(account_id),
+                    chunks: insertResult
+                });
+            } catch (vectorError) {
+                await this._discardFailedChunks(account_id, documentId, vectorError.message);
+                throw vectorError;
+            }
 
-            logger.info(`Inserted ${textChunks.length} embeddings into vector store`);
+            logger.info(`Indexed ${textChunks.length} embeddings for vector search`);
+
+            // Search only returns completed chunks, so BM25 is rebuilt once they are. Chunks left
+            // in processing would never be searchable, so the item fails and is retried instead.
+            try {
+                await this._setProcessingStatus(account_id, documentId, 'completed');
+            } catch (statusError) {
+                await this._discardFailedChunks(account_id, documentId, statusError.message);
+                throw statusError;
+            }
+            lexicalIndex.invalidate(account_id);
 
             return {
                 documentId: documentId,
                 chunksCreated: textChunks.length,
+                chunkMethod: chunked.chunk_method,
                 embeddingsInserted: insertResult.length,
                 processingTimeMs: processingTime,
                 mongoInserted: insertResult.length,
-                vectorInserted: vectorInsertResult.inserted || textChunks.length
+                vectorInserted: vectorInsertResult.indexed || textChunks.length
             };
 
         } catch (error) {
@@ -814,6 +1007,74 @@ class RagService {
         }
     }
 
+    // Helper method to embed freshly inserted chunks again with the account's current model
+    async _reembedChunks(account_id, chunks, model) {
+        try {
+            const contents = chunks.map(chunk => chunk.content);
+            const vectors = await this.ragUtils.generateEmbeddings(contents, model);
+            await usageLedger.recordEmbedding(account_id, "ingestion", model, contents);
+            await UnifiedDocument.bulkWrite(chunks.map((chunk, i) => ({
+                updateOne: {
+                    filter: { _id: chunk._id },
+                    update: { $set: { embedding: vectors[i], embedding_model: model } }
+                }
+            })));
+            chunks.forEach((chunk, i) => {
+                chunk.embedding = vectors[i];
+                chunk.embedding_model = model;
+            });
+            logger.info(`Embedding model of account ${account_id} changed during ingestion; re-embedded ${chunks.length} chunks with ${model}`);
+        } catch (error) {
+            await this._discardFailedChunks(account_id, chunks[0]?.document_id, error.message);
+            throw error;
+        }
+    }
+
+    // Helper method to drop cached vector and lexical indexes after chunks change
+    async _invalidateSearchIndexes(account_id) {
+        await invalidateIndex(account_id);
+        lexicalIndex.invalidate(account_id);
+    }
+
+    // Helper method to take the chunks of a document that failed to index out of search and
+    // dedupe, so a retry ingests it again; the chunks are kept with their error for inspection
+    async _discardFailedChunks(account_id, document_id, errorMessage) {
+        try {
+            await UnifiedDocument.updateMany(
+                {
+                    account_id: parseInt(account_id),
+                    document_id: document_id
+                },
+                {
+                    is_active: false,
+                    processing_status: 'failed',
+                    is_processed: false,
+                    error_message: errorMessage
+                }
+            );
+            // The vector index may already hold some of them
+            await this._invalidateSearchIndexes(account_id);
+        } catch (error) {
+            logger.error(`Error discarding failed chunks of document ${document_id}:`, error);
+        }
+    }
+
+    // Helper method to record the real processing state on every chunk of a document.
+    // Errors reach the caller: a document whose status was not written is not searchable.
+    async _setProcessingStatus(account_id, document_id, status, errorMessage = null) {
+        await UnifiedDocument.updateMany(
+            {
+                account_id: parseInt(account_id),
+                document_id: document_id
+            },
+            {
+                processing_status: status,
+                is_processed: status === 'completed',
+                error_message: errorMessage
+            }
+        );
+    }
+
     // Helper method to download file from URL
     async _downloadFileFromUrl(fileUrl) {
         try {
@@ -841,9 +1102,28 @@ class RagService {
     }
 
     // Multi-method retrieval function
-    async searchDocuments({ account_id, query, limit = 10, searchMethod = 'hybrid', filters = {} }) {
+    // rerank: { method: 'llm' | 'local', candidates, model } rescores a larger candidate set before truncating to limit;
+    // model is the account's rerank model from modelRegistry.resolve("rerank", accountConfig)
+    async searchDocuments({ account_id, query, limit = 10, searchMethod = 'hybrid', filters = {}, fusion = {}, rerank = null }) {
         try {
             logger.info(`Searching documents for account ${account_id} with method: ${searchMethod}`);
+
+            if (rerank && rerank.method) {
+                const candidates = await this.searchDocuments({
+                    account_id,
+                    query,
+                    limit: rerank.candidates || Math.max(limit * 3, 20),
+                    searchMethod,
+                    filters,
+                    fusion
+                });
+                const reranked = await rerankResults(query, candidates, {
+                    method: rerank.method,
+                    model: rerank.model || null,
+                    callbacks: usageLedger.callbacks(account_id, "rerank")
+                });
+                return reranked.slice(0, limit);
+            }
             
             switch (searchMethod) {
                 case 'vector':
@@ -851,8 +1131,10 @@ class RagService {
                     const vectorResults = await retrieveKBChunks({
                         account_id: parseInt(account_id),
                         query,
-                        limit
+                        limit,
+                        inbox_id: filters.inbox_id
                     });
+                    await this._recordQueryEmbedding(account_id, query);
                     return vectorResults;
                     
                 case 'database':
@@ -860,7 +1142,9 @@ class RagService {
                     const dbQuery = {
                         account_id: parseInt(account_id),
                         is_active: true,
-                        $text: { $search: query }
+                        processing_status: 'completed',
+                        $text: { $search: query },
+                        ...inboxFilter(filters.inbox_id)
                     };
                     
                     // Apply additional filters
@@ -891,17 +1175,20 @@ class RagService {
                         source_title: doc.source_title,
                         source_uri: doc.source_uri,
                         source_type: doc.source_type,
+                        ...this._sourceFields(doc),
                         score: doc.score || 0,
                         metadata: doc.metadata,
                         chunk_index: doc.chunk_index
                     }));
                     
                 case 'keyword':
-                    // Keyword-based search in content
+                    // Keyword-based search in content (query matched literally)
                     const keywordQuery = {
                         account_id: parseInt(account_id),
                         is_active: true,
-                        content: { $regex: query, $options: 'i' }
+                        processing_status: 'completed',
+                        content: { $regex: this._escapeRegex(query), $options: 'i' },
+                        ...inboxFilter(filters.inbox_id)
                     };
                     
                     const keywordResults = await UnifiedDocument.find(keywordQuery)
@@ -915,6 +1202,7 @@ class RagService {
                         source_title: doc.source_title,
                         source_uri: doc.source_uri,
                         source_type: doc.source_type,
+                        ...this._sourceFields(doc),
                         score: this._calculateKeywordScore(doc.content, query),
                         metadata: doc.metadata,
                         chunk_index: doc.chunk_index
@@ -922,57 +1210,7 @@ class RagService {
                     
                 case 'hybrid':
                 default:
-                    // Combine vector search and database search
-                    const [vectorRes, dbRes] = await Promise.all([
-                        retrieveKBChunks({
-                            account_id: parseInt(account_id),
-                            query,
-                            limit: Math.ceil(limit / 2)
-                        }).catch(err => {
-                            logger.warn("Vector search failed:", err);
-                            return [];
-                        }),
-                        UnifiedDocument.find({
-                            account_id: parseInt(account_id),
-                            is_active: true,
-                            content: { $regex: query, $options: 'i' }
-                        })
-                        .sort({ processing_date: -1 })
-                        .limit(Math.ceil(limit / 2))
-                        .lean()
-                        .catch(err => {
-                            logger.warn("Database search failed:", err);
-                            return [];
-                        })
-                    ]);
-                    
-                    // Combine and deduplicate results
-                    const combinedResults = [...vectorRes];
-                    
-                    dbRes.forEach(doc => {
-                        const exists = combinedResults.find(r => 
-                            r.document_id === doc.document_id && 
-                            r.chunk_index === doc.chunk_index
-                        );
-                        
-                        if (!exists) {
-                            combinedResults.push({
-                                content: doc.content,
-                                document_id: doc.document_id,
-                                source_title: doc.source_title,
-                                source_uri: doc.source_uri,
-                                source_type: doc.source_type,
-                                score: this._calculateKeywordScore(doc.content, query),
-                                metadata: doc.metadata,
-                                chunk_index: doc.chunk_index
-                            });
-                        }
-                    });
-                    
-                    // Sort by score and limit
-                    return combinedResults
-                        .sort((a, b) => (b.score || 0) - (a.score || 0))
-                        .slice(0, limit);
+                    return await this._hybridSearch({ account_id, query, limit, fusion, inbox_id: filters.inbox_id });
             }
             
         } catch (error) {
@@ -981,6 +1219,99 @@ class RagService {
         }
     }
 
+    // The vector index embeds the query with the account's active model
+    async _recordQueryEmbedding(account_id, query) {
+        await usageLedger.recordEmbedding(account_id, "search", await getActiveEmbeddingModel(account_id), query);
+    }
+
+    // Hybrid retrieval: vector and BM25 rankings merged with reciprocal rank fusion.
+    // fusion: { vector_weight, lexical_weight, rrf_k, candidates }
+    async _hybridSearch({ account_id, query, limit, fusion = {}, inbox_id }) {
+        const {
+            vector_weight = 1,
+            lexical_weight = 1,
+            rrf_k = DEFAULT_RRF_K,
+            candidates = Math.max(limit * 3, 20)
+        } = fusion;
+
+        const [vectorRes, lexicalRes] = await Promise.all([
+            retrieveKBChunks({
+                account_id: parseInt(account_id),
+                query,
+                limit: candidates,
+                inbox_id
+            }).then(async results => {
+                await this._recordQueryEmbedding(account_id, query);
+                return results;
+            }).catch(err => {
+                logger.warn("Vector search failed:", err);
+                return [];
+            }),
+            lexicalIndex.search(account_id, query, candidates, { inboxId: inbox_id }).catch(err => {
+                logger.warn("Lexical search failed:", err);
+                return [];
+            })
+        ]);
+
+        const fused = reciprocalRankFusion([
+            { name: 'vector', weight: vector_weight, results: vectorRes },
+            { name: 'lexical', weight: lexical_weight, results: lexicalRes }
+        ], result => `${result.document_id}:${result.chunk_index || 0}`, { k: rrf_k }).slice(0, limit);
+
+        // Lexical hits only carry chunk ids, so load the chunks only they found
+        const lexicalOnlyIds = fused
+            .filter(entry => !entry.items.vector)
+            .map(entry => entry.items.lexical.id);
+        const lexicalDocs = lexicalOnlyIds.length > 0
+            ? await UnifiedDocument.find({ _id: { $in: lexicalOnlyIds }, is_active: true, processing_status: 'completed' })
+                .select('-embedding -embeddings -next_embedding')
+                .lean()
+            : [];
+        const lexicalDocsById = new Map(lexicalDocs.map(doc => [doc._id.toString(), doc]));
+
+        return fused
+            .map(entry => {
+                const vectorHit = entry.items.vector;
+                const lexicalHit = entry.items.lexical;
+                const source = vectorHit || lexicalDocsById.get(lexicalHit.id);
+
+                if (!source) return null;
+
+                return {
+                    content: source.content,
+                    document_id: source.document_id,
+                    source_title: source.source_title,
+                    source_uri: source.source_uri,
+                    source_type: source.source_type,
+                    ...this._sourceFields(source),
+                    score: entry.score,
+                    vector_score: vectorHit ? vectorHit.score : null,
+                    lexical_score: lexicalHit ? lexicalHit.score : null,
+                    vector_rank: entry.ranks.vector || null,
+                    lexical_rank: entry.ranks.lexical || null,
+                    metadata: source.metadata,
+                    chunk_index: source.chunk_index || 0
+                };
+            })
+            .filter(result => result !== null);
+    }
+
+    // Where a result can be linked to and which page or rows it covers, for citations
+    _sourceFields(doc) {
+        return {
+            source_url: doc.source_url || null,
+            file_type: doc.file_type || null,
+            azure_blob_name: doc.azure_blob_name || null,
+            azure_container: doc.azure_container || null,
+            ...chunkLocation(doc)
+        };
+    }
+
+    // Helper method to escape user input before using it in a $regex
+    _escapeRegex(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
     // Helper method to calculate keyword relevance score
     _calculateKeywordScore(content, query) {
         const queryWords = query.toLowerCase().split(/\s+/);
@@ -1140,6 +1471,9 @@ class RagService {
 
             logger.info(`Deleted ${deleteResult.deletedCount} document chunks from MongoDB`);
 
+            // Drop the deleted chunks from vector search
+            await this._invalidateSearchIndexes(account_id);
+
             // Delete from Azure if requested
             const azureDeleteResults = [];
             if (deleteFromAzure && azureBlobNames.length > 0) {
@@ -1262,4 +1596,5 @@ class RagService {
     }
 }
 
+export { parseRefreshInterval };
 export default RagService;
\ No newline at end of file
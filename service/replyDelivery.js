@@ -0,0 +1,193 @@
+import { sendChatwootReply, toggleTypingStatus } from "../utils/chatwootApi.js";
+import logger from "../utils/logger.js";
+
+// Used when an account has no reply_settings of its own
+const DEFAULT_REPLY_SETTINGS = {
+    typing_indicator: true,
+    streaming: false, // Off: generate the whole answer, then post one message
+    min_segment_chars: 160,
+    max_segment_chars: 700
+};
+
+function getReplySettings(accountConfig) {
+    return { ...DEFAULT_REPLY_SETTINGS, ...(accountConfig?.reply_settings || {}) };
+}
+
+// Collects streamed text and hands out sentence-sized segments.
+// A segment ends at the first sentence end or line break after minChars, never inside a
+// [citation]; text with no boundary is cut at a space once it reaches maxChars.
+class SentenceSegmenter {
+    constructor({ min_segment_chars, max_segment_chars } = DEFAULT_REPLY_SETTINGS) {
+        this.minChars = min_segment_chars;
+        this.maxChars = Math.max(max_segment_chars, min_segment_chars);
+        this.buffer = "";
+    }
+
+    push(text) {
+        this.buffer += text;
+        const segments = [];
+        let segment;
+        while ((segment = this._nextSegment()) !== null) {
+            segments.push(segment);
+        }
+        return segments;
+    }
+
+    // Whatever is left once the stream has ended
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = "";
+        return rest || null;
+    }
+
+    _nextSegment() {
+        if (this.buffer.length < this.minChars) return null;
+
+        // Sentence ends ("1." in a numbered list is not one) and line breaks
+        const boundary = /(?<!\d)[.!?]+["')\]]*(?=\s)|\n/g;
+        let cut = -1;
+        let match;
+        while ((match = boundary.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            if (end > this.maxChars) break;
+            // "p." in [Title, p. 4] is not a sentence end
+            const head = this.buffer.slice(0, end);
+            if (head.lastIndexOf("[") > head.lastIndexOf("]")) continue;
+            if (end >= this.minChars) {
+                cut = end;
+                break;
+            }
+        }
+
+        if (cut === -1 && this.buffer.length >= this.maxChars) {
+            const space = this.buffer.lastIndexOf(" ", this.maxChars);
+            cut = space > 0 ? space : this.maxChars;
+        }
+        if (cut === -1) return null;
+
+        const segment = this.buffer.slice(0, cut).trim();
+        this.buffer = this.buffer.slice(cut).replace(/^\s+/, "");
+        return segment || null;
+    }
+}
+
+// Token usage from an LLM end callback; streamed runs report it as usage_metadata on the message
+function extractTokenUsage(output) {
+    const usage = output?.llmOutput?.tokenUsage || output?.llmOutput?.usage;
+    if (usage) return usage;
+
+    const metadata = output?.generations?.[0]?.[0]?.message?.usage_metadata;
+    if (metadata) {
+        return {
+            promptTokens: metadata.input_tokens,
+            completionTokens: metadata.output_tokens,
+            totalTokens: metadata.total_tokens
+        };
+    }
+    return null;
+}
+
+// Sum of two usages; a reply can take several LLM calls when answers are regenerated
+function addTokenUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return usage;
+    return {
+        promptTokens: (total.promptTokens || 0) + (usage.promptTokens || 0),
+        completionTokens: (total.completionTokens || 0) + (usage.completionTokens || 0),
+        totalTokens: (total.totalTokens || 0) + (usage.totalTokens || 0)
+    };
+}
+
+/**
+ * Generate a reply with the chain and post it to the Chatwoot conversation
+ * @param {Object} params - { chain, input, options, accountId, conversationId, botToken, settings, validation, formatMessage, onPosted }
+ *   options are the chain run options (callbacks, tags, ...); settings come from getReplySettings.
+ *   formatMessage(text) is optional and rewrites each answer message before it is posted (not the fallback).
+ *   onPosted() is called after every message that reached Chatwoot, so a caller knows a failure in a
+ *   later streamed segment leaves part of the answer in the conversation and must not be retried.
+ *   validation is optional: { validate, maxRegenerations, fallbackMessage }. validate(reply) returns
+ *   { ok, reason }; a rejected answer is generated again with input.previous_attempt = { reply, reason },
+ *   and the fallback message is sent when no attempt passes. Validated answers are never streamed.
+ * @returns {Promise<Object>} - { reply, segments, attempts, fallback } reply text as generated, number of
+ *   messages posted, answers generated and whether the fallback was sent
+ */
+async function deliverReply({ chain, input, options, accountId, conversationId, botToken, settings = DEFAULT_REPLY_SETTINGS, validation = null, formatMessage = async text => text, onPosted = () => {} }) {
+    const post = async (text) => {
+        await sendChatwootReply(accountId, conversationId, text, botToken);
+        onPosted();
+    };
+
+    // Typing indicator failures must never block the reply itself
+    const setTyping = async (status) => {
+        if (!settings.typing_indicator) return;
+        try {
+            await toggleTypingStatus(accountId, conversationId, status, botToken);
+        } catch (error) {
+            logger.warn(`Could not set typing status ${status} for conversation ${conversationId}: ${error.message}`);
+        }
+    };
+
+    await setTyping("on");
+
+    try {
+        if (validation) {
+            return await generateValidated({ chain, input, options, conversationId, validation, formatMessage, post });
+        }
+
+        if (!settings.streaming) {
+            const reply = await chain.invoke(input, options);
+            await post(await formatMessage(reply));
+            return { reply, segments: 1, attempts: 1, fallback: false };
+        }
+
+        const segmenter = new SentenceSegmenter(settings);
+        let reply = "";
+        let segments = 0;
+
+        const stream = await chain.stream(input, options);
+        for await (const chunk of stream) {
+            reply += chunk;
+            for (const segment of segmenter.push(chunk)) {
+                await post(await formatMessage(segment));
+                segments++;
+                // Posting a message clears the indicator; the answer is not finished yet
+                await setTyping("on");
+            }
+        }
+
+        const rest = segmenter.flush();
+        if (rest) {
+            await post(await formatMessage(rest));
+            segments++;
+        }
+
+        logger.info(`Streamed reply to conversation ${conversationId} in ${segments} message(s)`);
+        return { reply: reply.trim(), segments, attempts: 1, fallback: false };
+    } finally {
+        await setTyping("off");
+    }
+}
+
+// Generate whole answers until one passes validation, then post it (or the fallback)
+async function generateValidated({ chain, input, options, conversationId, validation, formatMessage, post }) {
+    const { validate, maxRegenerations = 1, fallbackMessage } = validation;
+    let previousAttempt = null;
+
+    for (let attempt = 1; attempt <= maxRegenerations + 1; attempt++) {
+        const reply = await chain.invoke(previousAttempt ? { ...input, previous_attempt: previousAttempt } : input, options);
+        const result = await validate(reply);
+
+        if (result.ok) {
+            await post(await formatMessage(reply));
+            return { reply, segments: 1, attempts: attempt, fallback: false };
+        }
+
+        logger.warn(`Answer ${attempt} for conversation ${conversationId} rejected: ${result.reason}`);
+        previousAttempt = { reply, reason: result.reason };
+    }
+
+    await post(fallbackMessage);
+    return { reply: fallbackMessage, segments: 1, attempts: maxRegenerations + 1, fallback: true };
+}
+
+export { DEFAULT_REPLY_SETTINGS, SentenceSegmenter, getReplySettings, extractTokenUsage, addTokenUsage, deliverReply };
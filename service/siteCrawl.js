@@ -0,0 +1,417 @@
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+import RagService, { parseRefreshInterval } from "./ragService1.js";
+import { SiteSource } from "../model/siteSourceModel.js";
+import { UrlSource } from "../model/urlSourceModel.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import { crawlSite } from "../utils/siteCrawler.js";
+import { parseChunkingOptions } from "../utils/chunking.js";
+import { invalidateIndex } from "../utils/vectorDB.js";
+import lexicalIndex from "../utils/lexicalIndex.js";
+import logger from "../utils/logger.js";
+
+const DEFAULT_MAX_PAGES = 100;
+const MAX_PAGES_LIMIT = Number(process.env.SITE_CRAWL_MAX_PAGES || 500);
+const DEFAULT_MAX_DEPTH = 3;
+const MAX_DEPTH_LIMIT = 10;
+
+// Crawls websites into the knowledge base. A site is enqueued from the sites API; the worker
+// started from server.js walks it with utils/siteCrawler.js and ingests every page through
+// RagService.processUrlItem, so unchanged pages are not embedded again on a re-crawl. Pages that
+// a complete crawl no longer finds are deleted. Sites are crawled again every refresh_interval_hours.
+class SiteCrawlQueue {
+    constructor() {
+        this.ragService = new RagService();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = Number(process.env.SITE_CRAWL_POLL_INTERVAL_MS || 10000);
+        // A crawl locked for longer than this is assumed to belong to a dead worker;
+        // the lock is refreshed after every page
+        this.lockTimeoutMs = Number(process.env.SITE_CRAWL_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    /**
+     * Register a site and queue its first crawl
+     * @param {Object} body - { account_id, root_url, sitemap_url, include, exclude, max_pages, max_depth,
+     *   respect_robots, refresh_interval_hours } plus the upload options every page is ingested with
+     * @returns {Promise<Object>} - The new site
+     */
+    async enqueue(body) {
+        const {
+            account_id, root_url, sitemap_url, include, exclude, max_pages, max_depth, respect_robots,
+            refresh_interval_hours, urls, file_url, system_prompt, bot_api_key, api_key, title, description,
+            ...options
+        } = body || {};
+
+        if (!account_id) {
+            throw new Error("account_id is required");
+        }
+
+        let settings;
+        try {
+            parseChunkingOptions(options);
+            settings = SiteCrawlQueue.parseSiteSettings({
+                root_url, sitemap_url, include, exclude, max_pages, max_depth, respect_robots, refresh_interval_hours
+            });
+        } catch (error) {
+            error.code = 'INVALID_OPTIONS';
+            throw error;
+        }
+
+        const site = await SiteSource.create({
+            site_id: uuidv4(),
+            account_id: parseInt(account_id),
+            ...settings,
+            options
+        });
+
+        logger.info(`Enqueued crawl of ${site.root_url} for account ${site.account_id} (site ${site.site_id})`);
+        return site.toObject();
+    }
+
+    /**
+     * Validate and normalise the crawl settings of a sites request
+     * @returns {Object} - The settings as stored on SiteSource
+     */
+    static parseSiteSettings({ root_url, sitemap_url, include, exclude, max_pages, max_depth, respect_robots, refresh_interval_hours }) {
+        const httpUrl = (value, name) => {
+            let url;
+            try {
+                url = new URL(value);
+            } catch {
+                throw new Error(`${name} must be a valid URL`);
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error(`${name} must be an http or https URL`);
+            }
+            return url.href;
+        };
+        const patterns = (value, name) => {
+            if (value === undefined || value === null) return [];
+            const list = typeof value === 'string' ? [value] : value;
+            if (!Array.isArray(list) || list.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+                throw new Error(`${name} must be an array of glob patterns`);
+            }
+            return list.map(pattern => pattern.trim());
+        };
+        const integer = (value, name, fallback, max) => {
+            if (value === undefined || value === null || value === '') return fallback;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0 || number > max) {
+                throw new Error(`${name} must be an integer between 0 and ${max}`);
+            }
+            return number;
+        };
+
+        if (respect_robots !== undefined && typeof respect_robots !== 'boolean') {
+            throw new Error("respect_robots must be a boolean");
+        }
+        if (!root_url) {
+            throw new Error("root_url is required");
+        }
+        const settings = {
+            root_url: httpUrl(root_url, 'root_url'),
+            sitemap_url: sitemap_url ? httpUrl(sitemap_url, 'sitemap_url') : null,
+            include: patterns(include, 'include'),
+            exclude: patterns(exclude, 'exclude'),
+            max_pages: integer(max_pages, 'max_pages', DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT),
+            max_depth: integer(max_depth, 'max_depth', DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT),
+            respect_robots: respect_robots !== false,
+            refresh_interval_hours: parseRefreshInterval(refresh_interval_hours) ?? 0
+        };
+        if (settings.max_pages === 0) {
+            throw new Error("max_pages must be at least 1");
+        }
+        return settings;
+    }
+
+    async list(accountId) {
+        return SiteSource.find({ account_id: parseInt(accountId) })
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+
+    async getSite(accountId, siteId) {
+        return SiteSource.findOne({ account_id: parseInt(accountId), site_id: siteId }).lean();
+    }
+
+    // The pages a site's crawls ingested
+    async getPages(siteId) {
+        return UrlSource.find({ site_ids: siteId }).sort({ url: 1 }).lean();
+    }
+
+    // Crawl again at the worker's next poll. Returns null when the site does not exist or is being crawled.
+    async recrawl(accountId, siteId) {
+        return SiteSource.findOneAndUpdate(
+            { account_id: parseInt(accountId), site_id: siteId, status: { $ne: 'crawling' }, delete_requested: false },
+            { $set: { status: 'pending', next_run_at: new Date(), last_error: null } },
+            { new: true }
+        ).lean();
+    }
+
+    /**
+     * Delete a site and every page it ingested
+     * @returns {Promise<Object|null>} - { deleted, pages_removed } or { deleted: false } when the site is
+     *   being crawled and will be deleted once the crawl stops; null when it does not exist
+     */
+    async remove(accountId, siteId) {
+        const site = await SiteSource.findOne({ account_id: parseInt(accountId), site_id: siteId }).lean();
+        if (!site) return null;
+
+        if (site.status === 'crawling' && site.locked_at > new Date(Date.now() - this.lockTimeoutMs)) {
+            await SiteSource.updateOne({ site_id: siteId }, { $set: { delete_requested: true } });
+            logger.info(`Site ${siteId} is being crawled; it will be deleted when the crawl stops`);
+            return { deleted: false, pages_removed: 0 };
+        }
+
+        return this._deleteSite(site);
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+
+        const loop = async () => {
+            try {
+                while (!this.stopped && await this._runNext()) { /* keep going */ }
+            } catch (error) {
+                logger.error("Site crawl worker error:", error);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(loop, 0);
+        logger.info(`Site crawl worker ${this.workerId} started (poll every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Claim and crawl one due site. Returns false when nothing was due.
+    async _runNext() {
+        const now = new Date();
+        const site = await SiteSource.findOneAndUpdate(
+            {
+                $or: [
+                    { status: { $ne: 'crawling' }, next_run_at: { $lte: now } },
+                    { status: 'crawling', locked_at: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'crawling',
+                    locked_by: this.workerId,
+                    locked_at: now,
+                    progress: { started_at: now }
+                }
+            },
+            { sort: { next_run_at: 1 }, new: true }
+        ).lean();
+
+        if (!site) return false;
+
+        if (site.delete_requested) {
+            await this._deleteSite(site);
+            return true;
+        }
+
+        const { site_id, account_id, root_url } = site;
+        const progress = { pages: 0, created: 0, updated: 0, unchanged: 0, failed: 0, skipped_robots: 0, removed: 0, truncated: false, started_at: now };
+        const visited = new Set();
+
+        logger.info(`Crawling ${root_url} for account ${account_id} (site ${site_id})`);
+
+        try {
+            const stats = await crawlSite({
+                rootUrl: root_url,
+                sitemapUrl: site.sitemap_url,
+                include: site.include,
+                exclude: site.exclude,
+                maxPages: site.max_pages,
+                maxDepth: site.max_depth,
+                respectRobots: site.respect_robots,
+                onPage: async ({ url, html }) => {
+                    visited.add(url);
+                    try {
+                        const result = await this.ragService.processUrlItem({
+                            url,
+                            body: { ...(site.options || {}), account_id, site_id },
+                            html
+                        });
+                        if (result.status === 'skipped_duplicate') progress.unchanged++;
+                        else if (result.status === 'updated') progress.updated++;
+                        else progress.created++;
+                    } catch (error) {
+                        progress.failed++;
+                        logger.warn(`Site ${site_id}: could not ingest ${url}: ${error.message}`);
+                    }
+                    progress.pages++;
+                    await SiteSource.updateOne({ site_id }, { $set: { progress, locked_at: new Date() } });
+                },
+                shouldStop: async () => this.stopped || !!(await SiteSource.exists({ site_id, delete_requested: true }))
+            });
+
+            progress.failed += stats.failed;
+            progress.skipped_robots = stats.skipped_robots;
+            progress.truncated = stats.truncated;
+
+            if (stats.stopped) {
+                const current = await SiteSource.findOne({ site_id }).lean();
+                if (current?.delete_requested) {
+                    await this._deleteSite(current);
+                } else {
+                    // Shutting down: the next worker crawls the site again from the start
+                    await SiteSource.updateOne(
+                        { site_id },
+                        { $set: { status: 'pending', next_run_at: new Date(), progress, locked_by: null, locked_at: null } }
+                    );
+                }
+                return true;
+            }
+
+            // Only a crawl that saw the whole site can tell which pages are gone
+            if (!stats.truncated && visited.size > 0) {
+                const gone = await UrlSource.find({ site_ids: site_id, url: { $nin: [...visited] } }).lean();
+                if (gone.length > 0) {
+                    progress.removed = await this._removePages(account_id, site_id, gone);
+                }
+            }
+
+            progress.finished_at = new Date();
+            const ingested = progress.created + progress.updated + progress.unchanged;
+            await SiteSource.updateOne(
+                { site_id },
+                {
+                    $set: {
+                        status: ingested > 0 ? 'completed' : 'failed',
+                        last_error: ingested > 0 ? null : `No pages could be crawled from ${root_url}`,
+                        progress,
+                        last_crawl: progress,
+                        next_run_at: this._nextRun(site, progress.finished_at),
+                        locked_by: null,
+                        locked_at: null
+                    },
+                    $inc: { crawl_count: 1 }
+                }
+            );
+            logger.info(`Crawled ${root_url} for account ${account_id}: ${progress.pages} pages (${progress.created} new, ${progress.updated} updated, ${progress.unchanged} unchanged, ${progress.failed} failed, ${progress.removed} removed)`);
+        } catch (error) {
+            logger.error(`Crawl of ${root_url} for account ${account_id} failed:`, error);
+            progress.finished_at = new Date();
+            await SiteSource.updateOne(
+                { site_id },
+                {
+                    $set: {
+                        status: 'failed',
+                        last_error: error.message,
+                        progress,
+                        last_crawl: progress,
+                        next_run_at: this._nextRun(site, progress.finished_at),
+                        locked_by: null,
+                        locked_at: null
+                    },
+                    $inc: { crawl_count: 1 }
+                }
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Take pages out of a site. A page is deleted, with every version of its document, once no
+     * site has it and it was not uploaded on its own; otherwise only its membership goes.
+     * @param {Array} sources - The pages' UrlSources
+     * @returns {Promise<number>} - Number of pages deleted
+     */
+    async _removePages(accountId, siteId, sources) {
+        const account_id = parseInt(accountId);
+        const orphaned = sources.filter(source =>
+            source.standalone === false && (source.site_ids || []).every(id => id === siteId));
+
+        await UrlSource.updateMany(
+            { site_ids: siteId, source_id: { $in: sources.map(source => source.source_id) } },
+            { $pull: { site_ids: siteId } }
+        );
+        if (orphaned.length === 0) return 0;
+
+        const documentIds = [];
+        for (const source of orphaned) {
+            if (source.document_id) {
+                documentIds.push(...await this._versionDocumentIds(account_id, source.document_id));
+            }
+        }
+        const result = documentIds.length > 0
+            ? await UnifiedDocument.deleteMany({ account_id, document_id: { $in: documentIds } })
+            : { deletedCount: 0 };
+        await UrlSource.deleteMany({ source_id: { $in: orphaned.map(source => source.source_id) }, site_ids: { $size: 0 } });
+
+        await invalidateIndex(account_id);
+        lexicalIndex.invalidate(account_id);
+
+        logger.info(`Site ${siteId}: deleted ${orphaned.length} pages (${result.deletedCount} chunks)`);
+        return orphaned.length;
+    }
+
+    // A page's current document and the versions it replaced, following replaced_by back
+    async _versionDocumentIds(accountId, documentId) {
+        const ids = [documentId];
+        let frontier = [documentId];
+        while (frontier.length > 0) {
+            frontier = (await UnifiedDocument.find({ account_id: accountId, replaced_by: { $in: frontier } }).distinct('document_id'))
+                .filter(id => !ids.includes(id));
+            ids.push(...frontier);
+        }
+        return ids;
+    }
+
+    async _deleteSite(site) {
+        const sources = await UrlSource.find({ site_ids: site.site_id }).lean();
+        const pagesRemoved = sources.length > 0 ? await this._removePages(site.account_id, site.site_id, sources) : 0;
+        await SiteSource.deleteOne({ site_id: site.site_id });
+
+        logger.info(`Deleted site ${site.site_id} (${site.root_url}) for account ${site.account_id}`);
+        return { deleted: true, pages_removed: pagesRemoved };
+    }
+
+    // Next crawl after `from`; null when the site is only crawled on request
+    _nextRun(site, from) {
+        if (!(site.refresh_interval_hours > 0)) return null;
+        return new Date(new Date(from).getTime() + site.refresh_interval_hours * 60 * 60 * 1000);
+    }
+
+    static formatSite(site) {
+        return {
+            site_id: site.site_id,
+            account_id: site.account_id,
+            root_url: site.root_url,
+            sitemap_url: site.sitemap_url || null,
+            include: site.include || [],
+            exclude: site.exclude || [],
+            max_pages: site.max_pages,
+            max_depth: site.max_depth,
+            respect_robots: site.respect_robots,
+            refresh_interval_hours: site.refresh_interval_hours,
+            status: site.delete_requested ? 'deleting' : site.status,
+            progress: site.progress || null,
+            last_crawl: site.last_crawl || null,
+            crawl_count: site.crawl_count,
+            error: site.last_error || null,
+            next_run_at: site.next_run_at || null,
+            created_at: site.createdAt
+        };
+    }
+}
+
+// Create singleton instance
+const siteCrawlQueue = new SiteCrawlQueue();
+
+export { SiteCrawlQueue };
+export default siteCrawlQueue;
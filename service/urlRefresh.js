@@ -0,0 +1,193 @@
+import os from "os";
+import RagService, { parseRefreshInterval } from "./ragService1.js";
+import { UrlSource } from "../model/urlSourceModel.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import logger from "../utils/logger.js";
+
+// Checks URL sources again on their schedule. RagService.processUrlItem fetches the page,
+// compares its content hash with the current version and only embeds a changed page, as a
+// new version that replaces the old one. Started from server.js next to the ingestion worker.
+class UrlRefreshScheduler {
+    constructor() {
+        this.ragService = new RagService();
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = Number(process.env.URL_REFRESH_POLL_INTERVAL_MS || 60000);
+        // A failed check is retried after this, doubling each time, but never later than the schedule
+        this.retryDelayMs = Number(process.env.URL_REFRESH_RETRY_DELAY_MS || 5 * 60 * 1000);
+        // A check locked for longer than this is assumed to belong to a dead worker
+        this.lockTimeoutMs = Number(process.env.URL_REFRESH_LOCK_TIMEOUT_MS || 15 * 60 * 1000);
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    async list(accountId, { status, site_id } = {}) {
+        return UrlSource.find({
+            account_id: parseInt(accountId),
+            ...(status ? { status } : {}),
+            ...(site_id ? { site_ids: site_id } : {})
+        })
+            .sort({ url: 1 })
+            .lean();
+    }
+
+    async getSource(accountId, sourceId) {
+        return UrlSource.findOne({ account_id: parseInt(accountId), source_id: sourceId }).lean();
+    }
+
+    /**
+     * Change a source's schedule
+     * @param {Object} fields - { refresh_interval_hours, paused }
+     * @returns {Promise<Object|null>} - The updated source, null when it does not exist
+     */
+    async updateSchedule(accountId, sourceId, { refresh_interval_hours, paused }) {
+        const source = await UrlSource.findOne({ account_id: parseInt(accountId), source_id: sourceId });
+        if (!source) return null;
+
+        const interval = parseRefreshInterval(refresh_interval_hours);
+        if (interval !== null) {
+            source.refresh_interval_hours = interval;
+        }
+        if (paused !== undefined && source.status !== 'removed') {
+            source.status = paused ? 'paused' : 'active';
+        }
+        source.next_check_at = this._nextCheck(source, source.last_checked_at || new Date());
+        await source.save();
+        return source.toObject();
+    }
+
+    // Check the page at the next poll, whatever its schedule
+    async refreshNow(accountId, sourceId) {
+        return UrlSource.findOneAndUpdate(
+            { account_id: parseInt(accountId), source_id: sourceId, status: 'active' },
+            { $set: { next_check_at: new Date() } },
+            { new: true }
+        ).lean();
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+
+        const loop = async () => {
+            try {
+                while (!this.stopped && await this._runNext()) { /* keep going */ }
+            } catch (error) {
+                logger.error("URL refresh worker error:", error);
+            }
+            if (!this.stopped) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+
+        this.timer = setTimeout(loop, 0);
+        logger.info(`URL refresh worker ${this.workerId} started (poll every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Claim and check one due source. Returns false when nothing was due.
+    async _runNext() {
+        const now = new Date();
+        const source = await UrlSource.findOneAndUpdate(
+            {
+                status: 'active',
+                next_check_at: { $lte: now },
+                $or: [
+                    { locked_at: null },
+                    { locked_at: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+                ]
+            },
+            { $set: { locked_by: this.workerId, locked_at: now } },
+            { sort: { next_check_at: 1 }, new: true }
+        ).lean();
+
+        if (!source) return false;
+
+        const { source_id, account_id, url } = source;
+
+        // Deleting or deactivating the page's document takes it out of the schedule
+        const current = source.document_id
+            ? await UnifiedDocument.exists({ account_id, document_id: source.document_id, is_active: true })
+            : null;
+        if (!current) {
+            await UrlSource.updateOne(
+                { source_id },
+                { $set: { status: 'removed', next_check_at: null, locked_by: null, locked_at: null } }
+            );
+            logger.info(`URL source ${url} for account ${account_id} no longer has an active document; stopped checking it`);
+            return true;
+        }
+
+        try {
+            // processUrlItem records the check and schedules the next one
+            const result = await this.ragService.processUrlItem({
+                url,
+                body: { ...(source.options || {}), account_id },
+                recheck: true
+            });
+            logger.info(`Checked ${url} for account ${account_id}: ${result.status === 'skipped_duplicate' ? 'unchanged' : `new version ${result.versionNumber}`}`);
+        } catch (error) {
+            const failures = (source.consecutive_failures || 0) + 1;
+            logger.error(`Checking ${url} for account ${account_id} failed (${failures} in a row):`, error);
+
+            const retryAt = new Date(Date.now() + this.retryDelayMs * Math.pow(2, failures - 1));
+            const scheduled = this._nextCheck(source, new Date());
+            await UrlSource.updateOne(
+                { source_id },
+                {
+                    $set: {
+                        last_checked_at: new Date(),
+                        last_error: error.message,
+                        consecutive_failures: failures,
+                        next_check_at: scheduled && scheduled < retryAt ? scheduled : retryAt,
+                        locked_by: null,
+                        locked_at: null
+                    },
+                    $inc: { check_count: 1 }
+                }
+            );
+        }
+        return true;
+    }
+
+    // Next check after `from`; null when the source is not checked on a schedule
+    _nextCheck(source, from) {
+        if (source.status !== 'active' || !(source.refresh_interval_hours > 0)) return null;
+        return new Date(new Date(from).getTime() + source.refresh_interval_hours * 60 * 60 * 1000);
+    }
+
+    static formatSource(source) {
+        return {
+            source_id: source.source_id,
+            account_id: source.account_id,
+            url: source.url,
+            site_ids: source.site_ids || [],
+            standalone: source.standalone !== false,
+            title: source.options?.title || source.page_title || null,
+            status: source.status,
+            refresh_interval_hours: source.refresh_interval_hours,
+            next_check_at: source.next_check_at || null,
+            document_id: source.document_id || null,
+            version_number: source.version_number,
+            last_checked_at: source.last_checked_at || null,
+            last_changed_at: source.last_changed_at || null,
+            check_count: source.check_count,
+            change_count: source.change_count,
+            error: source.last_error || null,
+            consecutive_failures: source.consecutive_failures,
+            created_at: source.createdAt
+        };
+    }
+}
+
+// Create singleton instance
+const urlRefreshScheduler = new UrlRefreshScheduler();
+
+export { UrlRefreshScheduler };
+export default urlRefreshScheduler;
@@ -0,0 +1,241 @@
+import { UsageRecord, UsageMonth } from "../model/usageModel.js";
+import { estimateCost } from "../utils/modelPricing.js";
+import { extractTokenUsage } from "./replyDelivery.js";
+import logger from "../utils/logger.js";
+
+// No limits unless the account sets them; both are USD per calendar month (UTC)
+const DEFAULT_USAGE_BUDGET = {
+    soft_limit_usd: null, // Log a warning once spend reaches it
+    hard_limit_usd: null // Stop calling models; the bot escalates to agents instead
+};
+
+function getUsageBudget(accountConfig) {
+    return { ...DEFAULT_USAGE_BUDGET, ...(accountConfig?.usage_budget || {}) };
+}
+
+// About four characters per token, as in the conversation memory budget
+function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function utcMonth(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+function roundUsd(value) {
+    return Math.round(value * 100000000) / 100000000;
+}
+
+// Totals per period (day or month) with the same totals split by endpoint and by model
+function summarizeRows(rows, periodName) {
+    const periods = new Map();
+    const add = (target, row) => {
+        target.calls += row.calls;
+        target.prompt_tokens += row.prompt_tokens;
+        target.completion_tokens += row.completion_tokens;
+        target.total_tokens += row.total_tokens;
+        target.cost_usd = roundUsd(target.cost_usd + row.cost_usd);
+    };
+    const empty = () => ({ calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 });
+
+    rows.forEach(row => {
+        const period = row._id.period;
+        if (!periods.has(period)) {
+            periods.set(period, { [periodName]: period, ...empty(), by_endpoint: {}, by_model: {} });
+        }
+        const entry = periods.get(period);
+        const { endpoint, model } = row._id;
+
+        add(entry, row);
+        entry.by_endpoint[endpoint] = entry.by_endpoint[endpoint] || empty();
+        add(entry.by_endpoint[endpoint], row);
+        entry.by_model[model] = entry.by_model[model] || empty();
+        add(entry.by_model[model], row);
+    });
+
+    return [...periods.values()].sort((a, b) => a[periodName].localeCompare(b[periodName]));
+}
+
+// Records every LLM and embedding call per account and keeps a running monthly total
+// that the webhook checks against the account's usage_budget before calling a model.
+class UsageLedger {
+    /**
+     * Record one call. Never throws: a failed write must not fail the reply it belongs to.
+     * @param {number} accountId
+     * @param {Object} call - { endpoint, kind, model, promptTokens, completionTokens, estimated, conversationId }
+     * @returns {Promise<number|null>} - Cost in USD, null when the record could not be written
+     */
+    async record(accountId, { endpoint, kind = "chat", model, promptTokens = 0, completionTokens = 0, estimated = false, conversationId = null }) {
+        try {
+            const account_id = parseInt(accountId);
+            const now = new Date();
+            const cost_usd = estimateCost(model, { promptTokens, completionTokens });
+            const total_tokens = promptTokens + completionTokens;
+            const month = utcMonth(now);
+
+            await UsageRecord.create({
+                account_id,
+                endpoint,
+                kind,
+                model: model || "unknown",
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens,
+                cost_usd,
+                estimated,
+                conversation_id: conversationId ? String(conversationId) : undefined,
+                day: utcDay(now),
+                month
+            });
+            await UsageMonth.updateOne(
+                { account_id, month },
+                { $inc: { calls: 1, total_tokens, cost_usd } },
+                { upsert: true }
+            );
+            return cost_usd;
+        } catch (error) {
+            logger.error(`Could not record ${endpoint} usage for account ${accountId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Embedding calls report no usage, so the tokens are estimated from the texts
+    async recordEmbedding(accountId, endpoint, model, texts) {
+        const list = Array.isArray(texts) ? texts : [texts];
+        return this.record(accountId, {
+            endpoint,
+            kind: "embedding",
+            model,
+            promptTokens: list.reduce((sum, text) => sum + estimateTokens(text), 0),
+            estimated: true
+        });
+    }
+
+    /**
+     * LangChain callbacks that record every model call of a chain run
+     * @param {number} accountId - Without one nothing is recorded
+     * @param {string} endpoint - What the calls are for, e.g. "query_rewrite"
+     * @param {Object} options - { conversationId }
+     * @returns {Array} - For the callbacks option of invoke() or stream()
+     */
+    callbacks(accountId, endpoint, { conversationId = null } = {}) {
+        if (!accountId) return [];
+
+        // The model name is only in the start event
+        const models = new Map();
+        const remember = (llm, input, runId, parentRunId, extraParams) => {
+            models.set(runId, extraParams?.invocation_params?.model || extraParams?.invocation_params?.model_name);
+        };
+
+        return [{
+            handleChatModelStart: remember,
+            handleLLMStart: remember,
+            handleLLMError: async (error, runId) => {
+                models.delete(runId);
+            },
+            handleLLMEnd: async (output, runId) => {
+                const model = models.get(runId) || output?.generations?.[0]?.[0]?.message?.response_metadata?.model_name;
+                models.delete(runId);
+
+                const usage = extractTokenUsage(output);
+                if (!usage) return;
+                await this.record(accountId, {
+                    endpoint,
+                    model,
+                    promptTokens: usage.promptTokens || 0,
+                    completionTokens: usage.completionTokens || 0,
+                    conversationId
+                });
+            }
+        }];
+    }
+
+    /**
+     * Spend of the current month against the account's limits. Crossing a limit is logged
+     * once per month.
+     * @returns {Promise<Object>} - { month, spent_usd, soft_limit_usd, hard_limit_usd, state }
+     *   state is "ok", "warning" (soft limit reached) or "exceeded" (hard limit reached)
+     */
+    async getBudgetStatus(accountId, accountConfig) {
+        const account_id = parseInt(accountId);
+        const budget = getUsageBudget(accountConfig);
+        const month = utcMonth(new Date());
+
+        const total = await UsageMonth.findOne({ account_id, month }).lean();
+        const spent = total?.cost_usd || 0;
+
+        let state = "ok";
+        if (typeof budget.hard_limit_usd === "number" && spent >= budget.hard_limit_usd) {
+            state = "exceeded";
+        } else if (typeof budget.soft_limit_usd === "number" && spent >= budget.soft_limit_usd) {
+            state = "warning";
+        }
+
+        if (total && state !== "ok") {
+            const field = state === "exceeded" ? "exceeded_at" : "warned_at";
+            const claimed = await UsageMonth.updateOne(
+                { account_id, month, [field]: null },
+                { $set: { [field]: new Date() } }
+            );
+            if (claimed.modifiedCount > 0) {
+                const limit = state === "exceeded" ? budget.hard_limit_usd : budget.soft_limit_usd;
+                logger.warn(`Account ${account_id} spent $${spent.toFixed(4)} in ${month}, reaching its ${state === "exceeded" ? "hard" : "soft"} limit of $${limit}${state === "exceeded" ? "; the bot stops calling models until next month" : ""}`);
+            }
+        }
+
+        return {
+            month,
+            spent_usd: roundUsd(spent),
+            soft_limit_usd: budget.soft_limit_usd,
+            hard_limit_usd: budget.hard_limit_usd,
+            state
+        };
+    }
+
+    /**
+     * Daily and monthly usage, each split by endpoint and model
+     * @param {number} accountId
+     * @param {Object} options - { days, months } how far back to look, including today and this month
+     * @returns {Promise<Object>} - { daily, monthly }
+     */
+    async getUsage(accountId, { days = 30, months = 6 } = {}) {
+        const account_id = parseInt(accountId);
+        const now = new Date();
+        const sinceDay = utcDay(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+        const sinceMonth = utcMonth(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)));
+
+        const breakdown = (periodField, since) => UsageRecord.aggregate([
+            { $match: { account_id, [periodField]: { $gte: since } } },
+            {
+                $group: {
+                    _id: { period: `$${periodField}`, endpoint: "$endpoint", model: "$model" },
+                    calls: { $sum: 1 },
+                    prompt_tokens: { $sum: "$prompt_tokens" },
+                    completion_tokens: { $sum: "$completion_tokens" },
+                    total_tokens: { $sum: "$total_tokens" },
+                    cost_usd: { $sum: "$cost_usd" }
+                }
+            }
+        ]);
+
+        const [dailyRows, monthlyRows] = await Promise.all([
+            breakdown("day", sinceDay),
+            breakdown("month", sinceMonth)
+        ]);
+
+        return {
+            daily: summarizeRows(dailyRows, "date"),
+            monthly: summarizeRows(monthlyRows, "month")
+        };
+    }
+}
+
+// Create singleton instance
+const usageLedger = new UsageLedger();
+
+export { UsageLedger, DEFAULT_USAGE_BUDGET, getUsageBudget };
+export default usageLedger;
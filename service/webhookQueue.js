@@ -0,0 +1,168 @@
+import os from "os";
+import { WebhookEvent } from "../model/webhookEventModel.js";
+import logger from "../utils/logger.js";
+
+// MongoDB-backed queue for Chatwoot webhook events. The webhook route stores the event and
+// answers 200 right away; workers started from server.js process events, one at a time per
+// conversation and in the order they arrived.
+class WebhookQueue {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.pollIntervalMs = Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 500);
+        this.concurrency = Number(process.env.WEBHOOK_WORKER_CONCURRENCY || 4);
+        this.maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 3);
+        this.retryDelayMs = Number(process.env.WEBHOOK_RETRY_DELAY_MS || 5000);
+        // An event locked for longer than this is assumed to belong to a dead worker
+        this.lockTimeoutMs = Number(process.env.WEBHOOK_LOCK_TIMEOUT_MS || 5 * 60 * 1000);
+        this.handler = null;
+        this.timers = [];
+        this.stopped = true;
+    }
+
+    /**
+     * Store a webhook payload for processing
+     * @returns {Promise<Object>} - { event, duplicate } duplicate is true when the message was already queued
+     */
+    async enqueue(payload) {
+        const messageId = payload.id;
+        const accountId = payload.account?.id;
+        const conversationId = payload.conversation?.id;
+
+        if (messageId === undefined || messageId === null || !accountId || !conversationId) {
+            throw new Error("Webhook payload needs a message id, account id and conversation id");
+        }
+
+        try {
+            const event = await WebhookEvent.create({
+                message_id: String(messageId),
+                event: payload.event,
+                account_id: parseInt(accountId),
+                conversation_id: String(conversationId),
+                inbox_id: payload.inbox?.id !== undefined ? String(payload.inbox.id) : undefined,
+                payload
+            });
+            logger.info(`Queued webhook event for message ${messageId} (conversation ${conversationId})`);
+            return { event, duplicate: false };
+        } catch (error) {
+            // Unique index on message_id: Chatwoot redelivered an event we already have
+            if (error.code === 11000) {
+                logger.info(`Ignoring redelivered webhook for message ${messageId}`);
+                return { event: null, duplicate: true };
+            }
+            throw error;
+        }
+    }
+
+    // handler(payload) processes one event; it may return { status: 'skipped', reason }
+    start(handler) {
+        if (!this.stopped) return;
+        this.handler = handler;
+        this.stopped = false;
+
+        for (let slot = 0; slot < this.concurrency; slot++) {
+            const loop = async () => {
+                try {
+                    // Drain everything that is due before going back to sleep
+                    while (!this.stopped && await this._runNextEvent()) { /* keep going */ }
+                } catch (error) {
+                    logger.error("Webhook worker error:", error);
+                }
+                if (!this.stopped) {
+                    this.timers[slot] = setTimeout(loop, this.pollIntervalMs);
+                }
+            };
+            this.timers[slot] = setTimeout(loop, 0);
+        }
+
+        logger.info(`Webhook worker ${this.workerId} started (${this.concurrency} slots, poll every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        this.stopped = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    // Claim and process one event. Returns false when nothing could be claimed.
+    async _runNextEvent() {
+        const event = await this._claimNextEvent();
+        if (!event) return false;
+
+        const attempts = event.attempts;
+        try {
+            const result = await this.handler(event.payload);
+            await WebhookEvent.updateOne({ _id: event._id }, {
+                status: result?.status === 'skipped' ? 'skipped' : 'completed',
+                result: result?.reason || null,
+                last_error: null,
+                processed_at: new Date(),
+                locked_by: null,
+                locked_at: null
+            });
+        } catch (error) {
+            const exhausted = attempts >= this.maxAttempts;
+            logger.error(`Webhook event for message ${event.message_id} failed (attempt ${attempts}):`, error);
+
+            await WebhookEvent.updateOne({ _id: event._id }, {
+                status: exhausted ? 'failed' : 'pending',
+                last_error: error.message,
+                next_run_at: new Date(Date.now() + this.retryDelayMs * Math.pow(2, attempts - 1)),
+                processed_at: exhausted ? new Date() : null,
+                locked_by: null,
+                locked_at: null
+            });
+        }
+        return true;
+    }
+
+    // The oldest due event whose conversation has nothing older still waiting or running
+    async _claimNextEvent() {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+        // Events of crashed workers go back to the queue
+        await WebhookEvent.updateMany(
+            { status: 'processing', locked_at: { $lt: staleBefore } },
+            { status: 'pending', locked_by: null, locked_at: null }
+        );
+
+        const candidates = await WebhookEvent.find({ status: 'pending', next_run_at: { $lte: now } })
+            .sort({ createdAt: 1 })
+            .limit(50)
+            .select('_id account_id conversation_id createdAt')
+            .lean();
+
+        for (const candidate of candidates) {
+            // Conversation ids are only unique within a Chatwoot account
+            const blocked = await WebhookEvent.exists({
+                account_id: candidate.account_id,
+                conversation_id: candidate.conversation_id,
+                _id: { $ne: candidate._id },
+                status: { $in: ['pending', 'processing'] },
+                $or: [
+                    { createdAt: { $lt: candidate.createdAt } },
+                    { createdAt: candidate.createdAt, _id: { $lt: candidate._id } }
+                ]
+            });
+            if (blocked) continue;
+
+            const event = await WebhookEvent.findOneAndUpdate(
+                { _id: candidate._id, status: 'pending' },
+                {
+                    $set: { status: 'processing', locked_by: this.workerId, locked_at: now },
+                    $inc: { attempts: 1 }
+                },
+                { new: true }
+            ).lean();
+            if (event) return event;
+        }
+
+        return null;
+    }
+}
+
+// Create singleton instance
+const webhookQueue = new WebhookQueue();
+
+export { WebhookQueue };
+export default webhookQueue;
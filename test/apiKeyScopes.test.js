@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiKeyService, DEFAULT_SCOPES } from "../service/apiKeyService.js";
+
+const admin = { key_id: "env:ADMIN_API_KEY", account_id: null, is_admin: true, scopes: [] };
+const keysOnly = { key_id: "k1", account_id: 1, is_admin: false, scopes: ["keys"] };
+const reader = { key_id: "k2", account_id: 1, is_admin: false, scopes: ["keys", "read", "search"] };
+
+test("a caller can grant scopes it holds", () => {
+    assert.deepEqual(ApiKeyService.validateScopes(["read"], reader), { scopes: ["read"], errors: [] });
+});
+
+test("a caller cannot grant scopes it does not hold", () => {
+    const { errors } = ApiKeyService.validateScopes(["read", "write"], reader);
+    assert.deepEqual(errors, ["Cannot grant the 'write' scope without holding it"]);
+});
+
+test("omitted scopes are the defaults, checked like requested ones", () => {
+    assert.deepEqual(ApiKeyService.validateScopes(undefined, reader), { scopes: DEFAULT_SCOPES, errors: [] });
+
+    const { errors } = ApiKeyService.validateScopes(undefined, keysOnly);
+    assert.equal(errors.length, DEFAULT_SCOPES.length);
+});
+
+test("unknown scopes and malformed lists are rejected", () => {
+    assert.match(ApiKeyService.validateScopes(["admin"], admin).errors[0], /^Unknown scope: admin/);
+    assert.deepEqual(ApiKeyService.validateScopes([], admin).errors, ["scopes must be a non-empty array of strings"]);
+    assert.deepEqual(ApiKeyService.validateScopes("read", admin).errors, ["scopes must be a non-empty array of strings"]);
+});
+
+test("the admin key may grant any scope", () => {
+    assert.deepEqual(ApiKeyService.validateScopes(["read", "write", "delete", "keys"], admin).errors, []);
+});
+
+test("rotating needs every scope of the key being rotated", () => {
+    // The rotate route refuses when any scope of the target key is missing
+    assert.deepEqual(ApiKeyService.missingScopes(keysOnly, ["read", "write", "delete"]), ["read", "write", "delete"]);
+    assert.deepEqual(ApiKeyService.missingScopes(reader, ["read", "search"]), []);
+    assert.deepEqual(ApiKeyService.missingScopes(admin, ["write", "delete"]), []);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { chunkContent, resolveChunking, parseChunkingOptions } from "../utils/chunking.js";
+
+const paragraph = index => `Paragraph ${index}. ${"Words that fill the paragraph. ".repeat(8)}`.trim();
+const longText = Array.from({ length: 20 }, (_, i) => paragraph(i + 1)).join("\n\n");
+
+test("recursive_character keeps every chunk within chunk_size", async () => {
+    const { chunks, chunk_method } = await chunkContent({ text: longText, format: "text" }, { chunk_method: "recursive_character", chunk_size: 300, chunk_overlap: 50 });
+    assert.equal(chunk_method, "recursive_character");
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.content.length <= 300, `chunk of ${chunk.content.length} characters`));
+});
+
+test("markdown chunks start with their heading path", async () => {
+    const text = "# Guide\n\nIntro text.\n\n## Returns\n\nReturn within 30 days.\n\n## Shipping\n\nShips in 2 days.";
+    const { chunks } = await chunkContent({ text, format: "markdown" }, { chunk_method: "markdown", chunk_size: 500, chunk_overlap: 0 });
+    assert.deepEqual(chunks.map(chunk => chunk.section), ["Guide", "Guide > Returns", "Guide > Shipping"]);
+    assert.equal(chunks[1].content, "Guide > Returns\n\nReturn within 30 days.");
+});
+
+test("page chunks never cross a page and keep its number", async () => {
+    const pages = [{ page_number: 1, text: "First page." }, { page_number: 2, text: "" }, { page_number: 3, text: "Third page." }];
+    const { chunks } = await chunkContent({ text: "First page.\nThird page.", format: "pdf", pages }, { chunk_method: "page", chunk_size: 500, chunk_overlap: 0 });
+    assert.deepEqual(chunks, [{ content: "First page.", page_number: 1 }, { content: "Third page.", page_number: 3 }]);
+});
+
+test("spreadsheet rows repeat the header and carry sheet row numbers", async () => {
+    const sheets = [{
+        name: "Stock",
+        first_row: 5, // The used range starts at row 5
+        rows: [["sku", "qty"], ["A1", 3], [null, ""], ["B2", 7]]
+    }];
+    const { chunks, chunk_overlap } = await chunkContent({ text: "", format: "spreadsheet", sheets }, { chunk_method: "spreadsheet_rows", chunk_size: 500, chunk_overlap: 100 });
+    assert.equal(chunk_overlap, 0);
+    assert.deepEqual(chunks, [{ content: "Sheet: Stock\nsku,qty\nA1,3\nB2,7", sheet: "Stock", row_start: 6, row_end: 8 }]);
+});
+
+test("a row longer than a chunk is split, not kept whole", async () => {
+    const sheets = [{ name: "Notes", rows: [["note"], ["word ".repeat(200).trim()]] }];
+    const { chunks } = await chunkContent({ text: "", format: "spreadsheet", sheets }, { chunk_method: "spreadsheet_rows", chunk_size: 300, chunk_overlap: 0 });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.ok(chunk.content.length <= 300, `chunk of ${chunk.content.length} characters`);
+        assert.equal(chunk.row_start, 2);
+    });
+});
+
+test("methods that need missing structure fall back to recursive_character", async () => {
+    const { chunk_method, chunks } = await chunkContent({ text: "Plain text.", format: "text" }, { chunk_method: "page", chunk_size: 500, chunk_overlap: 0 });
+    assert.equal(chunk_method, "recursive_character");
+    assert.deepEqual(chunks, [{ content: "Plain text." }]);
+});
+
+test("the upload overrides the account's file type rule, which overrides its default", () => {
+    const accountSettings = {
+        default: { chunk_method: "recursive_character", chunk_size: 800 },
+        file_types: { pdf: { chunk_method: "page", chunk_overlap: 100 } }
+    };
+    assert.deepEqual(resolveChunking({ format: "pdf", fileType: "pdf", accountSettings }), { chunk_method: "page", chunk_size: 800, chunk_overlap: 100 });
+    assert.deepEqual(
+        resolveChunking({ format: "pdf", fileType: "pdf", upload: { chunk_size: "400" }, accountSettings }),
+        { chunk_method: "page", chunk_size: 400, chunk_overlap: 100 }
+    );
+    assert.deepEqual(resolveChunking({ format: "spreadsheet" }), { chunk_method: "spreadsheet_rows", chunk_size: 1000, chunk_overlap: 200 });
+});
+
+test("invalid chunking options are rejected", () => {
+    assert.throws(() => parseChunkingOptions({ chunk_method: "sentences" }), /Unknown chunk_method/);
+    assert.throws(() => parseChunkingOptions({ chunk_size: 10 }), /chunk_size must be an integer/);
+    assert.throws(() => parseChunkingOptions({ chunk_size: 100, chunk_overlap: 100 }), /smaller than chunk_size/);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCitations, filterRelevantHits, citationsChecked } from "../utils/grounding.js";
+
+const hits = [
+    { document_id: "d1", source_title: "Returns Policy", vector_score: 0.82 },
+    { document_id: "d2", source_title: "Price List", page_number: 4, rerank_score: 0.4 },
+    { document_id: "d3", source_title: "Stock", sheet: "Sheet1", row_start: 2, row_end: 9 },
+    { document_id: "d4", source_title: "Old FAQ", vector_score: 0.1 }
+];
+
+test("citations that name a snippet pass", () => {
+    const result = checkCitations("Returns take 30 days [Returns Policy]. Prices are on [Price List, p. 4].", hits);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.citations, ["Returns Policy", "Price List, p. 4"]);
+});
+
+test("citations match titles case-insensitively and by sheet rows", () => {
+    assert.equal(checkCitations("See [returns  policy] and [Stock, Sheet1 rows 2-9].", hits).ok, true);
+});
+
+test("citations of sources that were not retrieved fail", () => {
+    const result = checkCitations("Shipping is free [Shipping Guide].", hits);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.unknown, ["Shipping Guide"]);
+    assert.match(result.reason, /\[Shipping Guide\]/);
+});
+
+test("markdown links and checkboxes are not citations", () => {
+    const result = checkCitations("Read [the guide](https://example.com/guide).\n- [x] done\n- [ ] open", hits);
+    assert.deepEqual(result.citations, []);
+    assert.equal(result.ok, true);
+});
+
+test("hits below the threshold are dropped", () => {
+    const result = filterRelevantHits(hits, 0.3);
+    assert.deepEqual(result.hits.map(hit => hit.document_id), ["d1", "d2", "d3"]);
+    assert.equal(result.weak, false);
+    assert.equal(result.best_relevance, 0.82);
+});
+
+test("the reranker's score wins over vector similarity", () => {
+    const result = filterRelevantHits([{ document_id: "d1", vector_score: 0.9, rerank_score: 0.1 }], 0.3);
+    assert.deepEqual(result.hits, []);
+    assert.equal(result.weak, true);
+});
+
+test("keyword-only hits cannot carry an answer on their own", () => {
+    const result = filterRelevantHits([{ document_id: "d3" }], 0.3);
+    assert.equal(result.hits.length, 1);
+    assert.equal(result.weak, true);
+    assert.equal(result.best_relevance, null);
+});
+
+test("citations are checked unless streaming, when not set explicitly", () => {
+    assert.equal(citationsChecked({ check_citations: null }, { streaming: false }), true);
+    assert.equal(citationsChecked({ check_citations: null }, { streaming: true }), false);
+    assert.equal(citationsChecked({ check_citations: true }, { streaming: true }), true);
+    assert.equal(citationsChecked({ check_citations: false }, { streaming: false }), false);
+});
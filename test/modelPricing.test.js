@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Read once, on the first price lookup
+process.env.MODEL_PRICING = JSON.stringify({ "llama3.1:8b": { input: 0, output: 0 }, "gpt-4o": { input: 5, output: 15 } });
+process.env.MODEL_PRICING_GPT4O_MINI_INPUT = "0.00015";
+delete process.env.MODEL_PRICING_GPT4O_MINI_OUTPUT;
+
+const { estimateCost, getModelPricing, DEFAULT_MODEL_PRICING } = await import("../utils/modelPricing.js");
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+
+test("costs are priced per 1M tokens", () => {
+    close(estimateCost("gpt-4.1-mini", { promptTokens: 1000000, completionTokens: 500000 }), 0.40 + 0.80);
+    close(estimateCost("text-embedding-3-small", { promptTokens: 2000 }), 0.00004);
+});
+
+test("dated snapshots use their base model's price", () => {
+    assert.deepEqual(getModelPricing("gpt-4.1-mini-2025-04-14"), DEFAULT_MODEL_PRICING["gpt-4.1-mini"]);
+});
+
+test("MODEL_PRICING adds and overrides models", () => {
+    assert.equal(estimateCost("llama3.1:8b", { promptTokens: 5000, completionTokens: 5000 }), 0);
+    close(estimateCost("gpt-4o", { promptTokens: 1000000 }), 5);
+});
+
+test("the legacy gpt-4o-mini variables are per 1K tokens", () => {
+    // 0.00015 per 1K is 0.15 per 1M; the output price stays the default
+    assert.deepEqual(getModelPricing("gpt-4o-mini"), { input: 0.15, output: DEFAULT_MODEL_PRICING["gpt-4o-mini"].output });
+});
+
+test("models without a price cost nothing", () => {
+    assert.equal(estimateCost("unknown-model", { promptTokens: 1000 }), 0);
+    assert.equal(estimateCost(null, { promptTokens: 1000 }), 0);
+});
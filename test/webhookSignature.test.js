@@ -0,0 +1,74 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import accountConfigService from "../service/accountConfigService.js";
+import { verifyChatwootSignature, signPayload } from "../middleware/webhookSignature.js";
+
+const SECRET = "test-webhook-secret";
+
+// Just enough of express's req and res for the middleware
+function request({ body = { id: 7, account: { id: 1 } }, timestamp = Math.floor(Date.now() / 1000), signature, rawBody } = {}) {
+    const raw = rawBody ?? JSON.stringify(body);
+    const headers = {
+        "x-chatwoot-timestamp": timestamp === null ? undefined : String(timestamp),
+        "x-chatwoot-signature": signature === undefined ? `sha256=${signPayload(SECRET, String(timestamp), raw)}` : signature
+    };
+    return { body, ip: "127.0.0.1", rawBody: Buffer.from(raw), get: name => headers[name.toLowerCase()] };
+}
+
+async function verify(req) {
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        sendStatus(code) { this.statusCode = code; return this; }
+    };
+    let passed = false;
+    await verifyChatwootSignature(req, res, () => { passed = true; });
+    return { passed, status: res.statusCode };
+}
+
+afterEach(() => mock.restoreAll());
+
+function withSecret(secret = SECRET) {
+    mock.method(accountConfigService, "get", async () => ({ account_id: 1, webhook_secret: secret }));
+}
+
+test("accepts a correctly signed delivery", async () => {
+    withSecret();
+    assert.deepEqual(await verify(request()), { passed: true, status: 200 });
+});
+
+test("rejects a body changed after signing", async () => {
+    withSecret();
+    const req = request();
+    req.rawBody = Buffer.from(JSON.stringify({ id: 7, account: { id: 1 }, content: "changed" }));
+    assert.deepEqual(await verify(req), { passed: false, status: 401 });
+});
+
+test("rejects a signature made with another secret", async () => {
+    withSecret("another-secret");
+    assert.deepEqual(await verify(request()), { passed: false, status: 401 });
+});
+
+test("rejects timestamps outside the tolerance window", async () => {
+    withSecret();
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+    assert.deepEqual(await verify(request({ timestamp: stale })), { passed: false, status: 401 });
+});
+
+test("rejects missing and malformed signatures", async () => {
+    withSecret();
+    assert.equal((await verify(request({ signature: null }))).status, 401);
+    assert.equal((await verify(request({ signature: "sha256=not-hex" }))).status, 401);
+    assert.equal((await verify(request({ signature: "sha256=abcd" }))).status, 401);
+});
+
+test("rejects deliveries without an account id", async () => {
+    withSecret();
+    assert.deepEqual(await verify(request({ body: { id: 7 } })), { passed: false, status: 400 });
+});
+
+test("rejects accounts without a webhook secret", async () => {
+    mock.method(accountConfigService, "get", async () => ({ account_id: 1 }));
+    assert.deepEqual(await verify(request()), { passed: false, status: 401 });
+});
@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import modelRegistry from './modelRegistry.js';
+import usageLedger from '../service/usageLedger.js';
 dotenv.config();
 class AttributeExtractor {
     constructor(logger = console) {
@@ -783,7 +785,7 @@ class AttributeExtractor {
     }
 
     // Simplified AI extraction for normal attribute collection
-    async extractAllAttributesFromMessage(message, requiredAttributes, useAI = true) {
+    async extractAllAttributesFromMessage(message, requiredAttributes, useAI = true, accountConfig = null) {
         const extractedAttributes = {};
 
         if (!message || !requiredAttributes || requiredAttributes.length === 0) {
@@ -794,7 +796,7 @@ class AttributeExtractor {
 
         if (useAI) {
             try {
-                const aiExtracted = await this.extractUsingAI(message, requiredAttributes);
+                const aiExtracted = await this.extractUsingAI(message, requiredAttributes, accountConfig);
                 Object.assign(extractedAttributes, aiExtracted);
                 this.logger.info(`AI extracted:`, aiExtracted);
             } catch (error) {
@@ -805,9 +807,8 @@ class AttributeExtractor {
         return extractedAttributes;
     }
 
-    async extractUsingAI(message, requiredAttributes) {
+    async extractUsingAI(message, requiredAttributes, accountConfig = null) {
         try {
-            const { ChatOpenAI } = await import("@langchain/openai");
             const { ChatPromptTemplate } = await import("@langchain/core/prompts");
             const { StringOutputParser } = await import("@langchain/core/output_parsers");
 
@@ -841,19 +842,14 @@ Extract the attributes listed above and return only a JSON object:`]
                 return info;
             }).join('\n');
 
-            const llm = new ChatOpenAI({
-                apiKey: process.env.OPENAI_API_KEY,
-                model: "gpt-4o-mini",
-                temperature: 0,
-                maxTokens: 300
-            });
+            const llm = modelRegistry.chatModel("extraction", accountConfig, { temperature: 0, maxTokens: 300 });
 
             const chain = prompt.pipe(llm).pipe(new StringOutputParser());
 
             const result = await chain.invoke({
                 message: message,
                 attributeInfo: attributeInfo
-            });
+            }, { callbacks: usageLedger.callbacks(accountConfig?.account_id, "extraction") });
 
             this.logger.info(`AI extraction raw result: ${result}`);
 
@@ -933,7 +929,7 @@ Extract the attributes listed above and return only a JSON object:`]
     /**
      * Handles the attribute change process
      */
-    async handleAttributeChange(changeIntent, currentAttributes, requiredAttributes, api_access_token, account_id, contact_id) {
+    async handleAttributeChange(changeIntent, currentAttributes, requiredAttributes, api_access_token, account_id, contact_id, accountConfig = null) {
         let { attributeKey, newValue, changeType, _llmExtractionNeeded } = changeIntent;
         // Find attribute definition
         const attributeDef = requiredAttributes.find(attr => attr.attribute_key === attributeKey);
@@ -946,7 +942,8 @@ Extract the attributes listed above and return only a JSON object:`]
             try {
                 const aiExtracted = await this.extractUsingAI(
                     `User wants to change ${attributeDef.attribute_display_name || attributeKey}. Message: "${arguments[0].message || ''}"`,
-                    [attributeDef]
+                    [attributeDef],
+                    accountConfig
                 );
                 if (aiExtracted && aiExtracted[attributeKey]) {
                     newValue = aiExtracted[attributeKey];
@@ -1053,7 +1050,7 @@ Extract the attributes listed above and return only a JSON object:`]
     /**
      * Main method to process attribute changes in webhook
      */
-    async processAttributeChanges(message, currentAttributes, requiredAttributes, api_access_token, account_id, contact_id) {
+    async processAttributeChanges(message, currentAttributes, requiredAttributes, api_access_token, account_id, contact_id, accountConfig = null) {
         // First detect if there's change intent
         const changeIntent = this.detectAttributeChangeIntent(message, currentAttributes, requiredAttributes);
         if (!changeIntent.hasChangeIntent) {
@@ -1067,7 +1064,8 @@ Extract the attributes listed above and return only a JSON object:`]
             requiredAttributes,
             api_access_token,
             account_id,
-            contact_id
+            contact_id,
+            accountConfig
         );
         if (changeResult.success) {
             const confirmationMessage = this.generateChangeConfirmationMessage(changeResult);
@@ -1104,7 +1102,7 @@ Extract the attributes listed above and return only a JSON object:`]
         return missing;
     }
 
-    async extractAllAttributesFromMessage(message, requiredAttributes, useAI = true) {
+    async extractAllAttributesFromMessage(message, requiredAttributes, useAI = true, accountConfig = null) {
         const extractedAttributes = {};
 
         if (!message || !requiredAttributes || requiredAttributes.length === 0) {
@@ -1117,7 +1115,7 @@ Extract the attributes listed above and return only a JSON object:`]
         // STEP 1: AI Extraction (primary method - works for any client)
         if (useAI) {
             try {
-                const aiExtracted = await this.extractUsingAI(message, requiredAttributes);
+                const aiExtracted = await this.extractUsingAI(message, requiredAttributes, accountConfig);
                 Object.assign(extractedAttributes, aiExtracted);
                 this.logger.info(`AI extracted (client-agnostic):`, aiExtracted);
             } catch (error) {
@@ -1317,9 +1315,8 @@ Extract the attributes listed above and return only a JSON object:`]
         return stopWords.includes(word.toLowerCase());
     }
 
-    async extractUsingAI(message, requiredAttributes) {
+    async extractUsingAI(message, requiredAttributes, accountConfig = null) {
         try {
-            const { ChatOpenAI } = await import("@langchain/openai");
             const { ChatPromptTemplate } = await import("@langchain/core/prompts");
             const { StringOutputParser } = await import("@langchain/core/output_parsers");
 
@@ -1367,12 +1364,8 @@ Extract any mentioned values for the client's attributes. Analyze the attribute
             // Generate completely dynamic attribute information
             const attributeInfo = this.generateDynamicAttributeInfo(requiredAttributes);
 
-            const llm = new ChatOpenAI({
-                apiKey: process.env.OPENAI_API_KEY,
-                model: "gpt-4o-mini",
-                temperature: 0.2, // Allow some creativity for pattern recognition
-                maxTokens: 500
-            });
+            // Some temperature allows for pattern recognition
+            const llm = modelRegistry.chatModel("extraction", accountConfig, { temperature: 0.2, maxTokens: 500 });
 
             const chain = prompt.pipe(llm).pipe(new StringOutputParser());
 
@@ -1382,7 +1375,7 @@ Extract any mentioned values for the client's attributes. Analyze the attribute
             const result = await chain.invoke({
                 message: message,
                 attributeInfo: attributeInfo
-            });
+            }, { callbacks: usageLedger.callbacks(accountConfig?.account_id, "extraction") });
 
             this.logger.info(`AI extraction raw result: ${result}`);
 
@@ -1,5 +1,5 @@
 import multer from 'multer';
-import { BlobServiceClient } from '@azure/storage-blob';
+import { BlobServiceClient, BlobSASPermissions } from '@azure/storage-blob';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
 
@@ -158,10 +158,26 @@ async function deleteFileFromAzure(blobName) {
     }
 }
 
+/**
+ * Time-limited read-only URL for a private blob
+ * @param {string} blobName - Name of the blob
+ * @param {Object} options - { containerName, expiresInMinutes }
+ * @returns {Promise<string>} - Blob URL with a SAS token; needs an account key in the connection string
+ */
+async function getBlobReadUrl(blobName, { containerName = CONTAINER_NAME, expiresInMinutes = 60 } = {}) {
+    const blobClient = blobServiceClient.getContainerClient(containerName).getBlobClient(blobName);
+    return await blobClient.generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        startsOn: new Date(Date.now() - 5 * 60 * 1000), // Allow for clock skew
+        expiresOn: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    });
+}
+
 export {
     handleMultiFileUpload,
     uploadFilesToAzure,
     directUploadFiles,
     deleteFileFromAzure,
+    getBlobReadUrl,
     upload // Export multer instance for custom usage
 };
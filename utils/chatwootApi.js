@@ -0,0 +1,88 @@
+// chatwootApi.js - Chatwoot REST calls used by the webhook reply path
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const CHATWOOT_URL = process.env.CHATWOOT_URL;
+
+function conversationUrl(accountId, conversationId) {
+    return `${CHATWOOT_URL}/api/v1/accounts/${accountId}/conversations/${conversationId}`;
+}
+
+function headers(token) {
+    return { "Content-Type": "application/json", api_access_token: token };
+}
+
+async function fetchLastMessages(accountId, conversationId, limit = 20, api_access_token) {
+    const res = await axios.get(
+        `${conversationUrl(accountId, conversationId)}/messages?per_page=100`,
+        { headers: headers(api_access_token), timeout: 10000 }
+    );
+    const all = Array.isArray(res.data) ? res.data : res.data?.payload || [];
+    return all.slice(-limit);
+}
+
+// The page of messages before beforeId, oldest first; empty once the start of the conversation is reached
+async function fetchMessagesBefore(accountId, conversationId, beforeId, api_access_token) {
+    const res = await axios.get(
+        `${conversationUrl(accountId, conversationId)}/messages`,
+        { params: { before: beforeId }, headers: headers(api_access_token), timeout: 10000 }
+    );
+    const page = Array.isArray(res.data) ? res.data : res.data?.payload || [];
+    return page.sort((a, b) => a.id - b.id);
+}
+
+async function sendChatwootReply(accountId, conversationId, content, CHATWOOT_BOT_TOKEN) {
+    await axios.post(
+        `${conversationUrl(accountId, conversationId)}/messages`,
+        { content, message_type: "outgoing" },
+        { headers: headers(CHATWOOT_BOT_TOKEN), timeout: 10000 }
+    );
+}
+
+// Show or hide the "typing..." indicator; status is "on" or "off"
+async function toggleTypingStatus(accountId, conversationId, status, CHATWOOT_BOT_TOKEN) {
+    await axios.post(
+        `${conversationUrl(accountId, conversationId)}/toggle_typing_status`,
+        { typing_status: status },
+        { headers: headers(CHATWOOT_BOT_TOKEN), timeout: 5000 }
+    );
+}
+
+// Private notes are only visible to agents
+async function createPrivateNote(accountId, conversationId, content, api_access_token) {
+    await axios.post(
+        `${conversationUrl(accountId, conversationId)}/messages`,
+        { content, message_type: "outgoing", private: true },
+        { headers: headers(api_access_token), timeout: 10000 }
+    );
+}
+
+// status is "open", "pending", "resolved" or "snoozed"; "open" hands the conversation to agents
+async function toggleConversationStatus(accountId, conversationId, status, api_access_token) {
+    await axios.post(
+        `${conversationUrl(accountId, conversationId)}/toggle_status`,
+        { status },
+        { headers: headers(api_access_token), timeout: 10000 }
+    );
+}
+
+// assignment is { team_id } or { assignee_id }
+async function assignConversation(accountId, conversationId, assignment, api_access_token) {
+    await axios.post(
+        `${conversationUrl(accountId, conversationId)}/assignments`,
+        assignment,
+        { headers: headers(api_access_token), timeout: 10000 }
+    );
+}
+
+export {
+    fetchLastMessages,
+    fetchMessagesBefore,
+    sendChatwootReply,
+    toggleTypingStatus,
+    createPrivateNote,
+    toggleConversationStatus,
+    assignConversation
+};
@@ -0,0 +1,306 @@
+// chunking.js - Splits extracted content into chunks for embedding
+//
+// Strategies (chunk_method):
+//   recursive_character - paragraphs, then lines, then words; the original behaviour
+//   markdown            - splits at headings; every chunk starts with its heading path
+//   page                - never crosses a PDF page boundary; chunks carry their page_number
+//   spreadsheet_rows    - groups of whole rows, each chunk repeating the sheet's header row
+//   token               - recursive splitting, sizes counted in (estimated) tokens
+// An upload picks one with chunk_method, chunk_size and chunk_overlap; otherwise the account's
+// chunking_settings for the file type apply, else the default for the content format below.
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import logger from "./logger.js";
+
+const CHUNK_METHODS = ["recursive_character", "markdown", "page", "spreadsheet_rows", "token"];
+
+// Characters, except for the token method
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+const DEFAULT_TOKEN_CHUNK_SIZE = 300;
+const DEFAULT_TOKEN_CHUNK_OVERLAP = 50;
+const MIN_CHUNK_SIZE = 50;
+const MAX_CHUNK_SIZE = 8000; // Stays below the embedding models' input limit
+
+// Used when neither the upload nor the account picks a method
+const DEFAULT_METHOD_BY_FORMAT = {
+    pdf: "page",
+    spreadsheet: "spreadsheet_rows",
+    markdown: "markdown",
+    text: "recursive_character"
+};
+
+// About four characters per token for English text
+function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+// Key for an account's per-file-type settings: the extension without its dot ("pdf", "xlsx")
+function fileTypeKey(fileName) {
+    const match = String(fileName || "").toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Validate chunk_method, chunk_size and chunk_overlap from an upload body or a settings rule
+ * @param {Object} source - Values may be strings, as multipart bodies send them
+ * @returns {Object} - Only the options that were given, as { chunk_method, chunk_size, chunk_overlap }
+ */
+function parseChunkingOptions(source = {}) {
+    const options = {};
+    const given = value => value !== undefined && value !== null && value !== "";
+
+    if (given(source.chunk_method)) {
+        if (!CHUNK_METHODS.includes(source.chunk_method)) {
+            throw new Error(`Unknown chunk_method: ${source.chunk_method}. Valid options: ${CHUNK_METHODS.join(", ")}`);
+        }
+        options.chunk_method = source.chunk_method;
+    }
+    if (given(source.chunk_size)) {
+        const size = Number(source.chunk_size);
+        if (!Number.isInteger(size) || size < MIN_CHUNK_SIZE || size > MAX_CHUNK_SIZE) {
+            throw new Error(`chunk_size must be an integer between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE}`);
+        }
+        options.chunk_size = size;
+    }
+    if (given(source.chunk_overlap)) {
+        const overlap = Number(source.chunk_overlap);
+        if (!Number.isInteger(overlap) || overlap < 0) {
+            throw new Error("chunk_overlap must be a non-negative integer");
+        }
+        if (options.chunk_size !== undefined && overlap >= options.chunk_size) {
+            throw new Error("chunk_overlap must be smaller than chunk_size");
+        }
+        options.chunk_overlap = overlap;
+    }
+    return options;
+}
+
+/**
+ * Chunking options for one piece of content
+ * @param {Object} params - { format, fileType, upload, accountSettings } upload is the request body,
+ *   accountSettings the account's chunking_settings ({ default, file_types })
+ * @returns {Object} - { chunk_method, chunk_size, chunk_overlap }
+ */
+function resolveChunking({ format = "text", fileType = null, upload = {}, accountSettings = null }) {
+    const rule = {
+        ...parseChunkingOptions(accountSettings?.default || {}),
+        ...parseChunkingOptions((fileType && accountSettings?.file_types?.[fileType]) || {}),
+        ...parseChunkingOptions(upload)
+    };
+
+    const chunk_method = rule.chunk_method || DEFAULT_METHOD_BY_FORMAT[format] || "recursive_character";
+    const byTokens = chunk_method === "token";
+    const chunk_size = rule.chunk_size ?? (byTokens ? DEFAULT_TOKEN_CHUNK_SIZE : DEFAULT_CHUNK_SIZE);
+    let chunk_overlap = rule.chunk_overlap ?? (byTokens ? DEFAULT_TOKEN_CHUNK_OVERLAP : DEFAULT_CHUNK_OVERLAP);
+    // A smaller size from one source and the default overlap could otherwise collide
+    if (chunk_overlap >= chunk_size) {
+        chunk_overlap = Math.floor(chunk_size / 5);
+    }
+
+    return { chunk_method, chunk_size, chunk_overlap };
+}
+
+async function splitRecursive(text, chunkSize, chunkOverlap, lengthFunction = undefined) {
+    const splitter = new RecursiveCharacterTextSplitter({
+        chunkSize,
+        chunkOverlap,
+        ...(lengthFunction ? { lengthFunction } : {})
+    });
+    return splitter.splitText(text);
+}
+
+// Sections between headings with the titles of the headings above them; code fences are not scanned
+function markdownSections(text) {
+    const sections = [];
+    const headings = [];
+    let current = { path: [], lines: [] };
+    let inFence = false;
+
+    String(text).split("\n").forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (!heading) {
+            current.lines.push(line);
+            return;
+        }
+
+        sections.push(current);
+        const level = heading[1].length;
+        headings.length = level - 1;
+        headings[level - 1] = heading[2].trim();
+        current = { path: headings.filter(Boolean), lines: [] };
+    });
+    sections.push(current);
+
+    return sections
+        .map(section => ({ path: section.path, body: section.lines.join("\n").trim() }))
+        .filter(section => section.body.length > 0);
+}
+
+async function chunkMarkdown(text, chunkSize, chunkOverlap) {
+    const chunks = [];
+    for (const section of markdownSections(text)) {
+        const heading = section.path.join(" > ");
+        // The heading path is repeated in every chunk of the section and counts towards its size
+        const budget = Math.max(chunkSize - heading.length - 2, MIN_CHUNK_SIZE);
+        const pieces = await splitRecursive(section.body, budget, Math.min(chunkOverlap, Math.floor(budget / 2)));
+        pieces.forEach(piece => {
+            chunks.push({
+                content: heading ? `${heading}\n\n${piece}` : piece,
+                section: heading || null
+            });
+        });
+    }
+    return chunks;
+}
+
+async function chunkPages(pages, chunkSize, chunkOverlap) {
+    const chunks = [];
+    for (const page of pages) {
+        if (!page.text || page.text.trim().length === 0) continue;
+        const pieces = await splitRecursive(page.text, chunkSize, chunkOverlap);
+        pieces.forEach(piece => chunks.push({ content: piece, page_number: page.page_number }));
+    }
+    return chunks;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(row) {
+    return row.map(csvCell).join(",");
+}
+
+// Whole rows only; the first non-empty row of a sheet is its header and starts every chunk
+// A row longer than a chunk is split over several chunks that all carry its row number
+async function chunkSheets(sheets, chunkSize) {
+    const chunks = [];
+    for (const sheet of sheets) {
+        const firstRow = sheet.first_row || 1;
+        const rows = (sheet.rows || []).map((row, index) => ({ row, number: firstRow + index }))
+            .filter(({ row }) => row.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== ""));
+        if (rows.length === 0) continue;
+
+        const [header, ...body] = rows;
+        // A very wide header is cut so every chunk keeps room for rows
+        const headerLine = csvRow(header.row).slice(0, Math.floor(chunkSize / 2));
+        const prefix = `Sheet: ${sheet.name}\n${headerLine}`;
+        if (body.length === 0) {
+            chunks.push({ content: prefix, sheet: sheet.name, row_start: header.number, row_end: header.number });
+            continue;
+        }
+
+        let group = [];
+        const flush = () => {
+            if (group.length === 0) return;
+            chunks.push({
+                content: `${prefix}\n${group.map(entry => entry.line).join("\n")}`,
+                sheet: sheet.name,
+                row_start: group[0].number,
+                row_end: group[group.length - 1].number
+            });
+            group = [];
+        };
+
+        let length = prefix.length;
+        const budget = chunkSize - prefix.length - 1;
+        for (const { row, number } of body) {
+            const line = csvRow(row);
+            if (line.length > budget) {
+                flush();
+                length = prefix.length;
+                const pieces = await splitRecursive(line, Math.max(budget, MIN_CHUNK_SIZE), 0);
+                pieces.forEach(piece => chunks.push({
+                    content: `${prefix}\n${piece}`,
+                    sheet: sheet.name,
+                    row_start: number,
+                    row_end: number
+                }));
+                continue;
+            }
+            if (group.length > 0 && length + line.length + 1 > chunkSize) {
+                flush();
+                length = prefix.length;
+            }
+            group.push({ line, number });
+            length += line.length + 1;
+        }
+        flush();
+    }
+    return chunks;
+}
+
+/**
+ * Split extracted content with the given options
+ * @param {Object} content - { text, format, pages, sheets } pages ([{ page_number, text }]) for PDFs,
+ *   sheets ([{ name, rows }]) for spreadsheets
+ * @param {Object} options - As returned by resolveChunking
+ * @returns {Promise<Object>} - { chunks, chunk_method, chunk_size, chunk_overlap } describing what was
+ *   actually used; chunks are { content, page_number?, section?, sheet?, row_start?, row_end? }
+ */
+async function chunkContent(content, options) {
+    let { chunk_method, chunk_size, chunk_overlap } = options;
+    const text = content.text || "";
+
+    // A method that needs structure the content does not have falls back to plain splitting
+    if ((chunk_method === "page" && !content.pages?.length) || (chunk_method === "spreadsheet_rows" && !content.sheets?.length)) {
+        logger.info(`chunk_method ${chunk_method} does not apply to ${content.format || "text"} content; using recursive_character`);
+        chunk_method = "recursive_character";
+    }
+
+    let chunks;
+    try {
+        switch (chunk_method) {
+            case "markdown":
+                chunks = await chunkMarkdown(text, chunk_size, chunk_overlap);
+                break;
+            case "page":
+                chunks = await chunkPages(content.pages, chunk_size, chunk_overlap);
+                break;
+            case "spreadsheet_rows":
+                chunks = await chunkSheets(content.sheets, chunk_size);
+                chunk_overlap = 0; // Rows are never repeated between chunks
+                break;
+            case "token":
+                chunks = (await splitRecursive(text, chunk_size, chunk_overlap, estimateTokens)).map(piece => ({ content: piece }));
+                break;
+            default:
+                chunks = (await splitRecursive(text, chunk_size, chunk_overlap)).map(piece => ({ content: piece }));
+        }
+    } catch (error) {
+        logger.warn(`Chunking with ${chunk_method} failed, using recursive_character: ${error.message}`);
+        chunk_method = "recursive_character";
+        try {
+            chunks = (await splitRecursive(text, chunk_size, chunk_overlap)).map(piece => ({ content: piece }));
+        } catch (fallbackError) {
+            logger.warn(`recursive_character chunking failed too, cutting the text every ${chunk_size} characters: ${fallbackError.message}`);
+            chunks = [];
+        }
+    }
+
+    chunks = chunks.filter(chunk => chunk.content && chunk.content.trim().length > 0);
+    if (chunks.length === 0 && text.trim().length > 0) {
+        // Never one chunk larger than chunk_size: it could exceed the embedding input limit
+        chunks = [];
+        for (let start = 0; start < text.length; start += chunk_size) {
+            chunks.push({ content: text.slice(start, start + chunk_size) });
+        }
+        chunks = chunks.filter(chunk => chunk.content.trim().length > 0);
+    }
+
+    return { chunks, chunk_method, chunk_size, chunk_overlap };
+}
+
+export {
+    CHUNK_METHODS,
+    DEFAULT_CHUNK_SIZE,
+    DEFAULT_CHUNK_OVERLAP,
+    fileTypeKey,
+    parseChunkingOptions,
+    resolveChunking,
+    chunkContent
+};
@@ -0,0 +1,63 @@
+// citationLinks.js - Turns [Title, p. 4] citations in a reply into links to their source
+//
+// Uploaded files link to a time-limited read URL for their blob, PDFs opened at the cited page;
+// crawled pages and downloaded files link to the URL they came from.
+import { getBlobReadUrl } from "./azureFileUpload.js";
+import { extractCitations, matchCitation, chunkLocation } from "./grounding.js";
+import logger from "./logger.js";
+
+// Blob links stop working after this; the transcript keeps the citation text
+const LINK_TTL_MINUTES = Number(process.env.CITATION_LINK_TTL_MINUTES || 24 * 60);
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Link to the document a hit comes from
+ * @param {Object} hit - KB hit with azure_blob_name / azure_container / file_type or source_url
+ * @returns {Promise<string|null>} - null when the source cannot be linked
+ */
+async function sourceLink(hit) {
+    if (hit?.azure_blob_name) {
+        try {
+            const url = await getBlobReadUrl(hit.azure_blob_name, {
+                ...(hit.azure_container ? { containerName: hit.azure_container } : {}),
+                expiresInMinutes: LINK_TTL_MINUTES
+            });
+            const { page_number } = chunkLocation(hit);
+            const isPdf = /\.pdf$/i.test(hit.file_type || hit.azure_blob_name);
+            return page_number && isPdf ? `${url}#page=${page_number}` : url;
+        } catch (error) {
+            logger.warn(`Could not create a read URL for blob ${hit.azure_blob_name}: ${error.message}`);
+        }
+    }
+    if (hit?.source_url && /^https?:\/\//i.test(hit.source_url)) {
+        return hit.source_url;
+    }
+    return null;
+}
+
+/**
+ * Add a markdown link after every citation whose source can be linked: [Title, p. 4](url)
+ * @param {string} answer - Reply text with [label] citations
+ * @param {Array} hits - The KB hits the reply was generated from
+ * @returns {Promise<string>}
+ */
+async function linkCitations(answer, hits) {
+    let linked = String(answer || "");
+    for (const citation of extractCitations(linked)) {
+        const hit = matchCitation(citation, hits);
+        if (!hit) continue;
+
+        const url = await sourceLink(hit);
+        if (!url) continue;
+
+        // Brackets already followed by a link are left alone, as in extractCitations
+        const pattern = new RegExp(`\\[\\s*${escapeRegex(citation)}\\s*\\](?!\\()`, "g");
+        linked = linked.replace(pattern, match => `${match}(${url.replace(/\)/g, "%29")})`);
+    }
+    return linked;
+}
+
+export { sourceLink, linkCitations };
@@ -0,0 +1,84 @@
+// embeddingModels.js - Which embedding model a vector belongs to
+//
+// Vectors from different models live in different spaces, even when their dimensions
+// agree, so a query may only be compared with chunks embedded by the same model.
+// Every account searches with one active model (AccountConfig.embedding_model, else the
+// server default). service/embeddingMigration.js moves an account to another model: it
+// writes the new vectors next to the old ones (next_embedding) and then flips the pointer.
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { AccountConfig } from "../model/accountConfigModel.js";
+import logger from "./logger.js";
+
+// Model of chunks written before embedding_model was recorded reliably
+const LEGACY_EMBEDDING_MODEL = "text-embedding-3-small";
+
+const EMBEDDING_DIMENSIONS = {
+    "text-embedding-3-small": 1536,
+    "text-embedding-3-large": 3072,
+    "text-embedding-ada-002": 1536
+};
+
+const embeddingClients = new Map();
+let warnedEnvMismatch = false;
+
+// OPENAI_EMBEDDING_MODEL wins; OPENAI_EMBED_MODEL is the name older services read
+function defaultEmbeddingModel() {
+    const preferred = process.env.OPENAI_EMBEDDING_MODEL;
+    const legacy = process.env.OPENAI_EMBED_MODEL;
+    if (preferred && legacy && preferred !== legacy && !warnedEnvMismatch) {
+        warnedEnvMismatch = true;
+        logger.warn(`OPENAI_EMBEDDING_MODEL (${preferred}) and OPENAI_EMBED_MODEL (${legacy}) disagree; using ${preferred}`);
+    }
+    return preferred || legacy || LEGACY_EMBEDDING_MODEL;
+}
+
+function getEmbeddings(model = defaultEmbeddingModel()) {
+    if (!embeddingClients.has(model)) {
+        embeddingClients.set(model, new OpenAIEmbeddings({
+            apiKey: process.env.OPENAI_API_KEY,
+            model
+        }));
+    }
+    return embeddingClients.get(model);
+}
+
+// Read on every search so a switch is seen by all processes at once
+async function getActiveEmbeddingModel(accountId) {
+    const config = await AccountConfig.findOne({ account_id: parseInt(accountId) }, { embedding_model: 1 }).lean();
+    return config?.embedding_model || defaultEmbeddingModel();
+}
+
+function chunkEmbeddingModel(chunk) {
+    return chunk.embedding_model || LEGACY_EMBEDDING_MODEL;
+}
+
+// The chunk's vector in the given model's space, or null when it has none
+function chunkVector(chunk, model) {
+    if (chunkEmbeddingModel(chunk) === model && Array.isArray(chunk.embedding) && chunk.embedding.length > 0) {
+        return chunk.embedding;
+    }
+    if (chunk.next_embedding_model === model && Array.isArray(chunk.next_embedding) && chunk.next_embedding.length > 0) {
+        return chunk.next_embedding;
+    }
+    return null;
+}
+
+// MongoDB filter for chunks that have a vector in the given model's space
+function embeddingModelFilter(model) {
+    const conditions = [{ embedding_model: model }, { next_embedding_model: model }];
+    if (model === LEGACY_EMBEDDING_MODEL) {
+        conditions.push({ embedding_model: { $exists: false } });
+    }
+    return { $or: conditions };
+}
+
+export {
+    LEGACY_EMBEDDING_MODEL,
+    EMBEDDING_DIMENSIONS,
+    defaultEmbeddingModel,
+    getEmbeddings,
+    getActiveEmbeddingModel,
+    chunkEmbeddingModel,
+    chunkVector,
+    embeddingModelFilter
+};
@@ -0,0 +1,182 @@
+// grounding.js - Checks that an answer stands on the retrieved knowledge base snippets
+//
+// Before generation: is any hit relevant enough to answer from at all?
+// After generation: does every [Title] citation in the answer name one of the snippets?
+// Snippets from a PDF page or spreadsheet rows are labelled [Title, p. 4] or [Title, Sheet1 rows 2-9].
+
+// Used when an account has no grounding_settings of its own
+const DEFAULT_GROUNDING_SETTINGS = {
+    min_relevance: 0.3, // Best hit below this means retrieval was weak
+    weak_retrieval_action: "fallback", // "fallback", "escalate" or "answer" (call the LLM anyway)
+    fallback_message: null, // Falls back to DEFAULT_FALLBACK_MESSAGE
+    check_citations: null, // null: checked unless reply_settings.streaming is on; checked answers are never streamed
+    max_regenerations: 1, // Extra attempts after a failed citation check before the fallback is sent
+    citation_links: true // Link citations to the source document (utils/citationLinks.js)
+};
+
+const WEAK_RETRIEVAL_ACTIONS = ["fallback", "escalate", "answer"];
+
+const DEFAULT_FALLBACK_MESSAGE = "I'm sorry, I don't have information about that. Could you rephrase your question, or would you like me to connect you with a member of our team?";
+
+// Label the prompt uses for snippets without a title
+const UNTITLED_SOURCE = "KB";
+
+function getGroundingSettings(accountConfig) {
+    return { ...DEFAULT_GROUNDING_SETTINGS, ...(accountConfig?.grounding_settings || {}) };
+}
+
+// Whether answers are citation-checked. A checked answer is posted whole, so an explicit
+// check_citations: true turns streaming off; left unset, streaming accounts skip the check.
+function citationsChecked(grounding, replySettings) {
+    return grounding?.check_citations ?? !replySettings?.streaming;
+}
+
+// Relevance of a hit on a 0-1 scale: the reranker's judgement, else vector similarity.
+// Hits found only by keyword search have neither and return null.
+function hitRelevance(hit) {
+    const relevance = hit?.rerank_score ?? hit?.vector_score;
+    return typeof relevance === "number" ? relevance : null;
+}
+
+/**
+ * Drop hits below the account's relevance threshold
+ * @param {Array} hits - Retrieved KB chunks
+ * @param {number} minRelevance
+ * @returns {Object} - { hits, weak, best_relevance } weak is true when no hit reaches the threshold
+ */
+function filterRelevantHits(hits, minRelevance = DEFAULT_GROUNDING_SETTINGS.min_relevance) {
+    const scored = (hits || []).map(hit => ({ hit, relevance: hitRelevance(hit) }));
+    const relevances = scored.map(entry => entry.relevance).filter(relevance => relevance !== null);
+    const bestRelevance = relevances.length > 0 ? Math.max(...relevances) : null;
+
+    // Keyword-only hits ride along with relevant ones but cannot carry an answer on their own
+    const kept = scored
+        .filter(entry => entry.relevance === null || entry.relevance >= minRelevance)
+        .map(entry => entry.hit);
+
+    return {
+        hits: kept,
+        weak: bestRelevance === null || bestRelevance < minRelevance,
+        best_relevance: bestRelevance
+    };
+}
+
+// Greetings, thanks and the like need no knowledge base; the weak-retrieval fallback skips them
+const SMALL_TALK_PATTERN = /^\s*(hi|hello|hey|hiya|good (morning|afternoon|evening)|thanks?( you)?( so much)?|thank you( very much)?|ok(ay)?|cool|great|perfect|bye|goodbye|see you|cheers|yes|no|sure)\b[\s!.,?\p{Emoji}]*(there|again|a lot)?[\s!.,?\p{Emoji}]*$/iu;
+
+function isSmallTalk(text) {
+    return SMALL_TALK_PATTERN.test(String(text || ""));
+}
+
+function normalizeTitle(title) {
+    return String(title || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Where a chunk sits in its source, from a search result or a stored chunk (utils/chunking.js)
+ * @returns {Object} - { page_number, sheet, row_start, row_end } null where unknown
+ */
+function chunkLocation(chunk) {
+    const metadata = chunk?.metadata || {};
+    const additional = metadata.additional || {};
+    const page = parseInt(chunk?.page_number ?? metadata.page_number);
+    const rowStart = chunk?.row_start ?? additional.rowStart;
+    const rowEnd = chunk?.row_end ?? additional.rowEnd;
+    return {
+        page_number: Number.isInteger(page) && page > 0 ? page : null,
+        sheet: chunk?.sheet ?? additional.sheet ?? null,
+        row_start: Number.isInteger(rowStart) ? rowStart : null,
+        row_end: Number.isInteger(rowEnd) ? rowEnd : null
+    };
+}
+
+// Citation the prompt shows for a hit: "Title, p. 4", "Title, Sheet1 rows 2-9" or just "Title"
+function citationLabel(hit) {
+    const title = hit?.source_title || UNTITLED_SOURCE;
+    const { page_number, sheet, row_start, row_end } = chunkLocation(hit);
+    if (page_number) {
+        return `${title}, p. ${page_number}`;
+    }
+    if (sheet && row_start) {
+        return `${title}, ${sheet} rows ${row_start === row_end ? row_start : `${row_start}-${row_end}`}`;
+    }
+    return title;
+}
+
+// The hit a citation refers to: its exact label first, else the first hit with that title
+function matchCitation(citation, hits) {
+    const wanted = normalizeTitle(citation);
+    const list = hits || [];
+    return list.find(hit => normalizeTitle(citationLabel(hit)) === wanted) ||
+        list.find(hit => normalizeTitle(hit.source_title || UNTITLED_SOURCE) === wanted) ||
+        null;
+}
+
+// [Title] citations in an answer; markdown links ([text](url)) and checkboxes are not citations
+function extractCitations(answer) {
+    const citations = [];
+    const pattern = /\[([^\[\]\n]{1,200})\](?!\()/g;
+    let match;
+    while ((match = pattern.exec(String(answer || ""))) !== null) {
+        const title = match[1].trim();
+        if (title && !/^[xX ]$/.test(match[1])) {
+            citations.push(title);
+        }
+    }
+    return [...new Set(citations)];
+}
+
+/**
+ * Check that every citation in an answer names one of the snippets it was generated from
+ * @returns {Object} - { ok, citations, unknown, reason }
+ */
+function checkCitations(answer, hits) {
+    const citations = extractCitations(answer);
+    const unknown = citations.filter(citation => !matchCitation(citation, hits));
+
+    return {
+        ok: unknown.length === 0,
+        citations,
+        unknown,
+        reason: unknown.length > 0 ? `cites sources that were not retrieved: ${unknown.map(title => `[${title}]`).join(", ")}` : null
+    };
+}
+
+// Documents an answer cites, one entry per document, in citation order
+function citedDocuments(answer, hits) {
+    const documents = new Map();
+    extractCitations(answer).forEach(citation => {
+        const hit = matchCitation(citation, hits);
+        if (hit && !documents.has(hit.document_id)) {
+            documents.set(hit.document_id, { document_id: hit.document_id, source_title: hit.source_title || UNTITLED_SOURCE });
+        }
+    });
+    return [...documents.values()];
+}
+
+// Extra system prompt text for a second attempt after a rejected answer
+function regenerationNote(previousAttempt) {
+    if (!previousAttempt) return "";
+    return `\n\nYour previous answer was rejected because it ${previousAttempt.reason}. ` +
+        `Only cite sources exactly as they appear in brackets after the knowledge snippets. ` +
+        `If the snippets do not contain the answer, say you don't have that information.`;
+}
+
+export {
+    DEFAULT_GROUNDING_SETTINGS,
+    DEFAULT_FALLBACK_MESSAGE,
+    WEAK_RETRIEVAL_ACTIONS,
+    UNTITLED_SOURCE,
+    getGroundingSettings,
+    citationsChecked,
+    hitRelevance,
+    filterRelevantHits,
+    isSmallTalk,
+    chunkLocation,
+    citationLabel,
+    matchCitation,
+    extractCitations,
+    checkCitations,
+    citedDocuments,
+    regenerationNote
+};
@@ -0,0 +1,520 @@
+// htmlExtractor.js - Readable content of a web page when Firecrawl is not available
+//
+// Parses the HTML into a small tree, drops boilerplate (scripts, navigation, headers and footers,
+// cookie banners, sidebars, hidden elements), picks the main content (<main>, role="main", or the
+// only <article>, else <body>) and renders it as markdown: headings, lists, tables, code blocks and
+// quotes keep their structure, links keep their text and images their alt text.
+// The page <title> and meta description are returned alongside.
+
+// Elements whose content is never text
+const RAW_TEXT_TAGS = new Set(["script", "style", "noscript", "template"]);
+// Elements whose content is kept as plain text
+const RCDATA_TAGS = new Set(["title", "textarea"]);
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+// Elements nested deeper than this are flattened into their ancestor at this depth; the tree walks
+// below are recursive, and pages with thousands of unclosed elements would overflow the call stack
+const MAX_DEPTH = 200;
+
+// Elements that are never page content
+const BOILERPLATE_TAGS = new Set([
+    "nav", "aside", "form", "button", "select", "textarea", "input", "label", "iframe", "object", "embed",
+    "svg", "canvas", "video", "audio", "map", "dialog", "menu", "title", "head", "link", "meta"
+]);
+const BOILERPLATE_ROLES = new Set(["navigation", "banner", "contentinfo", "complementary", "search", "dialog", "alertdialog", "menu", "menubar", "toolbar"]);
+// Matched against class and id, as whole words between "-", "_" or spaces
+const BOILERPLATE_NAMES = /(^|[\s_-])(nav|navbar|navigation|menu|breadcrumbs?|footer|sidebar|cookies?|consent|gdpr|banner|ads?|advert|advertisement|promo|share|sharing|social|popup|modal|newsletter|subscribe|skip-link|related|comments?)([\s_-]|$)/i;
+// Containers that are content even when their class says otherwise
+const CONTENT_NAMES = /(^|[\s_-])(content|main|article|post|entry)([\s_-]|$)/i;
+const CONTENT_TAGS = new Set(["main", "article"]);
+
+// Opening one of these closes an open <p>
+const BLOCK_TAGS = new Set([
+    "address", "article", "aside", "blockquote", "details", "div", "dl", "fieldset", "figcaption", "figure",
+    "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "main", "nav", "ol", "p", "pre",
+    "section", "table", "ul"
+]);
+// Opening the key closes an open element of the same kind, up to one of the listed parents
+const IMPLIED_END = {
+    li: { closes: ["li"], scope: ["ul", "ol", "menu"] },
+    dt: { closes: ["dt", "dd"], scope: ["dl"] },
+    dd: { closes: ["dt", "dd"], scope: ["dl"] },
+    tr: { closes: ["tr", "td", "th"], scope: ["table", "thead", "tbody", "tfoot"] },
+    td: { closes: ["td", "th"], scope: ["tr", "table"] },
+    th: { closes: ["td", "th"], scope: ["tr", "table"] },
+    thead: { closes: ["thead", "tbody", "tr", "td", "th"], scope: ["table"] },
+    tbody: { closes: ["thead", "tbody", "tr", "td", "th"], scope: ["table"] },
+    tfoot: { closes: ["thead", "tbody", "tr", "td", "th"], scope: ["table"] },
+    option: { closes: ["option"], scope: ["select", "datalist"] }
+};
+
+const NAMED_ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", copy: "©", reg: "®", trade: "™",
+    hellip: "…", mdash: "—", ndash: "–", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•",
+    middot: "·", laquo: "«", raquo: "»", euro: "€", pound: "£", yen: "¥", cent: "¢", sect: "§",
+    deg: "°", times: "×", divide: "÷", shy: ""
+};
+
+// Placeholders that survive whitespace clean-up: indentation, and code blocks kept verbatim
+const INDENT = "\u0002";
+const PRE_MARK = "\u0003";
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const ATTR_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function decodeEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            try {
+                return code ? String.fromCodePoint(code) : match;
+            } catch {
+                return match;
+            }
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named === undefined ? match : named;
+    });
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    ATTR_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = ATTR_PATTERN.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        if (!(name in attrs)) {
+            attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+        }
+    }
+    return attrs;
+}
+
+/**
+ * Parse HTML into a tree of { tag, attrs, children, parent, depth } elements and { text } nodes.
+ * Forgiving in the way browsers are: unclosed <p>, <li>, <td> and friends are closed when
+ * their next sibling opens, and stray end tags are ignored. Nesting stops at MAX_DEPTH.
+ * @param {string} html
+ * @returns {Object} - The root element (tag "#root")
+ */
+function parseHtml(html) {
+    const source = String(html || "");
+    const root = { tag: "#root", attrs: {}, children: [], parent: null, depth: 0 };
+    let current = root;
+    // Open elements past MAX_DEPTH by tag; their end tags close nothing
+    const flattened = {};
+
+    const addText = text => {
+        if (text) current.children.push({ text: decodeEntities(text) });
+    };
+    // Outermost open element among tags below the nearest scope element: a new <tr> closes the open <td> and its <tr>
+    const openAncestor = (tags, scope) => {
+        let found = null;
+        for (let node = current; node && node !== root; node = node.parent) {
+            if (scope.includes(node.tag)) break;
+            if (tags.includes(node.tag)) found = node;
+        }
+        return found;
+    };
+    const closeTo = node => {
+        current = node.parent;
+    };
+
+    let index = 0;
+    while (index < source.length) {
+        const lt = source.indexOf("<", index);
+        if (lt === -1) {
+            addText(source.slice(index));
+            break;
+        }
+        addText(source.slice(index, lt));
+
+        // Comments, doctype, CDATA and processing instructions
+        if (source.startsWith("<!--", lt)) {
+            const end = source.indexOf("-->", lt + 4);
+            index = end === -1 ? source.length : end + 3;
+            continue;
+        }
+        if (source[lt + 1] === "!" || source[lt + 1] === "?") {
+            const end = source.indexOf(">", lt);
+            index = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        TAG_PATTERN.lastIndex = lt;
+        const match = TAG_PATTERN.exec(source);
+        if (!match) {
+            addText("<");
+            index = lt + 1;
+            continue;
+        }
+        index = TAG_PATTERN.lastIndex;
+
+        const [, closing, rawName, rawAttrs] = match;
+        const tag = rawName.toLowerCase();
+
+        if (closing) {
+            if (flattened[tag] > 0) {
+                flattened[tag]--;
+                continue;
+            }
+            for (let node = current; node && node !== root; node = node.parent) {
+                if (node.tag === tag) {
+                    closeTo(node);
+                    break;
+                }
+            }
+            continue;
+        }
+
+        // Close what the new element implicitly ends
+        const implied = IMPLIED_END[tag];
+        if (implied) {
+            const open = openAncestor(implied.closes, implied.scope);
+            if (open) closeTo(open);
+        } else if (BLOCK_TAGS.has(tag)) {
+            const open = openAncestor(["p"], ["div", "section", "article", "main", "li", "td", "th", "blockquote"]);
+            if (open) closeTo(open);
+        }
+
+        const element = { tag, attrs: parseAttributes(rawAttrs), children: [], parent: current, depth: current.depth + 1 };
+
+        if (RAW_TEXT_TAGS.has(tag) || RCDATA_TAGS.has(tag)) {
+            const endPattern = new RegExp(`</${tag}\\s*>`, "gi");
+            endPattern.lastIndex = index;
+            const end = endPattern.exec(source);
+            const content = source.slice(index, end ? end.index : source.length);
+            index = end ? endPattern.lastIndex : source.length;
+
+            // Script and style content is dropped; <noscript> and <template> are skipped as well
+            if (RCDATA_TAGS.has(tag)) {
+                element.children.push({ text: decodeEntities(content) });
+                current.children.push(element);
+            }
+            continue;
+        }
+
+        const opens = !VOID_TAGS.has(tag) && !/\/\s*$/.test(rawAttrs);
+        if (opens && element.depth > MAX_DEPTH) {
+            flattened[tag] = (flattened[tag] || 0) + 1;
+            continue;
+        }
+        current.children.push(element);
+        if (opens) {
+            current = element;
+        }
+    }
+
+    return root;
+}
+
+function findAll(node, predicate, found = []) {
+    for (const child of node.children || []) {
+        if (child.tag === undefined) continue;
+        if (predicate(child)) found.push(child);
+        findAll(child, predicate, found);
+    }
+    return found;
+}
+
+function findFirst(node, predicate) {
+    for (const child of node.children || []) {
+        if (child.tag === undefined) continue;
+        if (predicate(child)) return child;
+        const nested = findFirst(child, predicate);
+        if (nested) return nested;
+    }
+    return null;
+}
+
+function textOf(node) {
+    if (node.text !== undefined) return node.text;
+    return (node.children || []).map(textOf).join("");
+}
+
+function collapse(text) {
+    return String(text).replace(/\s+/g, " ").trim();
+}
+
+function isHidden(node) {
+    const { attrs } = node;
+    return "hidden" in attrs
+        || attrs["aria-hidden"] === "true"
+        || /display\s*:\s*none|visibility\s*:\s*hidden/i.test(attrs.style || "")
+        || (node.tag === "input" && attrs.type === "hidden");
+}
+
+function containsContent(node) {
+    return !!findFirst(node, child => CONTENT_TAGS.has(child.tag) || child.attrs.role === "main");
+}
+
+function isBoilerplate(node, insideContent) {
+    if (BOILERPLATE_TAGS.has(node.tag) || isHidden(node)) return true;
+    if (BOILERPLATE_ROLES.has(node.attrs.role)) return true;
+    // A page header or footer is boilerplate; an article's own header holds its title
+    if ((node.tag === "header" || node.tag === "footer") && !insideContent) return true;
+    if (CONTENT_TAGS.has(node.tag) || node.attrs.role === "main") return false;
+
+    const names = `${node.attrs.class || ""} ${node.attrs.id || ""}`;
+    return BOILERPLATE_NAMES.test(names) && !CONTENT_NAMES.test(names) && !containsContent(node);
+}
+
+// Share of a block's text that is link text
+function linkDensity(node) {
+    const text = collapse(textOf(node)).length;
+    if (text === 0) return 0;
+    const linked = findAll(node, child => child.tag === "a").reduce((sum, link) => sum + collapse(textOf(link)).length, 0);
+    return linked / text;
+}
+
+/**
+ * Copy of a tree without boilerplate
+ * @param {Object} node
+ * @param {Object} options - { byName: also drop elements by class/id, linkLists: also drop blocks
+ *   that are mostly links (menus without markup), insideContent: within <main>/<article> }
+ */
+function pruneBoilerplate(node, { byName = true, linkLists = false, insideContent = false } = {}) {
+    const children = [];
+    for (const child of node.children) {
+        if (child.tag === undefined) {
+            children.push(child);
+            continue;
+        }
+        if (isHidden(child) || BOILERPLATE_TAGS.has(child.tag)) continue;
+        if (byName && isBoilerplate(child, insideContent)) continue;
+        if (linkLists && ["ul", "ol", "div", "section"].includes(child.tag)
+            && findAll(child, nested => nested.tag === "a").length >= 5 && linkDensity(child) > 0.75
+            && !findFirst(child, nested => /^h[1-6]$/.test(nested.tag))) {
+            continue;
+        }
+
+        const content = insideContent || CONTENT_TAGS.has(child.tag) || child.attrs.role === "main";
+        children.push(pruneBoilerplate(child, { byName, linkLists, insideContent: content }));
+    }
+    return { ...node, children };
+}
+
+// The element holding the page's main content
+function mainContent(root) {
+    const main = findFirst(root, node => node.tag === "main" || node.attrs.role === "main");
+    if (main) return main;
+
+    const articles = findAll(root, node => node.tag === "article");
+    if (articles.length === 1) return articles[0];
+
+    return findFirst(root, node => node.tag === "body") || root;
+}
+
+// Markdown rendering ------------------------------------------------------------------
+
+function inline(nodes, context) {
+    return collapse(renderChildren(nodes, context).replace(new RegExp(INDENT, "g"), " "));
+}
+
+// Trim every line, leaving indentation placeholders and code blocks alone
+function tidy(text) {
+    return text
+        .split("\n")
+        .map(line => line.replace(/[ \t]+/g, " ").trim())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+function block(content) {
+    return content ? `\n\n${content}\n\n` : "";
+}
+
+function renderChildren(nodes, context) {
+    return nodes.map(node => renderNode(node, context)).join("");
+}
+
+function renderList(node, context) {
+    const ordered = node.tag === "ol";
+    let number = ordered ? parseInt(node.attrs.start, 10) || 1 : 1;
+
+    const items = node.children
+        .filter(child => child.tag !== undefined || collapse(child.text))
+        .map(child => {
+            const content = tidy(renderChildren(child.tag === "li" ? child.children : [child], context));
+            if (!content) return null;
+
+            const marker = ordered ? `${number++}.` : "-";
+            const indent = INDENT.repeat(marker.length + 1);
+            return content
+                .split("\n")
+                .filter(line => line.trim())
+                .map((line, index) => (index === 0 ? `${marker} ${line}` : `${indent}${line}`))
+                .join("\n");
+        })
+        .filter(Boolean);
+
+    return items.length > 0 ? `\n\n${items.join("\n")}\n\n` : "";
+}
+
+// Rows of a table, without the rows of tables nested in it
+function tableRows(node, rows = []) {
+    for (const child of node.children) {
+        if (child.tag === "tr") {
+            rows.push(child.children.filter(cell => cell.tag === "td" || cell.tag === "th"));
+        } else if (child.tag !== undefined && child.tag !== "table") {
+            tableRows(child, rows);
+        }
+    }
+    return rows;
+}
+
+function renderTable(node, context) {
+    const rows = tableRows(node).filter(cells => cells.length > 0);
+    if (rows.length === 0) return block(tidy(renderChildren(node.children, context)));
+
+    // A table used for layout is rendered as its content
+    const layout = findFirst(node, child => child.tag === "table") || rows.every(cells => cells.length === 1);
+    if (layout) {
+        return block(rows.map(cells => cells.map(cell => tidy(renderChildren(cell.children, context))).join("\n\n")).join("\n\n"));
+    }
+
+    const cellText = cell => inline(cell.children, context).replace(/\|/g, "\\|");
+    const width = Math.max(...rows.map(cells => cells.length));
+    const lines = rows.map(cells => {
+        const texts = cells.map(cellText);
+        while (texts.length < width) texts.push("");
+        return `| ${texts.join(" | ")} |`;
+    });
+    lines.splice(1, 0, `|${" --- |".repeat(width)}`);
+    return block(lines.join("\n"));
+}
+
+function renderNode(node, context) {
+    if (node.tag === undefined) {
+        return node.text.replace(/\s+/g, " ");
+    }
+
+    const { tag, children } = node;
+    switch (tag) {
+        case "h1": case "h2": case "h3": case "h4": case "h5": case "h6": {
+            const text = inline(children, context);
+            return text ? block(`${"#".repeat(Number(tag[1]))} ${text}`) : "";
+        }
+        case "br":
+            return "\n";
+        case "hr":
+            return block("---");
+        case "pre": {
+            const code = textOf(node).replace(/^\n/, "").replace(/\s+$/, "");
+            if (!code) return "";
+            const language = (/(?:^|\s)(?:language|lang)-([\w+-]+)/.exec(`${node.attrs.class || ""} ${findFirst(node, child => child.tag === "code")?.attrs.class || ""}`) || [])[1] || "";
+            context.pre.push(`\`\`\`${language}\n${code}\n\`\`\``);
+            return block(`${PRE_MARK}${context.pre.length - 1}${PRE_MARK}`);
+        }
+        case "code": {
+            const text = collapse(textOf(node));
+            return text ? `\`${text}\`` : "";
+        }
+        case "blockquote": {
+            const content = tidy(renderChildren(children, context));
+            return content ? block(content.split("\n").map(line => `> ${line}`).join("\n")) : "";
+        }
+        case "ul": case "ol":
+            return renderList(node, context);
+        case "table":
+            return renderTable(node, context);
+        case "dl":
+            return block(children
+                .filter(child => child.tag === "dt" || child.tag === "dd")
+                .map(child => {
+                    const text = inline(child.children, context);
+                    return text && child.tag === "dt" ? `**${text}**` : text;
+                })
+                .filter(Boolean)
+                .join("\n"));
+        case "strong": case "b": {
+            const text = inline(children, context);
+            return text ? ` **${text}** ` : "";
+        }
+        case "em": case "i": {
+            const text = inline(children, context);
+            return text ? ` _${text}_ ` : "";
+        }
+        case "img":
+            return node.attrs.alt ? ` ${collapse(node.attrs.alt)} ` : "";
+        case "a":
+            // Link text only: URLs would be noise in the chunks and their embeddings
+            return renderChildren(children, context);
+        case "li": case "p": case "div": case "section": case "article": case "main": case "header": case "footer":
+        case "figure": case "figcaption": case "address": case "details": case "summary": case "caption":
+        case "tr": case "td": case "th": case "dt": case "dd": case "body": case "center":
+            return block(renderChildren(children, context));
+        default:
+            return renderChildren(children, context);
+    }
+}
+
+/**
+ * Render an element (or a whole parsed document) as markdown
+ * @param {Object} node - From parseHtml
+ * @returns {string}
+ */
+function toMarkdown(node) {
+    const context = { pre: [] };
+    const markdown = tidy(renderChildren(node.children, context))
+        // Emphasis padding next to punctuation or line ends
+        .replace(/ +([.,;:!?)])/g, "$1")
+        .replace(/\( +/g, "(");
+
+    return markdown
+        .replace(new RegExp(INDENT, "g"), " ")
+        .replace(new RegExp(`${PRE_MARK}(\\d+)${PRE_MARK}`, "g"), (match, index) => context.pre[Number(index)]);
+}
+
+/**
+ * HTML to markdown, without boilerplate removal
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToMarkdown(html) {
+    const root = pruneBoilerplate(parseHtml(html), { byName: false });
+    return toMarkdown(root);
+}
+
+/**
+ * The readable part of a web page
+ * @param {string} html - The page
+ * @returns {Object} - { markdown, title, description } title and description are null when the
+ *   page has none
+ */
+function extractReadableContent(html) {
+    const root = parseHtml(html);
+
+    const meta = name => {
+        const element = findFirst(root, node => node.tag === "meta"
+            && [node.attrs.name, node.attrs.property].some(value => value && value.toLowerCase() === name));
+        return element ? collapse(element.attrs.content || "") || null : null;
+    };
+    const titleElement = findFirst(root, node => node.tag === "title");
+    const heading = findFirst(root, node => node.tag === "h1");
+    const title = (titleElement && collapse(textOf(titleElement)))
+        || meta("og:title")
+        || (heading && collapse(textOf(heading)))
+        || null;
+    const description = meta("description") || meta("og:description");
+
+    const content = mainContent(root);
+    const usingBody = !CONTENT_TAGS.has(content.tag) && content.attrs.role !== "main";
+    let markdown = toMarkdown(pruneBoilerplate(content, { linkLists: usingBody, insideContent: !usingBody }));
+
+    // Class names are a guess; when they took nearly everything, keep what only the markup says is boilerplate
+    if (markdown.length < 200) {
+        const lenient = toMarkdown(pruneBoilerplate(content, { byName: false, insideContent: !usingBody }));
+        if (lenient.length > markdown.length * 5) {
+            markdown = lenient;
+        }
+    }
+
+    return { markdown, title, description };
+}
+
+export {
+    parseHtml,
+    htmlToMarkdown,
+    extractReadableContent
+};
@@ -80,6 +80,19 @@ class SharedLangfuseService {
         }
     }
 
+    async endSpan(span, output, metadata = {}) {
+        if (!span) return;
+
+        try {
+            span.end({
+                output: output,
+                metadata: metadata
+            });
+        } catch (error) {
+            console.error('Error ending Langfuse span:', error);
+        }
+    }
+
     async updateTrace(trace, output, metadata = {}) {
         if (!trace) return;
 
@@ -167,25 +180,6 @@ class SharedLangfuseService {
         }
     }
 
-    // Account-specific analytics using shared Langfuse
-    async getAccountAnalytics(accountId, days = 30) {
-        if (!this.isEnabled || !this.langfuse) return null;
-
-        try {
-
-            console.log(`Analytics for account ${accountId} available in Langfuse dashboard (filter by userId: ${accountId})`);
-            return {
-                message: "Check Langfuse dashboard for detailed analytics",
-                filter_by: `userId: ${accountId}`,
-                dashboard_url: process.env.LANGFUSE_BASE_URL
-            };
-
-        } catch (error) {
-            console.error('Error getting Langfuse analytics:', error);
-            return null;
-        }
-    }
-
     // Health check for Langfuse connection
     async healthCheck() {
         if (!this.isEnabled) {
@@ -0,0 +1,141 @@
+// lexicalIndex.js - In-memory BM25 index per account over active UnifiedDocument chunks
+import { UnifiedDocument } from "../model/clientModel.js";
+import logger from "./logger.js";
+
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from",
+    "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "no", "not", "of", "on", "or",
+    "our", "so", "that", "the", "their", "then", "there", "these", "this", "to", "was", "we",
+    "what", "when", "where", "which", "who", "why", "will", "with", "you", "your"
+]);
+
+// Light plural stripping so "orders" matches "order" without a full stemmer
+function stem(token) {
+    if (token.length > 4 && token.endsWith("ies")) return token.slice(0, -3) + "y";
+    if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+    return token;
+}
+
+function tokenize(text) {
+    return String(text || "")
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "") // Strip diacritics
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+class LexicalIndex {
+    constructor({ k1 = 1.2, b = 0.75, ttlMs = Number(process.env.LEXICAL_INDEX_TTL_MS || 10 * 60 * 1000) } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        // Rebuild periodically so chunks written by other processes are picked up
+        this.ttlMs = ttlMs;
+        this.cache = new Map(); // accountId -> index
+        this.loading = new Map(); // accountId -> Promise
+    }
+
+    async _load(accountId) {
+        const cached = this.cache.get(accountId);
+        if (cached && Date.now() - cached.builtAt < this.ttlMs) {
+            return cached;
+        }
+        if (!this.loading.has(accountId)) {
+            this.loading.set(accountId, this.build(accountId).finally(() => this.loading.delete(accountId)));
+        }
+        return this.loading.get(accountId);
+    }
+
+    async build(accountId) {
+        const startTime = Date.now();
+        const docs = [];
+        const postings = new Map(); // term -> [[docIndex, termFrequency]]
+        let totalLength = 0;
+
+        const cursor = UnifiedDocument.find({ account_id: accountId, is_active: true, processing_status: 'completed' })
+            .select("document_id chunk_index content source_title inbox_ids")
+            .lean()
+            .cursor();
+
+        for await (const chunk of cursor) {
+            // Titles are indexed with the content so "refund policy" finds "Refund Policy.pdf"
+            const tokens = tokenize(`${chunk.source_title || ""} ${chunk.content || ""}`);
+            const frequencies = new Map();
+            tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+            const docIndex = docs.length;
+            docs.push({
+                id: chunk._id.toString(),
+                document_id: chunk.document_id,
+                chunk_index: chunk.chunk_index || 0,
+                inbox_ids: chunk.inbox_ids || [],
+                length: tokens.length
+            });
+            totalLength += tokens.length;
+
+            frequencies.forEach((frequency, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push([docIndex, frequency]);
+            });
+        }
+
+        const index = {
+            docs,
+            postings,
+            avgLength: docs.length > 0 ? totalLength / docs.length : 0,
+            builtAt: Date.now()
+        };
+        this.cache.set(accountId, index);
+
+        logger.info(`Built lexical index for account ${accountId}: ${docs.length} chunks, ${postings.size} terms in ${Date.now() - startTime}ms`);
+        return index;
+    }
+
+    // Returns [{ id, document_id, chunk_index, score }] ordered by BM25 score.
+    // With inboxId, only chunks shared account-wide or listed for that inbox are returned.
+    async search(accountId, query, k = 10, { inboxId } = {}) {
+        const index = await this._load(parseInt(accountId));
+        const terms = [...new Set(tokenize(query))];
+
+        if (terms.length === 0 || index.docs.length === 0) {
+            return [];
+        }
+
+        const scores = new Map();
+        const N = index.docs.length;
+        const scoped = inboxId !== undefined && inboxId !== null && inboxId !== '';
+
+        terms.forEach(term => {
+            const termPostings = index.postings.get(term);
+            if (!termPostings) return;
+
+            const idf = Math.log(1 + (N - termPostings.length + 0.5) / (termPostings.length + 0.5));
+            termPostings.forEach(([docIndex, frequency]) => {
+                const length = index.docs[docIndex].length;
+                const norm = frequency + this.k1 * (1 - this.b + this.b * length / (index.avgLength || 1));
+                const score = idf * (frequency * (this.k1 + 1)) / norm;
+                scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+            });
+        });
+
+        return [...scores.entries()]
+            .filter(([docIndex]) => {
+                const inboxIds = index.docs[docIndex].inbox_ids;
+                return !scoped || inboxIds.length === 0 || inboxIds.includes(String(inboxId));
+            })
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, k)
+            .map(([docIndex, score]) => ({ ...index.docs[docIndex], score }));
+    }
+
+    invalidate(accountId) {
+        this.cache.delete(parseInt(accountId));
+    }
+}
+
+// Create singleton instance
+const lexicalIndex = new LexicalIndex();
+
+export { LexicalIndex, tokenize };
+export default lexicalIndex;
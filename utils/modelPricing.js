@@ -0,0 +1,83 @@
+// modelPricing.js - Token prices by model, for cost accounting
+//
+// Prices are USD per 1M tokens, as providers publish them. Operators add or override
+// models (e.g. a local inference server at zero cost) with MODEL_PRICING:
+//   MODEL_PRICING='{"llama3.1:8b": {"input": 0, "output": 0}}'
+import logger from "./logger.js";
+
+const DEFAULT_MODEL_PRICING = {
+    "gpt-4o-mini": { input: 0.15, output: 0.60 },
+    "gpt-4o": { input: 2.50, output: 10.00 },
+    "gpt-4.1": { input: 2.00, output: 8.00 },
+    "gpt-4.1-mini": { input: 0.40, output: 1.60 },
+    "gpt-4.1-nano": { input: 0.10, output: 0.40 },
+    "o4-mini": { input: 1.10, output: 4.40 },
+    "o3-mini": { input: 1.10, output: 4.40 },
+    "gpt-3.5-turbo": { input: 0.50, output: 1.50 },
+    "text-embedding-3-small": { input: 0.02, output: 0 },
+    "text-embedding-3-large": { input: 0.13, output: 0 },
+    "text-embedding-ada-002": { input: 0.10, output: 0 }
+};
+
+let pricingTable = null;
+const warnedModels = new Set();
+
+function loadPricing() {
+    const table = { ...DEFAULT_MODEL_PRICING };
+
+    // Older deployments priced the one model the bot used through these variables, in USD per
+    // 1K tokens; they are converted to per 1M so existing settings keep their meaning
+    const legacyInput = process.env.MODEL_PRICING_GPT4O_MINI_INPUT;
+    const legacyOutput = process.env.MODEL_PRICING_GPT4O_MINI_OUTPUT;
+    if (legacyInput || legacyOutput) {
+        table["gpt-4o-mini"] = {
+            input: legacyInput ? Number(legacyInput) * 1000 : table["gpt-4o-mini"].input,
+            output: legacyOutput ? Number(legacyOutput) * 1000 : table["gpt-4o-mini"].output
+        };
+        logger.warn(`MODEL_PRICING_GPT4O_MINI_INPUT/OUTPUT are deprecated; read as USD per 1K tokens, gpt-4o-mini is priced at ${JSON.stringify(table["gpt-4o-mini"])} per 1M. Use MODEL_PRICING instead.`);
+    }
+
+    if (process.env.MODEL_PRICING) {
+        try {
+            Object.entries(JSON.parse(process.env.MODEL_PRICING)).forEach(([model, price]) => {
+                table[model] = { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+            });
+        } catch (error) {
+            logger.error(`Ignoring MODEL_PRICING, it is not valid JSON: ${error.message}`);
+        }
+    }
+    return table;
+}
+
+/**
+ * Price of a model; dated snapshots ("gpt-4o-mini-2024-07-18") use their base model's price
+ * @param {string} model
+ * @returns {Object|null} - { input, output } USD per 1M tokens, null for unknown models
+ */
+function getModelPricing(model) {
+    if (!pricingTable) pricingTable = loadPricing();
+    if (!model) return null;
+
+    const name = String(model);
+    return pricingTable[name] || pricingTable[name.replace(/-\d{4}-\d{2}-\d{2}$/, "")] || null;
+}
+
+/**
+ * Cost of one call or a sum of calls
+ * @param {string} model
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number} - USD; 0 for models without a price, which are logged once
+ */
+function estimateCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const pricing = getModelPricing(model);
+    if (!pricing) {
+        if (!warnedModels.has(model)) {
+            warnedModels.add(model);
+            logger.warn(`No pricing for model ${model}; its usage is recorded at zero cost. Add it to MODEL_PRICING.`);
+        }
+        return 0;
+    }
+    return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+}
+
+export { DEFAULT_MODEL_PRICING, getModelPricing, estimateCost };
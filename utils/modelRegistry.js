@@ -0,0 +1,127 @@
+// modelRegistry.js - Which chat model does what, per account
+//
+// Code asks for a logical role ("reply", "extraction", ...) instead of a model name. The model
+// comes from the account's model_settings, else from the caller's defaults, else from the role
+// defaults below. Providers are OpenAI or any OpenAI-compatible endpoint (vLLM, Ollama,
+// LM Studio, ...) that the operator registers with environment variables:
+//   LLM_PROVIDER_<NAME>_BASE_URL=http://localhost:11434/v1
+//   LLM_PROVIDER_<NAME>_API_KEY=...   (optional, local servers usually ignore it)
+// Accounts can only pick a registered provider by name, never send a URL of their own.
+import { ChatOpenAI } from "@langchain/openai";
+import logger from "./logger.js";
+
+const MODEL_ROLES = ["reply", "extraction", "summarization", "rerank", "query_rewrite"];
+
+const DEFAULT_PROVIDER = "openai";
+
+// Read lazily so values loaded by dotenv after import still count
+function roleDefaults(role) {
+    const fallbackModel = process.env.DEFAULT_CHAT_MODEL || "gpt-4o-mini";
+    const defaults = {
+        reply: { model: process.env.REPLY_MODEL || fallbackModel, temperature: 0.1 },
+        extraction: { model: process.env.EXTRACTION_MODEL || fallbackModel, temperature: 0 },
+        summarization: { model: process.env.SUMMARY_MODEL || fallbackModel, temperature: 0 },
+        rerank: { model: process.env.RERANK_MODEL || fallbackModel, temperature: 0 },
+        query_rewrite: { model: process.env.QUERY_REWRITE_MODEL || fallbackModel, temperature: 0 }
+    };
+    return { provider: DEFAULT_PROVIDER, ...defaults[role] };
+}
+
+function providerEnvName(name) {
+    return String(name).toUpperCase().replace(/[^A-Z0-9]/g, "_");
+}
+
+function withoutUndefined(values) {
+    return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value !== undefined && value !== null));
+}
+
+class ModelRegistry {
+    constructor() {
+        this.models = new Map();
+    }
+
+    // Provider names accounts may choose from
+    listProviders() {
+        const registered = Object.keys(process.env)
+            .map(key => key.match(/^LLM_PROVIDER_([A-Z0-9_]+)_BASE_URL$/))
+            .filter(Boolean)
+            .map(match => match[1].toLowerCase());
+        return [...new Set([DEFAULT_PROVIDER, ...registered])];
+    }
+
+    getProvider(name = DEFAULT_PROVIDER) {
+        if (name === DEFAULT_PROVIDER) {
+            return {
+                name,
+                apiKey: process.env.OPENAI_API_KEY,
+                baseURL: process.env.OPENAI_BASE_URL || null
+            };
+        }
+
+        const envName = providerEnvName(name);
+        const baseURL = process.env[`LLM_PROVIDER_${envName}_BASE_URL`];
+        if (!baseURL) {
+            throw new Error(`Unknown model provider: ${name}. Valid options: ${this.listProviders().join(", ")}`);
+        }
+        return {
+            name,
+            // The OpenAI client insists on a key even when the server does not check it
+            apiKey: process.env[`LLM_PROVIDER_${envName}_API_KEY`] || "not-needed",
+            baseURL
+        };
+    }
+
+    /**
+     * Model settings for a role
+     * @param {string} role - One of MODEL_ROLES
+     * @param {Object} accountConfig - Active account config; its model_settings[role] wins
+     * @param {Object} defaults - Caller's defaults { provider, model, temperature, maxTokens }, override the role defaults
+     * @returns {Object} - { role, provider, model, temperature, maxTokens }
+     */
+    resolve(role, accountConfig = null, defaults = {}) {
+        if (!MODEL_ROLES.includes(role)) {
+            throw new Error(`Unknown model role: ${role}. Valid options: ${MODEL_ROLES.join(", ")}`);
+        }
+        const accountSettings = withoutUndefined(accountConfig?.model_settings?.[role]);
+
+        return {
+            role,
+            maxTokens: null,
+            ...roleDefaults(role),
+            ...withoutUndefined(defaults),
+            ...accountSettings
+        };
+    }
+
+    /**
+     * Chat model for resolved settings; instances are shared between accounts with the same settings
+     * @param {Object} settings - As returned by resolve()
+     * @returns {ChatOpenAI}
+     */
+    getChatModel(settings) {
+        const key = [settings.provider, settings.model, settings.temperature, settings.maxTokens].join("|");
+        if (!this.models.has(key)) {
+            const provider = this.getProvider(settings.provider);
+            this.models.set(key, new ChatOpenAI({
+                apiKey: provider.apiKey,
+                model: settings.model,
+                temperature: settings.temperature,
+                ...(settings.maxTokens ? { maxTokens: settings.maxTokens } : {}),
+                ...(provider.baseURL ? { configuration: { baseURL: provider.baseURL } } : {})
+            }));
+            logger.info(`Created chat model ${settings.model} (${settings.provider}, temperature ${settings.temperature})`);
+        }
+        return this.models.get(key);
+    }
+
+    // Shorthand for getChatModel(resolve(...))
+    chatModel(role, accountConfig = null, defaults = {}) {
+        return this.getChatModel(this.resolve(role, accountConfig, defaults));
+    }
+}
+
+// Create singleton instance
+const modelRegistry = new ModelRegistry();
+
+export { ModelRegistry, MODEL_ROLES, DEFAULT_PROVIDER };
+export default modelRegistry;
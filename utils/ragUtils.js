@@ -1,9 +1,10 @@
 import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
-import { OpenAIEmbeddings } from "@langchain/openai";
 import Firecrawl from "@mendable/firecrawl-js";
 import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
 import { parseOffice } from "officeparser";
 import xlsx from "xlsx";
+import { getEmbeddings, defaultEmbeddingModel } from "./embeddingModels.js";
+import { extractReadableContent } from "./htmlExtractor.js";
 
 
 class RagUtils {
@@ -12,10 +13,6 @@ class RagUtils {
             chunkSize: 1000,
             chunkOverlap: 200,
         });
-        this.embeddings = new OpenAIEmbeddings({
-            apiKey: process.env.OPENAI_API_KEY,
-            modelName: process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small",
-        });
         this.firecrawl = process.env.FIRECRAWL_API_KEY ? new Firecrawl({
             apiKey: process.env.FIRECRAWL_API_KEY,
             defaultMaxPages: 5,
@@ -57,7 +54,8 @@ class RagUtils {
         }
     }
 
-    async generateEmbeddings(texts) {
+    // model: the account's active embedding model (utils/embeddingModels.js)
+    async generateEmbeddings(texts, model = defaultEmbeddingModel()) {
         if (!texts || !Array.isArray(texts)) {
             throw new Error("Texts input must be an array");
         }
@@ -74,7 +72,7 @@ class RagUtils {
         }
         
         try {
-            const embeddings = await this.embeddings.embedDocuments(validTexts);
+            const embeddings = await getEmbeddings(model).embedDocuments(validTexts);
             
             if (!embeddings || !Array.isArray(embeddings)) {
                 throw new Error("Failed to generate embeddings: Invalid response from embedding service");
@@ -98,6 +96,13 @@ class RagUtils {
         }
     }
 
+    /**
+     * Fetch a web page's content
+     * @param {string} url
+     * @returns {Promise<Object>} - { text, title, description, method } text is markdown; title and
+     *   description are null when the page does not have them; method is "firecrawl" or
+     *   "html_extractor" (utils/htmlExtractor.js)
+     */
     async crawlUrl(url) {
         if (!this.firecrawl) {
             // Fallback to basic URL fetching if Firecrawl is not configured
@@ -120,12 +125,16 @@ class RagUtils {
                 console.log(`Scrape result:`, JSON.stringify(result, null, 2));
                 
                 if (result && result.markdown && result.markdown.trim().length > 0) {
-                    return result.markdown;
+                    return {
+                        text: result.markdown,
+                        title: result.metadata?.title || null,
+                        description: result.metadata?.description || null,
+                        method: 'firecrawl'
+                    };
                 } else if (result && result.html && result.html.trim().length > 0) {
-                    // Basic HTML to text conversion
-                    const textContent = result.html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-                    if (textContent.length > 0) {
-                        return textContent;
+                    const page = this.extractPageFromHtml(result.html);
+                    if (page.text.length > 0) {
+                        return page;
                     }
                 }
             } catch (scrapeError) {
@@ -161,7 +170,7 @@ class RagUtils {
                     throw new Error("No text content found on the webpage");
                 }
                 
-                return extractedText;
+                return { text: extractedText, title: null, description: null, method: 'firecrawl' };
             }
             
             // If we reach here, neither scrape nor crawl found content
@@ -200,19 +209,13 @@ class RagUtils {
                 throw new Error("No content received from URL");
             }
             
-            // Basic HTML to text conversion
-            let textContent = html
-                .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-                .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '') // Remove styles
-                .replace(/<[^>]*>/g, ' ') // Remove HTML tags
-                .replace(/\s+/g, ' ') // Normalize whitespace
-                .trim();
+            const page = this.extractPageFromHtml(html);
             
-            if (!textContent || textContent.length < 50) {
+            if (!page.text || page.text.length < 50) {
                 throw new Error("Insufficient text content extracted from webpage");
             }
             
-            return textContent;
+            return page;
             
         } catch (error) {
             throw new Error(`Failed to fetch URL content: ${error.message}`);
@@ -220,10 +223,26 @@ class RagUtils {
     }
     
 
+    // Main content of an HTML page as markdown, with its title and meta description;
+    // used for fetched pages when Firecrawl is not available
+    extractPageFromHtml(html) {
+        const { markdown, title, description } = extractReadableContent(html);
+        return { text: markdown, title, description, method: 'html_extractor' };
+    }
+
     async extractTextFromPDF(filePath) {
+        const pages = await this.extractPagesFromPDF(filePath);
+        return pages.map(page => page.text).join('\n');
+    }
+
+    // One entry per page, so chunks can keep their page number
+    async extractPagesFromPDF(filePath) {
         const loader = new PDFLoader(filePath);
         const docs = await loader.load();
-        return docs.map(doc => doc.pageContent).join('\n');
+        return docs.map((doc, index) => ({
+            page_number: doc.metadata?.loc?.pageNumber || index + 1,
+            text: doc.pageContent
+        }));
     }
 
     async extractTextFromExcel(filePath) {
@@ -236,6 +255,21 @@ class RagUtils {
         });
         return text;
     }
+
+    // Rows of every sheet as arrays of cells; also reads .csv files. Rows start at the sheet's used
+    // range, so first_row is the sheet row number of rows[0]; blank rows inside it are kept so the
+    // numbers of the rows after them match the sheet too
+    async extractSheetsFromExcel(filePath) {
+        const workbook = xlsx.readFile(filePath);
+        return workbook.SheetNames.map(sheetName => {
+            const sheet = workbook.Sheets[sheetName];
+            return {
+                name: sheetName,
+                first_row: sheet['!ref'] ? xlsx.utils.decode_range(sheet['!ref']).s.r + 1 : 1,
+                rows: xlsx.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '' })
+            };
+        });
+    }
     
     async extractTextFromDocx(filePath) {
         return new Promise((resolve, reject) => {
@@ -0,0 +1,39 @@
+// rankFusion.js - Reciprocal rank fusion (RRF) for merging ranked result lists
+//
+// Scores from different retrievers (cosine similarity, BM25, ...) are not comparable,
+// so RRF only looks at ranks: score(d) = sum over lists of weight / (k + rank(d)).
+
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Fuse ranked lists into one ranking
+ * @param {Array} lists - [{ name, weight = 1, results }] with results ordered best first
+ * @param {Function} keyOf - Maps a result to the identity used to merge lists
+ * @param {Object} options - { k } rank constant, larger values flatten the curve
+ * @returns {Array} - [{ key, score, ranks: { [name]: rank }, items: { [name]: result } }] best first
+ */
+function reciprocalRankFusion(lists, keyOf, { k = DEFAULT_RRF_K } = {}) {
+    const fused = new Map();
+
+    lists.forEach(({ name, weight = 1, results }) => {
+        (results || []).forEach((result, index) => {
+            const key = keyOf(result);
+            if (!fused.has(key)) {
+                fused.set(key, { key, score: 0, ranks: {}, items: {} });
+            }
+
+            const entry = fused.get(key);
+            // A list may contain the same key twice (e.g. multi-query); only the best rank counts
+            if (entry.ranks[name] !== undefined) return;
+
+            const rank = index + 1;
+            entry.ranks[name] = rank;
+            entry.items[name] = result;
+            entry.score += weight / (k + rank);
+        });
+    });
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+export { reciprocalRankFusion, DEFAULT_RRF_K };
@@ -0,0 +1,141 @@
+// reranker.js - Second-stage scoring of retrieved KB chunks against the query
+//
+// Retrieval (vector / BM25 / fusion) is tuned for recall; a reranker looks at each
+// candidate together with the query and reorders them before they are truncated.
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import { tokenize } from "./lexicalIndex.js";
+import modelRegistry from "./modelRegistry.js";
+import logger from "./logger.js";
+
+const RERANK_METHODS = ["llm", "local"];
+
+// Scores passages 0-10 with a chat model, in batches, and normalises to 0-1
+class LLMReranker {
+    constructor({
+        model = modelRegistry.resolve("rerank"), // Settings from modelRegistry.resolve()
+        batchSize = Number(process.env.RERANK_BATCH_SIZE || 10),
+        maxPassageChars = 1200
+    } = {}) {
+        this.batchSize = batchSize;
+        this.maxPassageChars = maxPassageChars;
+        this.llm = modelRegistry.getChatModel(model);
+        this.prompt = ChatPromptTemplate.fromMessages([
+            [
+                "system",
+                `You rate how well passages answer a search query.
+For each passage give an integer from 0 (irrelevant) to 10 (directly answers the query).
+Reply with only a JSON array of numbers, one per passage, in the same order.`
+            ],
+            ["human", "Query: {query}\n\nPassages:\n{passages}"]
+        ]);
+        this.chain = this.prompt.pipe(this.llm).pipe(new StringOutputParser());
+    }
+
+    async score(query, candidates, { callbacks = [] } = {}) {
+        const scores = [];
+
+        for (let i = 0; i < candidates.length; i += this.batchSize) {
+            const batch = candidates.slice(i, i + this.batchSize);
+            const passages = batch
+                .map((candidate, index) => `[${index + 1}] ${String(candidate.content || "").slice(0, this.maxPassageChars)}`)
+                .join("\n\n");
+
+            const output = await this.chain.invoke({ query, passages }, { callbacks });
+            const parsed = this._parseScores(output, batch.length);
+            scores.push(...parsed.map(score => score / 10));
+        }
+
+        return scores;
+    }
+
+    _parseScores(output, expected) {
+        const match = String(output).match(/\[[\s\S]*\]/);
+        const values = match ? JSON.parse(match[0]) : [];
+
+        if (!Array.isArray(values) || values.length !== expected) {
+            throw new Error(`Reranker returned ${values.length} scores for ${expected} passages`);
+        }
+
+        return values.map(value => Math.min(10, Math.max(0, Number(value) || 0)));
+    }
+}
+
+// Deterministic scorer with no network calls: query term coverage plus phrase (bigram) matches.
+// Good enough to exercise the pipeline in tests and local development.
+class LocalReranker {
+    async score(query, candidates) {
+        const queryTerms = tokenize(query);
+        const uniqueTerms = [...new Set(queryTerms)];
+        const queryBigrams = new Set(queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`));
+
+        return candidates.map(candidate => {
+            if (uniqueTerms.length === 0) return 0;
+
+            const terms = tokenize(`${candidate.source_title || ""} ${candidate.content || ""}`);
+            const termSet = new Set(terms);
+            const coverage = uniqueTerms.filter(term => termSet.has(term)).length / uniqueTerms.length;
+
+            let phrase = 0;
+            if (queryBigrams.size > 0) {
+                const bigrams = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+                phrase = [...queryBigrams].filter(bigram => bigrams.has(bigram)).length / queryBigrams.size;
+            }
+
+            return 0.7 * coverage + 0.3 * phrase;
+        });
+    }
+}
+
+const rerankers = {};
+
+// model: settings from modelRegistry.resolve("rerank", accountConfig); only the llm method uses it
+function getReranker(method, model = null) {
+    if (!RERANK_METHODS.includes(method)) {
+        throw new Error(`Unknown rerank method: ${method}. Valid options: ${RERANK_METHODS.join(", ")}`);
+    }
+    if (method === "local") {
+        rerankers.local = rerankers.local || new LocalReranker();
+        return rerankers.local;
+    }
+
+    const settings = model || modelRegistry.resolve("rerank");
+    const key = `llm:${settings.provider}|${settings.model}|${settings.temperature}`;
+    if (!rerankers[key]) {
+        rerankers[key] = new LLMReranker({ model: settings });
+    }
+    return rerankers[key];
+}
+
+/**
+ * Rescore results against the query and sort them by the new score
+ * @param {string} query - Search query
+ * @param {Array} results - Retrieved chunks, best first
+ * @param {Object} options - { method: 'llm' | 'local', model, callbacks } model as returned by modelRegistry.resolve("rerank"),
+ *   callbacks are passed to the LLM reranker's calls (usage recording)
+ * @returns {Promise<Array>} - Results with rerank_score and original_rank, best first.
+ *   If scoring fails the original order is kept and rerank_score is null.
+ */
+async function rerankResults(query, results, { method = "llm", model = null, callbacks = [] } = {}) {
+    const ranked = results.map((result, index) => ({ ...result, original_rank: index + 1 }));
+    if (ranked.length === 0) return ranked;
+
+    try {
+        const startTime = Date.now();
+        const scores = await getReranker(method, model).score(query, ranked, { callbacks });
+
+        ranked.forEach((result, index) => {
+            result.rerank_score = scores[index];
+        });
+        // Ties keep their retrieval order
+        ranked.sort((a, b) => b.rerank_score - a.rerank_score || a.original_rank - b.original_rank);
+
+        logger.info(`Reranked ${ranked.length} results with ${method} reranker in ${Date.now() - startTime}ms`);
+        return ranked;
+    } catch (error) {
+        logger.warn(`Reranking with ${method} failed, keeping retrieval order: ${error.message}`);
+        return ranked.map(result => ({ ...result, rerank_score: null }));
+    }
+}
+
+export { LLMReranker, LocalReranker, getReranker, rerankResults, RERANK_METHODS };
@@ -0,0 +1,349 @@
+// siteCrawler.js - Finds the pages of a website for service/siteCrawl.js
+//
+// Starts from a root page and/or sitemap.xml (sitemap indexes are followed), follows links
+// breadth-first up to max_depth, keeps to the root's host and the include/exclude globs,
+// honours robots.txt and stops at max_pages. Uses plain fetch, so it works without Firecrawl.
+//
+// Globs match the URL path (and query) when they start with "/", otherwise the whole URL:
+//   *  any characters except "/"      **  any characters
+//   "/help/**" also matches "/help" itself.
+import logger from "./logger.js";
+
+const USER_AGENT = "Mozilla/5.0 (compatible; Wiral-RAG-Bot/1.0)";
+// Name matched against robots.txt User-agent lines
+const ROBOTS_AGENT = "wiral-rag-bot";
+
+const FETCH_TIMEOUT_MS = Number(process.env.SITE_CRAWL_FETCH_TIMEOUT_MS || 30000);
+const DEFAULT_DELAY_MS = Number(process.env.SITE_CRAWL_DELAY_MS || 500);
+const MAX_CRAWL_DELAY_MS = 10000; // A larger robots.txt Crawl-delay is capped
+const MAX_SITEMAPS = 20; // Sitemap index entries followed per crawl
+
+// Links to these are never fetched as pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|tar|rar|7z|exe|dmg|jpe?g|png|gif|svg|webp|ico|bmp|mp3|mp4|avi|mov|webm|css|js|json|xml|rss|woff2?|ttf|eot|docx?|xlsx?|pptx?|csv)$/i;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;|&apos;/g, "'");
+}
+
+function globToRegExp(glob) {
+    const source = escapeRegex(glob)
+        .replace(/\/\*\*$/, "\u0001")
+        .replace(/\*\*/g, "\u0000")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\u0000/g, ".*")
+        .replace(/\u0001/g, "(?:/.*)?");
+    return new RegExp(`^${source}$`, "i");
+}
+
+function hostKey(host) {
+    return String(host).toLowerCase().replace(/^www\./, "");
+}
+
+// Absolute http(s) URL without its fragment; null for anything else
+function normalizeUrl(href, base) {
+    try {
+        const url = new URL(decodeEntities(String(href).trim()), base);
+        if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+        url.hash = "";
+        return url.toString();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decide which URLs belong to a crawl
+ * @param {Object} params - { rootUrl, include, exclude } include and exclude are glob lists
+ * @returns {Function} - url => boolean
+ */
+function createScope({ rootUrl, include = [], exclude = [] }) {
+    const rootHost = hostKey(new URL(rootUrl).host);
+    const toMatcher = glob => {
+        const pattern = globToRegExp(glob);
+        return glob.startsWith("/")
+            ? url => pattern.test(url.pathname + url.search) || pattern.test(url.pathname)
+            : url => pattern.test(url.toString());
+    };
+    const includes = include.map(toMatcher);
+    const excludes = exclude.map(toMatcher);
+
+    return (href) => {
+        let url;
+        try {
+            url = new URL(href);
+        } catch {
+            return false;
+        }
+        if (hostKey(url.host) !== rootHost) return false;
+        if (SKIPPED_EXTENSIONS.test(url.pathname)) return false;
+        if (excludes.some(matches => matches(url))) return false;
+        return includes.length === 0 || includes.some(matches => matches(url));
+    };
+}
+
+/**
+ * Parse robots.txt for this crawler
+ * @returns {Object} - { rules: [{ allow, pattern }], crawlDelayMs, sitemaps } rules from the group
+ *   naming this crawler, else from the "*" group
+ */
+function parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    String(text || "").split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, "").trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) return;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === "sitemap") {
+            if (value) sitemaps.push(value);
+            return;
+        }
+        if (field === "user-agent") {
+            // Consecutive User-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelayMs: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        lastWasAgent = false;
+        if (!current) return;
+
+        if (field === "allow" || field === "disallow") {
+            // An empty Disallow allows everything
+            if (value) current.rules.push({ allow: field === "allow", pattern: value });
+        } else if (field === "crawl-delay") {
+            const seconds = Number(value);
+            if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelayMs = seconds * 1000;
+        }
+    });
+
+    const own = groups.find(group => group.agents.some(agent => agent && agent !== "*" && ROBOTS_AGENT.includes(agent)));
+    const group = own || groups.find(group => group.agents.includes("*"));
+    return {
+        rules: group ? group.rules : [],
+        crawlDelayMs: group ? group.crawlDelayMs : null,
+        sitemaps
+    };
+}
+
+// The longest matching rule decides; Allow wins a tie
+function robotsAllows(robots, href) {
+    if (!robots || robots.rules.length === 0) return true;
+    const url = new URL(href);
+    const path = url.pathname + url.search;
+
+    let best = null;
+    robots.rules.forEach(rule => {
+        const anchored = rule.pattern.endsWith("$");
+        const body = anchored ? rule.pattern.slice(0, -1) : rule.pattern;
+        const pattern = new RegExp(`^${escapeRegex(body).replace(/\*/g, ".*")}${anchored ? "$" : ""}`);
+        if (!pattern.test(path)) return;
+        if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    });
+    return !best || best.allow;
+}
+
+// <loc> entries of a sitemap; a sitemap index lists further sitemaps instead of pages
+function parseSitemap(xml) {
+    const text = String(xml || "");
+    const locs = [...text.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)]
+        .map(match => decodeEntities(match[1].replace(/^<!\[CDATA\[|\]\]>$/g, "").trim()))
+        .filter(Boolean);
+    return /<sitemapindex[\s>]/i.test(text)
+        ? { urls: [], sitemaps: locs }
+        : { urls: locs, sitemaps: [] };
+}
+
+// Links of an HTML page as absolute URLs; honours <base href> and skips rel="nofollow"
+function extractLinks(html, pageUrl) {
+    const text = String(html || "");
+    const baseMatch = text.match(/<base\b[^>]*\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const base = (baseMatch && normalizeUrl(baseMatch[1] ?? baseMatch[2], pageUrl)) || pageUrl;
+
+    const links = new Set();
+    for (const match of text.matchAll(/<a\b([^>]*)>/gi)) {
+        const attributes = match[1];
+        if (/\brel\s*=\s*["'][^"']*\bnofollow\b/i.test(attributes)) continue;
+        const href = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+        if (!href) continue;
+        const url = normalizeUrl(href[1] ?? href[2] ?? href[3], base);
+        if (url) links.add(url);
+    }
+    return [...links];
+}
+
+async function fetchText(url, accept) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            headers: { "User-Agent": USER_AGENT, "Accept": accept },
+            redirect: "follow",
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return {
+            url: response.url || url,
+            contentType: response.headers.get("content-type") || "",
+            body: await response.text()
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function loadRobots(origin) {
+    try {
+        const { body } = await fetchText(`${origin}/robots.txt`, "text/plain,*/*;q=0.5");
+        return parseRobots(body);
+    } catch (error) {
+        // No robots.txt (or an unreachable one) means no restrictions
+        logger.info(`No usable robots.txt at ${origin}: ${error.message}`);
+        return parseRobots("");
+    }
+}
+
+// Page URLs from a sitemap, following sitemap indexes up to MAX_SITEMAPS files
+async function loadSitemapUrls(sitemapUrl) {
+    const pending = [sitemapUrl];
+    const visited = new Set();
+    const urls = [];
+
+    while (pending.length > 0 && visited.size < MAX_SITEMAPS) {
+        const next = pending.shift();
+        if (visited.has(next)) continue;
+        visited.add(next);
+        try {
+            const { body } = await fetchText(next, "application/xml,text/xml,*/*;q=0.5");
+            const parsed = parseSitemap(body);
+            urls.push(...parsed.urls);
+            pending.push(...parsed.sitemaps);
+        } catch (error) {
+            logger.warn(`Could not read sitemap ${next}: ${error.message}`);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Crawl a site and hand every page in scope to onPage
+ * @param {Object} params - { rootUrl, sitemapUrl, include, exclude, maxPages, maxDepth, respectRobots,
+ *   onPage, shouldStop } onPage({ url, html, depth }) is awaited for each page; shouldStop() is
+ *   checked before each fetch and ends the crawl early when it returns true
+ * @returns {Promise<Object>} - { pages, failed, skipped_robots, discovered, truncated, stopped }
+ *   truncated means max_pages was reached with pages still queued
+ */
+async function crawlSite({ rootUrl, sitemapUrl = null, include = [], exclude = [], maxPages = 100, maxDepth = 3, respectRobots = true, onPage, shouldStop = async () => false }) {
+    const root = new URL(rootUrl);
+    const inScope = createScope({ rootUrl, include, exclude });
+    const robots = respectRobots ? await loadRobots(root.origin) : null;
+    const delayMs = Math.min(Math.max(DEFAULT_DELAY_MS, robots?.crawlDelayMs || 0), MAX_CRAWL_DELAY_MS);
+
+    const queue = [];
+    const seen = new Set();
+    const enqueue = (href, depth) => {
+        const url = normalizeUrl(href);
+        if (!url || seen.has(url) || !inScope(url)) return;
+        seen.add(url);
+        queue.push({ url, depth });
+    };
+
+    // A root that is itself a sitemap only seeds pages; otherwise it is the first page
+    const rootIsSitemap = /\.xml$/i.test(root.pathname);
+    const sitemapSources = new Set([
+        ...(sitemapUrl ? [sitemapUrl] : []),
+        ...(rootIsSitemap ? [rootUrl] : []),
+        ...(!sitemapUrl && !rootIsSitemap && robots ? robots.sitemaps : [])
+    ]);
+    if (!rootIsSitemap) enqueue(rootUrl, 0);
+    for (const source of sitemapSources) {
+        (await loadSitemapUrls(source)).forEach(url => enqueue(url, 0));
+    }
+
+    const stats = { pages: 0, failed: 0, skipped_robots: 0, discovered: seen.size, truncated: false, stopped: false };
+    const maxAttempts = maxPages * 3; // Failed fetches count too, so a broken site ends the crawl
+    let attempts = 0;
+
+    while (queue.length > 0) {
+        if (stats.pages >= maxPages || attempts >= maxAttempts) {
+            stats.truncated = true;
+            break;
+        }
+        if (await shouldStop()) {
+            stats.stopped = true;
+            break;
+        }
+
+        const { url, depth } = queue.shift();
+        if (robots && !robotsAllows(robots, url)) {
+            stats.skipped_robots++;
+            continue;
+        }
+
+        if (attempts > 0) await sleep(delayMs);
+        attempts++;
+
+        let page;
+        try {
+            page = await fetchText(url, "text/html,application/xhtml+xml;q=0.9,*/*;q=0.5");
+        } catch (error) {
+            stats.failed++;
+            logger.warn(`Crawl of ${root.host}: could not fetch ${url}: ${error.message}`);
+            continue;
+        }
+        if (!/html/i.test(page.contentType)) continue;
+
+        // A redirect can leave the site or land on a page that is already queued
+        const finalUrl = normalizeUrl(page.url) || url;
+        if (finalUrl !== url) {
+            if (!inScope(finalUrl) || seen.has(finalUrl)) continue;
+            seen.add(finalUrl);
+        }
+
+        stats.pages++;
+        await onPage({ url: finalUrl, html: page.body, depth });
+
+        if (depth < maxDepth) {
+            extractLinks(page.body, finalUrl).forEach(link => enqueue(link, depth + 1));
+        }
+        stats.discovered = seen.size;
+    }
+
+    return stats;
+}
+
+export {
+    USER_AGENT,
+    globToRegExp,
+    createScope,
+    parseRobots,
+    robotsAllows,
+    parseSitemap,
+    extractLinks,
+    crawlSite
+};
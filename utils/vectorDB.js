@@ -1,186 +1,415 @@
-// vectorStore.js - Fixed Local MongoDB implementation
-import { OpenAIEmbeddings } from "@langchain/openai";
-import { MongoClient } from "mongodb";
+// vectorStore.js - Vector search over the UnifiedDocument chunk store
+import fs from "fs";
+import path from "path";
 import logger from "./logger.js";
+import { UnifiedDocument } from "../model/clientModel.js";
+import { defaultEmbeddingModel, getEmbeddings, getActiveEmbeddingModel, chunkVector, chunkEmbeddingModel, embeddingModelFilter } from "./embeddingModels.js";
 
 import dotenv from "dotenv";
 dotenv.config();
-const embeddings = new OpenAIEmbeddings({
-    apiKey: process.env.OPENAI_API_KEY,
-});
 
-// Local MongoDB configuration
+// Legacy raw embeddings collection. Chunks used to be written here as well as into
+// UnifiedDocument; scripts/reconcile-embeddings.js migrates and removes them.
 const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017";
 const DB_NAME = "wiral";
 const COLLECTION_NAME = "embeddings";
 
-let client;
+// Vector index configuration
+const VECTOR_INDEX_BACKEND = process.env.VECTOR_INDEX_BACKEND || "faiss"; // faiss | exact
+const VECTOR_INDEX_DIR = process.env.VECTOR_INDEX_DIR || "./vectorstore";
+const HNSW_DESCRIPTOR = process.env.VECTOR_INDEX_HNSW || "HNSW32,Flat";
+
 let vectorStore;
 
-async function initializeMongoClient() {
-    if (!client) {
-        client = new MongoClient(MONGODB_URI);
-        await client.connect();
-        console.log('Connected to local MongoDB');
+async function loadVectorStore() {
+    try {
+        const index = await createVectorIndex(UnifiedDocument);
+        vectorStore = new LocalMongoVectorStore(UnifiedDocument, index);
 
-        // Create indexes for better performance
-        await createIndexes();
+        console.log('Local MongoDB vector store loaded successfully');
+        return vectorStore;
+    } catch (error) {
+        console.error('Error loading vector store:', error);
+        throw error;
     }
-    return client;
 }
 
-async function createIndexes() {
-    try {
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
-
-        // Create compound index for metadata filtering
-        await collection.createIndex(
-            {
-                "metadata.account_id": 1,
-                "metadata.document_id": 1,
-                "createdAt": -1
-            },
-            {
-                name: "metadata_compound_index",
-                background: true
-            }
-        );
+// ---------- Vector index backends ----------
+// A backend keeps one index per account and embedding model over the active UnifiedDocument
+// chunks and answers search(accountId, queryVector, k, model) with [{ id, score }] ordered by
+// cosine similarity. Chunks without a vector from that model are never compared.
 
-        console.log('Created compound index for metadata');
-    } catch (error) {
-        console.warn('Could not create indexes:', error.message);
+function normalizeVector(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
     }
+    norm = Math.sqrt(norm);
+    return norm === 0 ? vector : vector.map(value => value / norm);
 }
 
-async function loadVectorStore() {
-    try {
-        await initializeMongoClient();
+// Only active chunks are searchable; replaced and deleted versions are not
+function accountFilter(accountId) {
+    return { account_id: parseInt(accountId), is_active: true };
+}
 
-        const db = client.db(DB_NAME);
-        const collection = db.collection(COLLECTION_NAME);
+// Chunks search returns: chunks of an ingestion that is still running or failed are in the
+// index (they are added before they are marked completed) but are never returned
+function searchableFilter(accountId) {
+    return { ...accountFilter(accountId), processing_status: 'completed' };
+}
 
-        vectorStore = new LocalMongoVectorStore(collection, embeddings);
+const VECTOR_FIELDS = 'embedding embedding_model next_embedding next_embedding_model';
+
+// Chunks an inbox may see: documents without an inbox list are shared account-wide
+function inboxFilter(inboxId) {
+    if (inboxId === undefined || inboxId === null || inboxId === '') return {};
+    return {
+        $or: [
+            { inbox_ids: { $exists: false } },
+            { inbox_ids: { $size: 0 } },
+            { inbox_ids: String(inboxId) }
+        ]
+    };
+}
 
-        console.log('Local MongoDB vector store loaded successfully');
-        return vectorStore;
-    } catch (error) {
-        console.error('Error loading vector store:', error);
-        throw error;
+// Exact search: streams every chunk of the account and keeps the top k in memory
+class ExactVectorIndex {
+    constructor(model) {
+        this.model = model;
+        this.name = "exact";
+    }
+
+    async search(accountId, queryVector, k, model) {
+        const query = normalizeVector(queryVector);
+        const top = [];
+
+        const cursor = this.model
+            .find({ ...accountFilter(accountId), ...embeddingModelFilter(model) })
+            .select(VECTOR_FIELDS)
+            .lean()
+            .cursor();
+        for await (const doc of cursor) {
+            const vector = chunkVector(doc, model);
+            if (!vector || vector.length !== query.length) {
+                continue;
+            }
+
+            const score = dot(query, normalizeVector(vector));
+            if (top.length < k || score > top[top.length - 1].score) {
+                top.push({ id: doc._id.toString(), score });
+                top.sort((a, b) => b.score - a.score);
+                if (top.length > k) top.pop();
+            }
+        }
+
+        return top;
+    }
+
+    // Nothing is cached, so there is nothing to update
+    async add() {}
+    async invalidate() {}
+}
+
+function dot(vecA, vecB) {
+    let sum = 0;
+    for (let i = 0; i < vecA.length; i++) {
+        sum += vecA[i] * vecB[i];
     }
+    return sum;
 }
 
-// Fixed LocalMongoVectorStore class
-class LocalMongoVectorStore {
-    constructor(collection, embeddings) {
-        this.collection = collection;
-        this.embeddings = embeddings;
+// Approximate search with a faiss HNSW index per account and embedding model, persisted under
+// VECTOR_INDEX_DIR. Vectors are normalized so inner product equals cosine similarity. faiss
+// labels are the insertion positions, so ids.json maps them back to chunk ids.
+class FaissVectorIndex {
+    constructor(model, faiss, { directory = VECTOR_INDEX_DIR, descriptor = HNSW_DESCRIPTOR } = {}) {
+        this.model = model;
+        this.faiss = faiss;
+        this.directory = directory;
+        this.descriptor = descriptor;
+        this.name = "faiss";
+        this.cache = new Map(); // "accountId:model" -> { index, ids }
+        this.loading = new Map(); // "accountId:model" -> Promise, so concurrent searches share one build
     }
 
-    async addDocuments(documents, options = {}) {
-        try {
-            const { vectors } = options;
-
-            // Generate embeddings if not provided
-            let embeddingVectors = vectors;
-            if (!embeddingVectors) {
-                console.log('Generating embeddings for documents...');
-                const contents = documents.map(doc => doc.pageContent);
-                embeddingVectors = await this.embeddings.embedDocuments(contents);
+    _key(accountId, model) {
+        return `${accountId}:${model}`;
+    }
+
+    _paths(accountId, model) {
+        const accountDir = path.join(this.directory, String(accountId));
+        const dir = path.join(accountDir, encodeURIComponent(model));
+        return {
+            accountDir,
+            dir,
+            index: path.join(dir, "index.faiss"),
+            ids: path.join(dir, "ids.json")
+        };
+    }
+
+    async _load(accountId, model) {
+        const key = this._key(accountId, model);
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        if (!this.loading.has(key)) {
+            this.loading.set(key, this._loadOrBuild(accountId, model).finally(() => this.loading.delete(key)));
+        }
+        return this.loading.get(key);
+    }
+
+    async _loadOrBuild(accountId, model) {
+        const paths = this._paths(accountId, model);
+        const count = await this.model.countDocuments({ ...accountFilter(accountId), ...embeddingModelFilter(model) });
+
+        if (fs.existsSync(paths.index) && fs.existsSync(paths.ids)) {
+            try {
+                const ids = JSON.parse(fs.readFileSync(paths.ids, "utf8"));
+                // A count mismatch means chunks were written while the index was not loaded
+                if (ids.length === count) {
+                    const entry = { index: this.faiss.Index.read(paths.index), ids };
+                    this.cache.set(this._key(accountId, model), entry);
+                    logger.info(`Loaded ${model} vector index for account ${accountId} (${ids.length} vectors)`);
+                    return entry;
+                }
+                logger.info(`${model} vector index for account ${accountId} is stale (${ids.length} vs ${count} chunks), rebuilding`);
+            } catch (error) {
+                logger.warn(`Could not read ${model} vector index for account ${accountId}, rebuilding: ${error.message}`);
             }
+        }
 
-            if (embeddingVectors.length !== documents.length) {
-                throw new Error(`Vector count (${embeddingVectors.length}) must match document count (${documents.length})`);
+        return this.rebuild(accountId, model);
+    }
+
+    async rebuild(accountId, model) {
+        const startTime = Date.now();
+        const ids = [];
+        let index = null;
+        let batch = [];
+
+        const flush = () => {
+            if (batch.length > 0) {
+                index.add(batch);
+                batch = [];
+            }
+        };
+
+        const cursor = this.model
+            .find({ ...accountFilter(accountId), ...embeddingModelFilter(model) })
+            .select(VECTOR_FIELDS)
+            .lean()
+            .cursor();
+        for await (const doc of cursor) {
+            const vector = chunkVector(doc, model);
+            if (!vector) {
+                continue;
+            }
+            if (!index) {
+                index = this._createIndex(vector.length);
+            } else if (vector.length !== index.getDimension()) {
+                logger.warn(`Skipping chunk ${doc._id} with ${vector.length} dimensions in the ${model} index of account ${accountId}`);
+                continue;
             }
 
-            const documentsToInsert = documents.map((doc, index) => ({
-                pageContent: doc.pageContent,
-                metadata: {
-                    ...doc.metadata,
-                    // Ensure account_id is a number for consistent querying
-                    account_id: typeof doc.metadata.account_id === 'string'
-                        ? parseInt(doc.metadata.account_id)
-                        : doc.metadata.account_id
-                },
-                embedding: embeddingVectors[index],
-                createdAt: new Date()
-            }));
-
-            const result = await this.collection.insertMany(documentsToInsert);
-            console.log(`Inserted ${result.insertedCount} documents`);
-
-            return result;
-        } catch (error) {
-            console.error('Error adding documents:', error);
-            throw error;
+            batch.push(...normalizeVector(vector));
+            ids.push(doc._id.toString());
+            if (ids.length % 1000 === 0) flush();
         }
+
+        const entry = { index, ids };
+        if (index) {
+            flush();
+            this._persist(accountId, model, entry);
+        } else {
+            fs.rmSync(this._paths(accountId, model).dir, { recursive: true, force: true });
+        }
+        this.cache.set(this._key(accountId, model), entry);
+
+        logger.info(`Built ${model} vector index for account ${accountId}: ${ids.length} vectors in ${Date.now() - startTime}ms`);
+        return entry;
     }
 
-    async clear(filter = {}) {
-        const result = await this.collection.deleteMany(filter);
-        console.log(`Cleared ${result.deletedCount} documents`);
-        return result;
+    _createIndex(dimensions) {
+        return this.faiss.Index.fromFactory(dimensions, this.descriptor, this.faiss.MetricType.METRIC_INNER_PRODUCT);
     }
 
-    async similaritySearchWithScore(query, k = 10, filter = {}) {
+    _persist(accountId, model, entry) {
+        const paths = this._paths(accountId, model);
+        fs.mkdirSync(paths.dir, { recursive: true });
+        entry.index.write(paths.index);
+        fs.writeFileSync(paths.ids, JSON.stringify(entry.ids));
+    }
+
+    // Every model's index of the account
+    _remove(accountId) {
+        fs.rmSync(path.join(this.directory, String(accountId)), { recursive: true, force: true });
+    }
+
+    async search(accountId, queryVector, k, model) {
+        const { index, ids } = await this._load(accountId, model);
+        if (!index || ids.length === 0) {
+            return [];
+        }
+        if (queryVector.length !== index.getDimension()) {
+            throw new Error(`Query vector has ${queryVector.length} dimensions but the ${model} index for account ${accountId} has ${index.getDimension()}`);
+        }
+
+        const { distances, labels } = index.search(normalizeVector(queryVector), Math.min(k, ids.length));
+        return labels
+            .map((label, i) => ({ id: ids[label], score: distances[i] }))
+            .filter(result => result.id !== undefined);
+    }
+
+    // Append freshly inserted chunks to an index that is already in memory.
+    // Indexes that are not loaded pick the chunks up through the count check on load.
+    async add(accountId, entries, model) {
+        const key = this._key(accountId, model);
+        const entry = this.cache.get(key);
+        if (!entry || entries.length === 0) {
+            return;
+        }
+        if (!entry.index) {
+            this.cache.delete(key);
+            return;
+        }
+
+        const vectors = [];
+        entries.forEach(({ id, embedding }) => {
+            vectors.push(...normalizeVector(embedding));
+            entry.ids.push(id);
+        });
+        entry.index.add(vectors);
+        this._persist(accountId, model, entry);
+    }
+
+    // HNSW cannot remove vectors, so deletes, deactivations, content updates and
+    // embedding model switches drop the account's indexes and the next search rebuilds them
+    async invalidate(accountId) {
+        [...this.cache.keys()]
+            .filter(key => key.startsWith(`${accountId}:`))
+            .forEach(key => this.cache.delete(key));
+        this._remove(accountId);
+    }
+}
+
+async function createVectorIndex(model) {
+    if (VECTOR_INDEX_BACKEND === "faiss") {
         try {
-            // Generate embedding for query
-            console.log('Generating query embedding...');
-            const queryVector = await this.embeddings.embedQuery(query);
-
-            // Build MongoDB aggregation pipeline
-            const pipeline = [];
-
-            // Add match stage if filter is provided
-            if (Object.keys(filter).length > 0) {
-                // Convert account_id to number if it's a string
-                const normalizedFilter = { ...filter };
-                if (normalizedFilter.account_id && typeof normalizedFilter.account_id === 'string') {
-                    normalizedFilter.account_id = parseInt(normalizedFilter.account_id);
-                }
+            const faiss = (await import("faiss-node")).default;
+            logger.info(`Using faiss vector index (${HNSW_DESCRIPTOR}) stored in ${VECTOR_INDEX_DIR}`);
+            return new FaissVectorIndex(model, faiss);
+        } catch (error) {
+            logger.warn(`faiss-node is not available, falling back to exact vector search: ${error.message}`);
+        }
+    }
 
-                // Build metadata filter
-                const matchStage = {};
-                Object.keys(normalizedFilter).forEach(key => {
-                    matchStage[`metadata.${key}`] = normalizedFilter[key];
-                });
+    logger.info("Using exact vector search");
+    return new ExactVectorIndex(model);
+}
 
-                pipeline.push({ $match: matchStage });
-            }
+// LocalMongoVectorStore - searches the chunks RagService writes to UnifiedDocument.
+// Chunks are never written here; callers tell the store when chunks were added or removed.
+class LocalMongoVectorStore {
+    constructor(model, index) {
+        this.model = model;
+        this.index = index || new ExactVectorIndex(model);
+    }
 
-            // Limit documents to process (for performance)
-            pipeline.push({ $limit: Math.max(k * 10, 1000) });
+    // Add freshly inserted UnifiedDocument chunks to the account's index for their model
+    async indexChunks(accountId, chunks) {
+        const byModel = new Map();
+        chunks
+            .filter(chunk => chunk.is_active !== false && Array.isArray(chunk.embedding))
+            .forEach(chunk => {
+                const model = chunkEmbeddingModel(chunk);
+                if (!byModel.has(model)) byModel.set(model, []);
+                byModel.get(model).push({ id: chunk._id.toString(), embedding: chunk.embedding });
+            });
+
+        for (const [model, entries] of byModel) {
+            await this.index.add(parseInt(accountId), entries, model);
+        }
+    }
 
-            console.log('Executing MongoDB query with pipeline:', JSON.stringify(pipeline, null, 2));
+    // Chunks were deleted, deactivated or re-embedded
+    async invalidate(accountId) {
+        await this.index.invalidate(parseInt(accountId));
+    }
 
-            const documents = await this.collection.aggregate(pipeline).toArray();
-            console.log(`Found ${documents.length} documents to process`);
+    async similaritySearchWithScore(query, k = 10, filter = {}) {
+        try {
+            // Convert account_id to number if it's a string
+            const normalizedFilter = { ...filter };
+            if (normalizedFilter.account_id && typeof normalizedFilter.account_id === 'string') {
+                normalizedFilter.account_id = parseInt(normalizedFilter.account_id);
+            }
 
-            if (documents.length === 0) {
-                console.log('No documents found matching filter');
-                return [];
+            const { account_id, ...otherFilters } = normalizedFilter;
+            if (account_id === undefined || account_id === null) {
+                throw new Error("similaritySearchWithScore requires an account_id filter");
             }
 
-            // Compute cosine similarity for each document
-            const results = documents
-                .map(doc => {
-                    if (!doc.embedding || !Array.isArray(doc.embedding)) {
-                        console.warn('Document missing valid embedding:', doc._id);
-                        return null;
-                    }
+            // The query is embedded with the account's active model and only meets chunks of that model
+            const model = await getActiveEmbeddingModel(account_id);
+            console.log(`Generating query embedding with ${model}...`);
+            const queryVector = await getEmbeddings(model).embedQuery(query);
+
+            // Extra filters (an inbox) are applied after the index lookup, so over-fetch, and widen the
+            // fetch until k chunks pass them or the index has nothing more to return
+            const hasOtherFilters = Object.keys(otherFilters).length > 0;
+            let fetchK = hasOtherFilters ? k * 10 : k;
+            let candidates;
+            let documents;
+            while (true) {
+                candidates = await this.index.search(account_id, queryVector, fetchK, model);
+                console.log(`Vector index (${this.index.name}, ${model}) returned ${candidates.length} candidates`);
+
+                if (candidates.length === 0) {
+                    console.log('No documents found matching filter');
+                    return [];
+                }
+
+                // Load the matching chunks, applying any remaining filters
+                documents = await this.model
+                    .find({
+                        _id: { $in: candidates.map(c => c.id) },
+                        ...searchableFilter(account_id),
+                        ...otherFilters
+                    })
+                    .select('-embedding -embeddings -next_embedding')
+                    .lean();
+
+                if (!hasOtherFilters || documents.length >= k || candidates.length < fetchK) break;
+                fetchK *= 4;
+            }
+            const documentsById = new Map(documents.map(doc => [doc._id.toString(), doc]));
 
-                    const similarity = this.cosineSimilarity(queryVector, doc.embedding);
+            const results = candidates
+                .filter(candidate => documentsById.has(candidate.id))
+                .map(candidate => {
+                    const doc = documentsById.get(candidate.id);
                     return {
                         document: {
-                            pageContent: doc.pageContent,
-                            metadata: doc.metadata
+                            pageContent: doc.content,
+                            metadata: {
+                                account_id: doc.account_id,
+                                document_id: doc.document_id,
+                                chunk_index: doc.chunk_index,
+                                source_title: doc.source_title,
+                                source_uri: doc.source_uri,
+                                source_type: doc.source_type,
+                                source_url: doc.source_url,
+                                file_type: doc.file_type,
+                                azure_blob_name: doc.azure_blob_name,
+                                azure_container: doc.azure_container,
+                                ...doc.metadata
+                            }
                         },
-                        score: similarity
+                        score: Math.max(0, Math.min(1, candidate.score)) // Clamp between 0 and 1
                     };
                 })
-                .filter(result => result !== null) // Remove null results
-                .sort((a, b) => b.score - a.score) // Sort by similarity descending
-                .slice(0, k); // Take top k results
+                .slice(0, k);
 
             console.log(`Returning ${results.length} results with scores:`,
                 results.slice(0, 3).map(r => r.score));
@@ -204,9 +433,9 @@ class LocalMongoVectorStore {
             return 0;
         }
 
+        // Vectors of different lengths come from different embedding models and cannot be compared
         if (vecA.length !== vecB.length) {
-            console.warn(`Vector length mismatch: ${vecA.length} vs ${vecB.length}`);
-            return 0;
+            throw new Error(`Vector length mismatch: ${vecA.length} vs ${vecB.length}`);
         }
 
         let dotProduct = 0;
@@ -228,37 +457,10 @@ class LocalMongoVectorStore {
         return Math.max(0, Math.min(1, similarity)); // Clamp between 0 and 1
     }
 
-    async deleteDocumentsByFilter(filter) {
-        // Convert account_id to number if it's a string
-        const normalizedFilter = { ...filter };
-        if (normalizedFilter.account_id && typeof normalizedFilter.account_id === 'string') {
-            normalizedFilter.account_id = parseInt(normalizedFilter.account_id);
-        }
-
-        // Build metadata filter
-        const matchStage = {};
-        Object.keys(normalizedFilter).forEach(key => {
-            matchStage[`metadata.${key}`] = normalizedFilter[key];
-        });
-
-        const result = await this.collection.deleteMany(matchStage);
-        console.log(`Deleted ${result.deletedCount} documents`);
-        return result.deletedCount;
-    }
-
     // Add method to get document count
     async getDocumentCount(filter = {}) {
-        const normalizedFilter = { ...filter };
-        if (normalizedFilter.account_id && typeof normalizedFilter.account_id === 'string') {
-            normalizedFilter.account_id = parseInt(normalizedFilter.account_id);
-        }
-
-        const matchStage = {};
-        Object.keys(normalizedFilter).forEach(key => {
-            matchStage[`metadata.${key}`] = normalizedFilter[key];
-        });
-
-        return await this.collection.countDocuments(matchStage);
+        const { account_id, ...otherFilters } = filter;
+        return await this.model.countDocuments({ ...accountFilter(account_id), ...otherFilters });
     }
 }
 
@@ -273,50 +475,34 @@ async function getVectorStore() {
     return vectorStore;
 }
 
-// Cleanup function
-async function closeConnection() {
-    if (client) {
-        await client.close();
-        client = null;
-        vectorStore = null;
-        logger.info("MongoDB connection closed");
-    }
-}
-
-// Fixed RAG Functions
-async function insertEmbeddings(params) {
-    const { account_id, chunks, vectors, sourceTitle, sourceUri, documentId } = params;
+// Register chunks that RagService just inserted into UnifiedDocument
+async function indexChunks(params) {
+    const { account_id, chunks } = params;
 
     try {
-        logger.info(`Inserting ${chunks.length} embeddings for account ${account_id}`);
-
         const store = await getVectorStore();
+        await store.indexChunks(account_id, chunks);
 
-        // Create documents with proper structure
-        const documents = chunks.map((chunk, index) => ({
-            pageContent: chunk.content,
-            metadata: {
-                account_id: parseInt(account_id),
-                source_title: sourceTitle,
-                source_uri: sourceUri,
-                document_id: documentId,
-                chunk_index: chunk.index !== undefined ? chunk.index : index
-            }
-        }));
-
-        // Add documents (will generate embeddings if vectors not provided)
-        await store.addDocuments(documents, { vectors });
-
-        logger.info(`Successfully inserted ${chunks.length} embeddings`);
-        return { success: true, inserted: chunks.length };
+        logger.info(`Indexed ${chunks.length} chunks for account ${account_id}`);
+        return { success: true, indexed: chunks.length };
     } catch (error) {
-        logger.error("Error inserting embeddings:", error);
+        logger.error("Error indexing chunks:", error);
         throw error;
     }
 }
 
+// Drop the account's vector index after chunks were deleted, deactivated or replaced
+async function invalidateIndex(account_id) {
+    try {
+        const store = await getVectorStore();
+        await store.invalidate(account_id);
+    } catch (error) {
+        logger.error(`Error invalidating vector index for account ${account_id}:`, error);
+    }
+}
+
 async function retrieveKBChunks(params) {
-    const { account_id, query, limit = 10 } = params;
+    const { account_id, query, limit = 10, inbox_id } = params;
 
     try {
         logger.info(`Retrieving chunks for account ${account_id} with query: "${query.substring(0, 50)}..."`);
@@ -332,9 +518,10 @@ async function retrieveKBChunks(params) {
             return [];
         }
 
-        // Search with filter for account_id
+        // Search with filter for account_id, scoped to the inbox when one is given
         const results = await store.similaritySearchWithScore(query, limit, {
-            account_id: parseInt(account_id)
+            account_id: parseInt(account_id),
+            ...inboxFilter(inbox_id)
         });
 
         logger.info(`Retrieved ${results.length} chunks for account ${account_id}`);
@@ -345,6 +532,12 @@ async function retrieveKBChunks(params) {
             document_id: result.document.metadata.document_id,
             source_title: result.document.metadata.source_title,
             source_uri: result.document.metadata.source_uri,
+            source_type: result.document.metadata.source_type,
+            source_url: result.document.metadata.source_url,
+            file_type: result.document.metadata.file_type,
+            azure_blob_name: result.document.metadata.azure_blob_name,
+            azure_container: result.document.metadata.azure_container,
+            metadata: result.document.metadata, // page_number, additional.sheet and rows (utils/chunking.js)
             score: result.score,
             account_id: result.document.metadata.account_id,
             chunk_index: result.document.metadata.chunk_index || 0
@@ -357,19 +550,24 @@ async function retrieveKBChunks(params) {
 
 // Test function to verify setup
 async function testVectorStore() {
+    const documentId = "test-doc-1";
+
     try {
         const store = await getVectorStore();
-
-        // Insert test document
-        await store.addDocuments([{
-            pageContent: "This is a test document about artificial intelligence and machine learning.",
-            metadata: {
-                account_id: 1,
-                document_id: "test-doc-1",
-                source_title: "Test Document",
-                source_uri: "test://doc"
-            }
+        const content = "This is a test document about artificial intelligence and machine learning.";
+
+        // Insert test chunk
+        const [chunk] = await UnifiedDocument.insertMany([{
+            account_id: 1,
+            document_id: documentId,
+            content,
+            embedding: await getEmbeddings().embedQuery(content),
+            embedding_model: defaultEmbeddingModel(),
+            source_title: "Test Document",
+            source_type: "file",
+            source_uri: "test://doc"
         }]);
+        await store.indexChunks(1, [chunk]);
 
         // Search for it
         const results = await store.similaritySearchWithScore("artificial intelligence", 5, {
@@ -377,10 +575,13 @@ async function testVectorStore() {
         });
 
         console.log('Test results:', results);
-        return results.length > 0;
+        return results.some(result => result.document.metadata.document_id === documentId);
     } catch (error) {
         console.error('Test failed:', error);
         return false;
+    } finally {
+        await UnifiedDocument.deleteMany({ account_id: 1, document_id: documentId });
+        await invalidateIndex(1);
     }
 }
 
@@ -391,14 +592,19 @@ loadVectorStore().catch(error => {
 
 export {
     vectorStore,
+    ExactVectorIndex,
+    FaissVectorIndex,
+    createVectorIndex,
     loadVectorStore,
     getVectorStore,
     isVectorStoreReady,
-    closeConnection,
-    insertEmbeddings,
+    indexChunks,
+    invalidateIndex,
     retrieveKBChunks,
+    inboxFilter,
     testVectorStore,
     MONGODB_URI,
     DB_NAME,
-    COLLECTION_NAME
-};
\ No newline at end of file
+    COLLECTION_NAME,
+    VECTOR_INDEX_DIR
+};